@@ -1,7 +1,14 @@
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
+const path = require('path');
 require('dotenv').config();
+const uploadConfig = require('./config/uploadConfig');
+const securityConfig = require('./config/securityConfig');
+const jobConfig = require('./config/jobConfig');
+const { registerJob, startJobs } = require('./services/jobScheduler');
+const { expireUnpaidOrders } = require('./services/orderExpiryService');
+const { notifyBackInStock } = require('./services/wishlistService');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -10,15 +17,32 @@ const orderRoutes = require('./routes/orderRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
 const userRoutes = require('./routes/userRoutes');
 const cartRoutes = require('./routes/cartRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const voucherRoutes = require('./routes/voucherRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Client IPs (login lockout, auth events, sessions) come from req.ip
+app.set('trust proxy', securityConfig.trustProxy);
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for payment webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(morgan('dev'));
 
+// Uploaded files (local storage backend)
+app.use(uploadConfig.localPublicUrl, express.static(path.resolve(uploadConfig.localDir)));
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
@@ -26,6 +50,12 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/vouchers', voucherRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -41,9 +71,26 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Background jobs
+registerJob({
+  name: 'expire-unpaid-orders',
+  intervalSeconds: jobConfig.orderExpiryIntervalSeconds,
+  run: expireUnpaidOrders
+});
+// Stock also comes back through cancellations and expiries, not only product updates
+registerJob({
+  name: 'wishlist-back-in-stock',
+  intervalSeconds: jobConfig.backInStockIntervalSeconds,
+  run: () => notifyBackInStock()
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  if (jobConfig.enabled) {
+    startJobs();
+  }
 });
 
 module.exports = app;
\ No newline at end of file
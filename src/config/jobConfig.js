@@ -0,0 +1,12 @@
+require('dotenv').config();
+
+module.exports = {
+  // Set JOBS_ENABLED=false on instances that should only serve requests
+  enabled: process.env.JOBS_ENABLED !== 'false',
+  // How long a customer has to pay an order before it is cancelled
+  orderPaymentWindowMinutes: parseInt(process.env.ORDER_PAYMENT_WINDOW_MINUTES || '1440', 10),
+  orderExpiryIntervalSeconds: parseInt(process.env.ORDER_EXPIRY_INTERVAL_SECONDS || '60', 10),
+  // Orders cancelled per run, so one run stays short
+  orderExpiryBatchSize: parseInt(process.env.ORDER_EXPIRY_BATCH_SIZE || '100', 10),
+  backInStockIntervalSeconds: parseInt(process.env.BACK_IN_STOCK_INTERVAL_SECONDS || '300', 10)
+};
@@ -2,5 +2,6 @@ require('dotenv').config();
 
 module.exports = {
   secret: process.env.JWT_SECRET || 'fallback-secret-key-for-development-only',
-  expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+  expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshExpiresInDays: parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS || '7', 10)
 };
\ No newline at end of file
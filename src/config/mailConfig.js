@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+module.exports = {
+  // file | console, or any transport registered with the mailer service.
+  // Mails carry reset and verification tokens, so the default keeps them out of logs.
+  transport: process.env.MAIL_TRANSPORT || 'file',
+  from: process.env.MAIL_FROM || 'NgeBaju <no-reply@ngebaju.local>',
+  fileDir: process.env.MAIL_FILE_DIR || 'mail-outbox',
+  // Local development only: let the console transport print bodies (with their
+  // reset and verification links). Never honoured in production.
+  consoleLogBodies: process.env.MAIL_CONSOLE_LOG_BODIES === 'true' && process.env.NODE_ENV !== 'production',
+  // Base URL of the frontend, used to build links in emails
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10),
+  emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10),
+  requireVerifiedEmailForOrders: process.env.REQUIRE_VERIFIED_EMAIL === 'true'
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * Allowed order transitions.
+ * Each entry maps a current value to the values it may move to, together with
+ * the roles allowed to trigger that move. The "system" role is used by
+ * background processes acting without a user.
+ */
+module.exports = {
+  statusTransitions: {
+    pending: {
+      processing: ['admin', 'system'],
+      cancelled: ['admin', 'customer', 'system']
+    },
+    processing: {
+      shipped: ['admin'],
+      cancelled: ['admin', 'customer']
+    },
+    shipped: {
+      delivered: ['admin'],
+      returned: ['admin']
+    },
+    delivered: {
+      completed: ['admin'],
+      returned: ['admin']
+    },
+    returned: {
+      refunded: ['admin']
+    },
+    cancelled: {},
+    completed: {
+      returned: ['admin']
+    },
+    refunded: {}
+  },
+
+  paymentStatusTransitions: {
+    unpaid: {
+      awaiting_verification: ['admin', 'customer'],
+      paid: ['admin', 'system'],
+      expired: ['system'],
+      failed: ['system']
+    },
+    awaiting_verification: {
+      paid: ['admin', 'system'],
+      verification_failed: ['admin']
+    },
+    verification_failed: {
+      awaiting_verification: ['admin', 'customer']
+    },
+    paid: {
+      refunded: ['admin', 'system']
+    },
+    // Gateway payments: a failed attempt can be retried; the expiry job ends the order at its deadline
+    failed: {
+      awaiting_verification: ['admin', 'customer'],
+      paid: ['admin', 'system'],
+      expired: ['system']
+    },
+    expired: {},
+    refunded: {}
+  }
+};
@@ -0,0 +1,21 @@
+require('dotenv').config();
+
+module.exports = {
+  // mock | midtrans, or any provider registered with the payment service.
+  // Online payments stay disabled until a provider is chosen.
+  provider: process.env.PAYMENT_PROVIDER || null,
+  // How long a payment session (VA number / payment page) stays valid
+  sessionTtlMinutes: parseInt(process.env.PAYMENT_SESSION_TTL_MINUTES || '1440', 10),
+  mock: {
+    // The mock provider marks orders paid on request, so it only runs when
+    // enabled explicitly and never in production
+    enabled: process.env.PAYMENT_MOCK_ENABLED === 'true' && process.env.NODE_ENV !== 'production',
+    // Webhook bodies are signed with HMAC-SHA256 using this secret (x-mock-signature header)
+    webhookSecret: process.env.PAYMENT_MOCK_WEBHOOK_SECRET || '',
+    paymentPageUrl: process.env.PAYMENT_MOCK_PAGE_URL || 'http://localhost:3000/mock-payment'
+  },
+  midtrans: {
+    serverKey: process.env.MIDTRANS_SERVER_KEY || '',
+    isProduction: process.env.MIDTRANS_IS_PRODUCTION === 'true'
+  }
+};
@@ -0,0 +1,10 @@
+require('dotenv').config();
+
+module.exports = {
+  // Days after delivery during which a customer may request a return
+  windowDays: parseInt(process.env.RETURN_WINDOW_DAYS || '7', 10),
+  reasonCodes: ['damaged', 'wrong_item', 'wrong_size', 'not_as_described', 'other'],
+  refundMethods: ['original_payment', 'bank_transfer', 'e_wallet', 'store_credit'],
+  // Order statuses in which items can be returned
+  returnableOrderStatuses: ['delivered', 'completed']
+};
@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+/**
+ * Parse TRUST_PROXY into a value for Express's "trust proxy" setting
+ * @param {String} value - true/false, a hop count, or addresses/subnets such as "loopback, 10.0.0.0/8"
+ * @returns {Boolean|Number|String} Setting value (false when unset)
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') {
+    return false;
+  }
+
+  if (value === 'true') {
+    return true;
+  }
+
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
+module.exports = {
+  // Set when running behind a reverse proxy or load balancer so req.ip is the
+  // client's address (from X-Forwarded-For) instead of the proxy's
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+  login: {
+    // Failures allowed before the account or IP is locked
+    maxAttemptsPerAccount: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT || '5', 10),
+    maxAttemptsPerIp: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || '20', 10),
+    // Failures older than this window no longer count
+    windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10),
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10),
+    // Delay after a failure doubles each attempt, starting at baseDelayMs
+    baseDelayMs: parseInt(process.env.LOGIN_BASE_DELAY_MS || '250', 10),
+    maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS || '4000', 10)
+  }
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+require('dotenv').config();
+
+/**
+ * Split a comma separated environment variable into a list
+ * @param {String} value - Raw value
+ * @returns {Array} Trimmed, non-empty entries
+ */
+const toList = (value) => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+module.exports = {
+  // Rate providers queried at checkout: flat_rate (shipping_rates table), or
+  // any provider registered with the shipping service, such as a courier API adapter
+  providers: toList(process.env.SHIPPING_PROVIDERS || 'flat_rate'),
+  couriers: toList(process.env.SHIPPING_COURIERS || 'jne,jnt,sicepat'),
+  // Where parcels are sent from, passed to courier API providers
+  origin: {
+    province: process.env.SHIPPING_ORIGIN_PROVINCE || 'DKI Jakarta',
+    city: process.env.SHIPPING_ORIGIN_CITY || 'Jakarta Selatan',
+    postal_code: process.env.SHIPPING_ORIGIN_POSTAL_CODE || '12110'
+  },
+  // Used for products and variants without a weight
+  defaultItemWeightGrams: parseInt(process.env.SHIPPING_DEFAULT_ITEM_WEIGHT_GRAMS || '250', 10),
+  providerTimeoutMs: parseInt(process.env.SHIPPING_PROVIDER_TIMEOUT_MS || '5000', 10)
+};
@@ -0,0 +1,11 @@
+require('dotenv').config();
+
+// Seller details printed on invoices
+module.exports = {
+  name: process.env.STORE_NAME || 'NgeBaju',
+  address: process.env.STORE_ADDRESS || 'Jakarta, Indonesia',
+  phone: process.env.STORE_PHONE || '',
+  email: process.env.STORE_EMAIL || 'support@ngebaju.local',
+  // NPWP, printed when set
+  taxId: process.env.STORE_TAX_ID || ''
+};
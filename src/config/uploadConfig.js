@@ -0,0 +1,21 @@
+require('dotenv').config();
+
+module.exports = {
+  // local | supabase, or any backend registered with the storage service
+  storageDriver: process.env.STORAGE_DRIVER || 'local',
+  localDir: process.env.UPLOAD_DIR || 'uploads',
+  // URL prefix under which local uploads are served
+  localPublicUrl: process.env.UPLOAD_PUBLIC_URL || '/uploads',
+  supabaseBucket: process.env.SUPABASE_STORAGE_BUCKET || 'uploads',
+  maxFileSizeMb: parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB || '5', 10),
+  maxFilesPerRequest: parseInt(process.env.UPLOAD_MAX_FILES || '10', 10),
+  maxReviewPhotos: parseInt(process.env.REVIEW_MAX_PHOTOS || '5', 10),
+  maxReturnPhotos: parseInt(process.env.RETURN_MAX_PHOTOS || '5', 10),
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  // Longest side in pixels of each generated rendition
+  renditions: {
+    original: 2000,
+    medium: 800,
+    thumbnail: 200
+  }
+};
\ No newline at end of file
@@ -0,0 +1,357 @@
+const supabase = require('../config/supabase');
+const { validationResult } = require('express-validator');
+
+/**
+ * @module AddressController
+ * @description Controller for the user's shipping address book
+ */
+
+const ADDRESS_FIELDS = [
+  'label',
+  'recipient_name',
+  'phone',
+  'street_address',
+  'province',
+  'city',
+  'district',
+  'postal_code'
+];
+
+/**
+ * Check access to a user's addresses (admin can access any user, users only their own)
+ * @param {Object} req - Express request object
+ * @returns {Boolean} True if access is allowed
+ */
+const canAccessUser = (req) => req.user.role === 'admin' || parseInt(req.params.id) === req.user.user_id;
+
+/**
+ * Get all addresses of a user, default address first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAddresses = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!canAccessUser(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: Anda tidak memiliki akses untuk alamat user ini'
+      });
+    }
+    
+    const { data: addresses, error } = await supabase
+      .from('user_addresses')
+      .select('*')
+      .eq('user_id', id)
+      .order('is_default', { ascending: false })
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      console.error('Error fetching addresses:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil alamat'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      addresses
+    });
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Add an address. The first address of a user becomes the default.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createAddress = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id } = req.params;
+    
+    if (!canAccessUser(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: Anda tidak memiliki akses untuk alamat user ini'
+      });
+    }
+    
+    const { count: addressCount, error: countError } = await supabase
+      .from('user_addresses')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', id);
+    
+    if (countError) {
+      console.error('Error counting addresses:', countError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memeriksa alamat'
+      });
+    }
+    
+    const addressData = { user_id: id, is_default: false };
+    for (const field of ADDRESS_FIELDS) {
+      if (req.body[field] !== undefined) addressData[field] = req.body[field];
+    }
+    
+    const { data: newAddress, error: insertError } = await supabase
+      .from('user_addresses')
+      .insert(addressData)
+      .select('*')
+      .single();
+    
+    if (insertError) {
+      console.error('Error creating address:', insertError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menambah alamat'
+      });
+    }
+    
+    // First address, or explicitly requested: make it the default
+    if (!addressCount || req.body.is_default) {
+      const { error: defaultError } = await supabase
+        .rpc('set_default_address', { p_user_id: id, p_address_id: newAddress.address_id });
+      
+      if (defaultError) {
+        console.error('Error setting default address:', defaultError);
+      } else {
+        newAddress.is_default = true;
+      }
+    }
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Alamat berhasil ditambahkan',
+      address: newAddress
+    });
+  } catch (error) {
+    console.error('Create address error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Update an address. Orders keep the address they were placed with.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateAddress = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id, addressId } = req.params;
+    
+    if (!canAccessUser(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: Anda tidak memiliki akses untuk alamat user ini'
+      });
+    }
+    
+    const updateData = { updated_at: new Date() };
+    for (const field of ADDRESS_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+    
+    const { data: updatedAddress, error: updateError } = await supabase
+      .from('user_addresses')
+      .update(updateData)
+      .eq('address_id', addressId)
+      .eq('user_id', id)
+      .select('*')
+      .maybeSingle();
+    
+    if (updateError) {
+      console.error('Error updating address:', updateError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengupdate alamat'
+      });
+    }
+    
+    if (!updatedAddress) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alamat tidak ditemukan'
+      });
+    }
+    
+    if (req.body.is_default && !updatedAddress.is_default) {
+      const { error: defaultError } = await supabase
+        .rpc('set_default_address', { p_user_id: id, p_address_id: addressId });
+      
+      if (defaultError) {
+        console.error('Error setting default address:', defaultError);
+      } else {
+        updatedAddress.is_default = true;
+      }
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Alamat berhasil diupdate',
+      address: updatedAddress
+    });
+  } catch (error) {
+    console.error('Update address error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Make an address the user's default address
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setDefaultAddress = async (req, res) => {
+  try {
+    const { id, addressId } = req.params;
+    
+    if (!canAccessUser(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: Anda tidak memiliki akses untuk alamat user ini'
+      });
+    }
+    
+    const { error } = await supabase
+      .rpc('set_default_address', { p_user_id: id, p_address_id: addressId });
+    
+    if (error) {
+      if (error.message === 'ADDRESS_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: 'Alamat tidak ditemukan'
+        });
+      }
+      
+      console.error('Error setting default address:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengatur alamat utama'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Alamat utama berhasil diatur'
+    });
+  } catch (error) {
+    console.error('Set default address error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete an address. When the default address is deleted, the most recently
+ * added remaining address becomes the default.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteAddress = async (req, res) => {
+  try {
+    const { id, addressId } = req.params;
+    
+    if (!canAccessUser(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: Anda tidak memiliki akses untuk alamat user ini'
+      });
+    }
+    
+    const { data: deletedAddress, error: deleteError } = await supabase
+      .from('user_addresses')
+      .delete()
+      .eq('address_id', addressId)
+      .eq('user_id', id)
+      .select('address_id, is_default')
+      .maybeSingle();
+    
+    if (deleteError) {
+      console.error('Error deleting address:', deleteError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menghapus alamat'
+      });
+    }
+    
+    if (!deletedAddress) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alamat tidak ditemukan'
+      });
+    }
+    
+    if (deletedAddress.is_default) {
+      const { data: nextAddress } = await supabase
+        .from('user_addresses')
+        .select('address_id')
+        .eq('user_id', id)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      
+      if (nextAddress) {
+        const { error: defaultError } = await supabase
+          .rpc('set_default_address', { p_user_id: id, p_address_id: nextAddress.address_id });
+        
+        if (defaultError) {
+          console.error('Error promoting default address:', defaultError);
+        }
+      }
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Alamat berhasil dihapus'
+    });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+};
@@ -0,0 +1,137 @@
+const supabase = require('../config/supabase');
+const { validationResult } = require('express-validator');
+
+/**
+ * @module AnalyticsController
+ * @description Sales analytics for admins. Everything is aggregated by the
+ * analytics_* database functions; this controller only maps the date range.
+ */
+
+// Default range when no from/to is given
+const DEFAULT_RANGE_DAYS = 30;
+
+// Dates are calendar days in the shop's time zone
+const TIME_ZONE_OFFSET = '+07:00';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn the from/to query parameters (YYYY-MM-DD, both inclusive) into the
+ * half-open timestamp range the database functions expect
+ * @param {Object} query - Request query
+ * @returns {Object} { from, to, p_from, p_to }
+ */
+const getDateRange = (query) => {
+  const today = new Date(Date.now() + 7 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const to = query.to || today;
+  const from = query.from || new Date(new Date(to).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+
+  return {
+    from,
+    to,
+    p_from: `${from}T00:00:00${TIME_ZONE_OFFSET}`,
+    p_to: new Date(new Date(`${to}T00:00:00${TIME_ZONE_OFFSET}`).getTime() + DAY_MS).toISOString()
+  };
+};
+
+/**
+ * Build an Express handler that calls one analytics function for the
+ * requested date range and returns its result under the given key
+ * @param {String} functionName - Database function name
+ * @param {String} resultKey - Response property holding the result
+ * @param {Function} [getParams] - Extra function parameters from the request
+ * @returns {Function} Express handler
+ */
+const analyticsHandler = (functionName, resultKey, getParams = () => ({})) => async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const range = getDateRange(req.query);
+    
+    if (range.from > range.to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tanggal awal tidak boleh setelah tanggal akhir'
+      });
+    }
+    
+    const { data, error } = await supabase
+      .rpc(functionName, {
+        p_from: range.p_from,
+        p_to: range.p_to,
+        ...getParams(req)
+      });
+    
+    if (error) {
+      console.error(`Error running ${functionName}:`, error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil data analitik'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      range: { from: range.from, to: range.to },
+      [resultKey]: data
+    });
+  } catch (error) {
+    console.error(`Analytics ${functionName} error:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Revenue, order count and average order value, in total and per day, week or month
+ */
+const getRevenue = analyticsHandler('analytics_revenue', 'revenue', req => ({
+  p_interval: req.query.interval || 'day'
+}));
+
+/**
+ * Best-selling products by quantity
+ */
+const getTopProducts = analyticsHandler('analytics_top_products', 'products', req => ({
+  p_limit: parseInt(req.query.limit) || 10
+}));
+
+/**
+ * Best-selling sizes by quantity
+ */
+const getTopSizes = analyticsHandler('analytics_top_sizes', 'sizes', req => ({
+  p_limit: parseInt(req.query.limit) || 10
+}));
+
+/**
+ * Item revenue per category
+ */
+const getRevenueByCategory = analyticsHandler('analytics_revenue_by_category', 'categories');
+
+/**
+ * Order counts per status and payment status
+ */
+const getStatusBreakdown = analyticsHandler('analytics_status_breakdown', 'breakdown');
+
+/**
+ * New vs returning customers
+ */
+const getCustomerStats = analyticsHandler('analytics_customers', 'customers');
+
+module.exports = {
+  getRevenue,
+  getTopProducts,
+  getTopSizes,
+  getRevenueByCategory,
+  getStatusBreakdown,
+  getCustomerStats
+};
@@ -1,7 +1,89 @@
 const bcrypt = require('bcrypt');
 const supabase = require('../config/supabase');
-const { generateToken } = require('../utils/jwtUtils');
+const mailConfig = require('../config/mailConfig');
 const { validationResult } = require('express-validator');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessionService');
+const { createUserToken, consumeUserToken } = require('../services/userTokenService');
+const { sendMail } = require('../services/mailerService');
+const { logAuthEvent } = require('../services/authEventService');
+const {
+  beginLoginAttempt,
+  recordLoginSuccess,
+  getProgressiveDelay
+} = require('../services/loginProtectionService');
+
+// Compared against when the email is unknown, so response time doesn't reveal whether an account exists
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('ngebaju-dummy-password', 10);
+
+/**
+ * Collect client metadata stored with a new session
+ * @param {Object} req - Express request object
+ * @returns {Object} User agent and IP address
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * Log a failed login, slow the client down and send the generic error.
+ * The failure was already counted by beginLoginAttempt.
+ * @param {Object} res - Express response object
+ * @param {String} email - Email used in the attempt
+ * @param {Object} user - Matching user, if any
+ * @param {Object} client - Client info from getClientInfo
+ * @param {Object} attempt - Result of beginLoginAttempt
+ */
+const rejectLogin = async (res, email, user, client, attempt) => {
+  const { failedCount, locked } = attempt;
+
+  await logAuthEvent({
+    type: 'login_failure',
+    email,
+    userId: user ? user.user_id : null,
+    ...client,
+    details: { failed_count: failedCount, locked }
+  });
+
+  const delay = getProgressiveDelay(failedCount);
+  await new Promise(resolve => setTimeout(resolve, delay));
+
+  return res.status(401).json({
+    success: false,
+    message: 'Email atau password salah'
+  });
+};
+
+/**
+ * Send an email verification link to a user
+ * @param {Object} user - User with user_id, email and username
+ * @returns {Promise<Object>} Object with an error property when sending failed
+ */
+const sendVerificationEmail = async (user) => {
+  const { token, error } = await createUserToken(
+    user.user_id,
+    'email_verification',
+    mailConfig.emailVerificationTtlHours * 60 * 60 * 1000
+  );
+
+  if (error) {
+    return { error };
+  }
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verifikasi email akun NgeBaju',
+    text: `Halo ${user.username},\n\n` +
+      'Silakan verifikasi email Anda melalui tautan berikut:\n' +
+      `${mailConfig.appUrl}/verify-email?token=${token}\n\n` +
+      `Tautan ini berlaku selama ${mailConfig.emailVerificationTtlHours} jam.`
+  });
+};
 
 /**
  * Register a new user
@@ -70,13 +152,24 @@ const register = async (req, res) => {
       });
     }
 
-    // Generate JWT
-    const token = generateToken(newUser);
+    // Send verification email; registration succeeds even if sending fails
+    await sendVerificationEmail(newUser);
+
+    // Start session and issue tokens
+    const { data: tokens, error: sessionError } = await createSession(newUser, getClientInfo(req));
+
+    if (sessionError) {
+      return res.status(sessionError.statusCode).json({
+        success: false,
+        message: sessionError.message
+      });
+    }
 
     return res.status(201).json({
       success: true,
       message: 'User berhasil didaftarkan',
-      token,
+      token: tokens.token,
+      refresh_token: tokens.refresh_token,
       user: {
         id: newUser.user_id,
         email: newUser.email,
@@ -110,37 +203,55 @@ const login = async (req, res) => {
     }
 
     const { email, password } = req.body;
+    const client = getClientInfo(req);
+
+    // Count the attempt up front; refuse while the account or IP is locked out
+    const attempt = await beginLoginAttempt(email, client.ipAddress);
+    if (!attempt.allowed) {
+      await logAuthEvent({ type: 'login_locked', email, ...client });
+      res.set('Retry-After', String(attempt.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Email atau password salah',
+        retry_after: attempt.retryAfterSeconds
+      });
+    }
 
     // Find user by email
     const { data: user, error } = await supabase
       .from('users')
       .select('user_id, email, username, password, role')
       .eq('email', email)
-      .single();
+      .maybeSingle();
 
-    if (error || !user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Email atau password salah'
-      });
+    if (error) {
+      console.error('Error finding user for login:', error);
+    }
+
+    // Verify password (against a dummy hash when the user doesn't exist)
+    const isPasswordValid = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !isPasswordValid) {
+      return rejectLogin(res, email, user, client, attempt);
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    await recordLoginSuccess(email, client.ipAddress);
+    await logAuthEvent({ type: 'login_success', email, userId: user.user_id, ...client });
+
+    // Start session and issue tokens
+    const { data: tokens, error: sessionError } = await createSession(user, client);
+
+    if (sessionError) {
+      return res.status(sessionError.statusCode).json({
         success: false,
-        message: 'Email atau password salah'
+        message: sessionError.message
       });
     }
 
-    // Generate JWT
-    const token = generateToken(user);
-
     return res.status(200).json({
       success: true,
       message: 'Login berhasil',
-      token,
+      token: tokens.token,
+      refresh_token: tokens.refresh_token,
       user: {
         id: user.user_id,
         email: user.email,
@@ -170,7 +281,7 @@ const getProfile = async (req, res) => {
     // Get complete user data (excluding password)
     const { data: userData, error } = await supabase
       .from('users')
-      .select('user_id, username, email, phone, address, role, created_at')
+      .select('user_id, username, email, phone, address, role, email_verified_at, created_at')
       .eq('user_id', user.user_id)
       .single();
 
@@ -195,8 +306,349 @@ const getProfile = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const refreshToken = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { refresh_token } = req.body;
+
+    const { data: tokens, error } = await rotateRefreshToken(refresh_token);
+
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token berhasil diperbarui',
+      token: tokens.token,
+      refresh_token: tokens.refresh_token,
+      user: {
+        id: tokens.user.user_id,
+        email: tokens.user.email,
+        username: tokens.user.username,
+        role: tokens.user.role
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Logout from the current session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const logout = async (req, res) => {
+  try {
+    const { error } = await revokeSession(req.sessionId, 'logout');
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat logout'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logout berhasil'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Logout from every session of the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const { error } = await revokeUserSessions(req.user.user_id, 'logout_all');
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat logout'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logout dari semua perangkat berhasil'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Request a password reset link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('user_id, email, username')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error finding user for password reset:', error);
+    }
+
+    if (user) {
+      const { token, error: tokenError } = await createUserToken(
+        user.user_id,
+        'password_reset',
+        mailConfig.passwordResetTtlMinutes * 60 * 1000
+      );
+
+      if (!tokenError) {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset password akun NgeBaju',
+          text: `Halo ${user.username},\n\n` +
+            'Kami menerima permintaan reset password untuk akun Anda. ' +
+            'Gunakan tautan berikut untuk membuat password baru:\n' +
+            `${mailConfig.appUrl}/reset-password?token=${token}\n\n` +
+            `Tautan ini berlaku selama ${mailConfig.passwordResetTtlMinutes} menit. ` +
+            'Abaikan email ini jika Anda tidak meminta reset password.'
+        });
+      }
+    }
+
+    // Same response whether or not the email exists
+    return res.status(200).json({
+      success: true,
+      message: 'Jika email terdaftar, tautan reset password telah dikirim'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Reset password with a token from the reset email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resetPassword = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token, new_password } = req.body;
+
+    const { userId, error: tokenError } = await consumeUserToken(token, 'password_reset');
+
+    if (tokenError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memeriksa token'
+      });
+    }
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token reset password tidak valid atau kadaluarsa'
+      });
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(new_password, salt);
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ password: hashedPassword })
+      .eq('user_id', userId);
+
+    if (updateError) {
+      console.error('Error resetting password:', updateError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengubah password'
+      });
+    }
+
+    // Log out everywhere, the old password may have been compromised
+    await revokeUserSessions(userId, 'password_reset');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password berhasil direset, silakan login kembali'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Verify email with a token from the verification email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token } = req.body;
+
+    const { userId, error: tokenError } = await consumeUserToken(token, 'email_verification');
+
+    if (tokenError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memeriksa token'
+      });
+    }
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token verifikasi tidak valid atau kadaluarsa'
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ email_verified_at: new Date() })
+      .eq('user_id', userId);
+
+    if (updateError) {
+      console.error('Error verifying email:', updateError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memverifikasi email'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email berhasil diverifikasi'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Resend the email verification link to the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const { user } = req;
+
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email sudah diverifikasi'
+      });
+    }
+
+    const { error } = await sendVerificationEmail(user);
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengirim email verifikasi'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email verifikasi telah dikirim ulang'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
-  getProfile
+  getProfile,
+  refreshToken,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 };
\ No newline at end of file
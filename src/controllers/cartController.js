@@ -1,11 +1,213 @@
 const supabase = require('../config/supabase');
 const { validationResult } = require('express-validator');
+const { getPrimaryImageUrl } = require('../utils/productMapper');
+const { getAvailableStock, addItemToCart } = require('../services/cartService');
+const { VARIANT_REQUIRED_MESSAGE } = require('../services/productVariantService');
+const { quoteVoucher, toVoucherError } = require('../services/voucherService');
+const { getAddressSnapshot, getAddressNotFoundMessage } = require('../services/addressService');
+const { calculateWeight, getShippingOptions, selectShippingOption } = require('../services/shippingService');
+const { createPaymentSession, formatPayment } = require('../services/paymentService');
+const { getPaymentDeadline } = require('../services/orderExpiryService');
 
 /**
  * @module CartController
  * @description Controller for managing user shopping cart operations
  */
 
+/**
+ * Unit price of a cart item: the variant's price override, else the product price
+ * @function getUnitPrice
+ * @param {Object} item - Cart item joined with products and product_variants
+ * @returns {Number} Unit price
+ */
+const getUnitPrice = (item) => (
+  item.product_variants && item.product_variants.price !== null && item.product_variants.price !== undefined
+    ? item.product_variants.price
+    : item.products.price
+);
+
+/**
+ * Variant attributes to carry through cart responses
+ * @function formatVariant
+ * @param {Object} variant - Joined product_variants row
+ * @returns {Object|null} Variant attributes, or null for items without a variant
+ */
+const formatVariant = (variant) => (variant ? {
+  variant_id: variant.variant_id,
+  sku: variant.sku,
+  color: variant.color,
+  size: variant.size,
+  image: variant.image_url
+} : null);
+
+/**
+ * Get the voucher applied to a user's cart
+ * @function getAppliedVoucher
+ * @param {Number} userId - Cart owner
+ * @returns {Promise<Object|null>} { voucher_id, code } or null when no voucher is applied
+ */
+const getAppliedVoucher = async (userId) => {
+  const { data, error } = await supabase
+    .from('cart_vouchers')
+    .select('voucher_id, vouchers(code)')
+    .eq('user_id', userId)
+    .maybeSingle();
+  
+  if (error) {
+    console.error('Error fetching applied voucher:', error);
+    return null;
+  }
+  
+  return data ? { voucher_id: data.voucher_id, code: data.vouchers.code } : null;
+};
+
+/**
+ * Price the voucher applied to a cart. A voucher that no longer applies
+ * (expired, limit reached, minimum spend not met, ...) gives no discount and
+ * its reason is returned instead.
+ * @function priceAppliedVoucher
+ * @param {Number} userId - Cart owner
+ * @param {Array} cartItems - Cart items joined with products and product_variants
+ * @returns {Promise<Object>} { voucher, discount, voucherError }
+ */
+const priceAppliedVoucher = async (userId, cartItems) => {
+  const applied = await getAppliedVoucher(userId);
+  
+  if (!applied || cartItems.length === 0) {
+    return { voucher: null, discount: 0, voucherError: null };
+  }
+  
+  const { data: quote, error } = await quoteVoucher(
+    applied.code,
+    userId,
+    cartItems.map(item => ({
+      product_id: item.product_id,
+      price: getUnitPrice(item),
+      quantity: item.quantity
+    }))
+  );
+  
+  if (error) {
+    return { voucher: null, discount: 0, voucherError: { code: applied.code, message: error.message } };
+  }
+  
+  return { voucher: quote, discount: quote.discount_amount, voucherError: null };
+};
+
+/**
+ * Parcel lines of cart items, using the variant weight when the variant has one
+ * @function toWeightItems
+ * @param {Array} cartItems - Cart items joined with products and product_variants
+ * @returns {Array} Lines with quantity and weight_grams
+ */
+const toWeightItems = (cartItems) => cartItems.map(item => ({
+  quantity: item.quantity,
+  weight_grams: item.product_variants && item.product_variants.weight_grams !== null
+    ? item.product_variants.weight_grams
+    : item.products.weight_grams
+}));
+
+/**
+ * Check every cart item against its current variant, size or product stock.
+ * Variant and size stock of all cart products is read in one query each.
+ * @function findStockIssues
+ * @param {Array} cartItems - Cart items joined with their products
+ * @returns {Promise<Object>} { stockIssues, error } where stockIssues lists the items
+ * whose requested quantity exceeds available stock
+ */
+const findStockIssues = async (cartItems) => {
+  const productIds = [...new Set(cartItems.map(item => item.product_id))];
+  
+  // Active variants tell both the variant stock and which products are sold by variant
+  const { data: variants, error: variantsError } = await supabase
+    .from('product_variants')
+    .select('variant_id, product_id, stock')
+    .in('product_id', productIds)
+    .eq('is_active', true);
+  
+  if (variantsError) {
+    console.error('Error fetching variant stock for cart:', variantsError);
+    return { stockIssues: [], error: variantsError };
+  }
+  
+  let sizes = [];
+  
+  if (cartItems.some(item => !item.variant_id && item.size)) {
+    const { data: sizeRows, error: sizesError } = await supabase
+      .from('product_sizes')
+      .select('product_id, size, stock')
+      .in('product_id', productIds);
+    
+    if (sizesError) {
+      console.error('Error fetching size stock for cart:', sizesError);
+      return { stockIssues: [], error: sizesError };
+    }
+    
+    sizes = sizeRows;
+  }
+  
+  const stockIssues = [];
+  for (const item of cartItems) {
+    let stock = item.products.stock;
+    let notFoundMessage = null;
+    let variantRequired = false;
+    
+    if (item.variant_id) {
+      const variant = variants.find(row => row.variant_id === item.variant_id && row.product_id === item.product_id);
+      
+      if (variant) {
+        stock = variant.stock;
+      } else {
+        notFoundMessage = 'Varian untuk produk ini tidak ditemukan';
+      }
+    } else if (variants.some(row => row.product_id === item.product_id)) {
+      // Products with variants keep their stock on the variants
+      variantRequired = true;
+    } else if (item.size) {
+      const size = sizes.find(row => row.product_id === item.product_id && row.size === item.size);
+      
+      if (size) {
+        stock = size.stock;
+      } else {
+        notFoundMessage = `Ukuran ${item.size} untuk produk ini tidak ditemukan`;
+      }
+    }
+    
+    // A line without a variant can't be bought once its product has variants
+    if (variantRequired) {
+      stockIssues.push({
+        product_id: item.product_id,
+        product_name: item.products.name,
+        size: item.size || undefined,
+        requested: item.quantity,
+        available: 0,
+        message: VARIANT_REQUIRED_MESSAGE
+      });
+    } else if (notFoundMessage) {
+      // The variant or size was removed from the product
+      stockIssues.push({
+        product_id: item.product_id,
+        product_name: item.products.name,
+        variant_id: item.variant_id || undefined,
+        size: item.size || undefined,
+        requested: item.quantity,
+        available: 0,
+        message: notFoundMessage
+      });
+    } else if (stock < item.quantity) {
+      stockIssues.push({
+        product_id: item.product_id,
+        product_name: item.products.name,
+        variant_id: item.variant_id || undefined,
+        size: item.size || undefined,
+        requested: item.quantity,
+        available: stock
+      });
+    }
+  }
+  return { stockIssues, error: null };
+};
+
 /**
  * Get all items in user's cart
  * @function getCartItems
@@ -24,6 +226,7 @@ const getCartItems = async (req, res) => {
         item_id,
         user_id,
         product_id,
+        variant_id,
         quantity,
         size,
         created_at,
@@ -33,8 +236,9 @@ const getCartItems = async (req, res) => {
           name,
           price,
           stock,
-          product_images(image_id, image_url)
-        )
+          product_images(image_id, image_url, sort_order, is_primary)
+        ),
+        product_variants(variant_id, sku, color, size, price, image_url, stock)
       `)
       .eq('user_id', userId)
       .order('created_at', { ascending: false });
@@ -50,23 +254,25 @@ const getCartItems = async (req, res) => {
     // Process data to have a more frontend-friendly structure
     const processedItems = cartItems.map(item => {
       const product = item.products;
-      const mainImage = product.product_images && product.product_images.length > 0 
-        ? product.product_images[0].image_url 
-        : null;
+      const variant = item.product_variants;
+      const mainImage = getPrimaryImageUrl(product.product_images);
+      const price = getUnitPrice(item);
         
       return {
         item_id: item.item_id,
         product_id: item.product_id,
+        variant_id: item.variant_id,
         quantity: item.quantity,
-        size: item.size,
+        size: variant ? variant.size : item.size,
+        variant: formatVariant(variant),
         product: {
           id: product.product_id,
           name: product.name,
-          price: product.price,
-          stock: product.stock,
-          image: mainImage
+          price,
+          stock: variant ? variant.stock : product.stock,
+          image: (variant && variant.image_url) || mainImage
         },
-        subtotal: product.price * item.quantity,
+        subtotal: price * item.quantity,
         created_at: item.created_at,
         updated_at: item.updated_at
       };
@@ -112,153 +318,23 @@ const addToCart = async (req, res) => {
     }
     
     const userId = req.user.user_id;
-    const { product_id, quantity, size } = req.body;
-    
-    // Verify product exists
-    const { data: product, error: productError } = await supabase
-      .from('products')
-      .select('product_id, name, price, stock')
-      .eq('product_id', product_id)
-      .single();
-    
-    if (productError || !product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Produk tidak ditemukan'
-      });
-    }
-    
-    // Check stock availability
-    if (size) {
-      // Check size-specific stock
-      const { data: sizeData, error: sizeError } = await supabase
-        .from('product_sizes')
-        .select('size, stock')
-        .eq('product_id', product_id)
-        .eq('size', size)
-        .single();
-      
-      if (sizeError || !sizeData) {
-        return res.status(404).json({
-          success: false,
-          message: `Ukuran ${size} untuk produk ini tidak ditemukan`
-        });
-      }
-      
-      if (sizeData.stock < quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Stok tidak cukup. Tersedia: ${sizeData.stock}`
-        });
-      }
-    } else {
-      // Check general product stock
-      if (product.stock < quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Stok tidak cukup. Tersedia: ${product.stock}`
-        });
-      }
-    }
+    const { product_id, variant_id, quantity, size } = req.body;
     
-    // Check if item already exists in cart
-    const { data: existingItem, error: checkError } = await supabase
-      .from('cart_items')
-      .select('item_id, quantity')
-      .eq('user_id', userId)
-      .eq('product_id', product_id)
-      .eq('size', size || null)
-      .maybeSingle();
+    const { data: added, error: addError } = await addItemToCart(userId, {
+      product_id,
+      variant_id,
+      size,
+      quantity
+    });
     
-    if (checkError) {
-      console.error('Error checking existing cart item:', checkError);
-      return res.status(500).json({
+    if (addError) {
+      return res.status(addError.statusCode).json({
         success: false,
-        message: 'Server error saat memeriksa item keranjang'
+        message: addError.message
       });
     }
     
-    let result;
-    
-    // If item exists, update quantity
-    if (existingItem) {
-      const newQuantity = existingItem.quantity + quantity;
-      
-      // Recheck stock with new total quantity
-      if (size) {
-        const { data: sizeData } = await supabase
-          .from('product_sizes')
-          .select('stock')
-          .eq('product_id', product_id)
-          .eq('size', size)
-          .single();
-          
-        if (sizeData.stock < newQuantity) {
-          return res.status(400).json({
-            success: false,
-            message: `Stok tidak cukup untuk total ${newQuantity}. Tersedia: ${sizeData.stock}`
-          });
-        }
-      } else if (product.stock < newQuantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Stok tidak cukup untuk total ${newQuantity}. Tersedia: ${product.stock}`
-        });
-      }
-      
-      // Update quantity
-      const { data: updatedItem, error: updateError } = await supabase
-        .from('cart_items')
-        .update({ 
-          quantity: newQuantity,
-          updated_at: new Date()
-        })
-        .eq('item_id', existingItem.item_id)
-        .select('item_id, product_id, quantity, size')
-        .single();
-      
-      if (updateError) {
-        console.error('Error updating cart item:', updateError);
-        return res.status(500).json({
-          success: false,
-          message: 'Server error saat mengupdate item keranjang'
-        });
-      }
-      
-      result = {
-        ...updatedItem,
-        updated: true,
-        message: 'Item sudah ada di keranjang, jumlah diperbarui'
-      };
-    } else {
-      // Insert new item
-      const { data: newItem, error: insertError } = await supabase
-        .from('cart_items')
-        .insert({
-          user_id: userId,
-          product_id,
-          quantity,
-          size: size || null,
-          created_at: new Date(),
-          updated_at: new Date()
-        })
-        .select('item_id, product_id, quantity, size')
-        .single();
-      
-      if (insertError) {
-        console.error('Error adding item to cart:', insertError);
-        return res.status(500).json({
-          success: false,
-          message: 'Server error saat menambah item ke keranjang'
-        });
-      }
-      
-      result = {
-        ...newItem,
-        updated: false,
-        message: 'Item berhasil ditambahkan ke keranjang'
-      };
-    }
+    const { item, product, variant, price } = added;
     
     // Get updated cart count for response
     const { count: cartCount, error: countError } = await supabase
@@ -268,18 +344,22 @@ const addToCart = async (req, res) => {
     
     return res.status(200).json({
       success: true,
-      message: result.message,
+      message: added.updated
+        ? 'Item sudah ada di keranjang, jumlah diperbarui'
+        : 'Item berhasil ditambahkan ke keranjang',
       item: {
-        item_id: result.item_id,
-        product_id: result.product_id,
-        quantity: result.quantity,
-        size: result.size,
+        item_id: item.item_id,
+        product_id: item.product_id,
+        variant_id: item.variant_id,
+        quantity: item.quantity,
+        size: item.size,
+        variant: formatVariant(variant),
         product: {
           id: product.product_id,
           name: product.name,
-          price: product.price
+          price
         },
-        subtotal: product.price * result.quantity
+        subtotal: price * item.quantity
       },
       cart_count: cartCount || 0
     });
@@ -321,9 +401,11 @@ const updateCartItem = async (req, res) => {
         item_id, 
         user_id, 
         product_id, 
+        variant_id,
         quantity, 
         size,
-        products(price, stock)
+        products(product_id, price, stock),
+        product_variants(variant_id, price)
       `)
       .eq('item_id', id)
       .eq('user_id', userId)
@@ -337,32 +419,29 @@ const updateCartItem = async (req, res) => {
     }
     
     // Check stock availability
-    if (cartItem.size) {
-      // Check size-specific stock
-      const { data: sizeData, error: sizeError } = await supabase
-        .from('product_sizes')
-        .select('stock')
-        .eq('product_id', cartItem.product_id)
-        .eq('size', cartItem.size)
-        .single();
-      
-      if (sizeError || !sizeData) {
-        return res.status(404).json({
-          success: false,
-          message: 'Ukuran produk tidak ditemukan'
-        });
-      }
-      
-      if (sizeData.stock < quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Stok tidak cukup. Tersedia: ${sizeData.stock}`
-        });
-      }
-    } else if (cartItem.products.stock < quantity) {
+    const { stock, notFoundMessage, variantRequired } = await getAvailableStock(cartItem.products, {
+      variantId: cartItem.variant_id,
+      size: cartItem.size
+    });
+    
+    if (variantRequired) {
+      return res.status(400).json({
+        success: false,
+        message: VARIANT_REQUIRED_MESSAGE
+      });
+    }
+    
+    if (notFoundMessage) {
+      return res.status(404).json({
+        success: false,
+        message: cartItem.variant_id ? notFoundMessage : 'Ukuran produk tidak ditemukan'
+      });
+    }
+    
+    if (stock < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Stok tidak cukup. Tersedia: ${cartItem.products.stock}`
+        message: `Stok tidak cukup. Tersedia: ${stock}`
       });
     }
     
@@ -374,7 +453,7 @@ const updateCartItem = async (req, res) => {
         updated_at: new Date()
       })
       .eq('item_id', id)
-      .select('item_id, product_id, quantity, size')
+      .select('item_id, product_id, variant_id, quantity, size')
       .single();
     
     if (updateError) {
@@ -391,9 +470,10 @@ const updateCartItem = async (req, res) => {
       item: {
         item_id: updatedItem.item_id,
         product_id: updatedItem.product_id,
+        variant_id: updatedItem.variant_id,
         quantity: updatedItem.quantity,
         size: updatedItem.size,
-        subtotal: cartItem.products.price * updatedItem.quantity
+        subtotal: getUnitPrice(cartItem) * updatedItem.quantity
       }
     });
   } catch (error) {
@@ -563,8 +643,10 @@ const getCartSummary = async (req, res) => {
     const { data: cartItems, error } = await supabase
       .from('cart_items')
       .select(`
+        product_id,
         quantity,
-        products(price)
+        products(price),
+        product_variants(price)
       `)
       .eq('user_id', userId);
     
@@ -579,14 +661,19 @@ const getCartSummary = async (req, res) => {
     // Calculate summary data
     const itemCount = cartItems.length;
     const totalQuantity = cartItems.reduce((total, item) => total + item.quantity, 0);
-    const totalAmount = cartItems.reduce((total, item) => total + (item.products.price * item.quantity), 0);
+    const totalAmount = cartItems.reduce((total, item) => total + (getUnitPrice(item) * item.quantity), 0);
+    const { voucher, discount, voucherError } = await priceAppliedVoucher(userId, cartItems);
     
     return res.status(200).json({
       success: true,
       summary: {
         item_count: itemCount,
         total_quantity: totalQuantity,
-        total_amount: totalAmount
+        total_amount: totalAmount,
+        discount_amount: discount,
+        final_amount: totalAmount - discount,
+        voucher,
+        voucher_error: voucherError
       }
     });
   } catch (error) {
@@ -599,7 +686,8 @@ const getCartSummary = async (req, res) => {
 };
 
 /**
- * Get cart items and convert to order format for checkout
+ * Get cart items and convert to order format for checkout, with the shipping
+ * options for the destination address
  * @function getCartCheckout
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -607,6 +695,15 @@ const getCartSummary = async (req, res) => {
  */
 const getCartCheckout = async (req, res) => {
   try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
     const userId = req.user.user_id;
     
     // Get cart items with product details
@@ -614,6 +711,7 @@ const getCartCheckout = async (req, res) => {
       .from('cart_items')
       .select(`
         product_id,
+        variant_id,
         quantity,
         size,
         products(
@@ -621,8 +719,10 @@ const getCartCheckout = async (req, res) => {
           name, 
           price, 
           stock,
-          product_images(image_url)
-        )
+          weight_grams,
+          product_images(image_id, image_url, sort_order, is_primary)
+        ),
+        product_variants(variant_id, sku, color, size, price, weight_grams, image_url)
       `)
       .eq('user_id', userId);
     
@@ -642,34 +742,13 @@ const getCartCheckout = async (req, res) => {
     }
     
     // Validate stock for all items
-    const stockIssues = [];
-    for (const item of cartItems) {
-      if (item.size) {
-        // Check size-specific stock
-        const { data: sizeData, error: sizeError } = await supabase
-          .from('product_sizes')
-          .select('stock')
-          .eq('product_id', item.product_id)
-          .eq('size', item.size)
-          .single();
-        
-        if (!sizeError && sizeData && sizeData.stock < item.quantity) {
-          stockIssues.push({
-            product_id: item.product_id,
-            product_name: item.products.name,
-            size: item.size,
-            requested: item.quantity,
-            available: sizeData.stock
-          });
-        }
-      } else if (item.products.stock < item.quantity) {
-        stockIssues.push({
-          product_id: item.product_id,
-          product_name: item.products.name,
-          requested: item.quantity,
-          available: item.products.stock
-        });
-      }
+    const { stockIssues, error: stockError } = await findStockIssues(cartItems);
+    
+    if (stockError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menyiapkan checkout'
+      });
     }
     
     if (stockIssues.length > 0) {
@@ -682,32 +761,63 @@ const getCartCheckout = async (req, res) => {
     
     // Format cart items for checkout
     const checkoutItems = cartItems.map(item => {
-      const mainImage = item.products.product_images && item.products.product_images.length > 0 
-        ? item.products.product_images[0].image_url 
-        : null;
+      const variant = item.product_variants;
+      const mainImage = getPrimaryImageUrl(item.products.product_images);
+      const price = getUnitPrice(item);
       
       return {
         product_id: item.product_id,
-        size: item.size,
+        variant_id: item.variant_id,
+        size: variant ? variant.size : item.size,
+        variant: formatVariant(variant),
         quantity: item.quantity,
-        price: item.products.price,
-        subtotal: item.products.price * item.quantity,
+        price,
+        subtotal: price * item.quantity,
         product: {
           name: item.products.name,
-          image: mainImage
+          image: (variant && variant.image_url) || mainImage
         }
       };
     });
     
     // Calculate checkout totals
     const totalAmount = checkoutItems.reduce((total, item) => total + item.subtotal, 0);
+    const { voucher, discount, voucherError } = await priceAppliedVoucher(userId, cartItems);
+    
+    // Shipping options for the chosen address (the default address when none is given)
+    const weightGrams = calculateWeight(toWeightItems(cartItems));
+    let shippingOptions = [];
+    let shippingError = null;
+    
+    const { data: shippingAddress, error: addressError } = await getAddressSnapshot(userId, req.query.address_id);
+    
+    if (addressError) {
+      shippingError = addressError.message;
+    } else {
+      const { data: options, error: optionsError } = await getShippingOptions(shippingAddress, weightGrams);
+      
+      if (optionsError) {
+        shippingError = optionsError.message;
+      } else {
+        shippingOptions = options;
+      }
+    }
     
     return res.status(200).json({
       success: true,
       checkout: {
         items: checkoutItems,
         item_count: checkoutItems.length,
-        total_amount: totalAmount
+        total_amount: totalAmount,
+        discount_amount: discount,
+        final_amount: totalAmount - discount,
+        voucher,
+        voucher_error: voucherError,
+        total_weight_grams: weightGrams,
+        shipping_address: shippingAddress,
+        shipping_options: shippingOptions,
+        free_shipping: Boolean(voucher && voucher.free_shipping),
+        shipping_error: shippingError
       }
     });
   } catch (error) {
@@ -719,6 +829,342 @@ const getCartCheckout = async (req, res) => {
   }
 };
 
+/**
+ * Checkout cart: create the order and its items, reserve stock and empty the cart
+ * in a single database transaction
+ * @function checkoutCart
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the created order
+ */
+const checkoutCart = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const userId = req.user.user_id;
+    const { address_id, courier, service, payment_method } = req.body;
+    
+    // Get cart items with product details
+    const { data: cartItems, error } = await supabase
+      .from('cart_items')
+      .select(`
+        product_id,
+        variant_id,
+        quantity,
+        size,
+        products(product_id, name, price, stock, weight_grams),
+        product_variants(weight_grams)
+      `)
+      .eq('user_id', userId);
+    
+    if (error) {
+      console.error('Error fetching cart for checkout:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memproses checkout'
+      });
+    }
+    
+    if (!cartItems.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Keranjang kosong, tidak dapat melakukan checkout'
+      });
+    }
+    
+    // Validate stock up front so the client gets the detailed list of issues
+    const { stockIssues, error: stockError } = await findStockIssues(cartItems);
+    
+    if (stockError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memproses checkout'
+      });
+    }
+    
+    if (stockIssues.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Beberapa item melebihi stok yang tersedia',
+        stock_issues: stockIssues
+      });
+    }
+    
+    // Price the chosen courier service before opening the transaction
+    const { data: shippingAddress, error: addressError } = await getAddressSnapshot(userId, address_id);
+    
+    if (addressError) {
+      return res.status(addressError.statusCode).json({
+        success: false,
+        message: addressError.message
+      });
+    }
+    
+    const weightGrams = calculateWeight(toWeightItems(cartItems));
+    const { data: shipping, error: shippingError } = await selectShippingOption(
+      shippingAddress,
+      weightGrams,
+      courier,
+      service
+    );
+    
+    if (shippingError) {
+      return res.status(shippingError.statusCode).json({
+        success: false,
+        message: shippingError.message
+      });
+    }
+    
+    // Create order, order items, reserve stock, redeem the applied voucher and
+    // clear the cart atomically. Stock and voucher limits are re-checked inside
+    // the transaction, so a concurrent buyer rolls the whole checkout back.
+    const appliedVoucher = await getAppliedVoucher(userId);
+    
+    const { data: order, error: checkoutError } = await supabase
+      .rpc('checkout_cart', {
+        p_user_id: userId,
+        p_voucher_code: appliedVoucher ? appliedVoucher.code : null,
+        p_address_id: shippingAddress.address_id,
+        p_shipping: {
+          courier: shipping.courier,
+          service: shipping.service,
+          cost: shipping.cost,
+          weight_grams: weightGrams
+        },
+        p_payment_deadline: getPaymentDeadline()
+      });
+    
+    if (checkoutError) {
+      const voucherError = toVoucherError(checkoutError);
+      
+      if (voucherError) {
+        return res.status(400).json({
+          success: false,
+          message: `${voucherError.message}. Hapus voucher untuk melanjutkan checkout`
+        });
+      }
+      
+      if (checkoutError.message === 'ADDRESS_NOT_FOUND') {
+        return res.status(400).json({
+          success: false,
+          message: getAddressNotFoundMessage(address_id)
+        });
+      }
+      
+      if (checkoutError.message === 'CART_EMPTY') {
+        return res.status(400).json({
+          success: false,
+          message: 'Keranjang kosong, tidak dapat melakukan checkout'
+        });
+      }
+      
+      if (checkoutError.message === 'VARIANT_REQUIRED') {
+        return res.status(400).json({
+          success: false,
+          message: 'Beberapa item di keranjang belum memilih varian, silakan perbarui keranjang Anda'
+        });
+      }
+      
+      if (checkoutError.message === 'INSUFFICIENT_STOCK') {
+        return res.status(409).json({
+          success: false,
+          message: 'Stok berubah saat checkout, silakan periksa kembali keranjang Anda'
+        });
+      }
+      
+      console.error('Error checking out cart:', checkoutError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memproses checkout'
+      });
+    }
+    
+    // Open an online payment session right away when requested. The order is
+    // kept if this fails; the session can be created again for the order.
+    let payment = null;
+    let paymentError = null;
+    
+    if (payment_method === 'gateway') {
+      const { data: session, error: sessionError } = await createPaymentSession(
+        {
+          order_id: order.order_id,
+          total_price: order.total_price,
+          payment_deadline: order.payment_deadline
+        },
+        req.user
+      );
+      
+      payment = formatPayment(session);
+      paymentError = sessionError ? sessionError.message : null;
+    }
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Checkout berhasil, order telah dibuat',
+      order_id: order.order_id,
+      subtotal_price: order.subtotal_price,
+      discount_amount: order.discount_amount,
+      shipping_courier: order.shipping_courier,
+      shipping_service: order.shipping_service,
+      shipping_cost: order.shipping_cost,
+      total_price: order.total_price,
+      shipping_address: order.shipping_address,
+      payment_deadline: order.payment_deadline,
+      payment,
+      payment_error: paymentError
+    });
+  } catch (error) {
+    console.error('Checkout cart error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Apply a voucher code to the cart
+ * @function applyVoucher
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the voucher and discount
+ */
+const applyVoucher = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const userId = req.user.user_id;
+    const { code } = req.body;
+    
+    const { data: cartItems, error } = await supabase
+      .from('cart_items')
+      .select(`
+        product_id,
+        quantity,
+        products(price),
+        product_variants(price)
+      `)
+      .eq('user_id', userId);
+    
+    if (error) {
+      console.error('Error fetching cart for voucher:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil keranjang'
+      });
+    }
+    
+    if (!cartItems.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Keranjang kosong, tidak dapat menggunakan voucher'
+      });
+    }
+    
+    const { data: quote, error: voucherError } = await quoteVoucher(
+      code,
+      userId,
+      cartItems.map(item => ({
+        product_id: item.product_id,
+        price: getUnitPrice(item),
+        quantity: item.quantity
+      }))
+    );
+    
+    if (voucherError) {
+      return res.status(voucherError.statusCode).json({
+        success: false,
+        message: voucherError.message
+      });
+    }
+    
+    // One voucher per cart; applying another replaces it
+    const { error: saveError } = await supabase
+      .from('cart_vouchers')
+      .upsert({
+        user_id: userId,
+        voucher_id: quote.voucher_id,
+        applied_at: new Date()
+      }, { onConflict: 'user_id' });
+    
+    if (saveError) {
+      console.error('Error applying voucher to cart:', saveError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menggunakan voucher'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Voucher berhasil digunakan',
+      voucher: quote,
+      summary: {
+        total_amount: quote.subtotal,
+        discount_amount: quote.discount_amount,
+        final_amount: quote.subtotal - quote.discount_amount
+      }
+    });
+  } catch (error) {
+    console.error('Apply voucher error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Remove the voucher applied to the cart
+ * @function removeVoucher
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with status
+ */
+const removeVoucher = async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    
+    const { error } = await supabase
+      .from('cart_vouchers')
+      .delete()
+      .eq('user_id', userId);
+    
+    if (error) {
+      console.error('Error removing cart voucher:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menghapus voucher'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Voucher berhasil dihapus dari keranjang'
+    });
+  } catch (error) {
+    console.error('Remove voucher error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 module.exports = {
   getCartItems,
   addToCart,
@@ -727,5 +1173,8 @@ module.exports = {
   clearCart,
   getCartCount,
   getCartSummary,
-  getCartCheckout
+  getCartCheckout,
+  checkoutCart,
+  applyVoucher,
+  removeVoucher
 };
\ No newline at end of file
@@ -1,6 +1,96 @@
 
 const supabase = require('../config/supabase');
 const { validationResult } = require('express-validator');
+const { PRODUCT_LIST_SELECT, toProductResponse } = require('../utils/productMapper');
+const {
+  fetchCategories,
+  fetchChildCategories,
+  buildCategoryTree,
+  fetchDescendantIds,
+  fetchBreadcrumbs,
+  withBreadcrumbs,
+  slugify,
+  generateUniqueSlug
+} = require('../services/categoryService');
+
+/**
+ * Find a category by numeric ID or by slug
+ * @param {String} idOrSlug - Category ID or slug from the URL
+ * @returns {Promise<Object>} { data, error }
+ */
+const findCategory = async (idOrSlug) => {
+  const column = /^\d+$/.test(idOrSlug) ? 'category_id' : 'slug';
+
+  const { data, error } = await supabase
+    .from('categories')
+    .select('*')
+    .eq(column, idOrSlug)
+    .single();
+
+  return { data, error };
+};
+
+/**
+ * Check that a parent category exists
+ * @param {Number} parentId - Parent category ID
+ * @returns {Promise<Boolean>} True if the parent exists
+ */
+const parentExists = async (parentId) => {
+  const { data: parent, error } = await supabase
+    .from('categories')
+    .select('category_id')
+    .eq('category_id', parentId)
+    .single();
+
+  return !error && Boolean(parent);
+};
+
+/**
+ * Check whether a sibling category (same parent) already uses a name
+ * @param {String} name - Category name
+ * @param {Number|null} parentId - Parent category ID, null for root categories
+ * @param {Number} [excludeId] - Category being updated
+ * @returns {Promise<Object>} { exists, error }
+ */
+const siblingNameExists = async (name, parentId, excludeId) => {
+  let query = supabase
+    .from('categories')
+    .select('category_id')
+    .ilike('name', name)
+    .limit(1);
+
+  query = parentId ? query.eq('parent_id', parentId) : query.is('parent_id', null);
+
+  if (excludeId) {
+    query = query.neq('category_id', excludeId);
+  }
+
+  const { data, error } = await query;
+
+  return { exists: Boolean(data && data.length > 0), error };
+};
+
+/**
+ * Check whether a slug is used by another category
+ * @param {String} slug - Slug
+ * @param {Number} [excludeId] - Category being updated
+ * @returns {Promise<Object>} { exists, error }
+ */
+const slugExists = async (slug, excludeId) => {
+  let query = supabase
+    .from('categories')
+    .select('category_id')
+    .eq('slug', slug)
+    .limit(1);
+
+  if (excludeId) {
+    query = query.neq('category_id', excludeId);
+  }
+
+  const { data, error } = await query;
+
+  return { exists: Boolean(data && data.length > 0), error };
+};
 
 /**
  * Get all categories
@@ -36,7 +126,37 @@ const getAllCategories = async (req, res) => {
 };
 
 /**
- * Get category by ID
+ * Get all categories nested as a tree
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCategoryTree = async (req, res) => {
+  try {
+    const { data: categories, error } = await fetchCategories();
+    
+    if (error) {
+      console.error('Error fetching categories:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil kategori'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      categories: buildCategoryTree(categories)
+    });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get category by ID or slug, with its breadcrumb path and direct children
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -44,11 +164,7 @@ const getCategoryById = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const { data: category, error } = await supabase
-      .from('categories')
-      .select('*')
-      .eq('category_id', id)
-      .single();
+    const { data: category, error } = await findCategory(id);
     
     if (error) {
       if (error.code === 'PGRST116') {
@@ -65,9 +181,26 @@ const getCategoryById = async (req, res) => {
       });
     }
     
+    const [breadcrumbsResult, childrenResult] = await Promise.all([
+      fetchBreadcrumbs([category.category_id]),
+      fetchChildCategories(category.category_id)
+    ]);
+    
+    if (breadcrumbsResult.error) {
+      console.error('Error fetching category breadcrumbs:', breadcrumbsResult.error);
+    }
+    
+    if (childrenResult.error) {
+      console.error('Error fetching child categories:', childrenResult.error);
+    }
+    
     return res.status(200).json({
       success: true,
-      category
+      category: {
+        ...category,
+        breadcrumbs: breadcrumbsResult.data[category.category_id] || [],
+        children: childrenResult.data || []
+      }
     });
   } catch (error) {
     console.error('Get category by ID error:', error);
@@ -94,14 +227,19 @@ const createCategory = async (req, res) => {
       });
     }
     
-    const { name, description } = req.body;
+    const { name, description, slug } = req.body;
+    const parentId = req.body.parent_id || null;
     
-    // Check if category with the same name already exists
-    const { data: existingCategory, error: checkError } = await supabase
-      .from('categories')
-      .select('category_id')
-      .ilike('name', name)
-      .limit(1);
+    // Check if parent category exists
+    if (parentId && !(await parentExists(parentId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Kategori induk tidak ditemukan'
+      });
+    }
+    
+    // Check if a category with the same name already exists under the same parent
+    const { exists: nameTaken, error: checkError } = await siblingNameExists(name, parentId);
     
     if (checkError) {
       console.error('Error checking existing category:', checkError);
@@ -111,19 +249,56 @@ const createCategory = async (req, res) => {
       });
     }
     
-    if (existingCategory && existingCategory.length > 0) {
+    if (nameTaken) {
       return res.status(400).json({
         success: false,
         message: 'Kategori dengan nama yang sama sudah ada'
       });
     }
     
+    // Use the requested slug, or derive a free one from the name
+    let categorySlug;
+    
+    if (slug) {
+      categorySlug = slugify(slug);
+      const { exists: slugTaken, error: slugError } = await slugExists(categorySlug);
+      
+      if (slugError) {
+        console.error('Error checking category slug:', slugError);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat memeriksa slug kategori'
+        });
+      }
+      
+      if (slugTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Slug kategori sudah digunakan'
+        });
+      }
+    } else {
+      const { slug: generatedSlug, error: slugError } = await generateUniqueSlug(name);
+      
+      if (slugError) {
+        console.error('Error generating category slug:', slugError);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat membuat slug kategori'
+        });
+      }
+      
+      categorySlug = generatedSlug;
+    }
+    
     // Create new category
     const { data: newCategory, error: insertError } = await supabase
       .from('categories')
       .insert({
         name,
-        description
+        description,
+        slug: categorySlug,
+        parent_id: parentId
       })
       .select('*')
       .single();
@@ -167,12 +342,12 @@ const updateCategory = async (req, res) => {
     }
     
     const { id } = req.params;
-    const { name, description } = req.body;
+    const { name, description, slug, parent_id } = req.body;
     
     // Check if category exists
     const { data: categoryExists, error: checkError } = await supabase
       .from('categories')
-      .select('category_id')
+      .select('category_id, name, parent_id')
       .eq('category_id', id)
       .single();
     
@@ -183,14 +358,23 @@ const updateCategory = async (req, res) => {
       });
     }
     
-    // Check if new name already exists (for another category)
-    if (name) {
-      const { data: existingCategory, error: nameCheckError } = await supabase
-        .from('categories')
-        .select('category_id')
-        .ilike('name', name)
-        .neq('category_id', id)
-        .limit(1);
+    // parent_id: null moves the category to the root, undefined keeps its parent
+    const parentId = parent_id !== undefined ? parent_id : categoryExists.parent_id;
+    
+    if (parent_id && !(await parentExists(parent_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Kategori induk tidak ditemukan'
+      });
+    }
+    
+    // Check if the name already exists for another category under the same parent
+    if (name || parent_id !== undefined) {
+      const { exists: nameTaken, error: nameCheckError } = await siblingNameExists(
+        name || categoryExists.name,
+        parentId,
+        id
+      );
       
       if (nameCheckError) {
         console.error('Error checking existing category name:', nameCheckError);
@@ -200,7 +384,7 @@ const updateCategory = async (req, res) => {
         });
       }
       
-      if (existingCategory && existingCategory.length > 0) {
+      if (nameTaken) {
         return res.status(400).json({
           success: false,
           message: 'Kategori dengan nama yang sama sudah ada'
@@ -208,10 +392,32 @@ const updateCategory = async (req, res) => {
       }
     }
     
+    // Slugs only change when requested, so existing URLs keep working
+    if (slug) {
+      const { exists: slugTaken, error: slugError } = await slugExists(slugify(slug), id);
+      
+      if (slugError) {
+        console.error('Error checking category slug:', slugError);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat memeriksa slug kategori'
+        });
+      }
+      
+      if (slugTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Slug kategori sudah digunakan'
+        });
+      }
+    }
+    
     // Update category
     const updateData = {};
     if (name) updateData.name = name;
     if (description !== undefined) updateData.description = description;
+    if (slug) updateData.slug = slugify(slug);
+    if (parent_id !== undefined) updateData.parent_id = parent_id;
     
     const { data: updatedCategory, error: updateError } = await supabase
       .from('categories')
@@ -221,6 +427,13 @@ const updateCategory = async (req, res) => {
       .single();
     
     if (updateError) {
+      if (updateError.message === 'CATEGORY_CYCLE' || updateError.code === '23514') {
+        return res.status(400).json({
+          success: false,
+          message: 'Kategori tidak dapat dipindahkan ke dalam dirinya sendiri atau subkategorinya'
+        });
+      }
+      
       console.error('Error updating category:', updateError);
       return res.status(500).json({
         success: false,
@@ -265,6 +478,28 @@ const deleteCategory = async (req, res) => {
       });
     }
     
+    // Check if the category still has subcategories
+    const { data: childCategories, error: childrenCheckError } = await supabase
+      .from('categories')
+      .select('category_id')
+      .eq('parent_id', id)
+      .limit(1);
+    
+    if (childrenCheckError) {
+      console.error('Error checking subcategories:', childrenCheckError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memeriksa subkategori'
+      });
+    }
+    
+    if (childCategories && childCategories.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tidak dapat menghapus kategori yang masih memiliki subkategori'
+      });
+    }
+    
     // Check if there are products using this category
     const { data: productsUsingCategory, error: productsCheckError } = await supabase
       .from('products')
@@ -315,7 +550,8 @@ const deleteCategory = async (req, res) => {
 };
 
 /**
- * Get products by category
+ * Get products by category, optionally including its subcategories
+ * (include_descendants=true)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -323,14 +559,11 @@ const getProductsByCategory = async (req, res) => {
   try {
     const { id } = req.params;
     const { page = 1, limit = 10 } = req.query;
+    const includeDescendants = req.query.include_descendants === 'true';
     const offset = (page - 1) * limit;
     
     // Check if category exists
-    const { data: categoryExists, error: checkError } = await supabase
-      .from('categories')
-      .select('*')
-      .eq('category_id', id)
-      .single();
+    const { data: categoryExists, error: checkError } = await findCategory(id);
     
     if (checkError || !categoryExists) {
       return res.status(404).json({
@@ -339,14 +572,28 @@ const getProductsByCategory = async (req, res) => {
       });
     }
     
-    // Get products by category
-    const { data: products, error, count } = await supabase
+    let categoryIds = [categoryExists.category_id];
+    
+    if (includeDescendants) {
+      const { data: descendantIds, error: descendantsError } = await fetchDescendantIds(categoryExists.category_id);
+      
+      if (descendantsError) {
+        console.error('Error fetching category descendants:', descendantsError);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat mengambil kategori'
+        });
+      }
+      
+      categoryIds = descendantIds;
+    }
+    
+    // Get products by category with images, sizes and total count in one query
+    const { data: products, error, count: totalCount } = await supabase
       .from('products')
-      .select(`
-        *,
-        categories(name, description)
-      `)
-      .eq('category_id', id)
+      .select(PRODUCT_LIST_SELECT, { count: 'exact' })
+      .in('category_id', categoryIds)
+      .eq('is_active', true)
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
     
@@ -358,41 +605,7 @@ const getProductsByCategory = async (req, res) => {
       });
     }
     
-    // Get count for pagination
-    const { count: totalCount, error: countError } = await supabase
-      .from('products')
-      .select('*', { count: 'exact' })
-      .eq('category_id', id);
-    
-    if (countError) {
-      console.error('Error counting products by category:', countError);
-    }
-    
-    // For each product, get its images
-    const productsWithImages = await Promise.all(products.map(async (product) => {
-      const { data: images, error: imagesError } = await supabase
-        .from('product_images')
-        .select('image_id, image_url')
-        .eq('product_id', product.product_id);
-      
-      if (imagesError) {
-        console.error(`Error fetching images for product ${product.product_id}:`, imagesError);
-        return { ...product, images: [] };
-      }
-      
-      // Get sizes for this product
-      const { data: sizes, error: sizesError } = await supabase
-        .from('product_sizes')
-        .select('size_id, size, stock')
-        .eq('product_id', product.product_id);
-      
-      if (sizesError) {
-        console.error(`Error fetching sizes for product ${product.product_id}:`, sizesError);
-        return { ...product, images, sizes: [] };
-      }
-      
-      return { ...product, images, sizes };
-    }));
+    const productsWithImages = await withBreadcrumbs(products.map(toProductResponse));
     
     return res.status(200).json({
       success: true,
@@ -416,6 +629,7 @@ const getProductsByCategory = async (req, res) => {
 
 module.exports = {
   getAllCategories,
+  getCategoryTree,
   getCategoryById,
   createCategory,
   updateCategory,
@@ -0,0 +1,80 @@
+const supabase = require('../config/supabase');
+const { issueInvoice, renderInvoicePdf } = require('../services/invoiceService');
+
+/**
+ * @module InvoiceController
+ * @description Controller for order invoices
+ */
+
+/**
+ * Download the invoice of an order as PDF (owner or admin). The invoice
+ * number is assigned on the first download and reused afterwards.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(`
+        *,
+        users(user_id, username, email),
+        order_items(*, products(name))
+      `)
+      .eq('order_id', id)
+      .maybeSingle();
+    
+    if (orderError) {
+      console.error('Error fetching order for invoice:', orderError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil order'
+      });
+    }
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order tidak ditemukan'
+      });
+    }
+    
+    if (req.user.role !== 'admin' && order.user_id !== req.user.user_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Anda tidak memiliki akses untuk order ini'
+      });
+    }
+    
+    const { data: invoice, error: invoiceError } = await issueInvoice(order.order_id);
+    
+    if (invoiceError) {
+      return res.status(invoiceError.statusCode).json({
+        success: false,
+        message: invoiceError.message
+      });
+    }
+    
+    const pdf = await renderInvoicePdf(invoice, order);
+    const fileName = `${invoice.invoice_number.replace(/\//g, '-')}.pdf`;
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${fileName}"`,
+      'Content-Length': pdf.length
+    });
+    return res.status(200).send(pdf);
+  } catch (error) {
+    console.error('Get order invoice error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getOrderInvoice
+};
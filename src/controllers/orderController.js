@@ -1,5 +1,16 @@
 const supabase = require('../config/supabase');
 const { validationResult } = require('express-validator');
+const { isInsufficientStockError } = require('../services/inventoryService');
+const { getOrderHistory: fetchOrderHistory } = require('../services/orderHistoryService');
+const { transitionOrder, getAllowedTransitions } = require('../services/orderWorkflow');
+const { getPrimaryImageUrl } = require('../utils/productMapper');
+const { VARIANT_REQUIRED_MESSAGE, productHasVariants } = require('../services/productVariantService');
+const { storeImage, removeImage } = require('../services/imageUploadService');
+const { quoteVoucher, toVoucherError } = require('../services/voucherService');
+const { getAddressSnapshot, getAddressNotFoundMessage } = require('../services/addressService');
+const { calculateWeight, selectShippingOption } = require('../services/shippingService');
+const { createPaymentSession, formatPayment } = require('../services/paymentService');
+const { getPaymentDeadline } = require('../services/orderExpiryService');
   
 /**
  * Get all orders (admin only)
@@ -8,16 +19,31 @@ const { validationResult } = require('express-validator');
  */
 const getAllOrders = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
+    const { status } = req.query;
     
-    // Start with base query
+    // Orders, their items and the total count come from a single query
     let query = supabase
       .from('orders')
       .select(`
         *,
-        users(user_id, username, email)
-      `)
+        users(user_id, username, email),
+        order_items(
+          *,
+          products(name, price)
+        )
+      `, { count: 'exact' })
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
     
@@ -26,7 +52,7 @@ const getAllOrders = async (req, res) => {
       query = query.eq('status', status);
     }
     
-    const { data: orders, error } = await query;
+    const { data: orders, error, count: totalCount } = await query;
     
     if (error) {
       console.error('Error fetching orders:', error);
@@ -36,45 +62,17 @@ const getAllOrders = async (req, res) => {
       });
     }
     
-    // Get count for pagination
-    const countQuery = supabase
-      .from('orders')
-      .select('*', { count: 'exact' });
-    
-    if (status) {
-      countQuery.eq('status', status);
-    }
-    
-    const { count: totalCount, error: countError } = await countQuery;
-    
-    if (countError) {
-      console.error('Error counting orders:', countError);
-    }
-    
-    // Get order items for each order
-    const ordersWithItems = await Promise.all(orders.map(async (order) => {
-      const { data: orderItems, error: itemsError } = await supabase
-        .from('order_items')
-        .select(`
-          *,
-          products(name, price)
-        `)
-        .eq('order_id', order.order_id);
-      
-      if (itemsError) {
-        console.error(`Error fetching items for order ${order.order_id}:`, itemsError);
-        return { ...order, items: [] };
-      }
-      
-      return { ...order, items: orderItems || [] };
+    const ordersWithItems = orders.map(({ order_items: orderItems, ...order }) => ({
+      ...order,
+      items: orderItems || []
     }));
     
     return res.status(200).json({
       success: true,
       orders: ordersWithItems,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total: totalCount || 0,
         pages: Math.ceil((totalCount || 0) / limit)
       }
@@ -95,14 +93,33 @@ const getAllOrders = async (req, res) => {
  */
 const getUserOrders = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
+    const { status } = req.query;
     const userId = req.user.user_id;
     
-    // Start with base query
+    // Orders, their items and the total count come from a single query
     let query = supabase
       .from('orders')
-      .select('*')
+      .select(`
+        *,
+        order_items(
+          *,
+          products(name, price,
+            product_images(image_id, image_url, sort_order, is_primary)
+          )
+        )
+      `, { count: 'exact' })
       .eq('user_id', userId)
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
@@ -112,7 +129,7 @@ const getUserOrders = async (req, res) => {
       query = query.eq('status', status);
     }
     
-    const { data: orders, error } = await query;
+    const { data: orders, error, count: totalCount } = await query;
     
     if (error) {
       console.error('Error fetching user orders:', error);
@@ -122,55 +139,21 @@ const getUserOrders = async (req, res) => {
       });
     }
     
-    // Get count for pagination
-    const countQuery = supabase
-      .from('orders')
-      .select('*', { count: 'exact' })
-      .eq('user_id', userId);
-    
-    if (status) {
-      countQuery.eq('status', status);
-    }
-    
-    const { count: totalCount, error: countError } = await countQuery;
-    
-    if (countError) {
-      console.error('Error counting user orders:', countError);
-    }
-    
-    // Get order items for each order
-    const ordersWithItems = await Promise.all(orders.map(async (order) => {
-      const { data: orderItems, error: itemsError } = await supabase
-        .from('order_items')
-        .select(`
-          *,
-          products(name, price, 
-            product_images(image_url)
-          )
-        `)
-        .eq('order_id', order.order_id);
-      
-      if (itemsError) {
-        console.error(`Error fetching items for order ${order.order_id}:`, itemsError);
-        return { ...order, items: [] };
-      }
-      
-      // Process items to include image
-      const itemsWithImage = orderItems.map(item => ({
+    // Process items to include image
+    const ordersWithItems = orders.map(({ order_items: orderItems, ...order }) => ({
+      ...order,
+      items: (orderItems || []).map(item => ({
         ...item,
-        product_image: item.products.product_images && item.products.product_images[0] ? 
-          item.products.product_images[0].image_url : null
-      }));
-      
-      return { ...order, items: itemsWithImage || [] };
+        product_image: getPrimaryImageUrl(item.products.product_images)
+      }))
     }));
     
     return res.status(200).json({
       success: true,
       orders: ordersWithItems,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total: totalCount || 0,
         pages: Math.ceil((totalCount || 0) / limit)
       }
@@ -199,7 +182,8 @@ const getOrderById = async (req, res) => {
       .from('orders')
       .select(`
         *,
-        users(user_id, username, email)
+        users(user_id, username, email),
+        payments(payment_id, provider, provider_reference, amount, status, payment_method, redirect_url, va_number, expires_at, paid_at, needs_refund, refund_reason, created_at)
       `)
       .eq('order_id', id)
       .single();
@@ -231,8 +215,8 @@ const getOrderById = async (req, res) => {
       .from('order_items')
       .select(`
         *,
-        products(product_id, name, price, description, 
-          product_images(image_url)
+        products(product_id, name, price, description, is_active,
+          product_images(image_id, image_url, sort_order, is_primary)
         )
       `)
       .eq('order_id', id);
@@ -248,13 +232,20 @@ const getOrderById = async (req, res) => {
     // Process items to include image
     const itemsWithImage = orderItems.map(item => ({
       ...item,
-      product_image: item.products.product_images && item.products.product_images[0] ? 
-        item.products.product_images[0].image_url : null
+      product_image: getPrimaryImageUrl(item.products.product_images)
     }));
     
+    // Get status history
+    const { data: history, error: historyError } = await fetchOrderHistory(id);
+    
+    if (historyError) {
+      console.error(`Error fetching history for order ${id}:`, historyError);
+    }
+    
     const orderWithItems = {
       ...order,
-      items: itemsWithImage || []
+      items: itemsWithImage || [],
+      history: history || []
     };
     
     return res.status(200).json({
@@ -286,30 +277,62 @@ const createOrder = async (req, res) => {
       });
     }
     
-    const { items } = req.body;
+    const { items, voucher_code, address_id, courier, service, payment_method } = req.body;
     const userId = req.user.user_id;
     
-    // Verify items and calculate total
-    let totalPrice = 0;
+    // Verify items; prices and totals are computed again inside the transaction
     const verifiedItems = [];
     
     for (const item of items) {
       // Get product details
       const { data: product, error: productError } = await supabase
         .from('products')
-        .select('product_id, name, price, stock')
+        .select('product_id, name, price, stock, weight_grams, is_active')
         .eq('product_id', item.product_id)
         .single();
       
-      if (productError || !product) {
+      if (productError || !product || !product.is_active) {
         return res.status(400).json({
           success: false,
           message: `Produk dengan ID ${item.product_id} tidak ditemukan`
         });
       }
       
-      // Check if size exists and has stock (if size is provided)
-      if (item.size) {
+      let variant = null;
+      
+      // Check if variant exists and has stock (if variant is provided)
+      if (item.variant_id) {
+        const { data: variantData, error: variantError } = await supabase
+          .from('product_variants')
+          .select('variant_id, sku, color, size, price, weight_grams, stock')
+          .eq('variant_id', item.variant_id)
+          .eq('product_id', item.product_id)
+          .eq('is_active', true)
+          .single();
+        
+        if (variantError || !variantData) {
+          return res.status(400).json({
+            success: false,
+            message: `Varian ${item.variant_id} untuk produk ${product.name} tidak ditemukan`
+          });
+        }
+        
+        if (variantData.stock < item.quantity) {
+          return res.status(400).json({
+            success: false,
+            message: `Stok tidak cukup untuk produk ${product.name} varian ${variantData.sku}`
+          });
+        }
+        
+        variant = variantData;
+      } else if ((await productHasVariants(item.product_id)).hasVariants) {
+        // Products with variants keep their stock on the variants
+        return res.status(400).json({
+          success: false,
+          message: `Produk ${product.name} memiliki varian, variant_id wajib diisi`
+        });
+      } else if (item.size) {
+        // Check if size exists and has stock (if size is provided)
         const { data: sizeData, error: sizeError } = await supabase
           .from('product_sizes')
           .select('size_id, size, stock')
@@ -340,89 +363,161 @@ const createOrder = async (req, res) => {
         }
       }
       
-      // Calculate item price
-      const itemPrice = product.price * item.quantity;
-      totalPrice += itemPrice;
+      // Item price for the voucher check (a variant may override the product price)
+      const unitPrice = variant && variant.price !== null ? variant.price : product.price;
       
       verifiedItems.push({
         product_id: item.product_id,
-        size: item.size || null,
+        variant_id: variant ? variant.variant_id : null,
+        sku: variant ? variant.sku : null,
+        color: variant ? variant.color : null,
+        size: variant ? variant.size : (item.size || null),
         quantity: item.quantity,
-        price: product.price
+        price: unitPrice,
+        weight_grams: variant && variant.weight_grams !== null ? variant.weight_grams : product.weight_grams
       });
     }
     
-    // Create order
-    const { data: newOrder, error: orderError } = await supabase
-      .from('orders')
-      .insert({
-        user_id: userId,
-        total_price: totalPrice,
-        status: 'pending', // Default status
-        payment_status: 'unpaid', // Default payment status
-        created_at: new Date()
-      })
-      .select('order_id')
-      .single();
+    // Copy the shipping address so later address book edits don't change the order
+    const { data: shippingAddress, error: addressError } = await getAddressSnapshot(userId, address_id);
     
-    if (orderError) {
-      console.error('Error creating order:', orderError);
-      return res.status(500).json({
+    if (addressError) {
+      return res.status(addressError.statusCode).json({
         success: false,
-        message: 'Server error saat membuat order'
+        message: addressError.message
       });
     }
     
-    // Create order items
-    const orderItems = verifiedItems.map(item => ({
-      order_id: newOrder.order_id,
-      product_id: item.product_id,
-      size: item.size,
-      quantity: item.quantity,
-      price: item.price
-    }));
+    // Price the chosen courier service for the parcel weight and destination
+    const weightGrams = calculateWeight(verifiedItems);
+    const { data: shipping, error: shippingError } = await selectShippingOption(
+      shippingAddress,
+      weightGrams,
+      courier,
+      service
+    );
+    
+    if (shippingError) {
+      return res.status(shippingError.statusCode).json({
+        success: false,
+        message: shippingError.message
+      });
+    }
     
-    const { error: itemsError } = await supabase
-      .from('order_items')
-      .insert(orderItems);
+    // Check the voucher before opening the transaction
+    if (voucher_code) {
+      const { error: voucherError } = await quoteVoucher(voucher_code, userId, verifiedItems);
+      
+      if (voucherError) {
+        return res.status(voucherError.statusCode).json({
+          success: false,
+          message: voucherError.message
+        });
+      }
+    }
     
-    if (itemsError) {
-      console.error('Error adding order items:', itemsError);
-      // Try to delete the order if we couldn't add items
-      await supabase
-        .from('orders')
-        .delete()
-        .eq('order_id', newOrder.order_id);
+    // Reserve stock, create the order and its items and redeem the voucher
+    // atomically. Stock and voucher limits are re-checked inside the
+    // transaction, so a concurrent buyer rolls the whole order back. The order
+    // is cancelled automatically if not paid before the deadline.
+    const { data: newOrder, error: orderError } = await supabase
+      .rpc('create_order', {
+        p_user_id: userId,
+        p_items: verifiedItems.map(item => ({
+          product_id: item.product_id,
+          variant_id: item.variant_id,
+          size: item.size,
+          quantity: item.quantity
+        })),
+        p_voucher_code: voucher_code || null,
+        p_address_id: shippingAddress.address_id,
+        p_shipping: {
+          courier: shipping.courier,
+          service: shipping.service,
+          cost: shipping.cost,
+          weight_grams: weightGrams
+        },
+        p_payment_deadline: getPaymentDeadline()
+      });
+    
+    if (orderError) {
+      const voucherError = toVoucherError(orderError);
+      
+      if (voucherError) {
+        return res.status(voucherError.statusCode).json({
+          success: false,
+          message: voucherError.message
+        });
+      }
+      
+      if (isInsufficientStockError(orderError)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Stok tidak cukup, produk baru saja dipesan pembeli lain'
+        });
+      }
+      
+      if (orderError.message === 'VARIANT_REQUIRED') {
+        return res.status(400).json({
+          success: false,
+          message: VARIANT_REQUIRED_MESSAGE
+        });
+      }
+      
+      if (orderError.message === 'PRODUCT_NOT_FOUND') {
+        return res.status(409).json({
+          success: false,
+          message: 'Produk atau varian baru saja dihapus, silakan periksa kembali pesanan Anda'
+        });
+      }
       
+      if (orderError.message === 'ADDRESS_NOT_FOUND') {
+        return res.status(400).json({
+          success: false,
+          message: getAddressNotFoundMessage(address_id)
+        });
+      }
+      
+      console.error('Error creating order:', orderError);
       return res.status(500).json({
         success: false,
-        message: 'Server error saat menambahkan item order'
+        message: 'Server error saat membuat order'
       });
     }
     
-    // Update product stocks
-    for (const item of verifiedItems) {
-      if (item.size) {
-        // Update size stock
-        await supabase
-          .from('product_sizes')
-          .update({ stock: supabase.rpc('decrement', { x: item.quantity }) })
-          .eq('product_id', item.product_id)
-          .eq('size', item.size);
-      } else {
-        // Update general product stock
-        await supabase
-          .from('products')
-          .update({ stock: supabase.rpc('decrement', { x: item.quantity }) })
-          .eq('product_id', item.product_id);
-      }
+    // Open an online payment session right away when requested. The order is
+    // kept if this fails; the session can be created again for the order.
+    let payment = null;
+    let paymentError = null;
+    
+    if (payment_method === 'gateway') {
+      const { data: session, error: sessionError } = await createPaymentSession(
+        {
+          order_id: newOrder.order_id,
+          total_price: newOrder.total_price,
+          payment_deadline: newOrder.payment_deadline
+        },
+        req.user
+      );
+      
+      payment = formatPayment(session);
+      paymentError = sessionError ? sessionError.message : null;
     }
     
     return res.status(201).json({
       success: true,
       message: 'Order berhasil dibuat',
       order_id: newOrder.order_id,
-      total_price: totalPrice
+      subtotal_price: newOrder.subtotal_price,
+      discount_amount: newOrder.discount_amount,
+      shipping_courier: newOrder.shipping_courier,
+      shipping_service: newOrder.shipping_service,
+      shipping_cost: newOrder.shipping_cost,
+      total_price: newOrder.total_price,
+      shipping_address: newOrder.shipping_address,
+      payment_deadline: newOrder.payment_deadline,
+      payment,
+      payment_error: paymentError
     });
   } catch (error) {
     console.error('Create order error:', error);
@@ -450,12 +545,12 @@ const updateOrderStatus = async (req, res) => {
     }
     
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
     
     // Check if order exists
     const { data: orderExists, error: checkError } = await supabase
       .from('orders')
-      .select('order_id, status')
+      .select('order_id, status, payment_status')
       .eq('order_id', id)
       .single();
     
@@ -466,38 +561,21 @@ const updateOrderStatus = async (req, res) => {
       });
     }
     
-    // Validate status transition
-    const validStatusTransitions = {
-      'pending': ['processing', 'cancelled'],
-      'processing': ['shipped', 'cancelled'],
-      'shipped': ['delivered', 'returned'],
-      'delivered': ['completed', 'returned'],
-      'returned': ['refunded'],
-      'cancelled': [],
-      'completed': [],
-      'refunded': []
-    };
-    
-    if (!validStatusTransitions[orderExists.status].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Tidak dapat mengubah status dari ${orderExists.status} ke ${status}`
-      });
-    }
-    
-    // Update order status
-    const { data: updatedOrder, error: updateError } = await supabase
-      .from('orders')
-      .update({ status })
-      .eq('order_id', id)
-      .select('*')
-      .single();
+    // Validate and apply status transition
+    const { order: updatedOrder, error: transitionError } = await transitionOrder(
+      orderExists,
+      { status },
+      {
+        actor: req.user,
+        note,
+        updates: status === 'cancelled' ? { cancellation_reason: 'cancelled_by_admin' } : {}
+      }
+    );
     
-    if (updateError) {
-      console.error('Error updating order status:', updateError);
-      return res.status(500).json({
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json({
         success: false,
-        message: 'Server error saat mengupdate status order'
+        message: transitionError.message
       });
     }
     
@@ -522,13 +600,23 @@ const updateOrderStatus = async (req, res) => {
  */
 const cancelOrder = async (req, res) => {
   try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
     const { id } = req.params;
+    const { note } = req.body;
     const userId = req.user.user_id;
     
     // Get order and check ownership
     const { data: order, error: orderError } = await supabase
       .from('orders')
-      .select('order_id, user_id, status')
+      .select('order_id, user_id, status, payment_status')
       .eq('order_id', id)
       .single();
     
@@ -547,56 +635,24 @@ const cancelOrder = async (req, res) => {
       });
     }
     
-    // Check if order can be cancelled
-    if (order.status !== 'pending' && order.status !== 'processing') {
-      return res.status(400).json({
-        success: false,
-        message: `Order dengan status ${order.status} tidak dapat dibatalkan`
-      });
-    }
-    
-    // Update order status to cancelled
-    const { data: updatedOrder, error: updateError } = await supabase
-      .from('orders')
-      .update({ status: 'cancelled' })
-      .eq('order_id', id)
-      .select('*')
-      .single();
+    // Cancel the order; the workflow restores stock
+    const { order: updatedOrder, error: transitionError } = await transitionOrder(
+      order,
+      { status: 'cancelled' },
+      {
+        actor: req.user,
+        note,
+        updates: { cancellation_reason: req.user.role === 'admin' ? 'cancelled_by_admin' : 'cancelled_by_customer' }
+      }
+    );
     
-    if (updateError) {
-      console.error('Error cancelling order:', updateError);
-      return res.status(500).json({
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json({
         success: false,
-        message: 'Server error saat membatalkan order'
+        message: transitionError.message
       });
     }
     
-    // Get order items to restore stock
-    const { data: orderItems, error: itemsError } = await supabase
-      .from('order_items')
-      .select('product_id, size, quantity')
-      .eq('order_id', id);
-    
-    if (!itemsError && orderItems) {
-      // Restore product stocks
-      for (const item of orderItems) {
-        if (item.size) {
-          // Restore size stock
-          await supabase
-            .from('product_sizes')
-            .update({ stock: supabase.rpc('increment', { x: item.quantity }) })
-            .eq('product_id', item.product_id)
-            .eq('size', item.size);
-        } else {
-          // Restore general product stock
-          await supabase
-            .from('products')
-            .update({ stock: supabase.rpc('increment', { x: item.quantity }) })
-            .eq('product_id', item.product_id);
-        }
-      }
-    }
-    
     return res.status(200).json({
       success: true,
       message: 'Order berhasil dibatalkan',
@@ -633,7 +689,7 @@ const updateReceiptNumber = async (req, res) => {
     // Check if order exists
     const { data: order, error: checkError } = await supabase
       .from('orders')
-      .select('order_id, status')
+      .select('order_id, status, payment_status')
       .eq('order_id', id)
       .single();
     
@@ -652,24 +708,46 @@ const updateReceiptNumber = async (req, res) => {
       });
     }
     
-    // Update receipt number
-    const { data: updatedOrder, error: updateError } = await supabase
-      .from('orders')
-      .update({ 
-        receipt_number,
-        // If the order is in processing status, move it to shipped
-        status: order.status === 'processing' ? 'shipped' : order.status
-      })
-      .eq('order_id', id)
-      .select('*')
-      .single();
-    
-    if (updateError) {
-      console.error('Error updating receipt number:', updateError);
-      return res.status(500).json({
-        success: false,
-        message: 'Server error saat mengupdate nomor resi'
-      });
+    let updatedOrder;
+    
+    if (order.status === 'processing') {
+      // Adding a receipt ships the order, so it must pass the shipping transition
+      const result = await transitionOrder(
+        order,
+        { status: 'shipped' },
+        {
+          actor: req.user,
+          note: `Nomor resi: ${receipt_number}`,
+          updates: { receipt_number }
+        }
+      );
+      
+      if (result.error) {
+        return res.status(result.error.statusCode).json({
+          success: false,
+          message: result.error.message
+        });
+      }
+      
+      updatedOrder = result.order;
+    } else {
+      // Already shipped: only correct the receipt number
+      const { data, error: updateError } = await supabase
+        .from('orders')
+        .update({ receipt_number })
+        .eq('order_id', id)
+        .select('*')
+        .single();
+      
+      if (updateError) {
+        console.error('Error updating receipt number:', updateError);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat mengupdate nomor resi'
+        });
+      }
+      
+      updatedOrder = data;
     }
     
     return res.status(200).json({
@@ -687,7 +765,7 @@ const updateReceiptNumber = async (req, res) => {
 };
 
 /**
- * Upload payment proof for an order
+ * Upload payment proof for an order, either as an image file or as a URL
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -703,7 +781,7 @@ const uploadPaymentProof = async (req, res) => {
     }
     
     const { id } = req.params;
-    const { payment_proof_url } = req.body;
+    let { payment_proof_url } = req.body;
     const userId = req.user.user_id;
     
     // Check if order exists and belongs to the user
@@ -728,30 +806,45 @@ const uploadPaymentProof = async (req, res) => {
       });
     }
     
-    // Can only add payment proof to pending orders or those waiting for payment verification
-    if (order.status !== 'pending' && order.payment_status !== 'unpaid' && order.payment_status !== 'verification_failed') {
-      return res.status(400).json({
-        success: false,
-        message: `Tidak dapat menambahkan bukti pembayaran ke order dengan status ${order.status} dan payment_status ${order.payment_status}`
+    // Store the uploaded file (EXIF stripped, single rendition)
+    let proofImage = null;
+    
+    if (req.file) {
+      const { image, error: storeError } = await storeImage(req.file, {
+        folder: `payment-proofs/${order.order_id}`,
+        renditions: ['original']
       });
+      
+      if (storeError) {
+        return res.status(storeError.statusCode).json({
+          success: false,
+          message: storeError.message
+        });
+      }
+      
+      proofImage = image;
+      payment_proof_url = image.urls.original;
     }
     
-    // Update payment proof and status
-    const { data: updatedOrder, error: updateError } = await supabase
-      .from('orders')
-      .update({
-        payment_proof_url,
-        payment_status: 'awaiting_verification'
-      })
-      .eq('order_id', id)
-      .select('*')
-      .single();
+    // Save payment proof and move payment to awaiting verification
+    const { order: updatedOrder, error: transitionError } = await transitionOrder(
+      order,
+      { payment_status: 'awaiting_verification' },
+      {
+        actor: req.user,
+        note: 'Bukti pembayaran diupload',
+        updates: { payment_proof_url }
+      }
+    );
     
-    if (updateError) {
-      console.error('Error uploading payment proof:', updateError);
-      return res.status(500).json({
+    if (transitionError) {
+      if (proofImage) {
+        await removeImage(proofImage.storageKey, ['original']);
+      }
+      
+      return res.status(transitionError.statusCode).json({
         success: false,
-        message: 'Server error saat mengupload bukti pembayaran'
+        message: transitionError.message
       });
     }
     
@@ -786,7 +879,7 @@ const verifyPayment = async (req, res) => {
     }
     
     const { id } = req.params;
-    const { verification_status } = req.body;
+    const { verification_status, note } = req.body;
     
     // Check if order exists
     const { data: order, error: checkError } = await supabase
@@ -818,38 +911,133 @@ const verifyPayment = async (req, res) => {
       });
     }
     
-    // Update payment verification status
-    const updateData = {
-      payment_status: verification_status === 'verified' ? 'paid' : 'verification_failed'
-    };
+    // A verified payment also moves a pending order to processing (handled by the workflow)
+    const { order: updatedOrder, error: transitionError } = await transitionOrder(
+      order,
+      { payment_status: verification_status === 'verified' ? 'paid' : 'verification_failed' },
+      { actor: req.user, note }
+    );
     
-    // If payment verified and order is still pending, move it to processing
-    if (verification_status === 'verified' && order.status === 'pending') {
-      updateData.status = 'processing';
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json({
+        success: false,
+        message: transitionError.message
+      });
     }
     
-    const { data: updatedOrder, error: updateError } = await supabase
+    return res.status(200).json({
+      success: true,
+      message: `Verifikasi pembayaran berhasil ${verification_status === 'verified' ? 'diterima' : 'ditolak'}`,
+      order: updatedOrder
+    });
+  } catch (error) {
+    console.error('Verify payment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get transitions the current user may apply to an order (owner or admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllowedOrderTransitions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.user_id;
+    
+    // Check if order exists
+    const { data: order, error: orderError } = await supabase
       .from('orders')
-      .update(updateData)
+      .select('order_id, user_id, status, payment_status')
       .eq('order_id', id)
-      .select('*')
       .single();
     
-    if (updateError) {
-      console.error('Error verifying payment:', updateError);
+    if (orderError || !order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order tidak ditemukan'
+      });
+    }
+    
+    // Check if user owns this order (unless admin)
+    if (req.user.role !== 'admin' && order.user_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Anda tidak memiliki akses untuk order ini'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      order_id: order.order_id,
+      status: order.status,
+      payment_status: order.payment_status,
+      allowed_transitions: getAllowedTransitions(order, req.user)
+    });
+  } catch (error) {
+    console.error('Get allowed order transitions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get status history of an order (owner or admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.user_id;
+    
+    // Check if order exists
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('order_id, user_id, status, payment_status')
+      .eq('order_id', id)
+      .single();
+    
+    if (orderError || !order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order tidak ditemukan'
+      });
+    }
+    
+    // Check if user owns this order (unless admin)
+    if (req.user.role !== 'admin' && order.user_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Anda tidak memiliki akses untuk order ini'
+      });
+    }
+    
+    const { data: history, error: historyError } = await fetchOrderHistory(id);
+    
+    if (historyError) {
+      console.error(`Error fetching history for order ${id}:`, historyError);
       return res.status(500).json({
         success: false,
-        message: 'Server error saat memverifikasi pembayaran'
+        message: 'Server error saat mengambil riwayat order'
       });
     }
     
     return res.status(200).json({
       success: true,
-      message: `Verifikasi pembayaran berhasil ${verification_status === 'verified' ? 'diterima' : 'ditolak'}`,
-      order: updatedOrder
+      order_id: order.order_id,
+      status: order.status,
+      payment_status: order.payment_status,
+      history
     });
   } catch (error) {
-    console.error('Verify payment error:', error);
+    console.error('Get order history error:', error);
     return res.status(500).json({
       success: false,
       message: 'Server error'
@@ -866,5 +1054,7 @@ module.exports = {
   cancelOrder,
   updateReceiptNumber,
   uploadPaymentProof,
-  verifyPayment
+  verifyPayment,
+  getOrderHistory,
+  getAllowedOrderTransitions
 };
\ No newline at end of file
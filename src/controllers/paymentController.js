@@ -0,0 +1,249 @@
+const supabase = require('../config/supabase');
+const { validationResult } = require('express-validator');
+const paymentConfig = require('../config/paymentConfig');
+const { createPaymentSession, handleWebhook, formatPayment } = require('../services/paymentService');
+
+/**
+ * @module PaymentController
+ * @description Online payment sessions and payment gateway notifications
+ */
+
+// Payment states in which an order can still be paid online
+const PAYABLE_PAYMENT_STATUSES = ['unpaid', 'failed'];
+
+/**
+ * Create (or reuse) an online payment session for an order (owner only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createOrderPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('order_id, user_id, status, payment_status, total_price, payment_deadline')
+      .eq('order_id', id)
+      .single();
+    
+    if (orderError || !order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order tidak ditemukan'
+      });
+    }
+    
+    if (order.user_id !== req.user.user_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Anda tidak memiliki akses untuk order ini'
+      });
+    }
+    
+    if (order.status !== 'pending' || !PAYABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order dengan status ${order.status} dan status pembayaran ${order.payment_status} tidak dapat dibayar`
+      });
+    }
+    
+    if (order.payment_deadline && new Date(order.payment_deadline) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Batas waktu pembayaran order telah lewat'
+      });
+    }
+    
+    const { data: payment, error: paymentError } = await createPaymentSession(order, req.user);
+    
+    if (paymentError) {
+      return res.status(paymentError.statusCode).json({
+        success: false,
+        message: paymentError.message
+      });
+    }
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Sesi pembayaran berhasil dibuat',
+      payment: formatPayment(payment)
+    });
+  } catch (error) {
+    console.error('Create order payment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Receive a payment notification from the configured gateway. The signature
+ * is verified before anything is read, and replayed events are acknowledged
+ * without being applied twice.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handlePaymentWebhook = async (req, res) => {
+  try {
+    const { data, error } = await handleWebhook(paymentConfig.provider, {
+      headers: req.headers,
+      body: req.body,
+      rawBody: req.rawBody
+    });
+    
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: data.duplicate ? 'Webhook sudah diproses sebelumnya' : 'Webhook berhasil diproses',
+      result: data.result
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get gateway payments flagged for a refund: money received for an order
+ * that was cancelled or expired first, or with a mismatching amount (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPaymentsNeedingRefund = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 10;
+    const offset = (page - 1) * limit;
+    
+    let query = supabase
+      .from('payments')
+      .select(`
+        payment_id, order_id, provider, provider_reference, amount, status, paid_at,
+        refund_reason, refund_resolved_at, refund_resolved_by, refund_note, created_at,
+        orders(order_id, user_id, status, payment_status, users(user_id, username, email))
+      `, { count: 'exact' })
+      .eq('needs_refund', true)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+    
+    // Open cases by default; resolved=true lists the handled ones
+    query = req.query.resolved
+      ? query.not('refund_resolved_at', 'is', null)
+      : query.is('refund_resolved_at', null);
+    
+    const { data: payments, error, count: totalCount } = await query;
+    
+    if (error) {
+      console.error('Error fetching payments needing refund:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil pembayaran'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      payments,
+      pagination: {
+        page,
+        limit,
+        total: totalCount || 0,
+        pages: Math.ceil((totalCount || 0) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get payments needing refund error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Mark the refund of a flagged payment as handled (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resolvePaymentRefund = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id } = req.params;
+    const { note } = req.body;
+    
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .update({
+        refund_resolved_at: new Date(),
+        refund_resolved_by: req.user.user_id,
+        refund_note: note || null,
+        updated_at: new Date()
+      })
+      .eq('payment_id', id)
+      .eq('needs_refund', true)
+      .is('refund_resolved_at', null)
+      .select('payment_id, order_id, amount, refund_reason, refund_resolved_at, refund_note')
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Error resolving payment refund:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengupdate pembayaran'
+      });
+    }
+    
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pembayaran yang menunggu refund tidak ditemukan'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Refund pembayaran ditandai selesai',
+      payment
+    });
+  } catch (error) {
+    console.error('Resolve payment refund error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  createOrderPayment,
+  handlePaymentWebhook,
+  getPaymentsNeedingRefund,
+  resolvePaymentRefund
+};
@@ -1,6 +1,18 @@
 
 const supabase = require('../config/supabase');
 const { validationResult } = require('express-validator');
+const {
+  SORT_OPTIONS,
+  toList,
+  toFacetParams,
+  parseProductFilters,
+  applyProductFilters
+} = require('../utils/productFilters');
+const { PRODUCT_LIST_SELECT, toProductResponse } = require('../utils/productMapper');
+const { checkSkuConflicts, saveProductVariants } = require('../services/productVariantService');
+const { saveProductSizes, saveProductImages } = require('../services/productDetailService');
+const { withBreadcrumbs } = require('../services/categoryService');
+const { notifyBackInStock } = require('../services/wishlistService');
 
 /**
  * Get all products
@@ -9,30 +21,34 @@ const { validationResult } = require('express-validator');
  */
 const getAllProducts = async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, search } = req.query;
-    const offset = (page - 1) * limit;
-    
-    // Start with a base query
-    let query = supabase
-      .from('products')
-      .select(`
-        *,
-        categories(name, description)
-      `)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-    
-    // Add filters if provided
-    if (category) {
-      query = query.eq('category_id', category);
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
     }
     
-    if (search) {
-      query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
-    }
+    const { page = 1, limit = 10, sort = 'newest' } = req.query;
+    const offset = (page - 1) * limit;
+    const filters = parseProductFilters(req.query);
+    const sortOption = SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+    
+    // Filters, sorting, the total count and related images/sizes all come
+    // from a single query
+    const query = applyProductFilters(
+      supabase
+        .from('product_catalog')
+        .select(PRODUCT_LIST_SELECT, { count: 'exact' }),
+      filters
+    )
+      .order(sortOption.column, { ascending: sortOption.ascending })
+      .order('product_id', { ascending: true })
+      .range(offset, offset + limit - 1);
     
     // Execute query
-    const { data: products, error, count } = await query;
+    const { data: products, error, count: totalCount } = await query;
     
     if (error) {
       console.error('Error fetching products:', error);
@@ -42,40 +58,7 @@ const getAllProducts = async (req, res) => {
       });
     }
     
-    // Get count for pagination
-    const { count: totalCount, error: countError } = await supabase
-      .from('products')
-      .select('*', { count: 'exact' });
-    
-    if (countError) {
-      console.error('Error counting products:', countError);
-    }
-    
-    // For each product, get its images
-    const productsWithImages = await Promise.all(products.map(async (product) => {
-      const { data: images, error: imagesError } = await supabase
-        .from('product_images')
-        .select('image_id, image_url')
-        .eq('product_id', product.product_id);
-      
-      if (imagesError) {
-        console.error(`Error fetching images for product ${product.product_id}:`, imagesError);
-        return { ...product, images: [] };
-      }
-      
-      // Get sizes for this product
-      const { data: sizes, error: sizesError } = await supabase
-        .from('product_sizes')
-        .select('size_id, size, stock')
-        .eq('product_id', product.product_id);
-      
-      if (sizesError) {
-        console.error(`Error fetching sizes for product ${product.product_id}:`, sizesError);
-        return { ...product, images, sizes: [] };
-      }
-      
-      return { ...product, images, sizes };
-    }));
+    const productsWithImages = await withBreadcrumbs(products.map(toProductResponse));
     
     return res.status(200).json({
       success: true,
@@ -96,6 +79,54 @@ const getAllProducts = async (req, res) => {
   }
 };
 
+/**
+ * Get facet counts (categories, sizes, price buckets) for the filtered catalog
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProductFacets = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const filters = parseProductFilters(req.query);
+    const params = toFacetParams(filters);
+    
+    // Optional custom bucket boundaries, e.g. price_buckets=0,100000,250000
+    const priceBuckets = toList(req.query.price_buckets).map(Number);
+    if (priceBuckets.length > 0) {
+      params.p_price_buckets = priceBuckets.sort((a, b) => a - b);
+    }
+    
+    const { data: facets, error } = await supabase.rpc('product_facets', params);
+    
+    if (error) {
+      console.error('Error fetching product facets:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil filter produk'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      facets
+    });
+  } catch (error) {
+    console.error('Get product facets error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 /**
  * Get product by ID
  * @param {Object} req - Express request object
@@ -105,13 +136,10 @@ const getProductById = async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Get product details
+    // Get product details with images and sizes
     const { data: product, error } = await supabase
       .from('products')
-      .select(`
-        *,
-        categories(name, description)
-      `)
+      .select(PRODUCT_LIST_SELECT)
       .eq('product_id', id)
       .single();
     
@@ -130,31 +158,7 @@ const getProductById = async (req, res) => {
       });
     }
     
-    // Get images for this product
-    const { data: images, error: imagesError } = await supabase
-      .from('product_images')
-      .select('image_id, image_url')
-      .eq('product_id', id);
-    
-    if (imagesError) {
-      console.error(`Error fetching images for product ${id}:`, imagesError);
-    }
-    
-    // Get sizes for this product
-    const { data: sizes, error: sizesError } = await supabase
-      .from('product_sizes')
-      .select('size_id, size, stock')
-      .eq('product_id', id);
-    
-    if (sizesError) {
-      console.error(`Error fetching sizes for product ${id}:`, sizesError);
-    }
-    
-    const productWithDetails = {
-      ...product,
-      images: images || [],
-      sizes: sizes || []
-    };
+    const [productWithDetails] = await withBreadcrumbs([toProductResponse(product)]);
     
     return res.status(200).json({
       success: true,
@@ -185,7 +189,19 @@ const createProduct = async (req, res) => {
       });
     }
     
-    const { name, description, price, stock, category_id, sizes, images } = req.body;
+    const { name, description, price, stock, weight_grams, category_id, sizes, images, variants } = req.body;
+    
+    // Verify that variant SKUs are free
+    if (variants && variants.length > 0) {
+      const { error: skuError } = await checkSkuConflicts(variants);
+      
+      if (skuError) {
+        return res.status(skuError.statusCode).json({
+          success: false,
+          message: skuError.message
+        });
+      }
+    }
     
     // Verify that category exists
     const { data: categoryExists, error: categoryError } = await supabase
@@ -209,6 +225,7 @@ const createProduct = async (req, res) => {
         description,
         price,
         stock,
+        weight_grams: weight_grams !== undefined ? weight_grams : null,
         category_id,
         created_at: new Date()
       })
@@ -258,6 +275,12 @@ const createProduct = async (req, res) => {
       }
     }
     
+    // Add product variants if provided
+    if (variants && variants.length > 0) {
+      // Errors are logged by the service; continue like sizes and images
+      await saveProductVariants(newProduct.product_id, variants);
+    }
+    
     // Get the complete product data
     const { data: completeProduct, error: fetchError } = await supabase
       .from('products')
@@ -309,7 +332,7 @@ const updateProduct = async (req, res) => {
     }
     
     const { id } = req.params;
-    const { name, description, price, stock, category_id, sizes, images } = req.body;
+    const { name, description, price, stock, weight_grams, category_id, sizes, images, variants } = req.body;
     
     // Verify that product exists
     const { data: productExists, error: checkError } = await supabase
@@ -325,12 +348,25 @@ const updateProduct = async (req, res) => {
       });
     }
     
+    // Verify that variant SKUs are free
+    if (variants && variants.length > 0) {
+      const { error: skuError } = await checkSkuConflicts(variants, id);
+      
+      if (skuError) {
+        return res.status(skuError.statusCode).json({
+          success: false,
+          message: skuError.message
+        });
+      }
+    }
+    
     // Update product
     const updateData = {};
     if (name) updateData.name = name;
     if (description) updateData.description = description;
     if (price) updateData.price = price;
     if (stock !== undefined) updateData.stock = stock;
+    if (weight_grams !== undefined) updateData.weight_grams = weight_grams;
     if (category_id) updateData.category_id = category_id;
     
     const { data: updatedProduct, error: updateError } = await supabase
@@ -348,52 +384,44 @@ const updateProduct = async (req, res) => {
       });
     }
     
-    // Update product sizes if provided
+    // Update product sizes if provided (matched by size, so size_ids are kept)
     if (sizes && sizes.length > 0) {
-      // First delete existing sizes
-      await supabase
-        .from('product_sizes')
-        .delete()
-        .eq('product_id', id);
-      
-      // Then insert new sizes
-      const sizesData = sizes.map(size => ({
-        product_id: id,
-        size: size.size,
-        stock: size.stock
-      }));
-      
-      const { error: sizesError } = await supabase
-        .from('product_sizes')
-        .insert(sizesData);
+      const { error: sizesError } = await saveProductSizes(id, sizes);
       
       if (sizesError) {
-        console.error('Error updating product sizes:', sizesError);
-        // Continue despite the error, but log it
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat menyimpan ukuran produk'
+        });
       }
+      
+      // Email wishlisters of sizes that just came back in stock, without delaying the response
+      notifyBackInStock(id).catch(error => {
+        console.error(`Error sending back-in-stock emails for product ${id}:`, error);
+      });
     }
     
-    // Update product images if provided
+    // Update product images if provided (existing URLs are kept)
     if (images && images.length > 0) {
-      // First delete existing images
-      await supabase
-        .from('product_images')
-        .delete()
-        .eq('product_id', id);
-      
-      // Then insert new images
-      const imagesData = images.map(image => ({
-        product_id: id,
-        image_url: image
-      }));
-      
-      const { error: imagesError } = await supabase
-        .from('product_images')
-        .insert(imagesData);
+      const { error: imagesError } = await saveProductImages(id, images);
       
       if (imagesError) {
-        console.error('Error updating product images:', imagesError);
-        // Continue despite the error, but log it
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat menyimpan gambar produk'
+        });
+      }
+    }
+    
+    // Update product variants if provided (matched by SKU, so variant_ids are kept)
+    if (variants && variants.length > 0) {
+      const { error: variantsError } = await saveProductVariants(id, variants);
+      
+      if (variantsError) {
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat menyimpan varian produk'
+        });
       }
     }
     
@@ -412,7 +440,8 @@ const updateProduct = async (req, res) => {
 };
 
 /**
- * Delete a product
+ * Delete (archive) a product. The product row is kept so orders that
+ * reference it still render; it just disappears from the catalog.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -423,7 +452,7 @@ const deleteProduct = async (req, res) => {
     // Verify that product exists
     const { data: productExists, error: checkError } = await supabase
       .from('products')
-      .select('product_id')
+      .select('product_id, is_active')
       .eq('product_id', id)
       .single();
     
@@ -434,31 +463,40 @@ const deleteProduct = async (req, res) => {
       });
     }
     
-    // Delete related data first (sizes and images)
-    await supabase
-      .from('product_sizes')
-      .delete()
-      .eq('product_id', id);
-    
-    await supabase
-      .from('product_images')
-      .delete()
-      .eq('product_id', id);
+    if (!productExists.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Produk sudah diarsipkan'
+      });
+    }
     
-    // Delete the product
-    const { error: deleteError } = await supabase
+    // Archive the product
+    const { error: archiveError } = await supabase
       .from('products')
-      .delete()
+      .update({
+        is_active: false,
+        archived_at: new Date().toISOString()
+      })
       .eq('product_id', id);
     
-    if (deleteError) {
-      console.error('Error deleting product:', deleteError);
+    if (archiveError) {
+      console.error('Error archiving product:', archiveError);
       return res.status(500).json({
         success: false,
         message: 'Server error saat menghapus produk'
       });
     }
     
+    // Archived products can no longer be bought, so drop them from carts
+    const { error: cartError } = await supabase
+      .from('cart_items')
+      .delete()
+      .eq('product_id', id);
+    
+    if (cartError) {
+      console.error(`Error removing archived product ${id} from carts:`, cartError);
+    }
+    
     return res.status(200).json({
       success: true,
       message: 'Produk berhasil dihapus'
@@ -472,10 +510,74 @@ const deleteProduct = async (req, res) => {
   }
 };
 
+/**
+ * Restore an archived product back into the catalog
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const restoreProduct = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Verify that product exists
+    const { data: productExists, error: checkError } = await supabase
+      .from('products')
+      .select('product_id, is_active')
+      .eq('product_id', id)
+      .single();
+    
+    if (checkError || !productExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produk tidak ditemukan'
+      });
+    }
+    
+    if (productExists.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Produk tidak dalam status arsip'
+      });
+    }
+    
+    const { data: restoredProduct, error: restoreError } = await supabase
+      .from('products')
+      .update({
+        is_active: true,
+        archived_at: null
+      })
+      .eq('product_id', id)
+      .select()
+      .single();
+    
+    if (restoreError) {
+      console.error('Error restoring product:', restoreError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memulihkan produk'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Produk berhasil dipulihkan',
+      product: restoredProduct
+    });
+  } catch (error) {
+    console.error('Restore product error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 module.exports = {
   getAllProducts,
+  getProductFacets,
   getProductById,
   createProduct,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  restoreProduct
 };
\ No newline at end of file
@@ -0,0 +1,307 @@
+const supabase = require('../config/supabase');
+const { validationResult } = require('express-validator');
+const { storeImage, removeImage } = require('../services/imageUploadService');
+const { sortImages } = require('../utils/productMapper');
+
+const IMAGE_SELECT = 'image_id, product_id, image_url, medium_url, thumbnail_url, storage_key, sort_order, is_primary';
+
+/**
+ * Check that a product exists
+ * @param {Number} productId - Product ID
+ * @returns {Promise<Boolean>} True if the product exists
+ */
+const productExists = async (productId) => {
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('product_id')
+    .eq('product_id', productId)
+    .single();
+
+  return !error && Boolean(product);
+};
+
+/**
+ * Get the images of a product in display order
+ * @param {Number} productId - Product ID
+ * @returns {Promise<Object>} { data, error }
+ */
+const fetchProductImages = async (productId) => {
+  const { data, error } = await supabase
+    .from('product_images')
+    .select(IMAGE_SELECT)
+    .eq('product_id', productId);
+
+  return { data: data ? sortImages(data) : data, error };
+};
+
+/**
+ * Upload images for a product (admin only). Each file is stored as original,
+ * medium and thumbnail renditions and appended after the existing images.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const uploadProductImages = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tidak ada gambar yang diupload'
+      });
+    }
+
+    if (!(await productExists(id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produk tidak ditemukan'
+      });
+    }
+
+    const { data: existingImages, error: imagesError } = await fetchProductImages(id);
+
+    if (imagesError) {
+      console.error(`Error fetching images for product ${id}:`, imagesError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil gambar produk'
+      });
+    }
+
+    // Process and store every file before touching the database
+    const storedImages = [];
+
+    for (const file of files) {
+      const { image, error: storeError } = await storeImage(file, { folder: `products/${id}` });
+
+      if (storeError) {
+        await Promise.all(storedImages.map(stored => removeImage(stored.storageKey)));
+        return res.status(storeError.statusCode).json({
+          success: false,
+          message: storeError.message
+        });
+      }
+
+      storedImages.push(image);
+    }
+
+    const nextSortOrder = existingImages.reduce(
+      (max, image) => Math.max(max, image.sort_order + 1),
+      0
+    );
+    const hasPrimary = existingImages.some(image => image.is_primary);
+
+    const imagesData = storedImages.map((image, index) => ({
+      product_id: id,
+      image_url: image.urls.original,
+      medium_url: image.urls.medium,
+      thumbnail_url: image.urls.thumbnail,
+      storage_key: image.storageKey,
+      sort_order: nextSortOrder + index,
+      // The first image of a product becomes its primary image
+      is_primary: !hasPrimary && index === 0
+    }));
+
+    const { data: newImages, error: insertError } = await supabase
+      .from('product_images')
+      .insert(imagesData)
+      .select(IMAGE_SELECT);
+
+    if (insertError) {
+      console.error(`Error saving images for product ${id}:`, insertError);
+      await Promise.all(storedImages.map(stored => removeImage(stored.storageKey)));
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menyimpan gambar produk'
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Gambar produk berhasil diupload',
+      images: sortImages(newImages)
+    });
+  } catch (error) {
+    console.error('Upload product images error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Set the display order of a product's images (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reorderProductImages = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { image_ids } = req.body;
+
+    if (!(await productExists(id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produk tidak ditemukan'
+      });
+    }
+
+    const { error: reorderError } = await supabase
+      .rpc('reorder_product_images', { p_product_id: id, p_image_ids: image_ids });
+
+    if (reorderError) {
+      if (reorderError.message === 'INVALID_IMAGE_ORDER') {
+        return res.status(400).json({
+          success: false,
+          message: 'image_ids harus berisi semua gambar produk tepat satu kali'
+        });
+      }
+
+      console.error(`Error reordering images for product ${id}:`, reorderError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengurutkan gambar produk'
+      });
+    }
+
+    const { data: images } = await fetchProductImages(id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Urutan gambar produk berhasil diupdate',
+      images: images || []
+    });
+  } catch (error) {
+    console.error('Reorder product images error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Make an image the primary image of its product (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setPrimaryProductImage = async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+
+    const { error: primaryError } = await supabase
+      .rpc('set_primary_product_image', { p_product_id: id, p_image_id: imageId });
+
+    if (primaryError) {
+      if (primaryError.message === 'IMAGE_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: 'Gambar produk tidak ditemukan'
+        });
+      }
+
+      console.error(`Error setting primary image for product ${id}:`, primaryError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengatur gambar utama'
+      });
+    }
+
+    const { data: images } = await fetchProductImages(id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Gambar utama berhasil diatur',
+      images: images || []
+    });
+  } catch (error) {
+    console.error('Set primary product image error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a product image and its stored files (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteProductImage = async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+
+    const { data: deletedImage, error: deleteError } = await supabase
+      .from('product_images')
+      .delete()
+      .eq('image_id', imageId)
+      .eq('product_id', id)
+      .select(IMAGE_SELECT)
+      .maybeSingle();
+
+    if (deleteError) {
+      console.error(`Error deleting image ${imageId}:`, deleteError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menghapus gambar produk'
+      });
+    }
+
+    if (!deletedImage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gambar produk tidak ditemukan'
+      });
+    }
+
+    // Images added as plain URLs have no stored files
+    if (deletedImage.storage_key) {
+      await removeImage(deletedImage.storage_key);
+    }
+
+    const { data: images } = await fetchProductImages(id);
+
+    // Promote the next image when the primary image was deleted
+    if (deletedImage.is_primary && images && images.length > 0) {
+      const { error: primaryError } = await supabase
+        .rpc('set_primary_product_image', { p_product_id: id, p_image_id: images[0].image_id });
+
+      if (primaryError) {
+        console.error(`Error promoting primary image for product ${id}:`, primaryError);
+      } else {
+        images[0].is_primary = true;
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Gambar produk berhasil dihapus',
+      images: images || []
+    });
+  } catch (error) {
+    console.error('Delete product image error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  uploadProductImages,
+  reorderProductImages,
+  setPrimaryProductImage,
+  deleteProductImage
+};
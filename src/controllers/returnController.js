@@ -0,0 +1,555 @@
+const supabase = require('../config/supabase');
+const { validationResult } = require('express-validator');
+const uploadConfig = require('../config/uploadConfig');
+const returnConfig = require('../config/returnConfig');
+const { storeImage, removeImage } = require('../services/imageUploadService');
+const {
+  fetchReturnRequest,
+  syncOrderWithReturns
+} = require('../services/returnService');
+
+/**
+ * @module ReturnController
+ * @description Return requests: customers return items of a delivered order
+ * within the return window, admins approve or reject the request, receive the
+ * goods (optionally restocking them) and record the refund.
+ */
+
+// Renditions generated for return photos
+const RETURN_PHOTO_RENDITIONS = ['medium', 'thumbnail'];
+
+const RETURN_ERRORS = {
+  ORDER_NOT_FOUND: { statusCode: 404, message: 'Order tidak ditemukan' },
+  INVALID_RETURN_ITEM: { statusCode: 400, message: 'Item retur tidak termasuk dalam order ini' },
+  RETURN_QUANTITY_EXCEEDED: { statusCode: 400, message: 'Jumlah retur melebihi jumlah item yang dibeli' }
+};
+
+/**
+ * Send the response for a missing or inaccessible return request
+ * @param {Object} res - Express response object
+ * @param {Object} returnRequest - Return request (or null)
+ * @param {Object} user - Current user
+ * @returns {Object|null} Express response when access is denied, otherwise null
+ */
+const denyReturnAccess = (res, returnRequest, user) => {
+  if (!returnRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Retur tidak ditemukan'
+    });
+  }
+
+  if (user.role !== 'admin' && returnRequest.user_id !== user.user_id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Anda tidak memiliki akses untuk retur ini'
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Open a return request for items of an order (order owner only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createReturnRequest = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id } = req.params;
+    const { items, reason_code, reason } = req.body;
+    const userId = req.user.user_id;
+    const files = req.files || [];
+    
+    if (files.length > uploadConfig.maxReturnPhotos) {
+      return res.status(400).json({
+        success: false,
+        message: `Maksimal ${uploadConfig.maxReturnPhotos} foto per retur`
+      });
+    }
+    
+    const itemIds = items.map(item => item.order_item_id);
+    if (new Set(itemIds).size !== itemIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Setiap item order hanya boleh dicantumkan sekali'
+      });
+    }
+    
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('order_id, user_id, status, delivered_at')
+      .eq('order_id', id)
+      .single();
+    
+    if (orderError || !order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order tidak ditemukan'
+      });
+    }
+    
+    if (order.user_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Anda tidak memiliki akses untuk order ini'
+      });
+    }
+    
+    if (!returnConfig.returnableOrderStatuses.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order dengan status ${order.status} tidak dapat diretur`
+      });
+    }
+    
+    const windowEnd = order.delivered_at
+      ? new Date(new Date(order.delivered_at).getTime() + returnConfig.windowDays * 24 * 60 * 60 * 1000)
+      : null;
+    
+    if (!windowEnd || windowEnd < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `Retur hanya dapat diajukan dalam ${returnConfig.windowDays} hari setelah order diterima`
+      });
+    }
+    
+    // Store photos before touching the database
+    const storedPhotos = [];
+    
+    for (const file of files) {
+      const { image, error: storeError } = await storeImage(file, {
+        folder: `returns/${id}`,
+        renditions: RETURN_PHOTO_RENDITIONS
+      });
+      
+      if (storeError) {
+        await Promise.all(storedPhotos.map(photo => removeImage(photo.storageKey, RETURN_PHOTO_RENDITIONS)));
+        return res.status(storeError.statusCode).json({
+          success: false,
+          message: storeError.message
+        });
+      }
+      
+      storedPhotos.push(image);
+    }
+    
+    // Quantities are checked against earlier returns inside the transaction
+    const { data: returnId, error: createError } = await supabase
+      .rpc('create_return_request', {
+        p_order_id: order.order_id,
+        p_user_id: userId,
+        p_reason_code: reason_code,
+        p_reason: reason || null,
+        p_items: items
+      });
+    
+    if (createError) {
+      await Promise.all(storedPhotos.map(photo => removeImage(photo.storageKey, RETURN_PHOTO_RENDITIONS)));
+      
+      const knownError = RETURN_ERRORS[createError.message];
+      if (knownError) {
+        return res.status(knownError.statusCode).json({
+          success: false,
+          message: knownError.message
+        });
+      }
+      
+      console.error('Error creating return request:', createError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat membuat retur'
+      });
+    }
+    
+    if (storedPhotos.length > 0) {
+      const { error: photosError } = await supabase
+        .from('return_request_photos')
+        .insert(storedPhotos.map(photo => ({
+          return_id: returnId,
+          image_url: photo.urls.medium,
+          thumbnail_url: photo.urls.thumbnail,
+          storage_key: photo.storageKey
+        })));
+      
+      if (photosError) {
+        console.error('Error saving return photos:', photosError);
+        // Continue despite the error, but log it
+      }
+    }
+    
+    const { data: returnRequest } = await fetchReturnRequest(returnId);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Permintaan retur berhasil diajukan',
+      return_request: returnRequest
+    });
+  } catch (error) {
+    console.error('Create return request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * List return requests: all of them for admins (filterable by status and
+ * order), the user's own for customers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReturnRequests = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const { status, order_id } = req.query;
+    
+    let query = supabase
+      .from('return_requests')
+      .select('return_id, order_id, user_id, status, reason_code, refund_amount, created_at, updated_at', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    
+    if (req.user.role !== 'admin') {
+      query = query.eq('user_id', req.user.user_id);
+    }
+    
+    if (status) {
+      query = query.eq('status', status);
+    }
+    
+    if (order_id) {
+      query = query.eq('order_id', order_id);
+    }
+    
+    const { data: returnRequests, error, count: totalCount } = await query;
+    
+    if (error) {
+      console.error('Error fetching return requests:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil retur'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      return_requests: returnRequests,
+      pagination: {
+        total: totalCount,
+        page,
+        limit,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get return requests error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get a return request with its items and photos (owner or admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReturnRequestById = async (req, res) => {
+  try {
+    const { data: returnRequest, error } = await fetchReturnRequest(req.params.id);
+    
+    if (error) {
+      console.error('Error fetching return request:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil retur'
+      });
+    }
+    
+    const denied = denyReturnAccess(res, returnRequest, req.user);
+    if (denied) {
+      return denied;
+    }
+    
+    return res.status(200).json({
+      success: true,
+      return_request: returnRequest
+    });
+  } catch (error) {
+    console.error('Get return request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Move a return request from one status to the next. The update only
+ * applies if the status is still the expected one, so concurrent admin
+ * actions cannot both succeed.
+ * @param {Number} returnId - Return ID
+ * @param {String} from - Expected current status
+ * @param {Object} changes - Columns to update, including the new status
+ * @returns {Promise<Object>} Supabase result with the updated row (null when the status changed)
+ */
+const advanceReturnRequest = async (returnId, from, changes) => {
+  return supabase
+    .from('return_requests')
+    .update({ ...changes, updated_at: new Date() })
+    .eq('return_id', returnId)
+    .eq('status', from)
+    .select('return_id')
+    .maybeSingle();
+};
+
+/**
+ * Approve or reject a requested return (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reviewReturnRequest = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id } = req.params;
+    const { status, note } = req.body;
+    
+    const { data: updated, error } = await advanceReturnRequest(id, 'requested', {
+      status,
+      admin_note: note || null,
+      reviewed_by: req.user.user_id,
+      reviewed_at: new Date()
+    });
+    
+    if (error) {
+      console.error('Error reviewing return request:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memproses retur'
+      });
+    }
+    
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Retur tidak ditemukan atau sudah diproses'
+      });
+    }
+    
+    const { data: returnRequest } = await fetchReturnRequest(id);
+    
+    return res.status(200).json({
+      success: true,
+      message: `Retur berhasil ${status === 'approved' ? 'disetujui' : 'ditolak'}`,
+      return_request: returnRequest
+    });
+  } catch (error) {
+    console.error('Review return request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Mark the goods of an approved return as received, optionally putting them
+ * back into stock (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const receiveReturnRequest = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id } = req.params;
+    const { restock, note } = req.body;
+    
+    // Receiving and restocking commit together, or neither does
+    const { error: receiveError } = await supabase
+      .rpc('receive_return_request', {
+        p_return_id: id,
+        p_restock: Boolean(restock),
+        p_note: note || null
+      });
+    
+    if (receiveError) {
+      if (receiveError.message === 'RETURN_NOT_APPROVED') {
+        return res.status(400).json({
+          success: false,
+          message: 'Hanya retur yang sudah disetujui yang dapat diterima'
+        });
+      }
+      
+      console.error('Error receiving return request:', receiveError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memproses retur'
+      });
+    }
+    
+    const { data: returnRequest, error: fetchError } = await fetchReturnRequest(id);
+    
+    if (fetchError || !returnRequest) {
+      console.error(`Error fetching return ${id} after receiving it:`, fetchError);
+      return res.status(500).json({
+        success: false,
+        message: 'Retur diterima, tetapi gagal mengambil data retur'
+      });
+    }
+    
+    // Errors are logged; the return itself has been received
+    const { error: syncError } = await syncOrderWithReturns(returnRequest.order_id, req.user);
+    if (syncError) {
+      console.error(`Error updating order ${returnRequest.order_id} after return ${id}:`, syncError.message);
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Barang retur berhasil diterima',
+      return_request: returnRequest
+    });
+  } catch (error) {
+    console.error('Receive return request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Record the refund of a received return (admin only). The refunds of an
+ * order never exceed what the customer paid for it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const refundReturnRequest = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id } = req.params;
+    const { amount, method, reference, note } = req.body;
+    
+    const { data: returnRequest, error: fetchError } = await fetchReturnRequest(id);
+    
+    if (fetchError || !returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retur tidak ditemukan'
+      });
+    }
+    
+    if (returnRequest.status !== 'received') {
+      return res.status(400).json({
+        success: false,
+        message: 'Hanya retur yang barangnya sudah diterima yang dapat direfund'
+      });
+    }
+    
+    // The cap on an order's refunds is enforced inside the transaction
+    const { error: refundError } = await supabase
+      .rpc('refund_return_request', {
+        p_return_id: returnRequest.return_id,
+        p_amount: amount,
+        p_method: method,
+        p_reference: reference || null,
+        p_note: note || null
+      });
+    
+    if (refundError) {
+      if (refundError.message === 'REFUND_EXCEEDS_REMAINING') {
+        return res.status(400).json({
+          success: false,
+          message: `Jumlah refund melebihi sisa yang dapat direfund (${Number(refundError.details)})`
+        });
+      }
+      
+      if (refundError.message === 'RETURN_NOT_RECEIVED') {
+        return res.status(409).json({
+          success: false,
+          message: 'Retur telah diubah oleh proses lain, silakan muat ulang'
+        });
+      }
+      
+      console.error('Error refunding return request:', refundError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menyimpan refund'
+      });
+    }
+    
+    const { error: syncError } = await syncOrderWithReturns(returnRequest.order_id, req.user);
+    if (syncError) {
+      console.error(`Error updating order ${returnRequest.order_id} after refund ${id}:`, syncError.message);
+    }
+    
+    const { data: refundedReturn } = await fetchReturnRequest(id);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Refund berhasil dicatat',
+      return_request: refundedReturn
+    });
+  } catch (error) {
+    console.error('Refund return request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  createReturnRequest,
+  getReturnRequests,
+  getReturnRequestById,
+  reviewReturnRequest,
+  receiveReturnRequest,
+  refundReturnRequest
+};
@@ -0,0 +1,459 @@
+const supabase = require('../config/supabase');
+const { validationResult } = require('express-validator');
+const uploadConfig = require('../config/uploadConfig');
+const { storeImage, removeImage } = require('../services/imageUploadService');
+
+/**
+ * @module ReviewController
+ * @description Product reviews and ratings. Only buyers with a delivered or
+ * completed order containing the product may review it, and reviews are
+ * published once an admin approves them.
+ */
+
+// Order statuses that make a buyer eligible to review
+const REVIEWABLE_ORDER_STATUSES = ['delivered', 'completed'];
+
+// Renditions generated for review photos
+const REVIEW_PHOTO_RENDITIONS = ['medium', 'thumbnail'];
+
+const REVIEW_SELECT = `
+  review_id,
+  product_id,
+  rating,
+  review_text,
+  status,
+  created_at,
+  users!product_reviews_user_id_fkey(user_id, username),
+  product_review_photos(photo_id, image_url, thumbnail_url)
+`;
+
+/**
+ * Shape a review row for API responses
+ * @param {Object} review - Review with embedded user and photos
+ * @returns {Object} Review with user and photos keys
+ */
+const toReviewResponse = ({ users: user, product_review_photos: photos, ...review }) => ({
+  ...review,
+  user: user ? { id: user.user_id, username: user.username } : null,
+  photos: photos || []
+});
+
+/**
+ * Get approved reviews of a product
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProductReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select('product_id, rating_average, review_count')
+      .eq('product_id', id)
+      .single();
+    
+    if (productError || !product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produk tidak ditemukan'
+      });
+    }
+    
+    const { data: reviews, error, count: totalCount } = await supabase
+      .from('product_reviews')
+      .select(REVIEW_SELECT, { count: 'exact' })
+      .eq('product_id', id)
+      .eq('status', 'approved')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    
+    if (error) {
+      console.error(`Error fetching reviews for product ${id}:`, error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil ulasan'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      rating: {
+        average: product.rating_average,
+        count: product.review_count
+      },
+      reviews: reviews.map(toReviewResponse),
+      pagination: {
+        page,
+        limit,
+        total: totalCount || 0,
+        pages: Math.ceil((totalCount || 0) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get product reviews error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Review a product (buyers with a delivered or completed order only).
+ * Photos are optional and uploaded as multipart field "photos".
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createProductReview = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id } = req.params;
+    const { rating, review_text } = req.body;
+    const userId = req.user.user_id;
+    const files = req.files || [];
+    
+    if (files.length > uploadConfig.maxReviewPhotos) {
+      return res.status(400).json({
+        success: false,
+        message: `Maksimal ${uploadConfig.maxReviewPhotos} foto per ulasan`
+      });
+    }
+    
+    // Verify product exists
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select('product_id')
+      .eq('product_id', id)
+      .single();
+    
+    if (productError || !product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produk tidak ditemukan'
+      });
+    }
+    
+    // Verify the user received an order containing this product
+    const { data: purchases, error: purchaseError } = await supabase
+      .from('order_items')
+      .select('order_id, orders!inner(user_id, status)')
+      .eq('product_id', id)
+      .eq('orders.user_id', userId)
+      .in('orders.status', REVIEWABLE_ORDER_STATUSES)
+      .limit(1);
+    
+    if (purchaseError) {
+      console.error('Error checking purchases for review:', purchaseError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memeriksa riwayat pembelian'
+      });
+    }
+    
+    if (!purchases || purchases.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Ulasan hanya dapat diberikan untuk produk dari order yang sudah diterima'
+      });
+    }
+    
+    // One review per user per product
+    const { data: existingReview, error: existingError } = await supabase
+      .from('product_reviews')
+      .select('review_id')
+      .eq('product_id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+    
+    if (existingError) {
+      console.error('Error checking existing review:', existingError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memeriksa ulasan'
+      });
+    }
+    
+    if (existingReview) {
+      return res.status(409).json({
+        success: false,
+        message: 'Anda sudah memberikan ulasan untuk produk ini'
+      });
+    }
+    
+    // Store photos before touching the database
+    const storedPhotos = [];
+    
+    for (const file of files) {
+      const { image, error: storeError } = await storeImage(file, {
+        folder: `reviews/${id}`,
+        renditions: REVIEW_PHOTO_RENDITIONS
+      });
+      
+      if (storeError) {
+        await Promise.all(storedPhotos.map(photo => removeImage(photo.storageKey, REVIEW_PHOTO_RENDITIONS)));
+        return res.status(storeError.statusCode).json({
+          success: false,
+          message: storeError.message
+        });
+      }
+      
+      storedPhotos.push(image);
+    }
+    
+    const { data: newReview, error: insertError } = await supabase
+      .from('product_reviews')
+      .insert({
+        product_id: id,
+        user_id: userId,
+        order_id: purchases[0].order_id,
+        rating,
+        review_text: review_text || null
+      })
+      .select('review_id')
+      .single();
+    
+    if (insertError) {
+      console.error('Error creating review:', insertError);
+      await Promise.all(storedPhotos.map(photo => removeImage(photo.storageKey, REVIEW_PHOTO_RENDITIONS)));
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menyimpan ulasan'
+      });
+    }
+    
+    if (storedPhotos.length > 0) {
+      const { error: photosError } = await supabase
+        .from('product_review_photos')
+        .insert(storedPhotos.map(photo => ({
+          review_id: newReview.review_id,
+          image_url: photo.urls.medium,
+          thumbnail_url: photo.urls.thumbnail,
+          storage_key: photo.storageKey
+        })));
+      
+      if (photosError) {
+        console.error('Error saving review photos:', photosError);
+        // Continue despite the error, but log it
+      }
+    }
+    
+    const { data: review } = await supabase
+      .from('product_reviews')
+      .select(REVIEW_SELECT)
+      .eq('review_id', newReview.review_id)
+      .single();
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Ulasan berhasil dikirim dan menunggu moderasi',
+      review: review ? toReviewResponse(review) : newReview
+    });
+  } catch (error) {
+    console.error('Create product review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get reviews for moderation (admin only), pending reviews by default
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReviewsForModeration = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const { status = 'pending', product_id } = req.query;
+    
+    let query = supabase
+      .from('product_reviews')
+      .select(`${REVIEW_SELECT}, moderation_note, moderated_at, products(product_id, name)`, { count: 'exact' })
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+    
+    if (product_id) {
+      query = query.eq('product_id', product_id);
+    }
+    
+    const { data: reviews, error, count: totalCount } = await query;
+    
+    if (error) {
+      console.error('Error fetching reviews for moderation:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil ulasan'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      reviews: reviews.map(toReviewResponse),
+      pagination: {
+        page,
+        limit,
+        total: totalCount || 0,
+        pages: Math.ceil((totalCount || 0) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews for moderation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Approve or reject a review (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const moderateReview = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id } = req.params;
+    const { status, note } = req.body;
+    
+    const { data: review, error } = await supabase
+      .from('product_reviews')
+      .update({
+        status,
+        moderation_note: note || null,
+        moderated_by: req.user.user_id,
+        moderated_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('review_id', id)
+      .select('review_id, product_id, rating, status, moderation_note, moderated_at')
+      .maybeSingle();
+    
+    if (error) {
+      console.error(`Error moderating review ${id}:`, error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memoderasi ulasan'
+      });
+    }
+    
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ulasan tidak ditemukan'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: status === 'approved' ? 'Ulasan berhasil disetujui' : 'Ulasan berhasil ditolak',
+      review
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a review (its author or an admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: review, error: checkError } = await supabase
+      .from('product_reviews')
+      .select('review_id, user_id, product_review_photos(storage_key)')
+      .eq('review_id', id)
+      .single();
+    
+    if (checkError || !review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ulasan tidak ditemukan'
+      });
+    }
+    
+    if (req.user.role !== 'admin' && review.user_id !== req.user.user_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Anda tidak memiliki akses untuk ulasan ini'
+      });
+    }
+    
+    const { error: deleteError } = await supabase
+      .from('product_reviews')
+      .delete()
+      .eq('review_id', id);
+    
+    if (deleteError) {
+      console.error(`Error deleting review ${id}:`, deleteError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menghapus ulasan'
+      });
+    }
+    
+    await Promise.all((review.product_review_photos || [])
+      .filter(photo => photo.storage_key)
+      .map(photo => removeImage(photo.storage_key, REVIEW_PHOTO_RENDITIONS)));
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Ulasan berhasil dihapus'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  createProductReview,
+  getReviewsForModeration,
+  moderateReview,
+  deleteReview
+};
@@ -2,6 +2,9 @@
 const bcrypt = require('bcrypt');
 const supabase = require('../config/supabase');
 const { validationResult } = require('express-validator');
+const { revokeUserSessions } = require('../services/sessionService');
+const { clearAccountFailures } = require('../services/loginProtectionService');
+const { logAuthEvent } = require('../services/authEventService');
 
 /**
  * Get all users (admin only)
@@ -365,6 +368,11 @@ const updateUserRole = async (req, res) => {
       });
     }
     
+    // Force the user to log in again so new tokens carry the new role
+    if (userExists.role !== role) {
+      await revokeUserSessions(updatedUser.user_id, 'role_changed');
+    }
+    
     return res.status(200).json({
       success: true,
       message: 'Role berhasil diupdate',
@@ -379,10 +387,65 @@ const updateUserRole = async (req, res) => {
   }
 };
 
+/**
+ * Unlock an account locked after failed logins (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if user exists
+    const { data: user, error: checkError } = await supabase
+      .from('users')
+      .select('user_id, email')
+      .eq('user_id', id)
+      .single();
+    
+    if (checkError || !user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User tidak ditemukan'
+      });
+    }
+    
+    const { error: unlockError } = await clearAccountFailures(user.email);
+    
+    if (unlockError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat membuka kunci akun'
+      });
+    }
+    
+    await logAuthEvent({
+      type: 'account_unlocked',
+      email: user.email,
+      userId: user.user_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { unlocked_by: req.user.user_id }
+    });
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Akun berhasil dibuka kuncinya'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
   updateUserProfile,
   changePassword,
-  updateUserRole
+  updateUserRole,
+  unlockUser
 };
\ No newline at end of file
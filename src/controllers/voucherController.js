@@ -0,0 +1,471 @@
+const supabase = require('../config/supabase');
+const { validationResult } = require('express-validator');
+
+/**
+ * @module VoucherController
+ * @description Admin management of vouchers / discount codes
+ */
+
+const VOUCHER_FIELDS = [
+  'description',
+  'discount_type',
+  'discount_value',
+  'max_discount',
+  'min_spend',
+  'usage_limit',
+  'usage_limit_per_user',
+  'starts_at',
+  'ends_at',
+  'is_active'
+];
+
+/**
+ * Replace the product and category restrictions of a voucher
+ * @param {Number} voucherId - Voucher ID
+ * @param {Object} restrictions - Restrictions from the request body
+ * @param {Array} [restrictions.productIds] - Products the voucher is limited to
+ * @param {Array} [restrictions.categoryIds] - Categories (with subcategories) the voucher is limited to
+ * @returns {Promise<Object>} Object with an error property when saving failed
+ */
+const saveVoucherRestrictions = async (voucherId, { productIds, categoryIds }) => {
+  const tables = [
+    { name: 'voucher_products', column: 'product_id', ids: productIds },
+    { name: 'voucher_categories', column: 'category_id', ids: categoryIds }
+  ];
+
+  for (const table of tables) {
+    // Undefined keeps the current restrictions, an empty array removes them
+    if (table.ids === undefined) {
+      continue;
+    }
+
+    const { error: deleteError } = await supabase
+      .from(table.name)
+      .delete()
+      .eq('voucher_id', voucherId);
+
+    if (deleteError) {
+      return { error: deleteError };
+    }
+
+    if (table.ids.length > 0) {
+      const { error: insertError } = await supabase
+        .from(table.name)
+        .insert([...new Set(table.ids)].map(id => ({ voucher_id: voucherId, [table.column]: id })));
+
+      if (insertError) {
+        return { error: insertError };
+      }
+    }
+  }
+
+  return { error: null };
+};
+
+/**
+ * Fetch a voucher with its restrictions
+ * @param {Number} voucherId - Voucher ID
+ * @returns {Promise<Object>} { data, error }
+ */
+const fetchVoucher = async (voucherId) => {
+  const { data, error } = await supabase
+    .from('vouchers')
+    .select(`
+      *,
+      voucher_products(product_id),
+      voucher_categories(category_id)
+    `)
+    .eq('voucher_id', voucherId)
+    .single();
+
+  if (error || !data) {
+    return { data: null, error };
+  }
+
+  const { voucher_products: products, voucher_categories: categories, ...voucher } = data;
+
+  return {
+    data: {
+      ...voucher,
+      product_ids: (products || []).map(row => row.product_id),
+      category_ids: (categories || []).map(row => row.category_id)
+    },
+    error: null
+  };
+};
+
+/**
+ * Check whether another voucher already uses a code
+ * @param {String} code - Voucher code (uppercase)
+ * @param {Number} [excludeId] - Voucher being updated
+ * @returns {Promise<Object>} { exists, error }
+ */
+const codeExists = async (code, excludeId) => {
+  let query = supabase
+    .from('vouchers')
+    .select('voucher_id')
+    .eq('code', code)
+    .limit(1);
+
+  if (excludeId) {
+    query = query.neq('voucher_id', excludeId);
+  }
+
+  const { data, error } = await query;
+
+  return { exists: Boolean(data && data.length > 0), error };
+};
+
+/**
+ * Get all vouchers (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllVouchers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const { active, search } = req.query;
+    
+    let query = supabase
+      .from('vouchers')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    
+    if (active !== undefined) {
+      query = query.eq('is_active', active === 'true');
+    }
+    
+    if (search) {
+      query = query.ilike('code', `%${search.replace(/[\\%_]/g, match => `\\${match}`)}%`);
+    }
+    
+    const { data: vouchers, error, count: totalCount } = await query;
+    
+    if (error) {
+      console.error('Error fetching vouchers:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil voucher'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      vouchers,
+      pagination: {
+        page,
+        limit,
+        total: totalCount || 0,
+        pages: Math.ceil((totalCount || 0) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get all vouchers error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get voucher by ID with its restrictions (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getVoucherById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: voucher, error } = await fetchVoucher(id);
+    
+    if (error || !voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher tidak ditemukan'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      voucher
+    });
+  } catch (error) {
+    console.error('Get voucher by ID error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a new voucher (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createVoucher = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const code = req.body.code.toUpperCase();
+    
+    const { exists, error: checkError } = await codeExists(code);
+    
+    if (checkError) {
+      console.error('Error checking voucher code:', checkError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memeriksa kode voucher'
+      });
+    }
+    
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Kode voucher sudah digunakan'
+      });
+    }
+    
+    const voucherData = { code };
+    for (const field of VOUCHER_FIELDS) {
+      if (req.body[field] !== undefined) voucherData[field] = req.body[field];
+    }
+    
+    const { data: newVoucher, error: insertError } = await supabase
+      .from('vouchers')
+      .insert(voucherData)
+      .select('voucher_id')
+      .single();
+    
+    if (insertError) {
+      console.error('Error creating voucher:', insertError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat membuat voucher'
+      });
+    }
+    
+    const { error: restrictionError } = await saveVoucherRestrictions(newVoucher.voucher_id, {
+      productIds: req.body.product_ids,
+      categoryIds: req.body.category_ids
+    });
+    
+    if (restrictionError) {
+      console.error('Error saving voucher restrictions:', restrictionError);
+      await supabase
+        .from('vouchers')
+        .delete()
+        .eq('voucher_id', newVoucher.voucher_id);
+      
+      return res.status(400).json({
+        success: false,
+        message: 'Produk atau kategori voucher tidak valid'
+      });
+    }
+    
+    const { data: voucher } = await fetchVoucher(newVoucher.voucher_id);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Voucher berhasil dibuat',
+      voucher
+    });
+  } catch (error) {
+    console.error('Create voucher error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Update a voucher (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateVoucher = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id } = req.params;
+    
+    const { data: voucherExists, error: checkError } = await supabase
+      .from('vouchers')
+      .select('voucher_id')
+      .eq('voucher_id', id)
+      .single();
+    
+    if (checkError || !voucherExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher tidak ditemukan'
+      });
+    }
+    
+    const updateData = { updated_at: new Date() };
+    
+    if (req.body.code) {
+      const code = req.body.code.toUpperCase();
+      const { exists, error: codeError } = await codeExists(code, id);
+      
+      if (codeError) {
+        console.error('Error checking voucher code:', codeError);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat memeriksa kode voucher'
+        });
+      }
+      
+      if (exists) {
+        return res.status(400).json({
+          success: false,
+          message: 'Kode voucher sudah digunakan'
+        });
+      }
+      
+      updateData.code = code;
+    }
+    
+    for (const field of VOUCHER_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+    
+    const { error: updateError } = await supabase
+      .from('vouchers')
+      .update(updateData)
+      .eq('voucher_id', id);
+    
+    if (updateError) {
+      console.error('Error updating voucher:', updateError);
+      return res.status(updateError.code === '23514' ? 400 : 500).json({
+        success: false,
+        message: updateError.code === '23514'
+          ? 'Data voucher tidak valid'
+          : 'Server error saat mengupdate voucher'
+      });
+    }
+    
+    const { error: restrictionError } = await saveVoucherRestrictions(id, {
+      productIds: req.body.product_ids,
+      categoryIds: req.body.category_ids
+    });
+    
+    if (restrictionError) {
+      console.error('Error saving voucher restrictions:', restrictionError);
+      return res.status(400).json({
+        success: false,
+        message: 'Produk atau kategori voucher tidak valid'
+      });
+    }
+    
+    const { data: voucher } = await fetchVoucher(id);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Voucher berhasil diupdate',
+      voucher
+    });
+  } catch (error) {
+    console.error('Update voucher error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a voucher (admin only). Vouchers that were already used are
+ * deactivated instead, so orders keep their voucher reference.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteVoucher = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: voucher, error: checkError } = await supabase
+      .from('vouchers')
+      .select('voucher_id, used_count')
+      .eq('voucher_id', id)
+      .single();
+    
+    if (checkError || !voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher tidak ditemukan'
+      });
+    }
+    
+    if (voucher.used_count > 0) {
+      const { error: deactivateError } = await supabase
+        .from('vouchers')
+        .update({ is_active: false, updated_at: new Date() })
+        .eq('voucher_id', id);
+      
+      if (deactivateError) {
+        console.error('Error deactivating voucher:', deactivateError);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat menonaktifkan voucher'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Voucher sudah pernah digunakan, voucher dinonaktifkan'
+      });
+    }
+    
+    const { error: deleteError } = await supabase
+      .from('vouchers')
+      .delete()
+      .eq('voucher_id', id);
+    
+    if (deleteError) {
+      console.error('Error deleting voucher:', deleteError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menghapus voucher'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Voucher berhasil dihapus'
+    });
+  } catch (error) {
+    console.error('Delete voucher error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getAllVouchers,
+  getVoucherById,
+  createVoucher,
+  updateVoucher,
+  deleteVoucher
+};
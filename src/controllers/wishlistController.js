@@ -0,0 +1,401 @@
+const supabase = require('../config/supabase');
+const { validationResult } = require('express-validator');
+const { getAvailableStock, addItemToCart } = require('../services/cartService');
+const { getPrimaryImageUrl } = require('../utils/productMapper');
+
+/**
+ * @module WishlistController
+ * @description Controller for the customer wishlist (favorites)
+ */
+
+/**
+ * Get all items in user's wishlist
+ * @function getWishlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with wishlist items
+ */
+const getWishlist = async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    
+    const { data: wishlistItems, error } = await supabase
+      .from('wishlist_items')
+      .select(`
+        wishlist_item_id,
+        product_id,
+        variant_id,
+        size,
+        notify_back_in_stock,
+        back_in_stock_at,
+        created_at,
+        products(
+          product_id,
+          name,
+          price,
+          stock,
+          is_active,
+          product_images(image_id, image_url, sort_order, is_primary)
+        ),
+        product_variants(variant_id, sku, color, size, price, image_url, stock)
+      `)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      console.error('Error fetching wishlist:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengambil wishlist'
+      });
+    }
+    
+    const items = [];
+    
+    for (const item of wishlistItems) {
+      const product = item.products;
+      const variant = item.product_variants;
+      const { stock } = await getAvailableStock(product, {
+        variantId: item.variant_id,
+        size: item.size
+      });
+      
+      items.push({
+        wishlist_item_id: item.wishlist_item_id,
+        product_id: item.product_id,
+        variant_id: item.variant_id,
+        size: item.size,
+        notify_back_in_stock: item.notify_back_in_stock,
+        back_in_stock: Boolean(item.back_in_stock_at),
+        available: product.is_active && stock > 0,
+        product: {
+          id: product.product_id,
+          name: product.name,
+          price: variant && variant.price !== null ? variant.price : product.price,
+          image: (variant && variant.image_url) || getPrimaryImageUrl(product.product_images),
+          stock: stock || 0,
+          is_active: product.is_active
+        },
+        added_at: item.created_at
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      items,
+      count: items.length
+    });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Add item to wishlist. Adding an item that is already wishlisted only
+ * updates its back-in-stock preference.
+ * @function addToWishlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the wishlist item
+ */
+const addToWishlist = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const userId = req.user.user_id;
+    const { product_id, variant_id, size, notify_back_in_stock = false } = req.body;
+    
+    // Verify product exists
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select('product_id, name, stock, is_active')
+      .eq('product_id', product_id)
+      .single();
+    
+    if (productError || !product || !product.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produk tidak ditemukan'
+      });
+    }
+    
+    // Verify the variant or size exists (out-of-stock items can be wishlisted)
+    const { variant, notFoundMessage } = await getAvailableStock(product, {
+      variantId: variant_id,
+      size
+    });
+    
+    if (notFoundMessage) {
+      return res.status(404).json({
+        success: false,
+        message: notFoundMessage
+      });
+    }
+    
+    // Check if item already exists in wishlist
+    let existingQuery = supabase
+      .from('wishlist_items')
+      .select('wishlist_item_id')
+      .eq('user_id', userId)
+      .eq('product_id', product_id);
+    
+    if (variant) {
+      existingQuery = existingQuery.eq('variant_id', variant.variant_id);
+    } else {
+      existingQuery = existingQuery.is('variant_id', null);
+      existingQuery = size ? existingQuery.eq('size', size) : existingQuery.is('size', null);
+    }
+    
+    const { data: existingItem, error: checkError } = await existingQuery.maybeSingle();
+    
+    if (checkError) {
+      console.error('Error checking existing wishlist item:', checkError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat memeriksa wishlist'
+      });
+    }
+    
+    if (existingItem) {
+      const { data: updatedItem, error: updateError } = await supabase
+        .from('wishlist_items')
+        .update({ notify_back_in_stock })
+        .eq('wishlist_item_id', existingItem.wishlist_item_id)
+        .select('*')
+        .single();
+      
+      if (updateError) {
+        console.error('Error updating wishlist item:', updateError);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error saat mengupdate wishlist'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Item sudah ada di wishlist',
+        item: updatedItem
+      });
+    }
+    
+    const { data: newItem, error: insertError } = await supabase
+      .from('wishlist_items')
+      .insert({
+        user_id: userId,
+        product_id,
+        variant_id: variant ? variant.variant_id : null,
+        // A variant carries its own size
+        size: variant ? variant.size : (size || null),
+        notify_back_in_stock
+      })
+      .select('*')
+      .single();
+    
+    if (insertError) {
+      console.error('Error adding item to wishlist:', insertError);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menambah item ke wishlist'
+      });
+    }
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Item berhasil ditambahkan ke wishlist',
+      item: newItem
+    });
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Remove item from wishlist
+ * @function removeFromWishlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with status
+ */
+const removeFromWishlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.user_id;
+    
+    const { data: removedItem, error } = await supabase
+      .from('wishlist_items')
+      .delete()
+      .eq('wishlist_item_id', id)
+      .eq('user_id', userId)
+      .select('wishlist_item_id')
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Error removing wishlist item:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat menghapus item wishlist'
+      });
+    }
+    
+    if (!removedItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item wishlist tidak ditemukan'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Item berhasil dihapus dari wishlist'
+    });
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Clear user's wishlist
+ * @function clearWishlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with status
+ */
+const clearWishlist = async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    
+    const { error } = await supabase
+      .from('wishlist_items')
+      .delete()
+      .eq('user_id', userId);
+    
+    if (error) {
+      console.error('Error clearing wishlist:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error saat mengosongkan wishlist'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Wishlist berhasil dikosongkan'
+    });
+  } catch (error) {
+    console.error('Clear wishlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Move a wishlist item into the cart, with the same stock and size checks
+ * as adding to the cart. Items wishlisted without a size need one here.
+ * @function moveToCart
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the cart item
+ */
+const moveToCart = async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { id } = req.params;
+    const { quantity = 1 } = req.body;
+    const userId = req.user.user_id;
+    
+    const { data: wishlistItem, error: checkError } = await supabase
+      .from('wishlist_items')
+      .select('wishlist_item_id, product_id, variant_id, size')
+      .eq('wishlist_item_id', id)
+      .eq('user_id', userId)
+      .single();
+    
+    if (checkError || !wishlistItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item wishlist tidak ditemukan'
+      });
+    }
+    
+    const { data: added, error: addError } = await addItemToCart(userId, {
+      product_id: wishlistItem.product_id,
+      variant_id: wishlistItem.variant_id,
+      size: wishlistItem.variant_id ? null : (wishlistItem.size || req.body.size),
+      quantity
+    });
+    
+    if (addError) {
+      return res.status(addError.statusCode).json({
+        success: false,
+        message: addError.message
+      });
+    }
+    
+    const { error: deleteError } = await supabase
+      .from('wishlist_items')
+      .delete()
+      .eq('wishlist_item_id', wishlistItem.wishlist_item_id);
+    
+    if (deleteError) {
+      console.error('Error removing moved wishlist item:', deleteError);
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Item berhasil dipindahkan ke keranjang',
+      item: {
+        ...added.item,
+        product: {
+          id: added.product.product_id,
+          name: added.product.name,
+          price: added.price
+        },
+        subtotal: added.price * added.item.quantity
+      }
+    });
+  } catch (error) {
+    console.error('Move to cart error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  clearWishlist,
+  moveToCart
+};
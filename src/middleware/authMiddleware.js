@@ -1,5 +1,7 @@
 const { verifyToken } = require('../utils/jwtUtils');
 const supabase = require('../config/supabase');
+const mailConfig = require('../config/mailConfig');
+const { isSessionActive } = require('../services/sessionService');
 
 /**
  * Middleware untuk mengautentikasi user dengan JWT
@@ -23,7 +25,7 @@ const authenticate = async (req, res, next) => {
     // Cek apakah user masih ada di database
     const { data: user, error } = await supabase
       .from('users')
-      .select('user_id, email, username, role')
+      .select('user_id, email, username, role, email_verified_at')
       .eq('user_id', decoded.id)
       .single();
     
@@ -34,8 +36,26 @@ const authenticate = async (req, res, next) => {
       });
     }
     
+    // Token lama tidak berlaku lagi jika role user sudah berubah
+    if (decoded.role !== user.role) {
+      return res.status(401).json({
+        success: false,
+        message: 'Role user telah berubah, silakan login kembali'
+      });
+    }
+    
+    // Cek apakah sesi token masih aktif (belum logout atau dicabut)
+    const sessionActive = await isSessionActive(decoded.sid, user.user_id);
+    if (!sessionActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesi tidak valid atau telah berakhir'
+      });
+    }
+    
     // Tambahkan user ke dalam request
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -45,4 +65,18 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticate };
\ No newline at end of file
+/**
+ * Middleware untuk mewajibkan email terverifikasi (jika diaktifkan lewat REQUIRE_VERIFIED_EMAIL)
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (mailConfig.requireVerifiedEmailForOrders && !req.user.email_verified_at) {
+    return res.status(403).json({
+      success: false,
+      message: 'Verifikasi email Anda terlebih dahulu sebelum membuat order'
+    });
+  }
+  
+  next();
+};
+
+module.exports = { authenticate, requireVerifiedEmail };
\ No newline at end of file
@@ -0,0 +1,73 @@
+const multer = require('multer');
+const uploadConfig = require('../config/uploadConfig');
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Ukuran file maksimal ${uploadConfig.maxFileSizeMb} MB`,
+  LIMIT_FILE_COUNT: `Maksimal ${uploadConfig.maxFilesPerRequest} file per upload`,
+  LIMIT_UNEXPECTED_FILE: 'Field file tidak dikenali'
+};
+
+const upload = multer({
+  // File disimpan di memori dulu, diproses, lalu dikirim ke storage
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: uploadConfig.maxFileSizeMb * 1024 * 1024,
+    files: uploadConfig.maxFilesPerRequest
+  },
+  fileFilter: (req, file, cb) => {
+    if (!uploadConfig.allowedMimeTypes.includes(file.mimetype)) {
+      const error = new Error('Hanya file gambar JPEG, PNG atau WebP yang diizinkan');
+      error.statusCode = 400;
+      return cb(error);
+    }
+
+    cb(null, true);
+  }
+});
+
+/**
+ * Bungkus middleware multer agar error upload dikembalikan sebagai response 400
+ * @param {Function} handler - Middleware multer
+ * @returns {Function} Middleware
+ */
+const handleUploadErrors = (handler) => (req, res, next) => {
+  handler(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: MULTER_MESSAGES[err.code] || err.message
+      });
+    }
+
+    if (err.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    next(err);
+  });
+};
+
+/**
+ * Middleware untuk upload satu gambar
+ * @param {String} fieldName - Nama field multipart
+ * @returns {Function} Middleware
+ */
+const uploadImage = (fieldName) => handleUploadErrors(upload.single(fieldName));
+
+/**
+ * Middleware untuk upload beberapa gambar sekaligus
+ * @param {String} fieldName - Nama field multipart
+ * @returns {Function} Middleware
+ */
+const uploadImages = (fieldName) => handleUploadErrors(
+  upload.array(fieldName, uploadConfig.maxFilesPerRequest)
+);
+
+module.exports = { uploadImage, uploadImages };
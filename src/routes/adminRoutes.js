@@ -0,0 +1,85 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const {
+  getRevenue,
+  getTopProducts,
+  getTopSizes,
+  getRevenueByCategory,
+  getStatusBreakdown,
+  getCustomerStats
+} = require('../controllers/analyticsController');
+const { getPaymentsNeedingRefund, resolvePaymentRefund } = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Validation rules
+const dateRangeValidation = [
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Tanggal awal harus berformat YYYY-MM-DD'),
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Tanggal akhir harus berformat YYYY-MM-DD')
+];
+
+const revenueValidation = [
+  ...dateRangeValidation,
+  query('interval')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Interval harus day, week atau month')
+];
+
+const topValidation = [
+  ...dateRangeValidation,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit harus antara 1-100')
+];
+
+const paymentRefundListValidation = [
+  query('resolved')
+    .optional()
+    .isBoolean()
+    .withMessage('resolved harus berupa boolean')
+    .toBoolean(),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Halaman harus minimal 1')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit harus antara 1-100')
+    .toInt()
+];
+
+const paymentRefundResolveValidation = body('note')
+  .optional()
+  .isLength({ max: 500 })
+  .withMessage('Catatan maksimal 500 karakter');
+
+// All admin routes require an admin
+router.use(authenticate, authorize(['admin']));
+
+// Sales analytics
+router.get('/analytics/revenue', revenueValidation, getRevenue);
+router.get('/analytics/top-products', topValidation, getTopProducts);
+router.get('/analytics/top-sizes', topValidation, getTopSizes);
+router.get('/analytics/revenue-by-category', dateRangeValidation, getRevenueByCategory);
+router.get('/analytics/status-breakdown', dateRangeValidation, getStatusBreakdown);
+router.get('/analytics/customers', dateRangeValidation, getCustomerStats);
+
+// Gateway payments that must be refunded by hand
+router.get('/payments/refunds', paymentRefundListValidation, getPaymentsNeedingRefund);
+router.put('/payments/:id/refund-resolved', paymentRefundResolveValidation, resolvePaymentRefund);
+
+module.exports = router;
@@ -1,6 +1,17 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { register, login, getProfile } = require('../controllers/authController');
+const {
+  register,
+  login,
+  getProfile,
+  refreshToken,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
 const { authenticate } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -42,6 +53,39 @@ const loginValidation = [
     .withMessage('Password tidak boleh kosong')
 ];
 
+const refreshValidation = [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token tidak boleh kosong')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Email tidak valid')
+    .normalizeEmail()
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token tidak boleh kosong'),
+  body('new_password')
+    .isLength({ min: 6 })
+    .withMessage('Password baru minimal 6 karakter')
+    .matches(/\d/)
+    .withMessage('Password baru harus mengandung setidaknya 1 angka')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token tidak boleh kosong')
+];
+
 // Register route
 router.post('/register', registerValidation, register);
 
@@ -51,4 +95,15 @@ router.post('/login', loginValidation, login);
 // Get user profile route (protected by authentication)
 router.get('/profile', authenticate, getProfile);
 
+// Session routes
+router.post('/refresh', refreshValidation, refreshToken);
+router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+
+// Password reset and email verification routes
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.post('/verify-email', verifyEmailValidation, verifyEmail);
+router.post('/resend-verification', authenticate, resendVerification);
+
 module.exports = router;
\ No newline at end of file
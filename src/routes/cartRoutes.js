@@ -1,6 +1,6 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { authenticate } = require('../middleware/authMiddleware');
+const { body, query } = require('express-validator');
+const { authenticate, requireVerifiedEmail } = require('../middleware/authMiddleware');
 const {
   getCartItems,
   addToCart,
@@ -9,7 +9,10 @@ const {
   clearCart,
   getCartCount,
   getCartSummary,
-  getCartCheckout
+  getCartCheckout,
+  checkoutCart,
+  applyVoucher,
+  removeVoucher
 } = require('../controllers/cartController');
 
 const router = express.Router();
@@ -19,6 +22,10 @@ const addToCartValidation = [
   body('product_id')
     .isInt({ min: 1 })
     .withMessage('ID produk harus berupa ID yang valid'),
+  body('variant_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID varian harus berupa ID yang valid'),
   body('quantity')
     .isInt({ min: 1 })
     .withMessage('Jumlah harus minimal 1'),
@@ -28,6 +35,43 @@ const addToCartValidation = [
     .withMessage('Ukuran harus berupa string')
 ];
 
+const applyVoucherValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Kode voucher tidak boleh kosong')
+    .isLength({ max: 50 })
+    .withMessage('Kode voucher maksimal 50 karakter')
+];
+
+const checkoutValidation = [
+  body('address_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID alamat harus berupa ID yang valid')
+    .toInt(),
+  body('courier')
+    .trim()
+    .notEmpty()
+    .withMessage('Kurir pengiriman harus dipilih'),
+  body('service')
+    .trim()
+    .notEmpty()
+    .withMessage('Layanan pengiriman harus dipilih'),
+  body('payment_method')
+    .optional()
+    .isIn(['manual_transfer', 'gateway'])
+    .withMessage('Metode pembayaran harus manual_transfer atau gateway')
+];
+
+const checkoutPreviewValidation = [
+  query('address_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID alamat harus berupa ID yang valid')
+    .toInt()
+];
+
 const updateCartValidation = [
   body('quantity')
     .isInt({ min: 1 })
@@ -39,12 +83,15 @@ router.use(authenticate);
 
 // Cart endpoints
 router.get('/', getCartItems);
+router.post('/apply-voucher', applyVoucherValidation, applyVoucher);
+router.delete('/voucher', removeVoucher);
 router.post('/', addToCartValidation, addToCart);
 router.put('/:id', updateCartValidation, updateCartItem);
 router.delete('/:id', removeFromCart);
 router.delete('/', clearCart);
 router.get('/count', getCartCount);
 router.get('/summary', getCartSummary);
-router.get('/checkout', getCartCheckout);
+router.get('/checkout', checkoutPreviewValidation, getCartCheckout);
+router.post('/checkout', requireVerifiedEmail, checkoutValidation, checkoutCart);
 
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,7 @@ const { authenticate } = require('../middleware/authMiddleware');
 const { authorize } = require('../middleware/roleMiddleware');
 const {
   getAllCategories,
+  getCategoryTree,
   getCategoryById,
   createCategory,
   updateCategory,
@@ -21,11 +22,23 @@ const categoryValidation = [
   body('description')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Deskripsi kategori maksimal 500 karakter')
+    .withMessage('Deskripsi kategori maksimal 500 karakter'),
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('ID kategori induk harus berupa angka')
+    .toInt(),
+  body('slug')
+    .optional()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage('Slug hanya boleh berisi huruf kecil, angka dan tanda hubung')
+    .isLength({ max: 80 })
+    .withMessage('Slug maksimal 80 karakter')
 ];
 
 // Public routes
 router.get('/', getAllCategories);
+router.get('/tree', getCategoryTree);
 router.get('/:id', getCategoryById);
 router.get('/:id/products', getProductsByCategory);
 
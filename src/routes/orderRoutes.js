@@ -1,19 +1,42 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { authenticate } = require('../middleware/authMiddleware');
+const { body, query } = require('express-validator');
+const { authenticate, requireVerifiedEmail } = require('../middleware/authMiddleware');
 const { authorize } = require('../middleware/roleMiddleware');
+const { uploadImage, uploadImages } = require('../middleware/uploadMiddleware');
+const returnConfig = require('../config/returnConfig');
 const {
   getAllOrders,
   getUserOrders,
   getOrderById,
   createOrder,
   updateOrderStatus,
-  cancelOrder
+  cancelOrder,
+  updateReceiptNumber,
+  uploadPaymentProof,
+  verifyPayment,
+  getOrderHistory,
+  getAllowedOrderTransitions
 } = require('../controllers/orderController');
+const { createOrderPayment } = require('../controllers/paymentController');
+const { createReturnRequest } = require('../controllers/returnController');
+const { getOrderInvoice } = require('../controllers/invoiceController');
 
 const router = express.Router();
 
 // Validation rules
+const orderListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Halaman harus minimal 1')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit harus antara 1-100')
+    .toInt()
+];
+
 const orderValidation = [
   body('items')
     .isArray({ min: 1 })
@@ -21,19 +44,84 @@ const orderValidation = [
   body('items.*.product_id')
     .isInt({ min: 1 })
     .withMessage('ID produk harus berupa ID yang valid'),
+  body('items.*.variant_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID varian harus berupa ID yang valid'),
   body('items.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Jumlah item harus minimal 1'),
   body('items.*.size')
     .optional()
     .isString()
-    .withMessage('Ukuran harus berupa string')
+    .withMessage('Ukuran harus berupa string'),
+  body('voucher_code')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Kode voucher tidak boleh kosong')
+    .isLength({ max: 50 })
+    .withMessage('Kode voucher maksimal 50 karakter'),
+  body('address_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID alamat harus berupa ID yang valid')
+    .toInt(),
+  body('courier')
+    .trim()
+    .notEmpty()
+    .withMessage('Kurir pengiriman harus dipilih'),
+  body('service')
+    .trim()
+    .notEmpty()
+    .withMessage('Layanan pengiriman harus dipilih'),
+  body('payment_method')
+    .optional()
+    .isIn(['manual_transfer', 'gateway'])
+    .withMessage('Metode pembayaran harus manual_transfer atau gateway')
 ];
 
+const returnRequestValidation = [
+  // Multipart requests (with photos) send items as a JSON string
+  body('items')
+    .customSanitizer(value => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .isArray({ min: 1 })
+    .withMessage('Retur harus memiliki minimal 1 item'),
+  body('items.*.order_item_id')
+    .isInt({ min: 1 })
+    .withMessage('ID item order harus berupa ID yang valid')
+    .toInt(),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Jumlah retur harus minimal 1')
+    .toInt(),
+  body('reason_code')
+    .isIn(returnConfig.reasonCodes)
+    .withMessage(`Alasan retur harus salah satu dari: ${returnConfig.reasonCodes.join(', ')}`),
+  body('reason')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Keterangan retur maksimal 1000 karakter')
+];
+
+const noteValidation = body('note')
+  .optional()
+  .isString()
+  .isLength({ max: 500 })
+  .withMessage('Catatan maksimal 500 karakter');
+
 const statusValidation = [
   body('status')
     .isIn(['pending', 'processing', 'shipped', 'delivered', 'completed', 'cancelled', 'returned', 'refunded'])
-    .withMessage('Status tidak valid')
+    .withMessage('Status tidak valid'),
+  noteValidation
 ];
 
 
@@ -47,8 +135,10 @@ const receiptNumberValidation = [
     .withMessage('Nomor resi harus antara 3-50 karakter')
 ];
 
+// Payment proof is either an uploaded file (payment_proof) or a URL
 const paymentProofValidation = [
   body('payment_proof_url')
+    .if((value, { req }) => !req.file)
     .notEmpty()
     .withMessage('URL bukti pembayaran tidak boleh kosong')
     .isURL()
@@ -58,18 +148,27 @@ const paymentProofValidation = [
 const verifyPaymentValidation = [
   body('verification_status')
     .isIn(['verified', 'rejected'])
-    .withMessage('Status verifikasi harus verified atau rejected')
+    .withMessage('Status verifikasi harus verified atau rejected'),
+  noteValidation
 ];
 
 
 // Protected routes (all users)
-router.get('/me', authenticate, getUserOrders);
+router.get('/me', authenticate, orderListValidation, getUserOrders);
 router.get('/:id', authenticate, getOrderById);
-router.post('/', authenticate, orderValidation, createOrder);
-router.post('/:id/cancel', authenticate, cancelOrder);
+router.get('/:id/history', authenticate, getOrderHistory);
+router.get('/:id/invoice.pdf', authenticate, getOrderInvoice);
+router.get('/:id/allowed-transitions', authenticate, getAllowedOrderTransitions);
+router.post('/', authenticate, requireVerifiedEmail, orderValidation, createOrder);
+router.post('/:id/cancel', authenticate, [noteValidation], cancelOrder);
+router.post('/:id/payment-session', authenticate, createOrderPayment);
+router.post('/:id/returns', authenticate, uploadImages('photos'), returnRequestValidation, createReturnRequest);
+router.post('/:id/payment-proof', authenticate, uploadImage('payment_proof'), paymentProofValidation, uploadPaymentProof);
 
 // Admin routes
-router.get('/', authenticate, authorize(['admin']), getAllOrders);
+router.get('/', authenticate, authorize(['admin']), orderListValidation, getAllOrders);
 router.put('/:id/status', authenticate, authorize(['admin']), statusValidation, updateOrderStatus);
+router.put('/:id/receipt', authenticate, authorize(['admin']), receiptNumberValidation, updateReceiptNumber);
+router.put('/:id/payment/verify', authenticate, authorize(['admin']), verifyPaymentValidation, verifyPayment);
 
 module.exports = router;
\ No newline at end of file
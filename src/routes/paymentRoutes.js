@@ -0,0 +1,9 @@
+const express = require('express');
+const { handlePaymentWebhook } = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Called by the payment gateway; authenticated by the request signature
+router.post('/webhook', handlePaymentWebhook);
+
+module.exports = router;
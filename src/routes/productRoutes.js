@@ -1,14 +1,28 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { authenticate } = require('../middleware/authMiddleware');
 const { authorize } = require('../middleware/roleMiddleware');
+const { uploadImages } = require('../middleware/uploadMiddleware');
+const { SORT_OPTIONS } = require('../utils/productFilters');
 const {
   getAllProducts,
+  getProductFacets,
   getProductById,
   createProduct,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  restoreProduct
 } = require('../controllers/productController');
+const {
+  uploadProductImages,
+  reorderProductImages,
+  setPrimaryProductImage,
+  deleteProductImage
+} = require('../controllers/productImageController');
+const {
+  getProductReviews,
+  createProductReview
+} = require('../controllers/reviewController');
 
 const router = express.Router();
 
@@ -29,6 +43,10 @@ const productValidation = [
     .optional()
     .isInt({ min: 0 })
     .withMessage('Stok tidak boleh negatif'),
+  body('weight_grams')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Berat produk tidak boleh negatif'),
   body('category_id')
     .isInt()
     .withMessage('Kategori harus berupa ID yang valid'),
@@ -47,16 +65,122 @@ const productValidation = [
   body('images')
     .optional()
     .isArray()
-    .withMessage('Gambar harus berupa array URL')
+    .withMessage('Gambar harus berupa array URL'),
+  body('variants')
+    .optional()
+    .isArray()
+    .withMessage('Varian harus berupa array'),
+  body('variants.*.sku')
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('SKU varian harus antara 1-64 karakter'),
+  body('variants.*.color')
+    .optional()
+    .isString()
+    .withMessage('Warna varian harus berupa string'),
+  body('variants.*.size')
+    .optional()
+    .isString()
+    .withMessage('Ukuran varian harus berupa string'),
+  body('variants.*.price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Harga varian tidak boleh negatif'),
+  body('variants.*.weight_grams')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Berat varian tidak boleh negatif'),
+  body('variants.*.image_url')
+    .optional({ nullable: true })
+    .isURL()
+    .withMessage('URL gambar varian tidak valid'),
+  body('variants.*.stock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Stok varian tidak boleh negatif')
+];
+
+const productListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Halaman harus minimal 1')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit harus antara 1-100')
+    .toInt(),
+  query('min_price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Harga minimum tidak valid'),
+  query('max_price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Harga maksimum tidak valid'),
+  query('in_stock')
+    .optional()
+    .isIn(['true', 'false', '1', '0'])
+    .withMessage('in_stock harus true atau false'),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(SORT_OPTIONS))
+    .withMessage('Pilihan urutan tidak valid'),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Kata kunci pencarian maksimal 100 karakter')
+];
+
+const facetValidation = [
+  ...productListValidation,
+  query('price_buckets')
+    .optional()
+    .matches(/^\d+(\.\d+)?(,\d+(\.\d+)?)*$/)
+    .withMessage('price_buckets harus berupa daftar angka dipisahkan koma')
+];
+
+const imageOrderValidation = [
+  body('image_ids')
+    .isArray({ min: 1 })
+    .withMessage('image_ids harus berupa array yang tidak kosong'),
+  body('image_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('ID gambar harus berupa angka')
+    .toInt()
+];
+
+const reviewValidation = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating harus antara 1-5')
+    .toInt(),
+  body('review_text')
+    .optional()
+    .isString()
+    .withMessage('Ulasan harus berupa string')
+    .isLength({ max: 2000 })
+    .withMessage('Ulasan maksimal 2000 karakter')
 ];
 
 // Public routes
-router.get('/', getAllProducts);
+router.get('/', productListValidation, getAllProducts);
+router.get('/facets', facetValidation, getProductFacets);
 router.get('/:id', getProductById);
+router.get('/:id/reviews', getProductReviews);
+
+// Protected routes (all users)
+router.post('/:id/reviews', authenticate, uploadImages('photos'), reviewValidation, createProductReview);
 
 // Protected routes (admin only)
 router.post('/', authenticate, authorize(['admin']), productValidation, createProduct);
 router.put('/:id', authenticate, authorize(['admin']), productValidation, updateProduct);
 router.delete('/:id', authenticate, authorize(['admin']), deleteProduct);
+router.post('/:id/restore', authenticate, authorize(['admin']), restoreProduct);
+router.post('/:id/images', authenticate, authorize(['admin']), uploadImages('images'), uploadProductImages);
+router.put('/:id/images/order', authenticate, authorize(['admin']), imageOrderValidation, reorderProductImages);
+router.put('/:id/images/:imageId/primary', authenticate, authorize(['admin']), setPrimaryProductImage);
+router.delete('/:id/images/:imageId', authenticate, authorize(['admin']), deleteProductImage);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,83 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const returnConfig = require('../config/returnConfig');
+const {
+  getReturnRequests,
+  getReturnRequestById,
+  reviewReturnRequest,
+  receiveReturnRequest,
+  refundReturnRequest
+} = require('../controllers/returnController');
+
+const router = express.Router();
+
+// Validation rules
+const returnListValidation = [
+  query('status')
+    .optional()
+    .isIn(['requested', 'approved', 'rejected', 'received', 'refunded'])
+    .withMessage('Status retur tidak valid'),
+  query('order_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID order harus berupa ID yang valid'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Halaman harus minimal 1')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit harus antara 1-100')
+    .toInt()
+];
+
+const noteValidation = body('note')
+  .optional()
+  .isLength({ max: 500 })
+  .withMessage('Catatan maksimal 500 karakter');
+
+const reviewValidation = [
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status harus approved atau rejected'),
+  noteValidation
+];
+
+const receiveValidation = [
+  body('restock')
+    .optional()
+    .isBoolean()
+    .withMessage('restock harus berupa boolean')
+    .toBoolean(),
+  noteValidation
+];
+
+const refundValidation = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Jumlah refund harus lebih dari 0')
+    .toFloat(),
+  body('method')
+    .isIn(returnConfig.refundMethods)
+    .withMessage(`Metode refund harus salah satu dari: ${returnConfig.refundMethods.join(', ')}`),
+  body('reference')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Referensi refund maksimal 100 karakter'),
+  noteValidation
+];
+
+// Protected routes (customers see their own returns)
+router.get('/', authenticate, returnListValidation, getReturnRequests);
+router.get('/:id', authenticate, getReturnRequestById);
+
+// Admin routes
+router.put('/:id/review', authenticate, authorize(['admin']), reviewValidation, reviewReturnRequest);
+router.put('/:id/receive', authenticate, authorize(['admin']), receiveValidation, receiveReturnRequest);
+router.put('/:id/refund', authenticate, authorize(['admin']), refundValidation, refundReturnRequest);
+
+module.exports = router;
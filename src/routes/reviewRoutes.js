@@ -0,0 +1,44 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const {
+  getReviewsForModeration,
+  moderateReview,
+  deleteReview
+} = require('../controllers/reviewController');
+
+const router = express.Router();
+
+// Validation rules
+const moderationListValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status ulasan tidak valid'),
+  query('product_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID produk harus berupa ID yang valid')
+];
+
+const moderationValidation = [
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status harus approved atau rejected'),
+  body('note')
+    .optional()
+    .isString()
+    .withMessage('Catatan harus berupa string')
+    .isLength({ max: 500 })
+    .withMessage('Catatan maksimal 500 karakter')
+];
+
+// Protected routes (all users)
+router.delete('/:id', authenticate, deleteReview);
+
+// Admin routes
+router.get('/', authenticate, authorize(['admin']), moderationListValidation, getReviewsForModeration);
+router.put('/:id/moderation', authenticate, authorize(['admin']), moderationValidation, moderateReview);
+
+module.exports = router;
\ No newline at end of file
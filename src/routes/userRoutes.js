@@ -7,8 +7,16 @@ const {
   getUserById,
   updateUserProfile,
   changePassword,
-  updateUserRole
+  updateUserRole,
+  unlockUser
 } = require('../controllers/userController');
+const {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+} = require('../controllers/addressController');
 
 const router = express.Router();
 
@@ -42,6 +50,44 @@ const passwordValidation = [
     .withMessage('Password baru harus mengandung setidaknya 1 angka')
 ];
 
+// Address fields are required on create; on update only the sent fields are checked
+const addressValidation = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  
+  return [
+    body('label')
+      .optional()
+      .isLength({ max: 50 })
+      .withMessage('Label alamat maksimal 50 karakter'),
+    field('recipient_name')
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Nama penerima harus antara 2-100 karakter'),
+    field('phone')
+      .isMobilePhone('any')
+      .withMessage('Nomor telepon tidak valid'),
+    field('street_address')
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Alamat lengkap harus antara 5-500 karakter'),
+    field('province')
+      .notEmpty()
+      .withMessage('Provinsi tidak boleh kosong'),
+    field('city')
+      .notEmpty()
+      .withMessage('Kota/kabupaten tidak boleh kosong'),
+    field('district')
+      .notEmpty()
+      .withMessage('Kecamatan tidak boleh kosong'),
+    field('postal_code')
+      .matches(/^\d{5}$/)
+      .withMessage('Kode pos harus 5 digit angka'),
+    body('is_default')
+      .optional()
+      .isBoolean()
+      .withMessage('is_default harus berupa boolean')
+      .toBoolean()
+  ];
+};
+
 const roleValidation = [
   body('role')
     .isIn(['admin', 'customer'])
@@ -51,10 +97,18 @@ const roleValidation = [
 // Admin routes
 router.get('/', authenticate, authorize(['admin']), getAllUsers);
 router.put('/:id/role', authenticate, authorize(['admin']), roleValidation, updateUserRole);
+router.post('/:id/unlock', authenticate, authorize(['admin']), unlockUser);
 
 // Protected routes (user can access their own data)
 router.get('/:id', authenticate, getUserById);
 router.put('/:id', authenticate, profileValidation, updateUserProfile);
 router.put('/:id/password', authenticate, passwordValidation, changePassword);
 
+// Address book (user can access their own addresses)
+router.get('/:id/addresses', authenticate, getAddresses);
+router.post('/:id/addresses', authenticate, addressValidation(true), createAddress);
+router.put('/:id/addresses/:addressId', authenticate, addressValidation(false), updateAddress);
+router.put('/:id/addresses/:addressId/default', authenticate, setDefaultAddress);
+router.delete('/:id/addresses/:addressId', authenticate, deleteAddress);
+
 module.exports = router;
\ No newline at end of file
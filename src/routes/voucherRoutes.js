@@ -0,0 +1,101 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const {
+  getAllVouchers,
+  getVoucherById,
+  createVoucher,
+  updateVoucher,
+  deleteVoucher
+} = require('../controllers/voucherController');
+
+const router = express.Router();
+
+// Validation rules (shared by create and update; create requires the core fields)
+const voucherFieldValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,50}$/)
+    .withMessage('Kode voucher harus 3-50 karakter huruf, angka, - atau _'),
+  body('discount_type')
+    .optional()
+    .isIn(['percentage', 'fixed', 'free_shipping'])
+    .withMessage('Tipe diskon harus percentage, fixed atau free_shipping'),
+  body('discount_value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Nilai diskon tidak boleh negatif')
+    .custom((value, { req }) => req.body.discount_type !== 'percentage' || Number(value) <= 100)
+    .withMessage('Diskon persentase maksimal 100'),
+  body('max_discount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Maksimal diskon tidak boleh negatif'),
+  body('min_spend')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum belanja tidak boleh negatif'),
+  body('usage_limit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Batas penggunaan minimal 1'),
+  body('usage_limit_per_user')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Batas penggunaan per user minimal 1'),
+  body('starts_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Tanggal mulai tidak valid'),
+  body('ends_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Tanggal berakhir tidak valid')
+    .custom((value, { req }) => !req.body.starts_at || new Date(value) > new Date(req.body.starts_at))
+    .withMessage('Tanggal berakhir harus setelah tanggal mulai'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active harus berupa boolean'),
+  body('product_ids')
+    .optional()
+    .isArray()
+    .withMessage('product_ids harus berupa array'),
+  body('product_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('ID produk harus berupa ID yang valid'),
+  body('category_ids')
+    .optional()
+    .isArray()
+    .withMessage('category_ids harus berupa array'),
+  body('category_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('ID kategori harus berupa ID yang valid')
+];
+
+const createVoucherValidation = [
+  body('code')
+    .notEmpty()
+    .withMessage('Kode voucher tidak boleh kosong'),
+  body('discount_type')
+    .notEmpty()
+    .withMessage('Tipe diskon tidak boleh kosong'),
+  body('discount_value')
+    .if(body('discount_type').not().equals('free_shipping'))
+    .notEmpty()
+    .withMessage('Nilai diskon tidak boleh kosong'),
+  ...voucherFieldValidation
+];
+
+// All voucher management routes are admin only
+router.use(authenticate, authorize(['admin']));
+
+router.get('/', getAllVouchers);
+router.get('/:id', getVoucherById);
+router.post('/', createVoucherValidation, createVoucher);
+router.put('/:id', voucherFieldValidation, updateVoucher);
+router.delete('/:id', deleteVoucher);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,56 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticate } = require('../middleware/authMiddleware');
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  clearWishlist,
+  moveToCart
+} = require('../controllers/wishlistController');
+
+const router = express.Router();
+
+// Validation rules
+const addToWishlistValidation = [
+  body('product_id')
+    .isInt({ min: 1 })
+    .withMessage('ID produk harus berupa ID yang valid'),
+  body('variant_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID varian harus berupa ID yang valid'),
+  body('size')
+    .optional()
+    .isString()
+    .withMessage('Ukuran harus berupa string'),
+  body('notify_back_in_stock')
+    .optional()
+    .isBoolean()
+    .withMessage('notify_back_in_stock harus berupa boolean')
+    .toBoolean()
+];
+
+const moveToCartValidation = [
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Jumlah harus minimal 1')
+    .toInt(),
+  body('size')
+    .optional()
+    .isString()
+    .withMessage('Ukuran harus berupa string')
+];
+
+// All wishlist routes are protected and require authentication
+router.use(authenticate);
+
+// Wishlist endpoints
+router.get('/', getWishlist);
+router.post('/', addToWishlistValidation, addToWishlist);
+router.delete('/', clearWishlist);
+router.delete('/:id', removeFromWishlist);
+router.post('/:id/move-to-cart', moveToCartValidation, moveToCart);
+
+module.exports = router;
\ No newline at end of file
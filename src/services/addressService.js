@@ -0,0 +1,46 @@
+const supabase = require('../config/supabase');
+
+/**
+ * @module AddressService
+ * @description Shipping address snapshots for orders. The snapshot is built
+ * by the address_snapshot database function, which checkout_cart uses too.
+ */
+
+/**
+ * Message for a missing shipping address
+ * @param {Number} [addressId] - Requested address ID
+ * @returns {String} Error message
+ */
+const getAddressNotFoundMessage = (addressId) => (
+  addressId
+    ? 'Alamat pengiriman tidak ditemukan'
+    : 'Belum ada alamat utama, tambahkan alamat pengiriman terlebih dahulu'
+);
+
+/**
+ * Get a copy of one of the user's addresses (the default address when no
+ * address_id is given), to be stored on an order
+ * @param {Number} userId - Address owner
+ * @param {Number} [addressId] - Address ID
+ * @returns {Promise<Object>} { data: snapshot, error } where error has statusCode and message
+ */
+const getAddressSnapshot = async (userId, addressId) => {
+  const { data, error } = await supabase
+    .rpc('address_snapshot', { p_user_id: userId, p_address_id: addressId || null });
+
+  if (error) {
+    if (error.message === 'ADDRESS_NOT_FOUND') {
+      return { data: null, error: { statusCode: 400, message: getAddressNotFoundMessage(addressId) } };
+    }
+
+    console.error(`Error fetching address snapshot for user ${userId}:`, error);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat mengambil alamat pengiriman' } };
+  }
+
+  return { data, error: null };
+};
+
+module.exports = {
+  getAddressSnapshot,
+  getAddressNotFoundMessage
+};
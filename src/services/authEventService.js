@@ -0,0 +1,36 @@
+const supabase = require('../config/supabase');
+
+/**
+ * @module AuthEventService
+ * @description Writes security-relevant authentication events to auth_events
+ */
+
+/**
+ * Log an authentication event. Failures are logged and never block the request.
+ * @param {Object} event - Event data
+ * @param {String} event.type - e.g. login_success, login_failure, login_locked, account_unlocked
+ * @param {String} [event.email] - Email the event relates to
+ * @param {Number} [event.userId] - User ID, when known
+ * @param {String} [event.ipAddress] - Client IP address
+ * @param {String} [event.userAgent] - Client User-Agent
+ * @param {Object} [event.details] - Extra data
+ */
+const logAuthEvent = async ({ type, email, userId, ipAddress, userAgent, details }) => {
+  const { error } = await supabase
+    .from('auth_events')
+    .insert({
+      event_type: type,
+      email: email || null,
+      user_id: userId || null,
+      ip_address: ipAddress || null,
+      user_agent: userAgent || null,
+      details: details || null,
+      created_at: new Date()
+    });
+
+  if (error) {
+    console.error(`Error logging auth event ${type}:`, error);
+  }
+};
+
+module.exports = { logAuthEvent };
@@ -0,0 +1,182 @@
+const supabase = require('../config/supabase');
+const { VARIANT_REQUIRED_MESSAGE, productHasVariants } = require('./productVariantService');
+
+/**
+ * @module CartService
+ * @description Cart operations shared by the cart and wishlist controllers.
+ * Functions return { data, error } where error has statusCode and message.
+ */
+
+/**
+ * Look up the stock available for a product, one of its variants or one of its sizes
+ * @param {Object} product - Product with product_id and stock
+ * @param {Object} selection - Selected variant_id or size (both optional)
+ * @returns {Promise<Object>} { stock, variant }, { notFoundMessage } if the selection doesn't
+ * exist, or { variantRequired: true } if the product has variants and none was selected
+ */
+const getAvailableStock = async (product, { variantId, size }) => {
+  if (variantId) {
+    // Check variant-specific stock
+    const { data: variant, error: variantError } = await supabase
+      .from('product_variants')
+      .select('variant_id, sku, color, size, price, stock')
+      .eq('variant_id', variantId)
+      .eq('product_id', product.product_id)
+      .eq('is_active', true)
+      .single();
+
+    if (variantError || !variant) {
+      return { notFoundMessage: 'Varian untuk produk ini tidak ditemukan' };
+    }
+
+    return { stock: variant.stock, variant };
+  }
+
+  // Products with variants keep their stock on the variants
+  const { hasVariants } = await productHasVariants(product.product_id);
+
+  if (hasVariants) {
+    return { variantRequired: true };
+  }
+
+  if (size) {
+    // Check size-specific stock
+    const { data: sizeData, error: sizeError } = await supabase
+      .from('product_sizes')
+      .select('size, stock')
+      .eq('product_id', product.product_id)
+      .eq('size', size)
+      .single();
+
+    if (sizeError || !sizeData) {
+      return { notFoundMessage: `Ukuran ${size} untuk produk ini tidak ditemukan` };
+    }
+
+    return { stock: sizeData.stock };
+  }
+
+  // General product stock
+  return { stock: product.stock };
+};
+
+/**
+ * Add an item to a user's cart, or raise the quantity of the matching line.
+ * Checks that the product is active and that the variant, size or product
+ * has enough stock for the resulting quantity.
+ * @param {Number} userId - Cart owner
+ * @param {Object} item - Item to add
+ * @param {Number} item.product_id - Product ID
+ * @param {Number} [item.variant_id] - Variant ID
+ * @param {String} [item.size] - Size (for products without variants)
+ * @param {Number} item.quantity - Quantity to add
+ * @returns {Promise<Object>} { data: { item, updated, product, variant, price }, error }
+ */
+const addItemToCart = async (userId, { product_id, variant_id, size, quantity }) => {
+  // Verify product exists
+  const { data: product, error: productError } = await supabase
+    .from('products')
+    .select('product_id, name, price, stock, is_active')
+    .eq('product_id', product_id)
+    .single();
+
+  if (productError || !product || !product.is_active) {
+    return { data: null, error: { statusCode: 404, message: 'Produk tidak ditemukan' } };
+  }
+
+  // Check stock availability
+  const { stock, variant, notFoundMessage, variantRequired } = await getAvailableStock(product, {
+    variantId: variant_id,
+    size
+  });
+
+  if (variantRequired) {
+    return { data: null, error: { statusCode: 400, message: VARIANT_REQUIRED_MESSAGE } };
+  }
+
+  if (notFoundMessage) {
+    return { data: null, error: { statusCode: 404, message: notFoundMessage } };
+  }
+
+  if (stock < quantity) {
+    return { data: null, error: { statusCode: 400, message: `Stok tidak cukup. Tersedia: ${stock}` } };
+  }
+
+  // A variant carries its own size
+  const itemSize = variant ? variant.size : (size || null);
+  const price = variant && variant.price !== null ? variant.price : product.price;
+
+  // Check if item already exists in cart
+  let existingQuery = supabase
+    .from('cart_items')
+    .select('item_id, quantity')
+    .eq('user_id', userId)
+    .eq('product_id', product_id);
+
+  existingQuery = variant
+    ? existingQuery.eq('variant_id', variant.variant_id)
+    : existingQuery.is('variant_id', null).eq('size', size || null);
+
+  const { data: existingItem, error: checkError } = await existingQuery.maybeSingle();
+
+  if (checkError) {
+    console.error('Error checking existing cart item:', checkError);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat memeriksa item keranjang' } };
+  }
+
+  // If item exists, update quantity
+  if (existingItem) {
+    const newQuantity = existingItem.quantity + quantity;
+
+    // Recheck stock with new total quantity
+    if (stock < newQuantity) {
+      return {
+        data: null,
+        error: { statusCode: 400, message: `Stok tidak cukup untuk total ${newQuantity}. Tersedia: ${stock}` }
+      };
+    }
+
+    const { data: updatedItem, error: updateError } = await supabase
+      .from('cart_items')
+      .update({
+        quantity: newQuantity,
+        updated_at: new Date()
+      })
+      .eq('item_id', existingItem.item_id)
+      .select('item_id, product_id, variant_id, quantity, size')
+      .single();
+
+    if (updateError) {
+      console.error('Error updating cart item:', updateError);
+      return { data: null, error: { statusCode: 500, message: 'Server error saat mengupdate item keranjang' } };
+    }
+
+    return { data: { item: updatedItem, updated: true, product, variant, price }, error: null };
+  }
+
+  // Insert new item
+  const { data: newItem, error: insertError } = await supabase
+    .from('cart_items')
+    .insert({
+      user_id: userId,
+      product_id,
+      variant_id: variant ? variant.variant_id : null,
+      quantity,
+      size: itemSize,
+      created_at: new Date(),
+      updated_at: new Date()
+    })
+    .select('item_id, product_id, variant_id, quantity, size')
+    .single();
+
+  if (insertError) {
+    console.error('Error adding item to cart:', insertError);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat menambah item ke keranjang' } };
+  }
+
+  return { data: { item: newItem, updated: false, product, variant, price }, error: null };
+};
+
+module.exports = {
+  getAvailableStock,
+  addItemToCart
+};
@@ -0,0 +1,163 @@
+const supabase = require('../config/supabase');
+
+/**
+ * @module CategoryService
+ * @description Helpers for the category hierarchy. The full tree is built
+ * in memory from a single query; breadcrumbs and descendants are walked in
+ * the database so only the rows on the path are read.
+ */
+
+const CATEGORY_SELECT = 'category_id, parent_id, name, slug, description';
+
+/**
+ * Turn a name into a URL slug
+ * @param {String} text - Category name
+ * @returns {String} Lowercase slug such as "kemeja-pria"
+ */
+const slugify = (text) => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Fetch every category
+ * @returns {Promise<Object>} { data, error }
+ */
+const fetchCategories = async () => {
+  const { data, error } = await supabase
+    .from('categories')
+    .select(CATEGORY_SELECT)
+    .order('name');
+
+  return { data, error };
+};
+
+/**
+ * Fetch the direct children of a category
+ * @param {Number} categoryId - Parent category ID
+ * @returns {Promise<Object>} { data, error }
+ */
+const fetchChildCategories = async (categoryId) => {
+  const { data, error } = await supabase
+    .from('categories')
+    .select(CATEGORY_SELECT)
+    .eq('parent_id', categoryId)
+    .order('name');
+
+  return { data, error };
+};
+
+/**
+ * Nest categories under their parents
+ * @param {Array} categories - Flat category list
+ * @returns {Array} Root categories, each with a children array
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.category_id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  return roots;
+};
+
+/**
+ * Get the IDs of a category and all of its descendants
+ * @param {Number} categoryId - Category ID
+ * @returns {Promise<Object>} { data, error } where data starts with categoryId
+ */
+const fetchDescendantIds = async (categoryId) => {
+  const { data, error } = await supabase.rpc('category_descendant_ids', {
+    p_category_id: categoryId
+  });
+
+  return { data, error };
+};
+
+/**
+ * Get the path from the root category down to each of the given categories
+ * @param {Array} categoryIds - Category IDs
+ * @returns {Promise<Object>} { data, error } where data maps category_id to
+ * [{ category_id, name, slug }, ...] from root to the category
+ */
+const fetchBreadcrumbs = async (categoryIds) => {
+  const ids = [...new Set(categoryIds.filter(id => id !== null && id !== undefined))];
+
+  if (ids.length === 0) {
+    return { data: {}, error: null };
+  }
+
+  const { data, error } = await supabase.rpc('category_breadcrumbs', {
+    p_category_ids: ids
+  });
+
+  return { data: data || {}, error };
+};
+
+/**
+ * Attach the category breadcrumb path to products
+ * @param {Array} products - Products with category_id
+ * @returns {Promise<Array>} Products with a breadcrumbs array
+ */
+const withBreadcrumbs = async (products) => {
+  const { data: breadcrumbs, error } = await fetchBreadcrumbs(products.map(product => product.category_id));
+
+  if (error) {
+    console.error('Error fetching category breadcrumbs:', error);
+  }
+
+  return products.map(product => ({
+    ...product,
+    breadcrumbs: breadcrumbs[product.category_id] || []
+  }));
+};
+
+/**
+ * Find a free slug, appending -2, -3, ... when the base is taken
+ * @param {String} text - Name or requested slug
+ * @param {Number} [excludeId] - Category being updated
+ * @returns {Promise<Object>} { slug, error }
+ */
+const generateUniqueSlug = async (text, excludeId) => {
+  const base = slugify(text) || 'kategori';
+
+  let query = supabase
+    .from('categories')
+    .select('slug')
+    .like('slug', `${base}%`);
+
+  if (excludeId) {
+    query = query.neq('category_id', excludeId);
+  }
+
+  const { data: taken, error } = await query;
+
+  if (error) {
+    return { slug: null, error };
+  }
+
+  const takenSlugs = new Set(taken.map(row => row.slug));
+  let slug = base;
+
+  for (let n = 2; takenSlugs.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+
+  return { slug, error: null };
+};
+
+module.exports = {
+  slugify,
+  fetchCategories,
+  fetchChildCategories,
+  buildCategoryTree,
+  fetchDescendantIds,
+  fetchBreadcrumbs,
+  withBreadcrumbs,
+  generateUniqueSlug
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const uploadConfig = require('../config/uploadConfig');
+const { saveFile, removeFiles } = require('./storageService');
+
+/**
+ * @module ImageUploadService
+ * @description Turns an uploaded image into re-encoded WebP renditions and
+ * stores them. Re-encoding drops all metadata (EXIF, GPS, ...) after the EXIF
+ * orientation has been applied to the pixels.
+ */
+
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Storage key of one rendition of a stored image
+ * @param {String} storageKey - Base key returned by storeImage
+ * @param {String} rendition - Rendition name
+ * @returns {String} Key of the rendition file
+ */
+const toRenditionKey = (storageKey, rendition) => `${storageKey}-${rendition}.webp`;
+
+/**
+ * Validate, process and store an uploaded image
+ * @param {Object} file - Uploaded file from multer (memory storage)
+ * @param {Object} options - Upload options
+ * @param {String} options.folder - Folder inside the storage (e.g. products/12)
+ * @param {Array} [options.renditions] - Rendition names from uploadConfig.renditions
+ * @returns {Promise<Object>} { image, error } where image has storageKey and urls per rendition
+ */
+const storeImage = async (file, { folder, renditions = Object.keys(uploadConfig.renditions) }) => {
+  // The MIME type sent by the client is not trusted; check the actual contents
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    metadata = null;
+  }
+
+  if (!metadata || !SUPPORTED_FORMATS.includes(metadata.format)) {
+    return {
+      image: null,
+      error: { statusCode: 400, message: `File ${file.originalname} bukan gambar JPEG, PNG atau WebP yang valid` }
+    };
+  }
+
+  const storageKey = `${folder}/${crypto.randomUUID()}`;
+  const urls = {};
+  const savedKeys = [];
+
+  for (const rendition of renditions) {
+    const maxSize = uploadConfig.renditions[rendition];
+    const buffer = await sharp(file.buffer)
+      .rotate()
+      .resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer();
+
+    const key = toRenditionKey(storageKey, rendition);
+    const { url, error } = await saveFile(key, buffer, 'image/webp');
+
+    if (error) {
+      await removeFiles(savedKeys);
+      return {
+        image: null,
+        error: { statusCode: 500, message: 'Server error saat menyimpan gambar' }
+      };
+    }
+
+    savedKeys.push(key);
+    urls[rendition] = url;
+  }
+
+  return { image: { storageKey, urls }, error: null };
+};
+
+/**
+ * Remove every rendition of a stored image
+ * @param {String} storageKey - Base key returned by storeImage
+ * @param {Array} [renditions] - Rendition names that were generated
+ * @returns {Promise<Object>} Object with an error property when removal failed
+ */
+const removeImage = (storageKey, renditions = Object.keys(uploadConfig.renditions)) => (
+  removeFiles(renditions.map(rendition => toRenditionKey(storageKey, rendition)))
+);
+
+module.exports = {
+  storeImage,
+  removeImage
+};
@@ -0,0 +1,20 @@
+
+/**
+ * @module InventoryService
+ * @description Helpers around stock for products, product sizes and variants.
+ * Stock is reserved by create_order / checkout_cart and released by
+ * transition_order and receive_return_request, through the reserve_stock /
+ * release_stock database functions, which apply every item in one
+ * transaction and never let stock go negative.
+ */
+
+/**
+ * Check whether an error was raised because an item ran out of stock
+ * @param {Object} error - Error returned by create_order or checkout_cart
+ * @returns {Boolean} True if the reservation failed on insufficient stock
+ */
+const isInsufficientStockError = (error) => Boolean(error) && error.message === 'INSUFFICIENT_STOCK';
+
+module.exports = {
+  isInsufficientStockError
+};
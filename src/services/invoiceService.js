@@ -0,0 +1,218 @@
+const PDFDocument = require('pdfkit');
+const supabase = require('../config/supabase');
+const storeConfig = require('../config/storeConfig');
+
+/**
+ * @module InvoiceService
+ * @description Issues invoice numbers (through the issue_invoice database
+ * function, so a number never changes once given out) and renders invoices as PDF.
+ * Numbers are only issued for paid orders.
+ */
+
+const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Belum dibayar',
+  awaiting_verification: 'Menunggu verifikasi',
+  verification_failed: 'Verifikasi gagal',
+  failed: 'Pembayaran gagal',
+  expired: 'Kedaluwarsa',
+  paid: 'Lunas',
+  refunded: 'Dikembalikan'
+};
+
+const INVOICE_ERRORS = {
+  ORDER_NOT_FOUND: { statusCode: 404, message: 'Order tidak ditemukan' },
+  ORDER_NOT_INVOICEABLE: { statusCode: 400, message: 'Invoice tidak tersedia untuk order yang dibatalkan' },
+  ORDER_NOT_PAID: { statusCode: 400, message: 'Invoice tersedia setelah order dibayar' }
+};
+
+/**
+ * Format an amount as Rupiah
+ * @param {Number} amount - Amount
+ * @returns {String} Formatted amount (e.g. Rp 150.000)
+ */
+const formatRupiah = (amount) => `Rp ${Number(amount || 0).toLocaleString('id-ID', { maximumFractionDigits: 0 })}`;
+
+/**
+ * Format a date for the invoice
+ * @param {String|Date} date - Date
+ * @returns {String} Formatted date (e.g. 19 Oktober 2026)
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString('id-ID', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  timeZone: 'Asia/Jakarta'
+});
+
+/**
+ * Get the invoice of an order, issuing a new number on first use once it is paid
+ * @param {Number} orderId - Order ID
+ * @returns {Promise<Object>} { data: { invoice_number, issued_at }, error } where error has statusCode and message
+ */
+const issueInvoice = async (orderId) => {
+  const { data, error } = await supabase
+    .rpc('issue_invoice', { p_order_id: orderId });
+
+  if (error) {
+    const knownError = INVOICE_ERRORS[error.message];
+    if (knownError) {
+      return { data: null, error: knownError };
+    }
+
+    console.error(`Error issuing invoice for order ${orderId}:`, error);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat membuat invoice' } };
+  }
+
+  return { data, error: null };
+};
+
+/**
+ * Describe an order line, including its variant
+ * @param {Object} item - order_items row joined with products
+ * @returns {String} Line description
+ */
+const describeItem = (item) => {
+  const name = item.products ? item.products.name : `Produk #${item.product_id}`;
+  const details = [item.color, item.size].filter(Boolean).join(' / ');
+
+  return [name, details && `(${details})`, item.sku && `SKU ${item.sku}`].filter(Boolean).join(' ');
+};
+
+/**
+ * Render an invoice as PDF
+ * @param {Object} invoice - { invoice_number, issued_at }
+ * @param {Object} order - Order with users, order_items (joined with products) and shipping fields
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderInvoicePdf = (invoice, order) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const width = right - left;
+
+  // Seller and invoice details
+  doc.font('Helvetica-Bold').fontSize(20).text(storeConfig.name, left, 50);
+  doc.font('Helvetica').fontSize(9);
+  [storeConfig.address, storeConfig.phone, storeConfig.email, storeConfig.taxId && `NPWP: ${storeConfig.taxId}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  doc.font('Helvetica-Bold').fontSize(16).text('INVOICE', left, 50, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(invoice.invoice_number, { width, align: 'right' })
+    .text(`Tanggal: ${formatDate(invoice.issued_at)}`, { width, align: 'right' })
+    .text(`Order #${order.order_id} (${formatDate(order.created_at)})`, { width, align: 'right' });
+
+  // Buyer and shipping address
+  const address = order.shipping_address;
+  doc.moveDown(3);
+  const buyerTop = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Ditagihkan kepada', left, buyerTop);
+  doc.font('Helvetica').fontSize(9);
+  if (order.users) {
+    doc.text(order.users.username).text(order.users.email);
+  }
+
+  if (address) {
+    doc.font('Helvetica-Bold').fontSize(10).text('Dikirim ke', left + width / 2, buyerTop);
+    doc.font('Helvetica').fontSize(9)
+      .text(`${address.recipient_name} (${address.phone})`)
+      .text(address.street_address, { width: width / 2 })
+      .text([address.district, address.city, address.province, address.postal_code].filter(Boolean).join(', '), { width: width / 2 });
+  }
+
+  // Line items
+  const columns = [
+    { label: 'Produk', x: left, width: width - 250, align: 'left' },
+    { label: 'Qty', x: right - 250, width: 50, align: 'right' },
+    { label: 'Harga', x: right - 200, width: 100, align: 'right' },
+    { label: 'Subtotal', x: right - 100, width: 100, align: 'right' }
+  ];
+
+  /**
+   * Print one table row and move below its tallest cell
+   * @param {Array} values - Cell texts in column order
+   */
+  const printRow = (values) => {
+    const top = doc.y;
+    let bottom = top;
+
+    values.forEach((value, index) => {
+      const column = columns[index];
+      doc.text(value, column.x, top, { width: column.width, align: column.align });
+      bottom = Math.max(bottom, doc.y);
+    });
+
+    doc.x = left;
+    doc.y = bottom + 4;
+  };
+
+  doc.moveDown(2);
+  doc.y = Math.max(doc.y, buyerTop + 80);
+  doc.font('Helvetica-Bold').fontSize(9);
+  printRow(columns.map(column => column.label));
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.y += 4;
+
+  doc.font('Helvetica');
+  for (const item of order.order_items) {
+    printRow([
+      describeItem(item),
+      String(item.quantity),
+      formatRupiah(item.price),
+      formatRupiah(item.price * item.quantity)
+    ]);
+  }
+
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.y += 8;
+
+  // Totals
+  const subtotal = order.subtotal_price !== null && order.subtotal_price !== undefined
+    ? order.subtotal_price
+    : order.order_items.reduce((total, item) => total + item.price * item.quantity, 0);
+  const totals = [['Subtotal', formatRupiah(subtotal)]];
+
+  if (Number(order.discount_amount) > 0) {
+    totals.push([`Diskon${order.voucher_code ? ` (${order.voucher_code})` : ''}`, `- ${formatRupiah(order.discount_amount)}`]);
+  }
+
+  if (order.shipping_courier) {
+    const courier = `${order.shipping_courier.toUpperCase()} ${order.shipping_service || ''}`.trim();
+    totals.push([
+      `Ongkos kirim (${courier})`,
+      order.free_shipping ? 'Gratis' : formatRupiah(order.shipping_cost)
+    ]);
+  }
+
+  for (const [label, value] of totals) {
+    printRow(['', '', label, value]);
+  }
+
+  doc.font('Helvetica-Bold').fontSize(11);
+  printRow(['', '', 'Total', formatRupiah(order.total_price)]);
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Status pembayaran: ${PAYMENT_STATUS_LABELS[order.payment_status] || order.payment_status}`, left);
+
+  doc.fontSize(8).fillColor('gray')
+    .text('Invoice ini dibuat secara otomatis dan sah tanpa tanda tangan.', left, doc.page.height - 80, {
+      width,
+      align: 'center'
+    });
+
+  doc.end();
+});
+
+module.exports = {
+  issueInvoice,
+  renderInvoicePdf
+};
@@ -0,0 +1,98 @@
+const os = require('os');
+const supabase = require('../config/supabase');
+
+/**
+ * @module JobScheduler
+ * @description Runs background jobs in-process on a fixed interval. Before
+ * each run an instance takes the job's lease in the job_locks table, so when
+ * several instances run the API a job still runs at most once per interval.
+ * Jobs must be safe to re-run: a crashed run is simply picked up by the next one.
+ */
+
+// Identifies this process in job_locks
+const OWNER = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+const timers = [];
+
+/**
+ * Register a job
+ * @param {Object} job - Job definition
+ * @param {String} job.name - Unique job name
+ * @param {Number} job.intervalSeconds - Time between runs
+ * @param {Function} job.run - Async function doing the work
+ */
+const registerJob = ({ name, intervalSeconds, run }) => {
+  jobs.set(name, { name, intervalSeconds, run });
+};
+
+/**
+ * Run a job once if this instance can take its lease
+ * @param {String} name - Job name
+ * @returns {Promise<Boolean>} True when the job ran on this instance
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+
+  const { data: acquired, error: lockError } = await supabase
+    .rpc('acquire_job_lock', {
+      p_job_name: job.name,
+      p_owner: OWNER,
+      p_lease_seconds: job.intervalSeconds
+    });
+
+  if (lockError) {
+    console.error(`Error acquiring lock for job ${job.name}:`, lockError);
+    return false;
+  }
+
+  if (!acquired) {
+    return false;
+  }
+
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  }
+
+  const { error: finishError } = await supabase
+    .rpc('finish_job_run', { p_job_name: job.name, p_owner: OWNER });
+
+  if (finishError) {
+    console.error(`Error recording run of job ${job.name}:`, finishError);
+  }
+
+  return true;
+};
+
+/**
+ * Start running all registered jobs on their intervals
+ */
+const startJobs = () => {
+  for (const job of jobs.values()) {
+    const timer = setInterval(() => {
+      runJob(job.name).catch(error => {
+        console.error(`Error running job ${job.name}:`, error);
+      });
+    }, job.intervalSeconds * 1000);
+
+    // Don't keep the process alive just for jobs
+    timer.unref();
+    timers.push(timer);
+  }
+};
+
+/**
+ * Stop all job timers (runs already in progress finish on their own)
+ */
+const stopJobs = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs
+};
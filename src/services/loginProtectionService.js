@@ -0,0 +1,105 @@
+const supabase = require('../config/supabase');
+const { login: loginConfig } = require('../config/securityConfig');
+
+/**
+ * @module LoginProtectionService
+ * @description Tracks failed logins per account and per IP, applies
+ * progressive delays and temporary lockouts. Each attempt is counted before
+ * the password is checked, so parallel requests cannot exceed the limit.
+ */
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ipAddress) => `ip:${ipAddress}`;
+
+/**
+ * Count a login attempt for the account and the IP, refusing it while either is
+ * locked. The attempt counts as a failure until recordLoginSuccess says otherwise.
+ * @param {String} email - Email being logged into
+ * @param {String} ipAddress - Client IP address
+ * @returns {Promise<Object>} { allowed, retryAfterSeconds, failedCount, locked } where
+ * failedCount and locked describe the worse of the two keys should this attempt fail
+ */
+const beginLoginAttempt = async (email, ipAddress) => {
+  const { data, error } = await supabase
+    .rpc('begin_login_attempt', {
+      p_limits: {
+        [accountKey(email)]: loginConfig.maxAttemptsPerAccount,
+        [ipKey(ipAddress)]: loginConfig.maxAttemptsPerIp
+      },
+      p_window_minutes: loginConfig.windowMinutes,
+      p_lockout_minutes: loginConfig.lockoutMinutes
+    });
+
+  if (error) {
+    // Fail open: a tracking outage must not lock everyone out
+    console.error('Error counting login attempt:', error);
+    return { allowed: true, retryAfterSeconds: 0, failedCount: 0, locked: false };
+  }
+
+  return {
+    allowed: data.allowed,
+    retryAfterSeconds: data.retry_after_seconds,
+    failedCount: data.failed_count || 0,
+    locked: Boolean(data.locked)
+  };
+};
+
+/**
+ * Take back the attempt counted for a successful login: clears the account's
+ * failures and lifts an IP lockout that only this attempt caused
+ * @param {String} email - Account email
+ * @param {String} ipAddress - Client IP address
+ * @returns {Promise<Object>} Object with an error property when clearing failed
+ */
+const recordLoginSuccess = async (email, ipAddress) => {
+  const { error } = await supabase
+    .rpc('finish_login_success', {
+      p_account_key: accountKey(email),
+      p_ip_key: ipKey(ipAddress),
+      p_ip_max_attempts: loginConfig.maxAttemptsPerIp
+    });
+
+  if (error) {
+    console.error('Error clearing login attempt:', error);
+  }
+
+  return { error };
+};
+
+/**
+ * Clear failed attempts and lockout for an account
+ * @param {String} email - Account email
+ * @returns {Promise<Object>} Object with an error property when clearing failed
+ */
+const clearAccountFailures = async (email) => {
+  const { error } = await supabase
+    .from('login_attempts')
+    .delete()
+    .eq('attempt_key', accountKey(email));
+
+  if (error) {
+    console.error('Error clearing login failures:', error);
+  }
+
+  return { error };
+};
+
+/**
+ * Delay to apply after a failed attempt, doubling with each failure
+ * @param {Number} failedCount - Number of recent failures
+ * @returns {Number} Delay in milliseconds
+ */
+const getProgressiveDelay = (failedCount) => {
+  if (failedCount <= 0) {
+    return 0;
+  }
+
+  return Math.min(loginConfig.baseDelayMs * 2 ** (failedCount - 1), loginConfig.maxDelayMs);
+};
+
+module.exports = {
+  beginLoginAttempt,
+  recordLoginSuccess,
+  clearAccountFailures,
+  getProgressiveDelay
+};
@@ -0,0 +1,76 @@
+const fs = require('fs/promises');
+const path = require('path');
+const mailConfig = require('../config/mailConfig');
+
+/**
+ * @module MailerService
+ * @description Sends emails through a pluggable transport. A transport is an
+ * async function receiving { from, to, subject, text }. The built-in file and
+ * console transports are meant for local development; production setups
+ * register their own (SMTP, API provider, ...) with registerTransport.
+ */
+
+const transports = {
+  // Logs that a mail went out. Bodies hold account tokens, so they are only
+  // printed when MAIL_CONSOLE_LOG_BODIES is set outside production; the file
+  // transport keeps them out of logs entirely.
+  console: async (message) => {
+    if (mailConfig.consoleLogBodies) {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return;
+    }
+
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject} (body not logged, set MAIL_CONSOLE_LOG_BODIES=true to print it)`);
+  },
+
+  file: async (message) => {
+    const dir = path.resolve(mailConfig.fileDir);
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sent_at: new Date() }, null, 2)
+    );
+  }
+};
+
+/**
+ * Register (or replace) a mail transport
+ * @param {String} name - Transport name, selected with MAIL_TRANSPORT
+ * @param {Function} send - Async function receiving the message
+ */
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/**
+ * Send an email with the configured transport
+ * @param {Object} message - Email message
+ * @param {String} message.to - Recipient address
+ * @param {String} message.subject - Subject line
+ * @param {String} message.text - Plain text body
+ * @returns {Promise<Object>} Object with an error property when sending failed
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const transport = transports[mailConfig.transport];
+
+  if (!transport) {
+    const error = new Error(`Mail transport "${mailConfig.transport}" is not registered`);
+    console.error('Error sending mail:', error);
+    return { error };
+  }
+
+  try {
+    await transport({ from: mailConfig.from, to, subject, text });
+    return { error: null };
+  } catch (error) {
+    console.error(`Error sending mail to ${to}:`, error);
+    return { error };
+  }
+};
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
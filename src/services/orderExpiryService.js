@@ -0,0 +1,83 @@
+const supabase = require('../config/supabase');
+const jobConfig = require('../config/jobConfig');
+const { transitionOrder } = require('./orderWorkflow');
+
+/**
+ * @module OrderExpiryService
+ * @description Cancels orders that were not paid before their payment deadline.
+ * The order workflow expires the payment, which cancels the order, puts the
+ * reserved stock back and releases the voucher, like a manual cancellation.
+ */
+
+// Payment states in which an order is still waiting to be paid
+const AWAITING_PAYMENT_STATUSES = ['unpaid', 'failed'];
+
+/**
+ * Payment deadline of an order created now
+ * @returns {Date} Deadline
+ */
+const getPaymentDeadline = () => new Date(Date.now() + jobConfig.orderPaymentWindowMinutes * 60 * 1000);
+
+/**
+ * Cancel one batch of orders whose payment deadline has passed
+ * @returns {Promise<Number>} Number of orders cancelled
+ */
+const expireUnpaidOrders = async () => {
+  const { data: orders, error } = await supabase
+    .from('orders')
+    .select('order_id, status, payment_status')
+    .eq('status', 'pending')
+    .in('payment_status', AWAITING_PAYMENT_STATUSES)
+    .lt('payment_deadline', new Date().toISOString())
+    .order('payment_deadline', { ascending: true })
+    .limit(jobConfig.orderExpiryBatchSize);
+
+  if (error) {
+    console.error('Error fetching expired unpaid orders:', error);
+    return 0;
+  }
+
+  let cancelled = 0;
+
+  for (const order of orders) {
+    // Fails with 409 when the order was paid or cancelled in the meantime
+    const { error: transitionError } = await transitionOrder(
+      order,
+      { payment_status: 'expired' },
+      {
+        actor: { role: 'system' },
+        note: 'Dibatalkan otomatis karena melewati batas waktu pembayaran',
+        updates: { cancellation_reason: 'payment_expired' }
+      }
+    );
+
+    if (transitionError) {
+      console.error(`Order ${order.order_id} not expired: ${transitionError.message}`);
+      continue;
+    }
+
+    // Open gateway sessions can no longer be paid
+    const { error: paymentError } = await supabase
+      .from('payments')
+      .update({ status: 'expired', updated_at: new Date() })
+      .eq('order_id', order.order_id)
+      .eq('status', 'pending');
+
+    if (paymentError) {
+      console.error(`Error expiring payments of order ${order.order_id}:`, paymentError);
+    }
+
+    cancelled += 1;
+  }
+
+  if (cancelled > 0) {
+    console.log(`Expired ${cancelled} unpaid order(s)`);
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  getPaymentDeadline,
+  expireUnpaidOrders
+};
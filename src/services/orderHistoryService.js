@@ -0,0 +1,34 @@
+const supabase = require('../config/supabase');
+
+/**
+ * @module OrderHistoryService
+ * @description Reads the order_status_history audit trail. Entries are written
+ * by a database trigger on orders, in the same transaction as each change.
+ */
+
+/**
+ * Get the transition history of an order, oldest first
+ * @param {Number} orderId - Order ID
+ * @returns {Promise<Object>} Supabase result with history rows and acting users
+ */
+const getOrderHistory = async (orderId) => {
+  return supabase
+    .from('order_status_history')
+    .select(`
+      history_id,
+      previous_status,
+      new_status,
+      previous_payment_status,
+      new_payment_status,
+      note,
+      created_at,
+      users(user_id, username, role)
+    `)
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true })
+    .order('history_id', { ascending: true });
+};
+
+module.exports = {
+  getOrderHistory
+};
@@ -0,0 +1,199 @@
+const supabase = require('../config/supabase');
+const { statusTransitions, paymentStatusTransitions } = require('../config/orderWorkflowConfig');
+
+/**
+ * @module OrderWorkflow
+ * @description Single source of truth for order status and payment_status
+ * transitions: which moves are allowed, for which roles and under which
+ * guards. The transition_order database function applies a validated move and
+ * its side effects (stock and voucher release on cancel or refund) in one
+ * transaction.
+ */
+
+const FIELDS = [
+  { name: 'status', label: 'status', transitions: statusTransitions },
+  { name: 'payment_status', label: 'status pembayaran', transitions: paymentStatusTransitions }
+];
+
+/**
+ * Business rules checked against the resulting state of a transition.
+ * Each guard returns an error message, or null when the transition is fine.
+ */
+const guards = [
+  (current, next) => (
+    next.status === 'shipped' && next.payment_status !== 'paid'
+      ? 'Order yang belum dibayar tidak dapat dikirim'
+      : null
+  ),
+  (current, next) => (
+    next.status === 'cancelled' &&
+    next.payment_status !== current.payment_status &&
+    !['refunded', 'expired'].includes(next.payment_status)
+      ? 'Pembayaran untuk order yang dibatalkan tidak dapat diproses'
+      : null
+  )
+];
+
+/**
+ * Compute the state an order ends up in, including implied follow-up moves
+ * @param {Object} order - Current order with status and payment_status
+ * @param {Object} changes - Requested { status, payment_status }
+ * @returns {Object} Resulting { status, payment_status }
+ */
+const resolveNextState = (order, changes) => {
+  const next = {
+    status: changes.status || order.status,
+    payment_status: changes.payment_status || order.payment_status
+  };
+
+  // A confirmed payment moves a pending order into processing
+  if (next.payment_status === 'paid' && order.payment_status !== 'paid' && next.status === 'pending') {
+    next.status = 'processing';
+  }
+
+  // An expired payment cancels an order that is still waiting for it
+  if (next.payment_status === 'expired' && order.payment_status !== 'expired' && next.status === 'pending') {
+    next.status = 'cancelled';
+  }
+
+  // Refunding an order refunds its payment
+  if (next.status === 'refunded' && order.status !== 'refunded' && next.payment_status === 'paid') {
+    next.payment_status = 'refunded';
+  }
+
+  return next;
+};
+
+/**
+ * Validate a transition without applying it
+ * @param {Object} order - Current order with status and payment_status
+ * @param {Object} changes - Requested { status, payment_status }
+ * @param {Object} actor - Acting user (or { role: 'system' })
+ * @returns {Object} { next, error } where error has statusCode and message
+ */
+const checkTransition = (order, changes, actor) => {
+  const next = resolveNextState(order, changes);
+
+  for (const field of FIELDS) {
+    const from = order[field.name];
+    const to = next[field.name];
+    const requested = changes[field.name] !== undefined;
+
+    if (!requested && from === to) {
+      continue;
+    }
+
+    const allowedRoles = (field.transitions[from] || {})[to];
+
+    if (!allowedRoles) {
+      return {
+        next,
+        error: {
+          statusCode: 400,
+          message: `Tidak dapat mengubah ${field.label} dari ${from} ke ${to}`
+        }
+      };
+    }
+
+    // Implied moves are allowed once the requested move is
+    if (requested && !allowedRoles.includes(actor.role)) {
+      return {
+        next,
+        error: {
+          statusCode: 403,
+          message: `Anda tidak memiliki akses untuk mengubah ${field.label} ke ${to}`
+        }
+      };
+    }
+  }
+
+  for (const guard of guards) {
+    const message = guard(order, next);
+    if (message) {
+      return { next, error: { statusCode: 400, message } };
+    }
+  }
+
+  return { next, error: null };
+};
+
+/**
+ * List the transitions an actor may apply to an order right now
+ * @param {Object} order - Current order with status and payment_status
+ * @param {Object} actor - Acting user (or { role: 'system' })
+ * @returns {Object} Allowed target values per field
+ */
+const getAllowedTransitions = (order, actor) => {
+  const allowed = {};
+
+  for (const field of FIELDS) {
+    const candidates = Object.keys(field.transitions[order[field.name]] || {});
+    allowed[field.name] = candidates.filter(to => (
+      !checkTransition(order, { [field.name]: to }, actor).error
+    ));
+  }
+
+  return allowed;
+};
+
+/**
+ * Apply a transition: validate it and save it. The transition_order database
+ * function records the history entry and releases stock and voucher use in
+ * the same transaction as the update, so either all of them happen or none.
+ * @param {Object} order - Current order with order_id, status and payment_status
+ * @param {Object} changes - Requested { status, payment_status }
+ * @param {Object} options - Transition options
+ * @param {Object} options.actor - Acting user (or { role: 'system' })
+ * @param {String} [options.note] - Optional note for the history entry
+ * @param {Object} [options.updates] - Extra order columns to save together with the transition
+ * @returns {Promise<Object>} { order, error } where error has statusCode and message
+ */
+const transitionOrder = async (order, changes, { actor, note, updates = {} }) => {
+  const { next, error } = checkTransition(order, changes, actor);
+
+  if (error) {
+    return { order: null, error };
+  }
+
+  // Only update if nobody else changed the order since it was read
+  const { data: updatedOrder, error: updateError } = await supabase
+    .rpc('transition_order', {
+      p_order_id: order.order_id,
+      p_from_status: order.status,
+      p_from_payment_status: order.payment_status,
+      p_changes: {
+        ...updates,
+        status: next.status,
+        payment_status: next.payment_status
+      },
+      p_changed_by: actor.user_id || null,
+      p_note: note || null
+    })
+    .maybeSingle();
+
+  if (updateError) {
+    console.error(`Error updating order ${order.order_id}:`, updateError);
+    return {
+      order: null,
+      error: { statusCode: 500, message: 'Server error saat mengupdate order' }
+    };
+  }
+
+  if (!updatedOrder) {
+    return {
+      order: null,
+      error: {
+        statusCode: 409,
+        message: 'Order telah diubah oleh proses lain, silakan muat ulang'
+      }
+    };
+  }
+
+  return { order: updatedOrder, error: null };
+};
+
+module.exports = {
+  checkTransition,
+  getAllowedTransitions,
+  transitionOrder
+};
@@ -0,0 +1,537 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const paymentConfig = require('../config/paymentConfig');
+const { transitionOrder } = require('./orderWorkflow');
+
+/**
+ * @module PaymentService
+ * @description Online payments through a pluggable gateway provider. A provider
+ * is an object with:
+ * - isConfigured() returning false while its credentials are missing (optional)
+ * - async createPayment({ order, amount, customer, expiresAt }) returning
+ *   { reference, redirect_url, va_number, payment_method, response }
+ * - verifyWebhook({ headers, body, rawBody }) returning true for a genuine notification
+ * - parseWebhook(body) returning { event_key, reference, status, amount } where
+ *   status is pending, paid, expired or failed
+ * The mock provider works offline; midtrans talks to the Midtrans Snap API.
+ * A provider that is not configured neither creates sessions nor accepts
+ * webhooks, so a signature can never be made with an empty or public secret.
+ */
+
+/**
+ * Compare two strings in constant time
+ * @param {String} a - First value
+ * @param {String} b - Second value
+ * @returns {Boolean} True when equal
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const providers = {
+  mock: {
+    isConfigured: () => paymentConfig.mock.enabled && Boolean(paymentConfig.mock.webhookSecret),
+
+    createPayment: async ({ order, amount }) => {
+      const reference = `MOCK-${order.order_id}-${crypto.randomBytes(4).toString('hex')}`;
+      const vaNumber = `8808${String(order.order_id).padStart(12, '0')}`;
+
+      return {
+        reference,
+        redirect_url: `${paymentConfig.mock.paymentPageUrl}/${reference}`,
+        va_number: vaNumber,
+        payment_method: 'bank_transfer',
+        response: { reference, amount, va_number: vaNumber }
+      };
+    },
+
+    // x-mock-signature: hex HMAC-SHA256 of the raw request body
+    verifyWebhook: ({ headers, rawBody }) => {
+      const expected = crypto
+        .createHmac('sha256', paymentConfig.mock.webhookSecret)
+        .update(rawBody || '')
+        .digest('hex');
+
+      return safeEqual(headers['x-mock-signature'], expected);
+    },
+
+    parseWebhook: (body) => ({
+      event_key: String(body.event_id),
+      reference: body.reference,
+      status: body.status,
+      amount: Number(body.amount)
+    })
+  },
+
+  midtrans: {
+    isConfigured: () => Boolean(paymentConfig.midtrans.serverKey),
+
+    createPayment: async ({ order, amount, customer, expiresAt }) => {
+      const baseUrl = paymentConfig.midtrans.isProduction
+        ? 'https://app.midtrans.com'
+        : 'https://app.sandbox.midtrans.com';
+      // Midtrans needs a new order_id for every attempt
+      const reference = `${order.order_id}-${Date.now()}`;
+      const durationMinutes = Math.max(1, Math.round((expiresAt - Date.now()) / 60000));
+
+      const response = await fetch(`${baseUrl}/snap/v1/transactions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          Authorization: `Basic ${Buffer.from(`${paymentConfig.midtrans.serverKey}:`).toString('base64')}`
+        },
+        body: JSON.stringify({
+          transaction_details: { order_id: reference, gross_amount: Math.round(amount) },
+          customer_details: { first_name: customer.username, email: customer.email },
+          expiry: { unit: 'minute', duration: durationMinutes }
+        })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(`Midtrans error ${response.status}: ${JSON.stringify(result)}`);
+      }
+
+      return {
+        reference,
+        redirect_url: result.redirect_url,
+        va_number: null,
+        payment_method: null,
+        response: result
+      };
+    },
+
+    // signature_key: SHA512(order_id + status_code + gross_amount + server key)
+    verifyWebhook: ({ body }) => {
+      const expected = crypto
+        .createHash('sha512')
+        .update(`${body.order_id}${body.status_code}${body.gross_amount}${paymentConfig.midtrans.serverKey}`)
+        .digest('hex');
+
+      return safeEqual(body.signature_key, expected);
+    },
+
+    parseWebhook: (body) => {
+      const statuses = {
+        settlement: 'paid',
+        capture: body.fraud_status === 'accept' ? 'paid' : 'pending',
+        pending: 'pending',
+        expire: 'expired',
+        deny: 'failed',
+        cancel: 'failed',
+        failure: 'failed'
+      };
+
+      return {
+        event_key: `${body.transaction_id}:${body.transaction_status}`,
+        reference: body.order_id,
+        status: statuses[body.transaction_status] || 'pending',
+        amount: Number(body.gross_amount)
+      };
+    }
+  }
+};
+
+/**
+ * Register (or replace) a payment provider
+ * @param {String} name - Provider name, selected with PAYMENT_PROVIDER
+ * @param {Object} provider - Object with createPayment, verifyWebhook and parseWebhook
+ */
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * Get a provider that is registered and has its credentials
+ * @param {String} name - Provider name
+ * @returns {Object|null} Provider, or null when it can't be used
+ */
+const getUsableProvider = (name) => {
+  const provider = name ? providers[name] : null;
+
+  if (!provider || (provider.isConfigured && !provider.isConfigured())) {
+    return null;
+  }
+
+  return provider;
+};
+
+/**
+ * Get a payment session for an order: the pending, unexpired one when it
+ * exists, otherwise a new one from the configured provider. A new session
+ * never outlives the order's payment deadline.
+ * @param {Object} order - Order with order_id, total_price and payment_deadline
+ * @param {Object} customer - Order owner with username and email
+ * @returns {Promise<Object>} { data: payment, error } where error has statusCode and message
+ */
+const createPaymentSession = async (order, customer) => {
+  const providerName = paymentConfig.provider;
+  const provider = getUsableProvider(providerName);
+
+  if (!provider) {
+    console.error(`Payment provider "${providerName}" is not registered or not configured`);
+    return { data: null, error: { statusCode: 500, message: 'Pembayaran online tidak tersedia' } };
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('order_id', order.order_id)
+    .eq('provider', providerName)
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (existingError) {
+    console.error(`Error fetching payments for order ${order.order_id}:`, existingError);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat menyiapkan pembayaran' } };
+  }
+
+  // Reuse the open session unless the order total changed since it was created
+  if (existing && Number(existing.amount) === Number(order.total_price)) {
+    return { data: existing, error: null };
+  }
+
+  let expiresAt = new Date(Date.now() + paymentConfig.sessionTtlMinutes * 60 * 1000);
+
+  if (order.payment_deadline && new Date(order.payment_deadline) < expiresAt) {
+    expiresAt = new Date(order.payment_deadline);
+  }
+
+  let session;
+
+  try {
+    session = await provider.createPayment({
+      order,
+      amount: Number(order.total_price),
+      customer,
+      expiresAt
+    });
+  } catch (error) {
+    console.error(`Error creating ${providerName} payment for order ${order.order_id}:`, error);
+    return { data: null, error: { statusCode: 502, message: 'Gagal membuat sesi pembayaran, silakan coba lagi' } };
+  }
+
+  const { data: payment, error: insertError } = await supabase
+    .from('payments')
+    .insert({
+      order_id: order.order_id,
+      provider: providerName,
+      provider_reference: session.reference,
+      amount: order.total_price,
+      payment_method: session.payment_method,
+      redirect_url: session.redirect_url,
+      va_number: session.va_number,
+      expires_at: expiresAt,
+      provider_response: session.response
+    })
+    .select('*')
+    .single();
+
+  if (insertError) {
+    console.error(`Error saving payment for order ${order.order_id}:`, insertError);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat menyimpan pembayaran' } };
+  }
+
+  return { data: payment, error: null };
+};
+
+/**
+ * Record a webhook event. Returns duplicate: true when the same event was
+ * already processed, so replays are acknowledged without side effects.
+ * @param {String} providerName - Provider name
+ * @param {Object} event - Parsed event
+ * @param {Object} payload - Raw webhook body
+ * @returns {Promise<Object>} { data: { event_id, duplicate }, error }
+ */
+const recordWebhookEvent = async (providerName, event, payload) => {
+  const { data: inserted, error: insertError } = await supabase
+    .from('payment_webhook_events')
+    .upsert({
+      provider: providerName,
+      event_key: event.event_key,
+      provider_reference: event.reference,
+      payload
+    }, { onConflict: 'provider,event_key', ignoreDuplicates: true })
+    .select('event_id')
+    .maybeSingle();
+
+  if (insertError) {
+    return { data: null, error: insertError };
+  }
+
+  if (inserted) {
+    return { data: { event_id: inserted.event_id, duplicate: false }, error: null };
+  }
+
+  // Seen before: process it again only if the earlier delivery didn't finish
+  const { data: existing, error: fetchError } = await supabase
+    .from('payment_webhook_events')
+    .select('event_id, processed_at')
+    .eq('provider', providerName)
+    .eq('event_key', event.event_key)
+    .single();
+
+  if (fetchError) {
+    return { data: null, error: fetchError };
+  }
+
+  return { data: { event_id: existing.event_id, duplicate: Boolean(existing.processed_at) }, error: null };
+};
+
+/**
+ * Mark a webhook event as processed
+ * @param {Number} eventId - Event ID
+ * @param {String} result - Short outcome description
+ */
+const finishWebhookEvent = async (eventId, result) => {
+  const { error } = await supabase
+    .from('payment_webhook_events')
+    .update({ processed_at: new Date(), result })
+    .eq('event_id', eventId);
+
+  if (error) {
+    console.error(`Error marking webhook event ${eventId} as processed:`, error);
+  }
+};
+
+/**
+ * Flag a payment whose money could not be applied to its order, so an admin
+ * can refund it
+ * @param {Object} payment - payments row
+ * @param {String} reason - Why the payment was not applied
+ * @returns {Promise<Object>} Object with an error property when flagging failed
+ */
+const flagForRefund = async (payment, reason) => {
+  const { error } = await supabase
+    .from('payments')
+    .update({ needs_refund: true, refund_reason: reason, updated_at: new Date() })
+    .eq('payment_id', payment.payment_id);
+
+  if (error) {
+    console.error(`Error flagging payment ${payment.payment_id} for refund:`, error);
+  }
+
+  return { error };
+};
+
+/**
+ * Apply a payment result to the payment row and its order. The order moves
+ * through the order workflow as the system actor, so the same transition
+ * rules and side effects apply as for manual verification. An expired session
+ * expires the order's payment only once the order's payment deadline has
+ * passed and no other session is still open; before that the customer can
+ * open a new session, so only the payment row expires.
+ * @param {Object} payment - payments row
+ * @param {Object} event - Parsed event
+ * @returns {Promise<Object>} { data: result, error } where error has statusCode and message
+ */
+const applyPaymentResult = async (payment, event) => {
+  if (event.status === 'pending') {
+    return { data: 'pending', error: null };
+  }
+
+  if (event.status === 'paid' && Number(event.amount) !== Number(payment.amount)) {
+    console.error(`Amount mismatch for payment ${payment.payment_id}: expected ${payment.amount}, got ${event.amount}`);
+
+    const { error: flagError } = await flagForRefund(
+      payment,
+      `Nominal tidak sesuai: seharusnya ${payment.amount}, diterima ${event.amount}`
+    );
+
+    if (flagError) {
+      return { data: null, error: { statusCode: 500, message: 'Server error saat mengupdate pembayaran' } };
+    }
+
+    return { data: 'amount_mismatch', error: null };
+  }
+
+  // A final payment state never changes again
+  if (payment.status === 'pending') {
+    const { error: paymentError } = await supabase
+      .from('payments')
+      .update({
+        status: event.status,
+        paid_at: event.status === 'paid' ? new Date() : null,
+        updated_at: new Date()
+      })
+      .eq('payment_id', payment.payment_id)
+      .eq('status', 'pending');
+
+    if (paymentError) {
+      console.error(`Error updating payment ${payment.payment_id}:`, paymentError);
+      return { data: null, error: { statusCode: 500, message: 'Server error saat mengupdate pembayaran' } };
+    }
+  } else if (payment.status !== event.status) {
+    return { data: `ignored: payment already ${payment.status}`, error: null };
+  }
+
+  const { data: order, error: orderError } = await supabase
+    .from('orders')
+    .select('order_id, status, payment_status, payment_deadline')
+    .eq('order_id', payment.order_id)
+    .single();
+
+  if (orderError || !order) {
+    console.error(`Error fetching order ${payment.order_id} for payment ${payment.payment_id}:`, orderError);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat mengambil order' } };
+  }
+
+  if (event.status === 'expired') {
+    if (order.payment_deadline && new Date(order.payment_deadline) > new Date()) {
+      return { data: 'payment expired', error: null };
+    }
+
+    const { data: openSessions, error: sessionsError } = await supabase
+      .from('payments')
+      .select('payment_id')
+      .eq('order_id', order.order_id)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .limit(1);
+
+    if (sessionsError) {
+      console.error(`Error fetching payments for order ${order.order_id}:`, sessionsError);
+      return { data: null, error: { statusCode: 500, message: 'Server error saat mengambil pembayaran' } };
+    }
+
+    if (openSessions.length > 0) {
+      return { data: 'payment expired', error: null };
+    }
+  }
+
+  if (order.payment_status === event.status) {
+    return { data: `order already ${event.status}`, error: null };
+  }
+
+  const { error: transitionError } = await transitionOrder(
+    order,
+    { payment_status: event.status },
+    {
+      actor: { role: 'system' },
+      note: `Pembayaran ${payment.provider} ${payment.provider_reference}: ${event.status}`
+    }
+  );
+
+  if (transitionError) {
+    // Someone else changed the order meanwhile; let the provider retry
+    if (transitionError.statusCode === 409) {
+      return { data: null, error: transitionError };
+    }
+
+    console.error(`Payment ${payment.payment_id} not applied to order ${order.order_id}: ${transitionError.message}`);
+
+    // The gateway took the money for an order that can no longer be paid
+    if (event.status === 'paid') {
+      const { error: flagError } = await flagForRefund(payment, transitionError.message);
+
+      if (flagError) {
+        return { data: null, error: { statusCode: 500, message: 'Server error saat mengupdate pembayaran' } };
+      }
+
+      return { data: `needs_refund: ${transitionError.message}`, error: null };
+    }
+
+    return { data: `rejected: ${transitionError.message}`, error: null };
+  }
+
+  return { data: `order ${event.status}`, error: null };
+};
+
+/**
+ * Handle a payment notification: verify its signature, drop replays and apply it
+ * @param {String} providerName - Provider the notification claims to come from
+ * @param {Object} request - { headers, body, rawBody }
+ * @returns {Promise<Object>} { data: { result, duplicate }, error } where error has statusCode and message
+ */
+const handleWebhook = async (providerName, request) => {
+  if (!providers[providerName]) {
+    return { data: null, error: { statusCode: 404, message: 'Payment provider tidak dikenal' } };
+  }
+
+  const provider = getUsableProvider(providerName);
+
+  if (!provider) {
+    console.error(`Rejected ${providerName} webhook: provider is not configured`);
+    return { data: null, error: { statusCode: 503, message: 'Pembayaran online tidak tersedia' } };
+  }
+
+  if (!provider.verifyWebhook(request)) {
+    return { data: null, error: { statusCode: 401, message: 'Signature webhook tidak valid' } };
+  }
+
+  const event = provider.parseWebhook(request.body);
+
+  if (!event.event_key || !event.reference) {
+    return { data: null, error: { statusCode: 400, message: 'Payload webhook tidak lengkap' } };
+  }
+
+  const { data: record, error: recordError } = await recordWebhookEvent(providerName, event, request.body);
+
+  if (recordError) {
+    console.error(`Error recording ${providerName} webhook event ${event.event_key}:`, recordError);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat mencatat webhook' } };
+  }
+
+  if (record.duplicate) {
+    return { data: { result: 'duplicate', duplicate: true }, error: null };
+  }
+
+  const { data: payment, error: paymentError } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('provider', providerName)
+    .eq('provider_reference', event.reference)
+    .maybeSingle();
+
+  if (paymentError) {
+    console.error(`Error fetching payment ${event.reference}:`, paymentError);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat mengambil pembayaran' } };
+  }
+
+  if (!payment) {
+    await finishWebhookEvent(record.event_id, 'ignored: unknown payment');
+    return { data: { result: 'ignored', duplicate: false }, error: null };
+  }
+
+  const { data: result, error: applyError } = await applyPaymentResult(payment, event);
+
+  if (applyError) {
+    return { data: null, error: applyError };
+  }
+
+  await finishWebhookEvent(record.event_id, result);
+  return { data: { result, duplicate: false }, error: null };
+};
+
+/**
+ * Public fields of a payment session
+ * @param {Object} payment - payments row
+ * @returns {Object|null} Payment details for the customer
+ */
+const formatPayment = (payment) => (payment ? {
+  payment_id: payment.payment_id,
+  provider: payment.provider,
+  reference: payment.provider_reference,
+  amount: payment.amount,
+  status: payment.status,
+  payment_method: payment.payment_method,
+  redirect_url: payment.redirect_url,
+  va_number: payment.va_number,
+  expires_at: payment.expires_at,
+  needs_refund: Boolean(payment.needs_refund)
+} : null);
+
+module.exports = {
+  registerProvider,
+  createPaymentSession,
+  handleWebhook,
+  formatPayment
+};
@@ -0,0 +1,103 @@
+const supabase = require('../config/supabase');
+const { toInList } = require('../utils/postgrestUtils');
+const { removeImage } = require('./imageUploadService');
+
+/**
+ * @module ProductDetailService
+ * @description Saves the sizes and images of a product as a diff against what
+ * is stored: listed rows are inserted or updated in place, unlisted rows are
+ * removed, so unchanged rows keep their IDs.
+ */
+
+/**
+ * Save the sizes of a product, keyed by size label. A size without stock
+ * keeps its current stock (new sizes start at 0).
+ * @param {Number} productId - Product ID
+ * @param {Array} sizes - Sizes from the request body ({ size, stock })
+ * @returns {Promise<Object>} Object with an error property when saving failed
+ */
+const saveProductSizes = async (productId, sizes) => {
+  const rows = sizes.map(size => ({
+    product_id: productId,
+    size: size.size,
+    ...(size.stock !== undefined ? { stock: size.stock } : {})
+  }));
+
+  // Like variants: rows without stock go separately so the bulk upsert
+  // doesn't write a stock column for them
+  const batches = [
+    rows.filter(row => row.stock !== undefined),
+    rows.filter(row => row.stock === undefined)
+  ].filter(batch => batch.length > 0);
+
+  for (const batch of batches) {
+    const { error: upsertError } = await supabase
+      .from('product_sizes')
+      .upsert(batch, { onConflict: 'product_id,size' });
+
+    if (upsertError) {
+      console.error(`Error saving sizes for product ${productId}:`, upsertError);
+      return { error: upsertError };
+    }
+  }
+
+  const { error: deleteError } = await supabase
+    .from('product_sizes')
+    .delete()
+    .eq('product_id', productId)
+    .not('size', 'in', toInList(rows.map(row => row.size)));
+
+  if (deleteError) {
+    console.error(`Error removing old sizes for product ${productId}:`, deleteError);
+    return { error: deleteError };
+  }
+
+  return { error: null };
+};
+
+/**
+ * Save the images of a product, keyed by image URL
+ * @param {Number} productId - Product ID
+ * @param {Array} images - Image URLs from the request body
+ * @returns {Promise<Object>} Object with an error property when saving failed
+ */
+const saveProductImages = async (productId, images) => {
+  const rows = images.map(image => ({
+    product_id: productId,
+    image_url: image
+  }));
+
+  // Existing URLs are left untouched
+  const { error: insertError } = await supabase
+    .from('product_images')
+    .upsert(rows, { onConflict: 'product_id,image_url', ignoreDuplicates: true });
+
+  if (insertError) {
+    console.error(`Error saving images for product ${productId}:`, insertError);
+    return { error: insertError };
+  }
+
+  const { data: removedImages, error: deleteError } = await supabase
+    .from('product_images')
+    .delete()
+    .eq('product_id', productId)
+    .not('image_url', 'in', toInList(images))
+    .select('storage_key');
+
+  if (deleteError) {
+    console.error(`Error removing old images for product ${productId}:`, deleteError);
+    return { error: deleteError };
+  }
+
+  // Uploaded images that are no longer listed also lose their files
+  await Promise.all(removedImages
+    .filter(image => image.storage_key)
+    .map(image => removeImage(image.storage_key)));
+
+  return { error: null };
+};
+
+module.exports = {
+  saveProductSizes,
+  saveProductImages
+};
@@ -0,0 +1,151 @@
+const supabase = require('../config/supabase');
+
+/**
+ * @module ProductVariantService
+ * @description Saves color x size variants of a product. Variants are keyed
+ * by SKU so updates keep existing variant_ids (and the cart lines pointing at them).
+ * Variants dropped from a product are archived while carts, wishlists or
+ * orders still reference them.
+ */
+
+const VARIANT_REQUIRED_MESSAGE = 'Produk ini memiliki varian, silakan pilih varian terlebih dahulu';
+
+/**
+ * Map a request payload variant to a product_variants row. Stock is only
+ * included when given, so an update that leaves it out keeps the current stock
+ * (new variants start at the column default of 0).
+ * @param {Number} productId - Product ID
+ * @param {Object} variant - Variant from the request body
+ * @returns {Object} product_variants row
+ */
+const toVariantRow = (productId, variant) => {
+  const row = {
+    product_id: productId,
+    sku: variant.sku,
+    color: variant.color || null,
+    size: variant.size || null,
+    price: variant.price !== undefined && variant.price !== null ? variant.price : null,
+    weight_grams: variant.weight_grams !== undefined ? variant.weight_grams : null,
+    image_url: variant.image_url || null,
+    // Listing an archived SKU again brings it back
+    is_active: true,
+    archived_at: null
+  };
+
+  if (variant.stock !== undefined && variant.stock !== null) {
+    row.stock = variant.stock;
+  }
+
+  return row;
+};
+
+/**
+ * Check whether a product is sold by variant, in which case every cart and
+ * order line must name a variant_id
+ * @param {Number} productId - Product ID
+ * @returns {Promise<Object>} { hasVariants, error }
+ */
+const productHasVariants = async (productId) => {
+  const { count, error } = await supabase
+    .from('product_variants')
+    .select('variant_id', { count: 'exact', head: true })
+    .eq('product_id', productId)
+    .eq('is_active', true);
+
+  if (error) {
+    console.error(`Error checking variants of product ${productId}:`, error);
+  }
+
+  return { hasVariants: count > 0, error };
+};
+
+/**
+ * Check that SKUs are unique within the payload and not used by another product
+ * @param {Array} variants - Variants from the request body
+ * @param {Number} [productId] - Product being updated (omit when creating)
+ * @returns {Promise<Object>} { error } with statusCode and message when SKUs conflict
+ */
+const checkSkuConflicts = async (variants, productId) => {
+  const skus = variants.map(variant => variant.sku);
+  const duplicates = skus.filter((sku, index) => skus.indexOf(sku) !== index);
+
+  if (duplicates.length > 0) {
+    return { error: { statusCode: 400, message: `SKU duplikat: ${[...new Set(duplicates)].join(', ')}` } };
+  }
+
+  let query = supabase
+    .from('product_variants')
+    .select('sku')
+    .in('sku', skus);
+
+  if (productId) {
+    query = query.neq('product_id', productId);
+  }
+
+  const { data: taken, error } = await query;
+
+  if (error) {
+    console.error('Error checking variant SKUs:', error);
+    return { error: { statusCode: 500, message: 'Server error saat memeriksa SKU varian' } };
+  }
+
+  if (taken && taken.length > 0) {
+    return {
+      error: {
+        statusCode: 400,
+        message: `SKU sudah digunakan produk lain: ${taken.map(row => row.sku).join(', ')}`
+      }
+    };
+  }
+
+  return { error: null };
+};
+
+/**
+ * Save the variants of a product: insert new SKUs, update existing ones and
+ * archive or delete variants whose SKU is no longer listed
+ * @param {Number} productId - Product ID
+ * @param {Array} variants - Variants from the request body
+ * @returns {Promise<Object>} Object with an error property when saving failed
+ */
+const saveProductVariants = async (productId, variants) => {
+  const rows = variants.map(variant => toVariantRow(productId, variant));
+
+  // A bulk upsert writes every column any row has, so rows without stock
+  // go separately to keep their stock untouched
+  const batches = [
+    rows.filter(row => row.stock !== undefined),
+    rows.filter(row => row.stock === undefined)
+  ].filter(batch => batch.length > 0);
+
+  for (const batch of batches) {
+    const { error: upsertError } = await supabase
+      .from('product_variants')
+      .upsert(batch, { onConflict: 'sku' });
+
+    if (upsertError) {
+      console.error(`Error saving variants for product ${productId}:`, upsertError);
+      return { error: upsertError };
+    }
+  }
+
+  const { error: deleteError } = await supabase
+    .rpc('remove_unlisted_variants', {
+      p_product_id: productId,
+      p_skus: rows.map(row => row.sku)
+    });
+
+  if (deleteError) {
+    console.error(`Error removing old variants for product ${productId}:`, deleteError);
+    return { error: deleteError };
+  }
+
+  return { error: null };
+};
+
+module.exports = {
+  VARIANT_REQUIRED_MESSAGE,
+  productHasVariants,
+  checkSkuConflicts,
+  saveProductVariants
+};
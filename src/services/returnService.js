@@ -0,0 +1,129 @@
+const supabase = require('../config/supabase');
+const { transitionOrder } = require('./orderWorkflow');
+
+/**
+ * @module ReturnService
+ * @description Shared logic of the return request flow: reading returns and
+ * keeping the order status in line with its returns. Restocking returned
+ * items happens in receive_return_request. An order only moves to returned / refunded once every item it
+ * contains has been returned; partial returns are tracked on the returns only.
+ */
+
+const RETURN_SELECT = `
+  return_id,
+  order_id,
+  user_id,
+  status,
+  reason_code,
+  reason,
+  admin_note,
+  reviewed_at,
+  received_at,
+  restocked,
+  refund_amount,
+  refund_method,
+  refund_reference,
+  refunded_at,
+  created_at,
+  updated_at,
+  return_request_items(
+    return_item_id,
+    quantity,
+    order_items(item_id, product_id, variant_id, sku, color, size, price, products(name))
+  ),
+  return_request_photos(photo_id, image_url, thumbnail_url)
+`;
+
+/**
+ * Get a return request with its items and photos
+ * @param {Number} returnId - Return ID
+ * @returns {Promise<Object>} Supabase result with the return (null when missing)
+ */
+const fetchReturnRequest = async (returnId) => {
+  return supabase
+    .from('return_requests')
+    .select(RETURN_SELECT)
+    .eq('return_id', returnId)
+    .maybeSingle();
+};
+
+/**
+ * Move the order to returned or refunded once all of its items have been
+ * returned and every open return reached that stage
+ * @param {Number} orderId - Order ID
+ * @param {Object} actor - Acting user
+ * @returns {Promise<Object>} { order, error } where order is null when nothing changed
+ */
+const syncOrderWithReturns = async (orderId, actor) => {
+  const { data: order, error: orderError } = await supabase
+    .from('orders')
+    .select('order_id, status, payment_status, order_items(item_id, quantity)')
+    .eq('order_id', orderId)
+    .single();
+
+  if (orderError || !order) {
+    console.error(`Error fetching order ${orderId} for returns:`, orderError);
+    return { order: null, error: { statusCode: 500, message: 'Server error saat mengambil order' } };
+  }
+
+  const { data: returns, error: returnsError } = await supabase
+    .from('return_requests')
+    .select('status, return_request_items(order_item_id, quantity)')
+    .eq('order_id', orderId)
+    .neq('status', 'rejected');
+
+  if (returnsError) {
+    console.error(`Error fetching returns for order ${orderId}:`, returnsError);
+    return { order: null, error: { statusCode: 500, message: 'Server error saat mengambil retur' } };
+  }
+
+  const returnedQuantities = {};
+
+  for (const returnRequest of returns) {
+    for (const item of returnRequest.return_request_items) {
+      returnedQuantities[item.order_item_id] = (returnedQuantities[item.order_item_id] || 0) + item.quantity;
+    }
+  }
+
+  const fullyReturned = order.order_items.every(item => (returnedQuantities[item.item_id] || 0) >= item.quantity);
+
+  if (!fullyReturned) {
+    return { order: null, error: null };
+  }
+
+  let target = null;
+
+  if (returns.every(returnRequest => returnRequest.status === 'refunded')) {
+    target = 'refunded';
+  } else if (returns.every(returnRequest => ['received', 'refunded'].includes(returnRequest.status))) {
+    target = 'returned';
+  }
+
+  if (!target || order.status === target) {
+    return { order: null, error: null };
+  }
+
+  let current = order;
+
+  // A refund of goods that are still marked delivered passes through returned
+  for (const status of target === 'refunded' && current.status !== 'returned' ? ['returned', 'refunded'] : [target]) {
+    const { order: updatedOrder, error } = await transitionOrder(
+      current,
+      { status },
+      { actor, note: status === 'returned' ? 'Semua item order telah diretur' : 'Semua item retur telah direfund' }
+    );
+
+    if (error) {
+      return { order: null, error };
+    }
+
+    current = updatedOrder;
+  }
+
+  return { order: current, error: null };
+};
+
+module.exports = {
+  fetchReturnRequest,
+  syncOrderWithReturns
+};
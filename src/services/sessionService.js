@@ -0,0 +1,222 @@
+const supabase = require('../config/supabase');
+const jwtConfig = require('../config/jwtConfig');
+const { generateToken, generateRandomToken, hashToken } = require('../utils/jwtUtils');
+
+/**
+ * @module SessionService
+ * @description Login sessions with short-lived access tokens and rotating,
+ * single-use refresh tokens stored (hashed) in the database
+ */
+
+const INVALID_REFRESH_TOKEN = { statusCode: 401, message: 'Refresh token tidak valid atau kadaluarsa' };
+
+/**
+ * Issue a new access token and refresh token pair for a session
+ * @param {Object} user - User with user_id, email and role
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Object>} { data: { token, refresh_token }, error }
+ */
+const issueTokens = async (user, sessionId) => {
+  const refreshToken = generateRandomToken();
+  const expiresAt = new Date(Date.now() + jwtConfig.refreshExpiresInDays * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert({
+      session_id: sessionId,
+      token_hash: hashToken(refreshToken),
+      expires_at: expiresAt,
+      created_at: new Date()
+    });
+
+  if (error) {
+    console.error('Error storing refresh token:', error);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat membuat sesi' } };
+  }
+
+  return {
+    data: {
+      token: generateToken(user, sessionId),
+      refresh_token: refreshToken,
+      refresh_token_expires_at: expiresAt
+    },
+    error: null
+  };
+};
+
+/**
+ * Start a new session for a user who just logged in or registered
+ * @param {Object} user - User with user_id, email and role
+ * @param {Object} [client] - Request metadata
+ * @param {String} [client.userAgent] - User-Agent header
+ * @param {String} [client.ipAddress] - Client IP address
+ * @returns {Promise<Object>} { data: { token, refresh_token }, error }
+ */
+const createSession = async (user, { userAgent, ipAddress } = {}) => {
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .insert({
+      user_id: user.user_id,
+      user_agent: userAgent || null,
+      ip_address: ipAddress || null,
+      created_at: new Date()
+    })
+    .select('session_id')
+    .single();
+
+  if (error) {
+    console.error('Error creating session:', error);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat membuat sesi' } };
+  }
+
+  return issueTokens(user, session.session_id);
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Why the session is revoked
+ * @returns {Promise<Object>} Object with an error property when revoking failed
+ */
+const revokeSession = async (sessionId, reason) => {
+  const { error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date(), revoked_reason: reason })
+    .eq('session_id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) {
+    console.error(`Error revoking session ${sessionId}:`, error);
+  }
+
+  return { error };
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {Number} userId - User ID
+ * @param {String} reason - Why the sessions are revoked
+ * @returns {Promise<Object>} Object with an error property when revoking failed
+ */
+const revokeUserSessions = async (userId, reason) => {
+  const { error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (error) {
+    console.error(`Error revoking sessions for user ${userId}:`, error);
+  }
+
+  return { error };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token is
+ * consumed; presenting it again revokes the whole session.
+ * @param {String} refreshToken - Plain refresh token
+ * @returns {Promise<Object>} { data: { token, refresh_token, user }, error }
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const { data: stored, error: findError } = await supabase
+    .from('refresh_tokens')
+    .select(`
+      token_id,
+      session_id,
+      expires_at,
+      used_at,
+      auth_sessions(session_id, user_id, revoked_at)
+    `)
+    .eq('token_hash', hashToken(refreshToken))
+    .maybeSingle();
+
+  if (findError) {
+    console.error('Error finding refresh token:', findError);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat memeriksa sesi' } };
+  }
+
+  if (!stored || !stored.auth_sessions || stored.auth_sessions.revoked_at) {
+    return { data: null, error: INVALID_REFRESH_TOKEN };
+  }
+
+  // Mark the token as used only if nobody used it before
+  const { data: consumed, error: consumeError } = await supabase
+    .from('refresh_tokens')
+    .update({ used_at: new Date() })
+    .eq('token_id', stored.token_id)
+    .is('used_at', null)
+    .select('token_id')
+    .maybeSingle();
+
+  if (consumeError) {
+    console.error('Error consuming refresh token:', consumeError);
+    return { data: null, error: { statusCode: 500, message: 'Server error saat memeriksa sesi' } };
+  }
+
+  if (!consumed) {
+    // Reuse of a rotated token means it leaked: end the session for everyone holding it
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    return { data: null, error: INVALID_REFRESH_TOKEN };
+  }
+
+  if (new Date(stored.expires_at) < new Date()) {
+    return { data: null, error: INVALID_REFRESH_TOKEN };
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('user_id, email, username, role')
+    .eq('user_id', stored.auth_sessions.user_id)
+    .single();
+
+  if (userError || !user) {
+    return { data: null, error: INVALID_REFRESH_TOKEN };
+  }
+
+  await supabase
+    .from('auth_sessions')
+    .update({ last_used_at: new Date() })
+    .eq('session_id', stored.session_id);
+
+  const { data: tokens, error: issueError } = await issueTokens(user, stored.session_id);
+
+  if (issueError) {
+    return { data: null, error: issueError };
+  }
+
+  return { data: { ...tokens, user }, error: null };
+};
+
+/**
+ * Check whether a session is still active
+ * @param {String} sessionId - Session ID
+ * @param {Number} userId - Expected owner of the session
+ * @returns {Promise<Boolean>} True if the session exists, belongs to the user and is not revoked
+ */
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .select('session_id, user_id, revoked_at')
+    .eq('session_id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error checking session ${sessionId}:`, error);
+    return false;
+  }
+
+  return Boolean(session) && session.user_id === userId && !session.revoked_at;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive
+};
@@ -0,0 +1,200 @@
+const supabase = require('../config/supabase');
+const shippingConfig = require('../config/shippingConfig');
+
+/**
+ * @module ShippingService
+ * @description Prices shipping through pluggable rate providers. A provider is
+ * an object with async getRates({ origin, destination, weightGrams, couriers })
+ * returning options { courier, service, service_name, cost, etd_min_days,
+ * etd_max_days }. The built-in flat_rate provider reads the shipping_rates
+ * table and works offline; courier API adapters are added with registerProvider
+ * and enabled with SHIPPING_PROVIDERS.
+ */
+
+/**
+ * Whether a rate row applies to a destination (null columns match anything)
+ * @param {Object} rate - shipping_rates row
+ * @param {Object} destination - Address snapshot
+ * @returns {Boolean} True when the rate applies
+ */
+const matchesDestination = (rate, destination) => {
+  const same = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+  return (!rate.destination_province || same(rate.destination_province, destination.province))
+    && (!rate.destination_city || same(rate.destination_city, destination.city));
+};
+
+/**
+ * How specific a rate row is; a city rate beats a province rate beats a nationwide one
+ * @param {Object} rate - shipping_rates row
+ * @returns {Number} Specificity score
+ */
+const rateSpecificity = (rate) => (rate.destination_city ? 2 : 0) + (rate.destination_province ? 1 : 0);
+
+const providers = {
+  flat_rate: {
+    getRates: async ({ destination, weightGrams, couriers }) => {
+      const { data: rates, error } = await supabase
+        .from('shipping_rates')
+        .select('*')
+        .eq('is_active', true)
+        .in('courier', couriers);
+
+      if (error) {
+        throw error;
+      }
+
+      // Keep the most specific matching rate per courier service
+      const best = new Map();
+
+      for (const rate of rates.filter(row => matchesDestination(row, destination))) {
+        const key = `${rate.courier}:${rate.service}`;
+        const current = best.get(key);
+
+        if (!current || rateSpecificity(rate) > rateSpecificity(current)) {
+          best.set(key, rate);
+        }
+      }
+
+      // Couriers bill per started kilogram, with a one kilogram minimum
+      const billableKg = Math.max(1, Math.ceil(weightGrams / 1000));
+
+      return [...best.values()].map(rate => ({
+        courier: rate.courier,
+        service: rate.service,
+        service_name: rate.service_name,
+        cost: Number(rate.first_kg_cost) + (billableKg - 1) * Number(rate.next_kg_cost),
+        etd_min_days: rate.etd_min_days,
+        etd_max_days: rate.etd_max_days
+      }));
+    }
+  }
+};
+
+/**
+ * Register (or replace) a rate provider
+ * @param {String} name - Provider name, enabled with SHIPPING_PROVIDERS
+ * @param {Object} provider - Object with an async getRates function
+ */
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * Call a provider, giving up after the configured timeout
+ * @param {String} name - Provider name
+ * @param {Object} request - getRates argument
+ * @returns {Promise<Array>} Options tagged with the provider name
+ */
+const fetchRates = async (name, request) => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Shipping provider "${name}" is not registered`);
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Shipping provider "${name}" timed out`)),
+      shippingConfig.providerTimeoutMs
+    );
+  });
+
+  try {
+    const options = await Promise.race([provider.getRates(request), timeout]);
+    return options.map(option => ({ ...option, provider: name }));
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Total parcel weight of order or cart lines
+ * @param {Array} items - Lines with quantity and weight_grams (null uses the default weight)
+ * @returns {Number} Weight in grams
+ */
+const calculateWeight = (items) => items.reduce((total, item) => {
+  const weight = item.weight_grams !== null && item.weight_grams !== undefined
+    ? item.weight_grams
+    : shippingConfig.defaultItemWeightGrams;
+
+  return total + weight * item.quantity;
+}, 0);
+
+/**
+ * Get the shipping options of all enabled providers for a parcel, cheapest first.
+ * A failing provider is skipped as long as another one answers.
+ * @param {Object} destination - Address snapshot (province, city, district, postal_code)
+ * @param {Number} weightGrams - Parcel weight
+ * @returns {Promise<Object>} { data: options, error } where error has statusCode and message
+ */
+const getShippingOptions = async (destination, weightGrams) => {
+  const request = {
+    origin: shippingConfig.origin,
+    destination,
+    weightGrams,
+    couriers: shippingConfig.couriers
+  };
+
+  const results = await Promise.allSettled(
+    shippingConfig.providers.map(name => fetchRates(name, request))
+  );
+
+  const options = [];
+
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      options.push(...result.value);
+    } else {
+      console.error(`Error fetching rates from ${shippingConfig.providers[index]}:`, result.reason);
+    }
+  });
+
+  if (options.length === 0 && results.every(result => result.status === 'rejected')) {
+    return { data: null, error: { statusCode: 503, message: 'Layanan ongkos kirim sedang tidak tersedia' } };
+  }
+
+  options.sort((a, b) => a.cost - b.cost);
+  return { data: options, error: null };
+};
+
+/**
+ * Price the courier service chosen by the customer
+ * @param {Object} destination - Address snapshot
+ * @param {Number} weightGrams - Parcel weight
+ * @param {String} courier - Courier code (e.g. jne)
+ * @param {String} service - Service code (e.g. REG)
+ * @returns {Promise<Object>} { data: option, error } where error has statusCode and message
+ */
+const selectShippingOption = async (destination, weightGrams, courier, service) => {
+  const { data: options, error } = await getShippingOptions(destination, weightGrams);
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const option = options.find(entry => (
+    entry.courier.toLowerCase() === courier.toLowerCase()
+    && entry.service.toLowerCase() === service.toLowerCase()
+  ));
+
+  if (!option) {
+    return {
+      data: null,
+      error: {
+        statusCode: 400,
+        message: `Layanan pengiriman ${courier.toUpperCase()} ${service.toUpperCase()} tidak tersedia untuk alamat tujuan`
+      }
+    };
+  }
+
+  return { data: option, error: null };
+};
+
+module.exports = {
+  registerProvider,
+  calculateWeight,
+  getShippingOptions,
+  selectShippingOption
+};
@@ -0,0 +1,118 @@
+const fs = require('fs/promises');
+const path = require('path');
+const supabase = require('../config/supabase');
+const uploadConfig = require('../config/uploadConfig');
+
+/**
+ * @module StorageService
+ * @description Stores uploaded files through a pluggable backend. A backend
+ * is an object with async save(key, buffer, contentType) returning the public
+ * URL, and async remove(keys). Local disk is the default; Supabase Storage is
+ * available with STORAGE_DRIVER=supabase.
+ */
+
+const backends = {
+  local: {
+    save: async (key, buffer) => {
+      const filePath = path.join(path.resolve(uploadConfig.localDir), key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return `${uploadConfig.localPublicUrl}/${key}`;
+    },
+
+    remove: async (keys) => {
+      await Promise.all(keys.map(key => (
+        fs.rm(path.join(path.resolve(uploadConfig.localDir), key), { force: true })
+      )));
+    }
+  },
+
+  supabase: {
+    save: async (key, buffer, contentType) => {
+      const bucket = supabase.storage.from(uploadConfig.supabaseBucket);
+      const { error } = await bucket.upload(key, buffer, { contentType, upsert: false });
+
+      if (error) {
+        throw error;
+      }
+
+      return bucket.getPublicUrl(key).data.publicUrl;
+    },
+
+    remove: async (keys) => {
+      const { error } = await supabase.storage
+        .from(uploadConfig.supabaseBucket)
+        .remove(keys);
+
+      if (error) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Register (or replace) a storage backend
+ * @param {String} name - Backend name, selected with STORAGE_DRIVER
+ * @param {Object} backend - Object with save and remove functions
+ */
+const registerBackend = (name, backend) => {
+  backends[name] = backend;
+};
+
+/**
+ * Get the configured backend
+ * @returns {Object} Storage backend
+ */
+const getBackend = () => {
+  const backend = backends[uploadConfig.storageDriver];
+
+  if (!backend) {
+    throw new Error(`Storage backend "${uploadConfig.storageDriver}" is not registered`);
+  }
+
+  return backend;
+};
+
+/**
+ * Save a file
+ * @param {String} key - Path of the file inside the storage (e.g. products/1/abc.webp)
+ * @param {Buffer} buffer - File contents
+ * @param {String} contentType - MIME type
+ * @returns {Promise<Object>} { url, error }
+ */
+const saveFile = async (key, buffer, contentType) => {
+  try {
+    const url = await getBackend().save(key, buffer, contentType);
+    return { url, error: null };
+  } catch (error) {
+    console.error(`Error saving file ${key}:`, error);
+    return { url: null, error };
+  }
+};
+
+/**
+ * Remove files. Missing files are ignored.
+ * @param {Array} keys - Paths of the files inside the storage
+ * @returns {Promise<Object>} Object with an error property when removal failed
+ */
+const removeFiles = async (keys) => {
+  if (keys.length === 0) {
+    return { error: null };
+  }
+
+  try {
+    await getBackend().remove(keys);
+    return { error: null };
+  } catch (error) {
+    console.error(`Error removing files ${keys.join(', ')}:`, error);
+    return { error };
+  }
+};
+
+module.exports = {
+  registerBackend,
+  saveFile,
+  removeFiles
+};
@@ -0,0 +1,79 @@
+const supabase = require('../config/supabase');
+const { generateRandomToken, hashToken } = require('../utils/jwtUtils');
+
+/**
+ * @module UserTokenService
+ * @description Single-use, expiring tokens for account flows such as password
+ * reset and email verification. Only a hash of each token is stored.
+ */
+
+/**
+ * Create a token for a user, invalidating earlier unused tokens of the same purpose
+ * @param {Number} userId - User ID
+ * @param {String} purpose - password_reset or email_verification
+ * @param {Number} ttlMs - Time to live in milliseconds
+ * @returns {Promise<Object>} { token, error }
+ */
+const createUserToken = async (userId, purpose, ttlMs) => {
+  // Only the most recent link should work
+  const { error: invalidateError } = await supabase
+    .from('user_tokens')
+    .update({ used_at: new Date() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (invalidateError) {
+    console.error(`Error invalidating ${purpose} tokens for user ${userId}:`, invalidateError);
+    return { token: null, error: invalidateError };
+  }
+
+  const token = generateRandomToken();
+
+  const { error } = await supabase
+    .from('user_tokens')
+    .insert({
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + ttlMs),
+      created_at: new Date()
+    });
+
+  if (error) {
+    console.error(`Error creating ${purpose} token for user ${userId}:`, error);
+    return { token: null, error };
+  }
+
+  return { token, error: null };
+};
+
+/**
+ * Consume a token. Succeeds at most once, and only before it expires.
+ * @param {String} token - Plain token
+ * @param {String} purpose - Expected purpose
+ * @returns {Promise<Object>} { userId, error }, userId is null for invalid tokens
+ */
+const consumeUserToken = async (token, purpose) => {
+  const { data: consumed, error } = await supabase
+    .from('user_tokens')
+    .update({ used_at: new Date() })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('user_id')
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error consuming ${purpose} token:`, error);
+    return { userId: null, error };
+  }
+
+  return { userId: consumed ? consumed.user_id : null, error: null };
+};
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
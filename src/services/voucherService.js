@@ -0,0 +1,96 @@
+const supabase = require('../config/supabase');
+
+/**
+ * @module VoucherService
+ * @description Validates vouchers and computes discounts through the
+ * voucher_quote database function, so cart previews and checkout use the
+ * same rules. Redemption (redeem_voucher, run inside checkout_cart and
+ * create_order) locks the voucher row, which keeps global and per-user usage
+ * limits exact under concurrent checkouts.
+ */
+
+const VOUCHER_ERRORS = {
+  VOUCHER_NOT_FOUND: { statusCode: 404, message: 'Kode voucher tidak ditemukan' },
+  VOUCHER_INACTIVE: { statusCode: 400, message: 'Voucher tidak aktif' },
+  VOUCHER_NOT_STARTED: { statusCode: 400, message: 'Voucher belum dapat digunakan' },
+  VOUCHER_EXPIRED: { statusCode: 400, message: 'Voucher sudah kedaluwarsa' },
+  VOUCHER_USAGE_LIMIT: { statusCode: 400, message: 'Kuota voucher sudah habis' },
+  VOUCHER_USER_LIMIT: { statusCode: 400, message: 'Anda sudah mencapai batas penggunaan voucher ini' },
+  VOUCHER_NOT_APPLICABLE: { statusCode: 400, message: 'Voucher tidak berlaku untuk produk yang dibeli' },
+  VOUCHER_MIN_SPEND: { statusCode: 400, message: 'Total belanja belum memenuhi minimum voucher' }
+};
+
+/**
+ * Translate a database error raised by the voucher functions
+ * @param {Object} error - Error returned by supabase.rpc
+ * @returns {Object|null} { statusCode, message }, or null if it isn't a voucher error
+ */
+const toVoucherError = (error) => {
+  const known = error && VOUCHER_ERRORS[error.message];
+
+  if (!known) {
+    return null;
+  }
+
+  if (error.message === 'VOUCHER_MIN_SPEND' && error.details) {
+    return { ...known, message: `${known.message} (minimal ${error.details})` };
+  }
+
+  return known;
+};
+
+/**
+ * Normalize cart or order items into the payload expected by the database
+ * @param {Array} items - Items with product_id, unit price and quantity
+ * @returns {Array} Items with product_id, price and quantity only
+ */
+const toVoucherItems = (items) => items.map(item => ({
+  product_id: item.product_id,
+  price: item.price,
+  quantity: item.quantity
+}));
+
+/**
+ * Validate a voucher for a user and compute its discount without redeeming it
+ * @param {String} code - Voucher code
+ * @param {Number} userId - User applying the voucher
+ * @param {Array} items - Items with product_id, unit price and quantity
+ * @returns {Promise<Object>} { data: quote, error } where error has statusCode and message
+ */
+const quoteVoucher = async (code, userId, items) => {
+  const { data, error } = await supabase
+    .rpc('voucher_quote', { p_code: code, p_user_id: userId, p_items: toVoucherItems(items) });
+
+  if (error) {
+    const voucherError = toVoucherError(error);
+
+    if (!voucherError) {
+      console.error(`Error quoting voucher ${code}:`, error);
+    }
+
+    return {
+      data: null,
+      error: voucherError || { statusCode: 500, message: 'Server error saat memeriksa voucher' }
+    };
+  }
+
+  return { data, error: null };
+};
+
+/**
+ * Give the voucher use of an order back
+ * @param {Number} orderId - Order ID
+ * @returns {Promise<Object>} Object with an error property when release failed
+ */
+const releaseVoucher = async (orderId) => {
+  const { error } = await supabase
+    .rpc('release_voucher', { p_order_id: orderId });
+
+  return { error };
+};
+
+module.exports = {
+  toVoucherError,
+  quoteVoucher,
+  releaseVoucher
+};
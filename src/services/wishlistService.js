@@ -0,0 +1,81 @@
+const supabase = require('../config/supabase');
+const mailConfig = require('../config/mailConfig');
+const { sendMail } = require('./mailerService');
+
+/**
+ * @module WishlistService
+ * @description Back-in-stock notifications for wishlist items. The database
+ * flags items (back_in_stock_at) when a product size goes from 0 to positive
+ * stock; this service emails customers who opted in.
+ */
+
+/**
+ * Email every opted-in customer whose wishlisted size is flagged as back in
+ * stock and who hasn't been notified yet. Each item is claimed before the
+ * email is sent, so concurrent runs never notify twice.
+ * @param {Number} [productId] - Limit to one product
+ * @returns {Promise<Object>} { data: number of emails sent, error }
+ */
+const notifyBackInStock = async (productId) => {
+  let query = supabase
+    .from('wishlist_items')
+    .select(`
+      wishlist_item_id,
+      size,
+      users(email, username),
+      products(product_id, name, is_active)
+    `)
+    .eq('notify_back_in_stock', true)
+    .not('back_in_stock_at', 'is', null)
+    .is('notified_at', null);
+
+  if (productId) {
+    query = query.eq('product_id', productId);
+  }
+
+  const { data: items, error } = await query;
+
+  if (error) {
+    console.error('Error fetching back-in-stock wishlist items:', error);
+    return { data: 0, error };
+  }
+
+  let sent = 0;
+
+  for (const item of items) {
+    if (!item.products.is_active) {
+      continue;
+    }
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('wishlist_items')
+      .update({ notified_at: new Date().toISOString() })
+      .eq('wishlist_item_id', item.wishlist_item_id)
+      .is('notified_at', null)
+      .select('wishlist_item_id')
+      .maybeSingle();
+
+    if (claimError || !claimed) {
+      continue;
+    }
+
+    const sizeText = item.size ? ` ukuran ${item.size}` : '';
+    const { error: mailError } = await sendMail({
+      to: item.users.email,
+      subject: `${item.products.name} tersedia kembali`,
+      text: `Halo ${item.users.username},\n\n` +
+        `${item.products.name}${sizeText} di wishlist Anda sudah tersedia kembali:\n` +
+        `${mailConfig.appUrl}/products/${item.products.product_id}`
+    });
+
+    if (!mailError) {
+      sent += 1;
+    }
+  }
+
+  return { data: sent, error: null };
+};
+
+module.exports = {
+  notifyBackInStock
+};
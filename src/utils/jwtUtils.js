@@ -1,16 +1,19 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const jwtConfig = require('../config/jwtConfig');
 
 /**
- * Generate a JWT token for a user
+ * Generate a JWT access token for a user
  * @param {Object} user - User object
+ * @param {String} sessionId - Session the token belongs to
  * @returns {String} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   const payload = {
     id: user.user_id,
     email: user.email,
-    role: user.role
+    role: user.role,
+    sid: sessionId
   };
 
   return jwt.sign(payload, jwtConfig.secret, {
@@ -31,7 +34,22 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Generate an opaque random token (refresh tokens, reset links, etc.)
+ * @returns {String} Random hex token
+ */
+const generateRandomToken = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * Hash an opaque token before storing it
+ * @param {String} token - Plain token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 module.exports = {
   generateToken,
-  verifyToken
+  verifyToken,
+  generateRandomToken,
+  hashToken
 };
\ No newline at end of file
@@ -0,0 +1,19 @@
+/**
+ * Quote a value for use inside a PostgREST filter string (or(), in(), ...),
+ * so commas, parentheses and quotes in the value can't change the filter
+ * @param {String} value - Raw value
+ * @returns {String} Double-quoted, escaped value
+ */
+const quoteValue = (value) => `"${String(value).replace(/["\\]/g, match => `\\${match}`)}"`;
+
+/**
+ * Build a PostgREST list for in / not.in filters
+ * @param {Array} values - Raw values
+ * @returns {String} List such as ("a","b")
+ */
+const toInList = (values) => `(${values.map(quoteValue).join(',')})`;
+
+module.exports = {
+  quoteValue,
+  toInList
+};
@@ -0,0 +1,116 @@
+const { quoteValue } = require('./postgrestUtils');
+
+/**
+ * Sort options for product listings
+ */
+const SORT_OPTIONS = {
+  newest: { column: 'created_at', ascending: false },
+  price_asc: { column: 'price', ascending: true },
+  price_desc: { column: 'price', ascending: false },
+  name_asc: { column: 'name', ascending: true },
+  name_desc: { column: 'name', ascending: false },
+  best_selling: { column: 'sold_count', ascending: false },
+  rating: { column: 'rating_average', ascending: false }
+};
+
+/**
+ * Split a comma separated query value (or repeated query param) into a list
+ * @param {String|Array} value - Raw query value
+ * @returns {Array} Trimmed, non-empty values
+ */
+const toList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Escape a search term for use inside a PostgREST ilike filter.
+ * LIKE wildcards are escaped so they match literally, and the value is quoted
+ * so commas and parentheses can't break out of the or() filter.
+ * @param {String} term - Raw search term
+ * @returns {String} Quoted ilike pattern matching the term anywhere
+ */
+const toIlikePattern = (term) => {
+  const escaped = String(term).replace(/[\\%_]/g, match => `\\${match}`);
+  return quoteValue(`%${escaped}%`);
+};
+
+/**
+ * Parse product list filters from the request query
+ * @param {Object} query - Express req.query
+ * @returns {Object} Normalized filters
+ */
+const parseProductFilters = (query) => ({
+  categories: toList(query.category).map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id)),
+  sizes: toList(query.size),
+  // PostgREST treats * as a wildcard and has no escape for it
+  search: query.search ? String(query.search).replace(/\*/g, ' ').trim() : '',
+  minPrice: query.min_price !== undefined && query.min_price !== '' ? parseFloat(query.min_price) : null,
+  maxPrice: query.max_price !== undefined && query.max_price !== '' ? parseFloat(query.max_price) : null,
+  inStock: query.in_stock === 'true' || query.in_stock === '1'
+});
+
+/**
+ * Apply product filters to a query on the product_catalog view
+ * @param {Object} query - Supabase query builder
+ * @param {Object} filters - Filters from parseProductFilters
+ * @returns {Object} Filtered query builder
+ */
+const applyProductFilters = (query, filters) => {
+  // Archived products never show up in the storefront
+  let filtered = query.eq('is_active', true);
+
+  if (filters.categories.length > 0) {
+    filtered = filtered.in('category_id', filters.categories);
+  }
+
+  if (filters.minPrice !== null) {
+    filtered = filtered.gte('price', filters.minPrice);
+  }
+
+  if (filters.maxPrice !== null) {
+    filtered = filtered.lte('price', filters.maxPrice);
+  }
+
+  if (filters.sizes.length > 0) {
+    // Only sizes that are currently in stock are listed in available_sizes
+    filtered = filtered.overlaps('available_sizes', filters.sizes);
+  }
+
+  if (filters.inStock) {
+    filtered = filtered.gt('available_stock', 0);
+  }
+
+  if (filters.search) {
+    const pattern = toIlikePattern(filters.search);
+    filtered = filtered.or(`name.ilike.${pattern},description.ilike.${pattern}`);
+  }
+
+  return filtered;
+};
+
+/**
+ * Convert filters into parameters for the product_facets database function
+ * @param {Object} filters - Filters from parseProductFilters
+ * @returns {Object} RPC parameters
+ */
+const toFacetParams = (filters) => ({
+  p_categories: filters.categories.length > 0 ? filters.categories : null,
+  p_sizes: filters.sizes.length > 0 ? filters.sizes : null,
+  p_search: filters.search || null,
+  p_min_price: filters.minPrice,
+  p_max_price: filters.maxPrice,
+  p_in_stock: filters.inStock
+});
+
+module.exports = {
+  SORT_OPTIONS,
+  toList,
+  toFacetParams,
+  parseProductFilters,
+  applyProductFilters
+};
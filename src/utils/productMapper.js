@@ -0,0 +1,61 @@
+/**
+ * Select clause for product lists: category, images, sizes and variants are
+ * embedded so a whole page loads in a single query
+ */
+const PRODUCT_LIST_SELECT = `
+  *,
+  categories(name, description),
+  product_images(image_id, image_url, medium_url, thumbnail_url, sort_order, is_primary),
+  product_sizes(size_id, size, stock),
+  product_variants(variant_id, sku, color, size, price, weight_grams, image_url, stock, is_active)
+`;
+
+/**
+ * Order images for display: primary image first, then by sort_order
+ * @param {Array} images - product_images rows
+ * @returns {Array} Sorted copy of the images
+ */
+const sortImages = (images) => [...(images || [])].sort((a, b) => (
+  (b.is_primary === true) - (a.is_primary === true) ||
+  (a.sort_order || 0) - (b.sort_order || 0) ||
+  a.image_id - b.image_id
+));
+
+/**
+ * Get the URL of the image shown for a product in lists, carts and orders
+ * @param {Array} images - product_images rows
+ * @returns {String|null} Primary (or first) image URL
+ */
+const getPrimaryImageUrl = (images) => {
+  const [primary] = sortImages(images);
+  return primary ? primary.image_url : null;
+};
+
+/**
+ * Rename embedded relations to the keys the API has always returned.
+ * Archived variants are left out.
+ * @param {Object} row - Product row with embedded images, sizes and variants
+ * @returns {Object} Product with images, sizes and variants arrays
+ */
+const toProductResponse = (row) => {
+  const {
+    product_images: images,
+    product_sizes: sizes,
+    product_variants: variants,
+    ...product
+  } = row;
+
+  return {
+    ...product,
+    images: sortImages(images),
+    sizes: sizes || [],
+    variants: (variants || []).filter(variant => variant.is_active !== false)
+  };
+};
+
+module.exports = {
+  PRODUCT_LIST_SELECT,
+  sortImages,
+  getPrimaryImageUrl,
+  toProductResponse
+};
@@ -0,0 +1,67 @@
+-- Turn a user's cart into an order in a single transaction.
+-- Creates the order and its order_items, reserves stock with conditional
+-- updates (never below zero) and empties cart_items. Any failure raises and
+-- rolls back every step.
+create or replace function checkout_cart(p_user_id bigint)
+returns json
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+  v_total numeric := 0;
+  v_item record;
+begin
+  -- Lock the cart rows so two checkouts for the same user cannot both succeed
+  perform 1 from cart_items where user_id = p_user_id for update;
+  if not found then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  select coalesce(sum(p.price * c.quantity), 0)
+    into v_total
+    from cart_items c
+    join products p on p.product_id = c.product_id
+   where c.user_id = p_user_id;
+
+  insert into orders (user_id, total_price, status, payment_status, created_at)
+  values (p_user_id, v_total, 'pending', 'unpaid', now())
+  returning order_id into v_order_id;
+
+  -- Stable ordering keeps row locks in the same order across transactions
+  for v_item in
+    select c.product_id, c.size, c.quantity, p.price
+      from cart_items c
+      join products p on p.product_id = c.product_id
+     where c.user_id = p_user_id
+     order by c.product_id, c.size
+  loop
+    if v_item.size is not null then
+      update product_sizes
+         set stock = stock - v_item.quantity
+       where product_id = v_item.product_id
+         and size = v_item.size
+         and stock >= v_item.quantity;
+    else
+      update products
+         set stock = stock - v_item.quantity
+       where product_id = v_item.product_id
+         and stock >= v_item.quantity;
+    end if;
+
+    if not found then
+      raise exception 'INSUFFICIENT_STOCK'
+        using detail = json_build_object(
+          'product_id', v_item.product_id,
+          'size', v_item.size
+        )::text;
+    end if;
+
+    insert into order_items (order_id, product_id, size, quantity, price)
+    values (v_order_id, v_item.product_id, v_item.size, v_item.quantity, v_item.price);
+  end loop;
+
+  delete from cart_items where user_id = p_user_id;
+
+  return json_build_object('order_id', v_order_id, 'total_price', v_total);
+end;
+$$;
@@ -0,0 +1,127 @@
+-- Transactional stock reservation for products.stock and product_sizes.stock.
+-- p_items is a JSON array of { product_id, size, quantity }. Items with a size
+-- touch product_sizes, items without one touch products.
+
+-- Decrement stock for every item or none of them. Each update only succeeds
+-- while enough stock remains, so concurrent orders can never push it negative.
+create or replace function reserve_stock(p_items jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_item record;
+begin
+  -- Stable ordering keeps row locks in the same order across transactions
+  for v_item in
+    select (i->>'product_id')::bigint as product_id,
+           nullif(i->>'size', '') as size,
+           (i->>'quantity')::int as quantity
+      from jsonb_array_elements(p_items) as i
+     order by 1, 2
+  loop
+    if v_item.quantity is null or v_item.quantity <= 0 then
+      raise exception 'INVALID_QUANTITY';
+    end if;
+
+    if v_item.size is not null then
+      update product_sizes
+         set stock = stock - v_item.quantity
+       where product_id = v_item.product_id
+         and size = v_item.size
+         and stock >= v_item.quantity;
+    else
+      update products
+         set stock = stock - v_item.quantity
+       where product_id = v_item.product_id
+         and stock >= v_item.quantity;
+    end if;
+
+    if not found then
+      raise exception 'INSUFFICIENT_STOCK'
+        using detail = json_build_object(
+          'product_id', v_item.product_id,
+          'size', v_item.size
+        )::text;
+    end if;
+  end loop;
+end;
+$$;
+
+-- Give reserved stock back, e.g. when an order is cancelled.
+create or replace function release_stock(p_items jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_item record;
+begin
+  for v_item in
+    select (i->>'product_id')::bigint as product_id,
+           nullif(i->>'size', '') as size,
+           (i->>'quantity')::int as quantity
+      from jsonb_array_elements(p_items) as i
+     order by 1, 2
+  loop
+    if v_item.quantity is null or v_item.quantity <= 0 then
+      raise exception 'INVALID_QUANTITY';
+    end if;
+
+    if v_item.size is not null then
+      update product_sizes
+         set stock = stock + v_item.quantity
+       where product_id = v_item.product_id
+         and size = v_item.size;
+    else
+      update products
+         set stock = stock + v_item.quantity
+       where product_id = v_item.product_id;
+    end if;
+  end loop;
+end;
+$$;
+
+-- Checkout now reserves stock through reserve_stock so both order paths share
+-- the same rules.
+create or replace function checkout_cart(p_user_id bigint)
+returns json
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+  v_total numeric := 0;
+  v_items jsonb;
+begin
+  -- Lock the cart rows so two checkouts for the same user cannot both succeed
+  perform 1 from cart_items where user_id = p_user_id for update;
+  if not found then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  select coalesce(sum(p.price * c.quantity), 0),
+         jsonb_agg(jsonb_build_object(
+           'product_id', c.product_id,
+           'size', c.size,
+           'quantity', c.quantity
+         ))
+    into v_total, v_items
+    from cart_items c
+    join products p on p.product_id = c.product_id
+   where c.user_id = p_user_id;
+
+  perform reserve_stock(v_items);
+
+  insert into orders (user_id, total_price, status, payment_status, created_at)
+  values (p_user_id, v_total, 'pending', 'unpaid', now())
+  returning order_id into v_order_id;
+
+  insert into order_items (order_id, product_id, size, quantity, price)
+  select v_order_id, c.product_id, c.size, c.quantity, p.price
+    from cart_items c
+    join products p on p.product_id = c.product_id
+   where c.user_id = p_user_id;
+
+  delete from cart_items where user_id = p_user_id;
+
+  return json_build_object('order_id', v_order_id, 'total_price', v_total);
+end;
+$$;
@@ -0,0 +1,15 @@
+-- Audit trail of order status and payment_status transitions
+create table if not exists order_status_history (
+  history_id bigserial primary key,
+  order_id bigint not null references orders (order_id) on delete cascade,
+  previous_status text,
+  new_status text,
+  previous_payment_status text,
+  new_payment_status text,
+  changed_by bigint references users (user_id) on delete set null,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_id_idx
+  on order_status_history (order_id, created_at);
@@ -0,0 +1,29 @@
+-- Server-side login sessions and rotating refresh tokens.
+-- Every login starts a session; each refresh token belongs to one session
+-- and can be used exactly once. Presenting a used token revokes the session.
+create table if not exists auth_sessions (
+  session_id uuid primary key default gen_random_uuid(),
+  user_id bigint not null references users (user_id) on delete cascade,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  revoked_reason text
+);
+
+create index if not exists auth_sessions_user_id_idx
+  on auth_sessions (user_id)
+  where revoked_at is null;
+
+create table if not exists refresh_tokens (
+  token_id bigserial primary key,
+  session_id uuid not null references auth_sessions (session_id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists refresh_tokens_session_id_idx
+  on refresh_tokens (session_id);
@@ -0,0 +1,17 @@
+-- Email verification and single-use, expiring tokens for account flows
+alter table users
+  add column if not exists email_verified_at timestamptz;
+
+create table if not exists user_tokens (
+  token_id bigserial primary key,
+  user_id bigint not null references users (user_id) on delete cascade,
+  purpose text not null check (purpose in ('password_reset', 'email_verification')),
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_tokens_user_purpose_idx
+  on user_tokens (user_id, purpose)
+  where used_at is null;
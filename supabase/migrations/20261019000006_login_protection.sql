@@ -0,0 +1,63 @@
+-- Failed login tracking per account and per IP, plus an auth event log
+create table if not exists login_attempts (
+  attempt_key text primary key,
+  failed_count int not null default 0,
+  first_failed_at timestamptz,
+  last_failed_at timestamptz,
+  locked_until timestamptz
+);
+
+create table if not exists auth_events (
+  event_id bigserial primary key,
+  event_type text not null,
+  email text,
+  user_id bigint references users (user_id) on delete set null,
+  ip_address text,
+  user_agent text,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auth_events_email_idx on auth_events (email, created_at desc);
+create index if not exists auth_events_ip_idx on auth_events (ip_address, created_at desc);
+
+-- Count a failed login for a key atomically. The counter restarts once the
+-- window since the first failure has passed; reaching p_max_attempts locks
+-- the key for p_lockout_minutes.
+create or replace function record_login_failure(
+  p_key text,
+  p_max_attempts int,
+  p_window_minutes int,
+  p_lockout_minutes int
+)
+returns login_attempts
+language plpgsql
+as $$
+declare
+  v_row login_attempts;
+begin
+  insert into login_attempts as a (attempt_key, failed_count, first_failed_at, last_failed_at)
+  values (p_key, 1, now(), now())
+  on conflict (attempt_key) do update
+    set failed_count = case
+          when a.first_failed_at < now() - make_interval(mins => p_window_minutes) then 1
+          else a.failed_count + 1
+        end,
+        first_failed_at = case
+          when a.first_failed_at < now() - make_interval(mins => p_window_minutes) then now()
+          else a.first_failed_at
+        end,
+        last_failed_at = now()
+  returning * into v_row;
+
+  if v_row.failed_count >= p_max_attempts
+     and (v_row.locked_until is null or v_row.locked_until < now()) then
+    update login_attempts
+       set locked_until = now() + make_interval(mins => p_lockout_minutes)
+     where attempt_key = p_key
+    returning * into v_row;
+  end if;
+
+  return v_row;
+end;
+$$;
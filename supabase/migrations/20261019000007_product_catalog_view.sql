@@ -0,0 +1,28 @@
+-- Searchable product listing with derived stock, size and sales columns, so
+-- filters, sorting and counts can all run in a single query.
+create or replace view product_catalog as
+select
+  p.*,
+  coalesce(s.available_sizes, '{}') as available_sizes,
+  case when s.size_count > 0 then s.size_stock else p.stock end as available_stock,
+  coalesce(o.sold_count, 0) as sold_count
+from products p
+left join lateral (
+  select
+    count(*) as size_count,
+    coalesce(sum(ps.stock), 0) as size_stock,
+    array_agg(ps.size order by ps.size) filter (where ps.stock > 0) as available_sizes
+  from product_sizes ps
+  where ps.product_id = p.product_id
+) s on true
+left join lateral (
+  select sum(oi.quantity) as sold_count
+  from order_items oi
+  join orders ord on ord.order_id = oi.order_id
+  where oi.product_id = p.product_id
+    and ord.status <> 'cancelled'
+) o on true;
+
+create index if not exists products_price_idx on products (price);
+create index if not exists products_category_id_idx on products (category_id);
+create index if not exists order_items_product_id_idx on order_items (product_id);
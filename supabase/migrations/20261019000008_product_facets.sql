@@ -0,0 +1,94 @@
+-- Facet counts for the catalog, using the same filters as the product list.
+-- Each facet ignores its own filter (category counts ignore the category
+-- filter, etc.) so the storefront can show how many results each option
+-- would give. min_price / max_price / total use every filter.
+create or replace function product_facets(
+  p_categories bigint[] default null,
+  p_sizes text[] default null,
+  p_search text default null,
+  p_min_price numeric default null,
+  p_max_price numeric default null,
+  p_in_stock boolean default false,
+  p_price_buckets numeric[] default array[0, 50000, 100000, 200000, 500000]
+)
+returns json
+language sql
+stable
+as $$
+  with params as (
+    select '%' || replace(replace(replace(coalesce(p_search, ''), '\', '\\'), '%', '\%'), '_', '\_') || '%' as pattern
+  ),
+  base as (
+    select
+      c.product_id,
+      c.category_id,
+      c.price,
+      c.available_sizes,
+      (p_categories is null or c.category_id = any (p_categories)) as match_category,
+      (p_sizes is null or c.available_sizes && p_sizes) as match_size,
+      ((p_min_price is null or c.price >= p_min_price)
+        and (p_max_price is null or c.price <= p_max_price)) as match_price,
+      ((not coalesce(p_in_stock, false) or c.available_stock > 0)
+        and (p_search is null or c.name ilike params.pattern or c.description ilike params.pattern)) as match_common
+    from product_catalog c
+    cross join params
+  ),
+  buckets as (
+    select b.lower_bound, lead(b.lower_bound) over (order by b.lower_bound) as upper_bound
+    from unnest(p_price_buckets) as b(lower_bound)
+  )
+  select json_build_object(
+    'total', (
+      select count(*) from base
+      where match_common and match_category and match_size and match_price
+    ),
+    'min_price', (
+      select min(price) from base
+      where match_common and match_category and match_size and match_price
+    ),
+    'max_price', (
+      select max(price) from base
+      where match_common and match_category and match_size and match_price
+    ),
+    'categories', (
+      select coalesce(json_agg(json_build_object(
+        'category_id', cat.category_id,
+        'name', cat.name,
+        'count', f.product_count
+      ) order by cat.name), '[]'::json)
+      from (
+        select category_id, count(*) as product_count
+        from base
+        where match_common and match_size and match_price
+        group by category_id
+      ) f
+      join categories cat on cat.category_id = f.category_id
+    ),
+    'sizes', (
+      select coalesce(json_agg(json_build_object(
+        'size', f.size,
+        'count', f.product_count
+      ) order by f.size), '[]'::json)
+      from (
+        select s.size, count(*) as product_count
+        from base
+        cross join unnest(base.available_sizes) as s(size)
+        where match_common and match_category and match_price
+        group by s.size
+      ) f
+    ),
+    'price_buckets', (
+      select coalesce(json_agg(json_build_object(
+        'min', b.lower_bound,
+        'max', b.upper_bound,
+        'count', (
+          select count(*) from base
+          where match_common and match_category and match_size
+            and price >= b.lower_bound
+            and (b.upper_bound is null or price < b.upper_bound)
+        )
+      ) order by b.lower_bound), '[]'::json)
+      from buckets b
+    )
+  );
+$$;
@@ -0,0 +1,192 @@
+-- Product variants: color x size combinations with their own SKU, price
+-- override, weight, image and stock. Products without variants keep using
+-- product_sizes / products.stock.
+create table if not exists product_variants (
+  variant_id bigserial primary key,
+  product_id bigint not null references products (product_id) on delete cascade,
+  sku text not null unique,
+  color text,
+  size text,
+  price numeric check (price is null or price >= 0),
+  weight_grams int check (weight_grams is null or weight_grams >= 0),
+  image_url text,
+  stock int not null default 0 check (stock >= 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists product_variants_product_id_idx on product_variants (product_id);
+
+-- Cart lines point at a variant; removing the variant removes the line
+alter table cart_items
+  add column if not exists variant_id bigint references product_variants (variant_id) on delete cascade;
+
+-- Order lines keep a snapshot of the variant attributes at purchase time
+alter table order_items
+  add column if not exists variant_id bigint references product_variants (variant_id) on delete set null,
+  add column if not exists sku text,
+  add column if not exists color text;
+
+-- Stock functions now understand variant_id. Precedence per item:
+-- variant_id -> product_variants, size -> product_sizes, else products.
+create or replace function reserve_stock(p_items jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_item record;
+begin
+  -- Stable ordering keeps row locks in the same order across transactions
+  for v_item in
+    select (i->>'product_id')::bigint as product_id,
+           (i->>'variant_id')::bigint as variant_id,
+           nullif(i->>'size', '') as size,
+           (i->>'quantity')::int as quantity
+      from jsonb_array_elements(p_items) as i
+     order by 1, 2, 3
+  loop
+    if v_item.quantity is null or v_item.quantity <= 0 then
+      raise exception 'INVALID_QUANTITY';
+    end if;
+
+    if v_item.variant_id is not null then
+      update product_variants
+         set stock = stock - v_item.quantity
+       where variant_id = v_item.variant_id
+         and product_id = v_item.product_id
+         and stock >= v_item.quantity;
+    elsif v_item.size is not null then
+      update product_sizes
+         set stock = stock - v_item.quantity
+       where product_id = v_item.product_id
+         and size = v_item.size
+         and stock >= v_item.quantity;
+    else
+      update products
+         set stock = stock - v_item.quantity
+       where product_id = v_item.product_id
+         and stock >= v_item.quantity;
+    end if;
+
+    if not found then
+      raise exception 'INSUFFICIENT_STOCK'
+        using detail = json_build_object(
+          'product_id', v_item.product_id,
+          'variant_id', v_item.variant_id,
+          'size', v_item.size
+        )::text;
+    end if;
+  end loop;
+end;
+$$;
+
+create or replace function release_stock(p_items jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_item record;
+begin
+  for v_item in
+    select (i->>'product_id')::bigint as product_id,
+           (i->>'variant_id')::bigint as variant_id,
+           nullif(i->>'size', '') as size,
+           (i->>'quantity')::int as quantity
+      from jsonb_array_elements(p_items) as i
+     order by 1, 2, 3
+  loop
+    if v_item.quantity is null or v_item.quantity <= 0 then
+      raise exception 'INVALID_QUANTITY';
+    end if;
+
+    if v_item.variant_id is not null then
+      update product_variants
+         set stock = stock + v_item.quantity
+       where variant_id = v_item.variant_id;
+    elsif v_item.size is not null then
+      update product_sizes
+         set stock = stock + v_item.quantity
+       where product_id = v_item.product_id
+         and size = v_item.size;
+    else
+      update products
+         set stock = stock + v_item.quantity
+       where product_id = v_item.product_id;
+    end if;
+  end loop;
+end;
+$$;
+
+create or replace function checkout_cart(p_user_id bigint)
+returns json
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+  v_total numeric := 0;
+  v_items jsonb;
+begin
+  -- Lock the cart rows so two checkouts for the same user cannot both succeed
+  perform 1 from cart_items where user_id = p_user_id for update;
+  if not found then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  select coalesce(sum(coalesce(v.price, p.price) * c.quantity), 0),
+         jsonb_agg(jsonb_build_object(
+           'product_id', c.product_id,
+           'variant_id', c.variant_id,
+           'size', c.size,
+           'quantity', c.quantity
+         ))
+    into v_total, v_items
+    from cart_items c
+    join products p on p.product_id = c.product_id
+    left join product_variants v on v.variant_id = c.variant_id
+   where c.user_id = p_user_id;
+
+  perform reserve_stock(v_items);
+
+  insert into orders (user_id, total_price, status, payment_status, created_at)
+  values (p_user_id, v_total, 'pending', 'unpaid', now())
+  returning order_id into v_order_id;
+
+  insert into order_items (order_id, product_id, variant_id, sku, color, size, quantity, price)
+  select v_order_id, c.product_id, c.variant_id, v.sku, v.color,
+         coalesce(v.size, c.size), c.quantity, coalesce(v.price, p.price)
+    from cart_items c
+    join products p on p.product_id = c.product_id
+    left join product_variants v on v.variant_id = c.variant_id
+   where c.user_id = p_user_id;
+
+  delete from cart_items where user_id = p_user_id;
+
+  return json_build_object('order_id', v_order_id, 'total_price', v_total);
+end;
+$$;
+
+-- Variant sizes and stock count towards the catalog's derived columns
+create or replace view product_catalog as
+select
+  p.*,
+  coalesce(s.available_sizes, '{}') as available_sizes,
+  case when s.size_count > 0 then s.size_stock else p.stock end as available_stock,
+  coalesce(o.sold_count, 0) as sold_count
+from products p
+left join lateral (
+  select
+    count(*) as size_count,
+    coalesce(sum(x.stock), 0) as size_stock,
+    array_agg(distinct x.size) filter (where x.stock > 0 and x.size is not null) as available_sizes
+  from (
+    select ps.size, ps.stock from product_sizes ps where ps.product_id = p.product_id
+    union all
+    select pv.size, pv.stock from product_variants pv where pv.product_id = p.product_id
+  ) x
+) s on true
+left join lateral (
+  select sum(oi.quantity) as sold_count
+  from order_items oi
+  join orders ord on ord.order_id = oi.order_id
+  where oi.product_id = p.product_id
+    and ord.status <> 'cancelled'
+) o on true;
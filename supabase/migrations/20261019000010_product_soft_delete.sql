@@ -0,0 +1,129 @@
+-- Soft delete for products. The natural keys for diff-based size/image
+-- updates are built by 20261019000031_unique_product_sizes_images.sql.
+alter table products
+  add column if not exists is_active boolean not null default true,
+  add column if not exists archived_at timestamptz;
+
+create index if not exists products_is_active_idx on products (is_active);
+
+-- Recreate the catalog view so p.* picks up the new columns
+drop view if exists product_catalog;
+
+create view product_catalog as
+select
+  p.*,
+  coalesce(s.available_sizes, '{}') as available_sizes,
+  case when s.size_count > 0 then s.size_stock else p.stock end as available_stock,
+  coalesce(o.sold_count, 0) as sold_count
+from products p
+left join lateral (
+  select
+    count(*) as size_count,
+    coalesce(sum(x.stock), 0) as size_stock,
+    array_agg(distinct x.size) filter (where x.stock > 0 and x.size is not null) as available_sizes
+  from (
+    select ps.size, ps.stock from product_sizes ps where ps.product_id = p.product_id
+    union all
+    select pv.size, pv.stock from product_variants pv where pv.product_id = p.product_id
+  ) x
+) s on true
+left join lateral (
+  select sum(oi.quantity) as sold_count
+  from order_items oi
+  join orders ord on ord.order_id = oi.order_id
+  where oi.product_id = p.product_id
+    and ord.status <> 'cancelled'
+) o on true;
+
+-- Archived products no longer count towards facets
+create or replace function product_facets(
+  p_categories bigint[] default null,
+  p_sizes text[] default null,
+  p_search text default null,
+  p_min_price numeric default null,
+  p_max_price numeric default null,
+  p_in_stock boolean default false,
+  p_price_buckets numeric[] default array[0, 50000, 100000, 200000, 500000]
+)
+returns json
+language sql
+stable
+as $$
+  with params as (
+    select '%' || replace(replace(replace(coalesce(p_search, ''), '\', '\\'), '%', '\%'), '_', '\_') || '%' as pattern
+  ),
+  base as (
+    select
+      c.product_id,
+      c.category_id,
+      c.price,
+      c.available_sizes,
+      (p_categories is null or c.category_id = any (p_categories)) as match_category,
+      (p_sizes is null or c.available_sizes && p_sizes) as match_size,
+      ((p_min_price is null or c.price >= p_min_price)
+        and (p_max_price is null or c.price <= p_max_price)) as match_price,
+      ((not coalesce(p_in_stock, false) or c.available_stock > 0)
+        and (p_search is null or c.name ilike params.pattern or c.description ilike params.pattern)) as match_common
+    from product_catalog c
+    cross join params
+    where c.is_active
+  ),
+  buckets as (
+    select b.lower_bound, lead(b.lower_bound) over (order by b.lower_bound) as upper_bound
+    from unnest(p_price_buckets) as b(lower_bound)
+  )
+  select json_build_object(
+    'total', (
+      select count(*) from base
+      where match_common and match_category and match_size and match_price
+    ),
+    'min_price', (
+      select min(price) from base
+      where match_common and match_category and match_size and match_price
+    ),
+    'max_price', (
+      select max(price) from base
+      where match_common and match_category and match_size and match_price
+    ),
+    'categories', (
+      select coalesce(json_agg(json_build_object(
+        'category_id', cat.category_id,
+        'name', cat.name,
+        'count', f.product_count
+      ) order by cat.name), '[]'::json)
+      from (
+        select category_id, count(*) as product_count
+        from base
+        where match_common and match_size and match_price
+        group by category_id
+      ) f
+      join categories cat on cat.category_id = f.category_id
+    ),
+    'sizes', (
+      select coalesce(json_agg(json_build_object(
+        'size', f.size,
+        'count', f.product_count
+      ) order by f.size), '[]'::json)
+      from (
+        select s.size, count(*) as product_count
+        from base
+        cross join unnest(base.available_sizes) as s(size)
+        where match_common and match_category and match_price
+        group by s.size
+      ) f
+    ),
+    'price_buckets', (
+      select coalesce(json_agg(json_build_object(
+        'min', b.lower_bound,
+        'max', b.upper_bound,
+        'count', (
+          select count(*) from base
+          where match_common and match_category and match_size
+            and price >= b.lower_bound
+            and (b.upper_bound is null or price < b.upper_bound)
+        )
+      ) order by b.lower_bound), '[]'::json)
+      from buckets b
+    )
+  );
+$$;
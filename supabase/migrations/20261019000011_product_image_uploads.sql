@@ -0,0 +1,80 @@
+-- Uploaded product images: renditions, ordering and a primary image
+alter table product_images
+  add column if not exists storage_key text,
+  add column if not exists thumbnail_url text,
+  add column if not exists medium_url text,
+  add column if not exists sort_order int not null default 0,
+  add column if not exists is_primary boolean not null default false;
+
+create index if not exists product_images_product_sort_idx
+  on product_images (product_id, sort_order);
+
+-- At most one primary image per product
+create unique index if not exists product_images_one_primary_idx
+  on product_images (product_id) where is_primary;
+
+-- Products that already have images get their first one as primary
+update product_images pi
+   set is_primary = true
+ where pi.image_id in (
+   select min(image_id) from product_images group by product_id
+ )
+   and not exists (
+     select 1 from product_images other
+      where other.product_id = pi.product_id and other.is_primary
+   );
+
+-- Make one image the primary image of its product
+create or replace function set_primary_product_image(p_product_id bigint, p_image_id bigint)
+returns void
+language plpgsql
+as $$
+begin
+  perform 1 from product_images
+   where image_id = p_image_id and product_id = p_product_id
+     for update;
+  if not found then
+    raise exception 'IMAGE_NOT_FOUND';
+  end if;
+
+  update product_images
+     set is_primary = false
+   where product_id = p_product_id and is_primary and image_id <> p_image_id;
+
+  update product_images
+     set is_primary = true
+   where image_id = p_image_id;
+end;
+$$;
+
+-- Set the display order of a product's images. p_image_ids must list every
+-- image of the product exactly once.
+create or replace function reorder_product_images(p_product_id bigint, p_image_ids bigint[])
+returns void
+language plpgsql
+as $$
+declare
+  v_count int;
+begin
+  select count(*) into v_count
+    from product_images
+   where product_id = p_product_id;
+
+  if v_count <> coalesce(array_length(p_image_ids, 1), 0)
+     or v_count <> (select count(distinct id) from unnest(p_image_ids) as id)
+     or exists (
+       select 1 from unnest(p_image_ids) as id
+        where not exists (
+          select 1 from product_images
+           where image_id = id and product_id = p_product_id
+        )
+     ) then
+    raise exception 'INVALID_IMAGE_ORDER';
+  end if;
+
+  update product_images pi
+     set sort_order = o.position - 1
+    from unnest(p_image_ids) with ordinality as o(image_id, position)
+   where pi.image_id = o.image_id;
+end;
+$$;
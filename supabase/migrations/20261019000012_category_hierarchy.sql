@@ -0,0 +1,64 @@
+-- Hierarchical categories (Pria > Atasan > Kemeja) with URL slugs
+alter table categories
+  add column if not exists parent_id bigint references categories (category_id) on delete restrict,
+  add column if not exists slug text;
+
+alter table categories
+  drop constraint if exists categories_parent_not_self,
+  add constraint categories_parent_not_self check (parent_id is null or parent_id <> category_id);
+
+-- Backfill slugs from names; duplicates get the category_id appended
+with slugs as (
+  select category_id,
+         trim(both '-' from regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g')) as base
+    from categories
+   where slug is null
+), ranked as (
+  select category_id, base,
+         row_number() over (partition by base order by category_id) as n
+    from slugs
+)
+update categories c
+   set slug = case
+                when r.n = 1 and r.base <> '' then r.base
+                else concat_ws('-', nullif(r.base, ''), c.category_id)
+              end
+  from ranked r
+ where r.category_id = c.category_id;
+
+alter table categories alter column slug set not null;
+
+create unique index if not exists categories_slug_key on categories (slug);
+create index if not exists categories_parent_id_idx on categories (parent_id);
+
+-- A category can't become its own ancestor
+create or replace function prevent_category_cycle()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.parent_id is null then
+    return new;
+  end if;
+
+  if exists (
+    with recursive ancestors as (
+      select category_id, parent_id from categories where category_id = new.parent_id
+      union
+      select c.category_id, c.parent_id
+        from categories c
+        join ancestors a on c.category_id = a.parent_id
+    )
+    select 1 from ancestors where category_id = new.category_id
+  ) then
+    raise exception 'CATEGORY_CYCLE';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists categories_prevent_cycle on categories;
+create trigger categories_prevent_cycle
+  before insert or update of parent_id on categories
+  for each row execute function prevent_category_cycle();
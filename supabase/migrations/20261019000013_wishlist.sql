@@ -0,0 +1,50 @@
+-- Wishlist: products (optionally a variant or size) a customer wants to buy later
+create table if not exists wishlist_items (
+  wishlist_item_id bigserial primary key,
+  user_id bigint not null references users (user_id) on delete cascade,
+  product_id bigint not null references products (product_id) on delete cascade,
+  variant_id bigint references product_variants (variant_id) on delete cascade,
+  size text,
+  -- Opt-in: email the customer when the wishlisted size is back in stock
+  notify_back_in_stock boolean not null default false,
+  -- Set when the wishlisted size went from 0 to positive stock
+  back_in_stock_at timestamptz,
+  notified_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists wishlist_items_unique_idx
+  on wishlist_items (user_id, product_id, coalesce(variant_id, 0), coalesce(size, ''));
+
+create index if not exists wishlist_items_product_idx on wishlist_items (product_id);
+
+-- Flag wishlist items when a size comes back in stock, and reset the flag
+-- when it sells out again so customers can be notified the next time
+create or replace function flag_wishlist_back_in_stock()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.stock = 0 and new.stock > 0 then
+    update wishlist_items
+       set back_in_stock_at = now(),
+           notified_at = null
+     where product_id = new.product_id
+       and variant_id is null
+       and (size = new.size or size is null);
+  elsif old.stock > 0 and new.stock = 0 then
+    update wishlist_items
+       set back_in_stock_at = null
+     where product_id = new.product_id
+       and variant_id is null
+       and size = new.size;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists product_sizes_back_in_stock on product_sizes;
+create trigger product_sizes_back_in_stock
+  after update of stock on product_sizes
+  for each row execute function flag_wishlist_back_in_stock();
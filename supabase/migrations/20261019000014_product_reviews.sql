@@ -0,0 +1,106 @@
+-- Product reviews by verified buyers, moderated by admins
+create table if not exists product_reviews (
+  review_id bigserial primary key,
+  product_id bigint not null references products (product_id) on delete cascade,
+  user_id bigint not null references users (user_id) on delete cascade,
+  -- The completed/delivered order that made the user eligible
+  order_id bigint references orders (order_id) on delete set null,
+  rating int not null check (rating between 1 and 5),
+  review_text text,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  moderated_by bigint references users (user_id) on delete set null,
+  moderated_at timestamptz,
+  moderation_note text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (product_id, user_id)
+);
+
+create index if not exists product_reviews_product_status_idx
+  on product_reviews (product_id, status, created_at desc);
+create index if not exists product_reviews_status_idx on product_reviews (status, created_at);
+
+create table if not exists product_review_photos (
+  photo_id bigserial primary key,
+  review_id bigint not null references product_reviews (review_id) on delete cascade,
+  image_url text not null,
+  thumbnail_url text,
+  storage_key text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists product_review_photos_review_idx on product_review_photos (review_id);
+
+-- Aggregated rating of approved reviews, kept on the product for listing and sorting
+alter table products
+  add column if not exists rating_average numeric(3, 2) not null default 0,
+  add column if not exists review_count int not null default 0;
+
+create index if not exists products_rating_idx on products (rating_average desc);
+
+create or replace function refresh_product_rating(p_product_id bigint)
+returns void
+language sql
+as $$
+  update products p
+     set rating_average = coalesce(r.average, 0),
+         review_count = r.total
+    from (
+      select round(avg(rating)::numeric, 2) as average, count(*) as total
+        from product_reviews
+       where product_id = p_product_id
+         and status = 'approved'
+    ) r
+   where p.product_id = p_product_id;
+$$;
+
+create or replace function product_reviews_refresh_rating()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') then
+    perform refresh_product_rating(old.product_id);
+  end if;
+
+  if tg_op in ('INSERT', 'UPDATE') and (tg_op = 'INSERT' or new.product_id <> old.product_id) then
+    perform refresh_product_rating(new.product_id);
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists product_reviews_rating on product_reviews;
+create trigger product_reviews_rating
+  after insert or update or delete on product_reviews
+  for each row execute function product_reviews_refresh_rating();
+
+-- Recreate the catalog view so p.* picks up the rating columns
+drop view if exists product_catalog;
+
+create view product_catalog as
+select
+  p.*,
+  coalesce(s.available_sizes, '{}') as available_sizes,
+  case when s.size_count > 0 then s.size_stock else p.stock end as available_stock,
+  coalesce(o.sold_count, 0) as sold_count
+from products p
+left join lateral (
+  select
+    count(*) as size_count,
+    coalesce(sum(x.stock), 0) as size_stock,
+    array_agg(distinct x.size) filter (where x.stock > 0 and x.size is not null) as available_sizes
+  from (
+    select ps.size, ps.stock from product_sizes ps where ps.product_id = p.product_id
+    union all
+    select pv.size, pv.stock from product_variants pv where pv.product_id = p.product_id
+  ) x
+) s on true
+left join lateral (
+  select sum(oi.quantity) as sold_count
+  from order_items oi
+  join orders ord on ord.order_id = oi.order_id
+  where oi.product_id = p.product_id
+    and ord.status <> 'cancelled'
+) o on true;
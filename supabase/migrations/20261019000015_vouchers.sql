@@ -0,0 +1,301 @@
+-- Vouchers / discount codes applied at checkout
+create table if not exists vouchers (
+  voucher_id bigserial primary key,
+  code text not null,
+  description text,
+  discount_type text not null check (discount_type in ('percentage', 'fixed', 'free_shipping')),
+  discount_value numeric not null default 0 check (discount_value >= 0),
+  -- Cap for percentage discounts
+  max_discount numeric check (max_discount is null or max_discount >= 0),
+  min_spend numeric not null default 0 check (min_spend >= 0),
+  usage_limit int check (usage_limit is null or usage_limit > 0),
+  usage_limit_per_user int check (usage_limit_per_user is null or usage_limit_per_user > 0),
+  used_count int not null default 0 check (used_count >= 0),
+  starts_at timestamptz,
+  ends_at timestamptz,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (discount_type <> 'percentage' or discount_value <= 100),
+  check (ends_at is null or starts_at is null or ends_at > starts_at)
+);
+
+create unique index if not exists vouchers_code_key on vouchers (upper(code));
+
+-- Optional restrictions; a voucher without any applies to every product
+create table if not exists voucher_products (
+  voucher_id bigint not null references vouchers (voucher_id) on delete cascade,
+  product_id bigint not null references products (product_id) on delete cascade,
+  primary key (voucher_id, product_id)
+);
+
+create table if not exists voucher_categories (
+  voucher_id bigint not null references vouchers (voucher_id) on delete cascade,
+  category_id bigint not null references categories (category_id) on delete cascade,
+  primary key (voucher_id, category_id)
+);
+
+create table if not exists voucher_redemptions (
+  redemption_id bigserial primary key,
+  voucher_id bigint not null references vouchers (voucher_id) on delete cascade,
+  user_id bigint not null references users (user_id) on delete cascade,
+  order_id bigint not null references orders (order_id) on delete cascade,
+  discount_amount numeric not null default 0,
+  created_at timestamptz not null default now(),
+  unique (order_id)
+);
+
+create index if not exists voucher_redemptions_voucher_user_idx on voucher_redemptions (voucher_id, user_id);
+
+-- Voucher applied to a user's cart, re-validated whenever the cart is priced
+create table if not exists cart_vouchers (
+  user_id bigint primary key references users (user_id) on delete cascade,
+  voucher_id bigint not null references vouchers (voucher_id) on delete cascade,
+  applied_at timestamptz not null default now()
+);
+
+alter table orders
+  add column if not exists subtotal_price numeric,
+  add column if not exists discount_amount numeric not null default 0,
+  add column if not exists voucher_id bigint references vouchers (voucher_id) on delete set null,
+  add column if not exists voucher_code text,
+  add column if not exists free_shipping boolean not null default false;
+
+update orders set subtotal_price = total_price where subtotal_price is null;
+
+-- Validate a voucher for a user and a list of items ({ product_id, price, quantity })
+-- and compute the discount. Category restrictions include subcategories.
+create or replace function voucher_quote(p_code text, p_user_id bigint, p_items jsonb)
+returns json
+language plpgsql
+stable
+as $$
+declare
+  v_voucher vouchers%rowtype;
+  v_user_uses int;
+  v_restricted boolean;
+  v_subtotal numeric;
+  v_eligible numeric;
+  v_discount numeric;
+begin
+  select * into v_voucher from vouchers where upper(code) = upper(p_code);
+  if not found then
+    raise exception 'VOUCHER_NOT_FOUND';
+  end if;
+
+  if not v_voucher.is_active then
+    raise exception 'VOUCHER_INACTIVE';
+  end if;
+
+  if v_voucher.starts_at is not null and now() < v_voucher.starts_at then
+    raise exception 'VOUCHER_NOT_STARTED';
+  end if;
+
+  if v_voucher.ends_at is not null and now() > v_voucher.ends_at then
+    raise exception 'VOUCHER_EXPIRED';
+  end if;
+
+  if v_voucher.usage_limit is not null and v_voucher.used_count >= v_voucher.usage_limit then
+    raise exception 'VOUCHER_USAGE_LIMIT';
+  end if;
+
+  if v_voucher.usage_limit_per_user is not null then
+    select count(*) into v_user_uses
+      from voucher_redemptions
+     where voucher_id = v_voucher.voucher_id
+       and user_id = p_user_id;
+
+    if v_user_uses >= v_voucher.usage_limit_per_user then
+      raise exception 'VOUCHER_USER_LIMIT';
+    end if;
+  end if;
+
+  v_restricted := exists (select 1 from voucher_products where voucher_id = v_voucher.voucher_id)
+               or exists (select 1 from voucher_categories where voucher_id = v_voucher.voucher_id);
+
+  with recursive eligible_categories as (
+    select category_id from voucher_categories where voucher_id = v_voucher.voucher_id
+    union
+    select c.category_id
+      from categories c
+      join eligible_categories e on c.parent_id = e.category_id
+  ),
+  items as (
+    select (i->>'product_id')::bigint as product_id,
+           (i->>'price')::numeric as price,
+           (i->>'quantity')::int as quantity
+      from jsonb_array_elements(p_items) as i
+  )
+  select coalesce(sum(it.price * it.quantity), 0),
+         coalesce(sum(it.price * it.quantity) filter (
+           where not v_restricted
+              or it.product_id in (select product_id from voucher_products where voucher_id = v_voucher.voucher_id)
+              or p.category_id in (select category_id from eligible_categories)
+         ), 0)
+    into v_subtotal, v_eligible
+    from items it
+    join products p on p.product_id = it.product_id;
+
+  if v_eligible = 0 then
+    raise exception 'VOUCHER_NOT_APPLICABLE';
+  end if;
+
+  if v_eligible < v_voucher.min_spend then
+    raise exception 'VOUCHER_MIN_SPEND' using detail = v_voucher.min_spend::text;
+  end if;
+
+  v_discount := case v_voucher.discount_type
+    when 'percentage' then round(v_eligible * v_voucher.discount_value / 100, 2)
+    when 'fixed' then v_voucher.discount_value
+    else 0
+  end;
+
+  if v_voucher.max_discount is not null then
+    v_discount := least(v_discount, v_voucher.max_discount);
+  end if;
+
+  v_discount := least(v_discount, v_eligible);
+
+  return json_build_object(
+    'voucher_id', v_voucher.voucher_id,
+    'code', v_voucher.code,
+    'description', v_voucher.description,
+    'discount_type', v_voucher.discount_type,
+    'subtotal', v_subtotal,
+    'eligible_subtotal', v_eligible,
+    'discount_amount', v_discount,
+    'free_shipping', v_voucher.discount_type = 'free_shipping'
+  );
+end;
+$$;
+
+-- Redeem a voucher for an order. The voucher row is locked, so usage limits
+-- hold under concurrent checkouts. Updates the order's discount and total.
+create or replace function redeem_voucher(p_code text, p_user_id bigint, p_order_id bigint, p_items jsonb)
+returns json
+language plpgsql
+as $$
+declare
+  v_voucher_id bigint;
+  v_quote json;
+  v_discount numeric;
+begin
+  select voucher_id into v_voucher_id
+    from vouchers
+   where upper(code) = upper(p_code)
+     for update;
+  if not found then
+    raise exception 'VOUCHER_NOT_FOUND';
+  end if;
+
+  v_quote := voucher_quote(p_code, p_user_id, p_items);
+  v_discount := (v_quote->>'discount_amount')::numeric;
+
+  insert into voucher_redemptions (voucher_id, user_id, order_id, discount_amount)
+  values (v_voucher_id, p_user_id, p_order_id, v_discount);
+
+  update vouchers
+     set used_count = used_count + 1
+   where voucher_id = v_voucher_id;
+
+  update orders
+     set voucher_id = v_voucher_id,
+         voucher_code = v_quote->>'code',
+         discount_amount = v_discount,
+         free_shipping = (v_quote->>'free_shipping')::boolean,
+         subtotal_price = coalesce(subtotal_price, total_price),
+         total_price = coalesce(subtotal_price, total_price) - v_discount
+   where order_id = p_order_id;
+
+  return v_quote;
+end;
+$$;
+
+-- Give a voucher use back (e.g. when the order is cancelled)
+create or replace function release_voucher(p_order_id bigint)
+returns void
+language sql
+as $$
+  with removed as (
+    delete from voucher_redemptions
+     where order_id = p_order_id
+    returning voucher_id
+  )
+  update vouchers v
+     set used_count = greatest(v.used_count - 1, 0)
+    from removed r
+   where v.voucher_id = r.voucher_id;
+$$;
+
+-- Checkout now redeems an optional voucher in the same transaction
+drop function if exists checkout_cart(bigint);
+
+create or replace function checkout_cart(p_user_id bigint, p_voucher_code text default null)
+returns json
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+  v_total numeric := 0;
+  v_items jsonb;
+  v_quote json;
+begin
+  -- Lock the cart rows so two checkouts for the same user cannot both succeed
+  perform 1 from cart_items where user_id = p_user_id for update;
+  if not found then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  select coalesce(sum(coalesce(v.price, p.price) * c.quantity), 0),
+         jsonb_agg(jsonb_build_object(
+           'product_id', c.product_id,
+           'variant_id', c.variant_id,
+           'size', c.size,
+           'quantity', c.quantity
+         ))
+    into v_total, v_items
+    from cart_items c
+    join products p on p.product_id = c.product_id
+    left join product_variants v on v.variant_id = c.variant_id
+   where c.user_id = p_user_id;
+
+  perform reserve_stock(v_items);
+
+  insert into orders (user_id, subtotal_price, total_price, status, payment_status, created_at)
+  values (p_user_id, v_total, v_total, 'pending', 'unpaid', now())
+  returning order_id into v_order_id;
+
+  insert into order_items (order_id, product_id, variant_id, sku, color, size, quantity, price)
+  select v_order_id, c.product_id, c.variant_id, v.sku, v.color,
+         coalesce(v.size, c.size), c.quantity, coalesce(v.price, p.price)
+    from cart_items c
+    join products p on p.product_id = c.product_id
+    left join product_variants v on v.variant_id = c.variant_id
+   where c.user_id = p_user_id;
+
+  if p_voucher_code is not null then
+    v_quote := redeem_voucher(
+      p_voucher_code,
+      p_user_id,
+      v_order_id,
+      (select jsonb_agg(jsonb_build_object(
+                'product_id', product_id,
+                'price', price,
+                'quantity', quantity
+              ))
+         from order_items
+        where order_id = v_order_id)
+    );
+  end if;
+
+  delete from cart_items where user_id = p_user_id;
+  delete from cart_vouchers where user_id = p_user_id;
+
+  return json_build_object(
+    'order_id', v_order_id,
+    'subtotal_price', v_total,
+    'discount_amount', coalesce((v_quote->>'discount_amount')::numeric, 0),
+    'total_price', v_total - coalesce((v_quote->>'discount_amount')::numeric, 0)
+  );
+end;
+$$;
@@ -0,0 +1,190 @@
+-- Address book: several shipping addresses per user, one of them the default
+create table if not exists user_addresses (
+  address_id bigserial primary key,
+  user_id bigint not null references users (user_id) on delete cascade,
+  label text,
+  recipient_name text not null,
+  phone text not null,
+  street_address text not null,
+  province text not null,
+  city text not null,
+  district text not null,
+  postal_code text not null,
+  is_default boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists user_addresses_user_idx on user_addresses (user_id);
+
+-- At most one default address per user
+create unique index if not exists user_addresses_one_default_idx
+  on user_addresses (user_id) where is_default;
+
+-- Make one address the user's default
+create or replace function set_default_address(p_user_id bigint, p_address_id bigint)
+returns void
+language plpgsql
+as $$
+begin
+  perform 1 from user_addresses
+   where address_id = p_address_id and user_id = p_user_id
+     for update;
+  if not found then
+    raise exception 'ADDRESS_NOT_FOUND';
+  end if;
+
+  update user_addresses
+     set is_default = false
+   where user_id = p_user_id and is_default and address_id <> p_address_id;
+
+  update user_addresses
+     set is_default = true
+   where address_id = p_address_id;
+end;
+$$;
+
+-- Copy of an address as it is right now, stored on orders. Uses the user's
+-- default address when p_address_id is null.
+create or replace function address_snapshot(p_user_id bigint, p_address_id bigint default null)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  v_snapshot jsonb;
+begin
+  select jsonb_build_object(
+           'address_id', a.address_id,
+           'label', a.label,
+           'recipient_name', a.recipient_name,
+           'phone', a.phone,
+           'street_address', a.street_address,
+           'province', a.province,
+           'city', a.city,
+           'district', a.district,
+           'postal_code', a.postal_code
+         )
+    into v_snapshot
+    from user_addresses a
+   where a.user_id = p_user_id
+     and (a.address_id = p_address_id or (p_address_id is null and a.is_default));
+
+  if v_snapshot is null then
+    raise exception 'ADDRESS_NOT_FOUND';
+  end if;
+
+  return v_snapshot;
+end;
+$$;
+
+alter table orders
+  add column if not exists shipping_address_id bigint references user_addresses (address_id) on delete set null,
+  add column if not exists shipping_address jsonb;
+
+-- The address snapshot of an order never changes once written
+create or replace function protect_order_shipping_address()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.shipping_address is not null
+     and new.shipping_address is distinct from old.shipping_address then
+    raise exception 'SHIPPING_ADDRESS_IMMUTABLE';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_protect_shipping_address on orders;
+create trigger orders_protect_shipping_address
+  before update of shipping_address on orders
+  for each row execute function protect_order_shipping_address();
+
+-- Cart checkout stores the shipping address snapshot as well
+drop function if exists checkout_cart(bigint, text);
+
+create or replace function checkout_cart(
+  p_user_id bigint,
+  p_voucher_code text default null,
+  p_address_id bigint default null
+)
+returns json
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+  v_total numeric := 0;
+  v_items jsonb;
+  v_quote json;
+  v_address jsonb;
+begin
+  -- Lock the cart rows so two checkouts for the same user cannot both succeed
+  perform 1 from cart_items where user_id = p_user_id for update;
+  if not found then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  v_address := address_snapshot(p_user_id, p_address_id);
+
+  select coalesce(sum(coalesce(v.price, p.price) * c.quantity), 0),
+         jsonb_agg(jsonb_build_object(
+           'product_id', c.product_id,
+           'variant_id', c.variant_id,
+           'size', c.size,
+           'quantity', c.quantity
+         ))
+    into v_total, v_items
+    from cart_items c
+    join products p on p.product_id = c.product_id
+    left join product_variants v on v.variant_id = c.variant_id
+   where c.user_id = p_user_id;
+
+  perform reserve_stock(v_items);
+
+  insert into orders (
+    user_id, subtotal_price, total_price, status, payment_status,
+    shipping_address_id, shipping_address, created_at
+  )
+  values (
+    p_user_id, v_total, v_total, 'pending', 'unpaid',
+    (v_address->>'address_id')::bigint, v_address, now()
+  )
+  returning order_id into v_order_id;
+
+  insert into order_items (order_id, product_id, variant_id, sku, color, size, quantity, price)
+  select v_order_id, c.product_id, c.variant_id, v.sku, v.color,
+         coalesce(v.size, c.size), c.quantity, coalesce(v.price, p.price)
+    from cart_items c
+    join products p on p.product_id = c.product_id
+    left join product_variants v on v.variant_id = c.variant_id
+   where c.user_id = p_user_id;
+
+  if p_voucher_code is not null then
+    v_quote := redeem_voucher(
+      p_voucher_code,
+      p_user_id,
+      v_order_id,
+      (select jsonb_agg(jsonb_build_object(
+                'product_id', product_id,
+                'price', price,
+                'quantity', quantity
+              ))
+         from order_items
+        where order_id = v_order_id)
+    );
+  end if;
+
+  delete from cart_items where user_id = p_user_id;
+  delete from cart_vouchers where user_id = p_user_id;
+
+  return json_build_object(
+    'order_id', v_order_id,
+    'subtotal_price', v_total,
+    'discount_amount', coalesce((v_quote->>'discount_amount')::numeric, 0),
+    'total_price', v_total - coalesce((v_quote->>'discount_amount')::numeric, 0),
+    'shipping_address', v_address
+  );
+end;
+$$;
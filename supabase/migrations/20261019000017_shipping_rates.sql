@@ -0,0 +1,218 @@
+-- Shipping cost: product weights, an offline rate table for the flat-rate
+-- provider and the chosen courier service stored on each order.
+
+alter table products
+  add column if not exists weight_grams int check (weight_grams is null or weight_grams >= 0);
+
+-- Recreate the catalog view so p.* picks up the new column
+drop view if exists product_catalog;
+
+create view product_catalog as
+select
+  p.*,
+  coalesce(s.available_sizes, '{}') as available_sizes,
+  case when s.size_count > 0 then s.size_stock else p.stock end as available_stock,
+  coalesce(o.sold_count, 0) as sold_count
+from products p
+left join lateral (
+  select
+    count(*) as size_count,
+    coalesce(sum(x.stock), 0) as size_stock,
+    array_agg(distinct x.size) filter (where x.stock > 0 and x.size is not null) as available_sizes
+  from (
+    select ps.size, ps.stock from product_sizes ps where ps.product_id = p.product_id
+    union all
+    select pv.size, pv.stock from product_variants pv where pv.product_id = p.product_id
+  ) x
+) s on true
+left join lateral (
+  select sum(oi.quantity) as sold_count
+  from order_items oi
+  join orders ord on ord.order_id = oi.order_id
+  where oi.product_id = p.product_id
+    and ord.status <> 'cancelled'
+) o on true;
+
+-- Rates per courier service and destination. A null province or city matches
+-- any destination; the most specific row wins.
+create table if not exists shipping_rates (
+  rate_id bigserial primary key,
+  courier text not null,
+  service text not null,
+  service_name text not null,
+  destination_province text,
+  destination_city text,
+  first_kg_cost numeric not null check (first_kg_cost >= 0),
+  next_kg_cost numeric not null default 0 check (next_kg_cost >= 0),
+  etd_min_days int check (etd_min_days is null or etd_min_days >= 0),
+  etd_max_days int check (etd_max_days is null or etd_max_days >= 0),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists shipping_rates_destination_key
+  on shipping_rates (
+    courier,
+    service,
+    lower(coalesce(destination_province, '')),
+    lower(coalesce(destination_city, ''))
+  );
+
+-- Nationwide fallback rates so checkout works before any table is configured
+insert into shipping_rates (courier, service, service_name, first_kg_cost, next_kg_cost, etd_min_days, etd_max_days)
+values
+  ('jne', 'REG', 'JNE Reguler', 18000, 12000, 2, 4),
+  ('jne', 'YES', 'JNE Yakin Esok Sampai', 32000, 24000, 1, 1),
+  ('jnt', 'EZ', 'J&T Express Reguler', 17000, 11000, 2, 4),
+  ('sicepat', 'REG', 'SiCepat Reguler', 16000, 10000, 2, 5),
+  ('sicepat', 'BEST', 'SiCepat Besok Sampai Tujuan', 28000, 20000, 1, 1)
+on conflict do nothing;
+
+alter table orders
+  add column if not exists shipping_courier text,
+  add column if not exists shipping_service text,
+  add column if not exists shipping_cost numeric not null default 0 check (shipping_cost >= 0),
+  add column if not exists shipping_weight_grams int;
+
+-- Free-shipping vouchers zero the shipping cost; the total includes shipping
+create or replace function redeem_voucher(p_code text, p_user_id bigint, p_order_id bigint, p_items jsonb)
+returns json
+language plpgsql
+as $$
+declare
+  v_voucher_id bigint;
+  v_quote json;
+  v_discount numeric;
+begin
+  select voucher_id into v_voucher_id
+    from vouchers
+   where upper(code) = upper(p_code)
+     for update;
+  if not found then
+    raise exception 'VOUCHER_NOT_FOUND';
+  end if;
+
+  v_quote := voucher_quote(p_code, p_user_id, p_items);
+  v_discount := (v_quote->>'discount_amount')::numeric;
+
+  insert into voucher_redemptions (voucher_id, user_id, order_id, discount_amount)
+  values (v_voucher_id, p_user_id, p_order_id, v_discount);
+
+  update vouchers
+     set used_count = used_count + 1
+   where voucher_id = v_voucher_id;
+
+  update orders
+     set voucher_id = v_voucher_id,
+         voucher_code = v_quote->>'code',
+         discount_amount = v_discount,
+         free_shipping = (v_quote->>'free_shipping')::boolean,
+         shipping_cost = case when (v_quote->>'free_shipping')::boolean then 0 else shipping_cost end,
+         subtotal_price = coalesce(subtotal_price, total_price),
+         total_price = coalesce(subtotal_price, total_price) - v_discount
+           + case when (v_quote->>'free_shipping')::boolean then 0 else shipping_cost end
+   where order_id = p_order_id;
+
+  return v_quote;
+end;
+$$;
+
+-- Cart checkout stores the shipping option priced by the application
+-- (p_shipping: { courier, service, cost, weight_grams })
+drop function if exists checkout_cart(bigint, text, bigint);
+
+create or replace function checkout_cart(
+  p_user_id bigint,
+  p_voucher_code text default null,
+  p_address_id bigint default null,
+  p_shipping jsonb default null
+)
+returns json
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+  v_total numeric := 0;
+  v_items jsonb;
+  v_quote json;
+  v_address jsonb;
+  v_shipping_cost numeric := coalesce((p_shipping->>'cost')::numeric, 0);
+begin
+  -- Lock the cart rows so two checkouts for the same user cannot both succeed
+  perform 1 from cart_items where user_id = p_user_id for update;
+  if not found then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  v_address := address_snapshot(p_user_id, p_address_id);
+
+  select coalesce(sum(coalesce(v.price, p.price) * c.quantity), 0),
+         jsonb_agg(jsonb_build_object(
+           'product_id', c.product_id,
+           'variant_id', c.variant_id,
+           'size', c.size,
+           'quantity', c.quantity
+         ))
+    into v_total, v_items
+    from cart_items c
+    join products p on p.product_id = c.product_id
+    left join product_variants v on v.variant_id = c.variant_id
+   where c.user_id = p_user_id;
+
+  perform reserve_stock(v_items);
+
+  insert into orders (
+    user_id, subtotal_price, total_price, status, payment_status,
+    shipping_address_id, shipping_address,
+    shipping_courier, shipping_service, shipping_cost, shipping_weight_grams, created_at
+  )
+  values (
+    p_user_id, v_total, v_total + v_shipping_cost, 'pending', 'unpaid',
+    (v_address->>'address_id')::bigint, v_address,
+    p_shipping->>'courier', p_shipping->>'service', v_shipping_cost,
+    (p_shipping->>'weight_grams')::int, now()
+  )
+  returning order_id into v_order_id;
+
+  insert into order_items (order_id, product_id, variant_id, sku, color, size, quantity, price)
+  select v_order_id, c.product_id, c.variant_id, v.sku, v.color,
+         coalesce(v.size, c.size), c.quantity, coalesce(v.price, p.price)
+    from cart_items c
+    join products p on p.product_id = c.product_id
+    left join product_variants v on v.variant_id = c.variant_id
+   where c.user_id = p_user_id;
+
+  if p_voucher_code is not null then
+    v_quote := redeem_voucher(
+      p_voucher_code,
+      p_user_id,
+      v_order_id,
+      (select jsonb_agg(jsonb_build_object(
+                'product_id', product_id,
+                'price', price,
+                'quantity', quantity
+              ))
+         from order_items
+        where order_id = v_order_id)
+    );
+  end if;
+
+  delete from cart_items where user_id = p_user_id;
+  delete from cart_vouchers where user_id = p_user_id;
+
+  return (
+    select json_build_object(
+      'order_id', o.order_id,
+      'subtotal_price', o.subtotal_price,
+      'discount_amount', o.discount_amount,
+      'shipping_courier', o.shipping_courier,
+      'shipping_service', o.shipping_service,
+      'shipping_cost', o.shipping_cost,
+      'total_price', o.total_price,
+      'shipping_address', o.shipping_address
+    )
+      from orders o
+     where o.order_id = v_order_id
+  );
+end;
+$$;
@@ -0,0 +1,37 @@
+-- Payment gateway sessions and the webhook events received for them
+
+create table if not exists payments (
+  payment_id bigserial primary key,
+  order_id bigint not null references orders (order_id) on delete cascade,
+  provider text not null,
+  -- The provider's identifier for this payment attempt (its "order id")
+  provider_reference text not null,
+  amount numeric not null check (amount >= 0),
+  status text not null default 'pending'
+    check (status in ('pending', 'paid', 'expired', 'failed')),
+  payment_method text,
+  redirect_url text,
+  va_number text,
+  expires_at timestamptz,
+  paid_at timestamptz,
+  provider_response jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (provider, provider_reference)
+);
+
+create index if not exists payments_order_id_idx on payments (order_id, created_at desc);
+
+-- Every webhook delivery is stored once per provider event. Replays of an
+-- event that was already processed are acknowledged without side effects.
+create table if not exists payment_webhook_events (
+  event_id bigserial primary key,
+  provider text not null,
+  event_key text not null,
+  provider_reference text,
+  payload jsonb not null,
+  result text,
+  received_at timestamptz not null default now(),
+  processed_at timestamptz,
+  unique (provider, event_key)
+);
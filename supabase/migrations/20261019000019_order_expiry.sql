@@ -0,0 +1,160 @@
+-- Unpaid orders expire after a payment window, and background jobs that do
+-- this run on one instance at a time through lease locks.
+
+alter table orders
+  add column if not exists payment_deadline timestamptz,
+  add column if not exists cancellation_reason text;
+
+-- Orders still waiting for payment get a deadline counted from their creation
+update orders
+   set payment_deadline = created_at + interval '24 hours'
+ where payment_deadline is null
+   and status = 'pending'
+   and payment_status in ('unpaid', 'failed');
+
+create index if not exists orders_payment_deadline_idx
+  on orders (payment_deadline)
+  where status = 'pending';
+
+-- One row per scheduled job. An instance may run a job only while it holds
+-- the lease (locked_until in the future).
+create table if not exists job_locks (
+  job_name text primary key,
+  locked_by text not null,
+  locked_until timestamptz not null,
+  last_started_at timestamptz,
+  last_finished_at timestamptz
+);
+
+-- Take the lease of a job if nobody holds it; returns true when taken
+create or replace function acquire_job_lock(p_job_name text, p_owner text, p_lease_seconds int)
+returns boolean
+language plpgsql
+as $$
+begin
+  insert into job_locks (job_name, locked_by, locked_until, last_started_at)
+  values (p_job_name, p_owner, now() + make_interval(secs => p_lease_seconds), now())
+  on conflict (job_name) do update
+    set locked_by = excluded.locked_by,
+        locked_until = excluded.locked_until,
+        last_started_at = excluded.last_started_at
+    where job_locks.locked_until <= now();
+
+  return found;
+end;
+$$;
+
+-- Record that a run finished. The lease is kept until it runs out, so a job
+-- runs at most once per interval across all instances.
+create or replace function finish_job_run(p_job_name text, p_owner text)
+returns void
+language sql
+as $$
+  update job_locks
+     set last_finished_at = now()
+   where job_name = p_job_name
+     and locked_by = p_owner;
+$$;
+
+-- Cart checkout stores the payment deadline as well
+drop function if exists checkout_cart(bigint, text, bigint, jsonb);
+
+create or replace function checkout_cart(
+  p_user_id bigint,
+  p_voucher_code text default null,
+  p_address_id bigint default null,
+  p_shipping jsonb default null,
+  p_payment_deadline timestamptz default null
+)
+returns json
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+  v_total numeric := 0;
+  v_items jsonb;
+  v_quote json;
+  v_address jsonb;
+  v_shipping_cost numeric := coalesce((p_shipping->>'cost')::numeric, 0);
+begin
+  -- Lock the cart rows so two checkouts for the same user cannot both succeed
+  perform 1 from cart_items where user_id = p_user_id for update;
+  if not found then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  v_address := address_snapshot(p_user_id, p_address_id);
+
+  select coalesce(sum(coalesce(v.price, p.price) * c.quantity), 0),
+         jsonb_agg(jsonb_build_object(
+           'product_id', c.product_id,
+           'variant_id', c.variant_id,
+           'size', c.size,
+           'quantity', c.quantity
+         ))
+    into v_total, v_items
+    from cart_items c
+    join products p on p.product_id = c.product_id
+    left join product_variants v on v.variant_id = c.variant_id
+   where c.user_id = p_user_id;
+
+  perform reserve_stock(v_items);
+
+  insert into orders (
+    user_id, subtotal_price, total_price, status, payment_status,
+    shipping_address_id, shipping_address,
+    shipping_courier, shipping_service, shipping_cost, shipping_weight_grams,
+    payment_deadline, created_at
+  )
+  values (
+    p_user_id, v_total, v_total + v_shipping_cost, 'pending', 'unpaid',
+    (v_address->>'address_id')::bigint, v_address,
+    p_shipping->>'courier', p_shipping->>'service', v_shipping_cost,
+    (p_shipping->>'weight_grams')::int,
+    p_payment_deadline, now()
+  )
+  returning order_id into v_order_id;
+
+  insert into order_items (order_id, product_id, variant_id, sku, color, size, quantity, price)
+  select v_order_id, c.product_id, c.variant_id, v.sku, v.color,
+         coalesce(v.size, c.size), c.quantity, coalesce(v.price, p.price)
+    from cart_items c
+    join products p on p.product_id = c.product_id
+    left join product_variants v on v.variant_id = c.variant_id
+   where c.user_id = p_user_id;
+
+  if p_voucher_code is not null then
+    v_quote := redeem_voucher(
+      p_voucher_code,
+      p_user_id,
+      v_order_id,
+      (select jsonb_agg(jsonb_build_object(
+                'product_id', product_id,
+                'price', price,
+                'quantity', quantity
+              ))
+         from order_items
+        where order_id = v_order_id)
+    );
+  end if;
+
+  delete from cart_items where user_id = p_user_id;
+  delete from cart_vouchers where user_id = p_user_id;
+
+  return (
+    select json_build_object(
+      'order_id', o.order_id,
+      'subtotal_price', o.subtotal_price,
+      'discount_amount', o.discount_amount,
+      'shipping_courier', o.shipping_courier,
+      'shipping_service', o.shipping_service,
+      'shipping_cost', o.shipping_cost,
+      'total_price', o.total_price,
+      'shipping_address', o.shipping_address,
+      'payment_deadline', o.payment_deadline
+    )
+      from orders o
+     where o.order_id = v_order_id
+  );
+end;
+$$;
@@ -0,0 +1,133 @@
+-- Customer return requests for delivered orders, with refunds and optional restocking
+
+-- When the order reached the customer; the return window counts from here
+alter table orders
+  add column if not exists delivered_at timestamptz;
+
+update orders o
+   set delivered_at = h.delivered_at
+  from (
+    select order_id, max(created_at) as delivered_at
+      from order_status_history
+     where new_status = 'delivered'
+     group by order_id
+  ) h
+ where h.order_id = o.order_id
+   and o.delivered_at is null;
+
+create or replace function set_order_delivered_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'delivered' and old.status is distinct from 'delivered' then
+    new.delivered_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_set_delivered_at on orders;
+create trigger orders_set_delivered_at
+  before update of status on orders
+  for each row execute function set_order_delivered_at();
+
+create table if not exists return_requests (
+  return_id bigserial primary key,
+  order_id bigint not null references orders (order_id) on delete cascade,
+  user_id bigint not null references users (user_id) on delete cascade,
+  status text not null default 'requested'
+    check (status in ('requested', 'approved', 'rejected', 'received', 'refunded')),
+  reason_code text not null,
+  reason text,
+  admin_note text,
+  reviewed_by bigint references users (user_id) on delete set null,
+  reviewed_at timestamptz,
+  received_at timestamptz,
+  restocked boolean not null default false,
+  refund_amount numeric check (refund_amount is null or refund_amount > 0),
+  refund_method text,
+  refund_reference text,
+  refunded_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists return_requests_order_idx on return_requests (order_id);
+create index if not exists return_requests_status_idx on return_requests (status, created_at);
+
+create table if not exists return_request_items (
+  return_item_id bigserial primary key,
+  return_id bigint not null references return_requests (return_id) on delete cascade,
+  order_item_id bigint not null references order_items (item_id) on delete cascade,
+  quantity int not null check (quantity > 0),
+  unique (return_id, order_item_id)
+);
+
+create table if not exists return_request_photos (
+  photo_id bigserial primary key,
+  return_id bigint not null references return_requests (return_id) on delete cascade,
+  image_url text not null,
+  thumbnail_url text,
+  storage_key text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists return_request_photos_return_idx on return_request_photos (return_id);
+
+-- Open a return for some items of an order. The order row is locked, so two
+-- concurrent requests cannot return more than was bought.
+-- p_items: [{ order_item_id, quantity }]
+create or replace function create_return_request(
+  p_order_id bigint,
+  p_user_id bigint,
+  p_reason_code text,
+  p_reason text,
+  p_items jsonb
+)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_return_id bigint;
+  v_item jsonb;
+  v_ordered int;
+  v_returned int;
+begin
+  perform 1 from orders where order_id = p_order_id and user_id = p_user_id for update;
+  if not found then
+    raise exception 'ORDER_NOT_FOUND';
+  end if;
+
+  insert into return_requests (order_id, user_id, reason_code, reason)
+  values (p_order_id, p_user_id, p_reason_code, p_reason)
+  returning return_id into v_return_id;
+
+  for v_item in select * from jsonb_array_elements(p_items)
+  loop
+    select quantity into v_ordered
+      from order_items
+     where item_id = (v_item->>'order_item_id')::bigint
+       and order_id = p_order_id;
+    if not found then
+      raise exception 'INVALID_RETURN_ITEM';
+    end if;
+
+    -- Quantity already in other returns that were not rejected
+    select coalesce(sum(ri.quantity), 0) into v_returned
+      from return_request_items ri
+      join return_requests r on r.return_id = ri.return_id
+     where ri.order_item_id = (v_item->>'order_item_id')::bigint
+       and r.status <> 'rejected';
+
+    if v_returned + (v_item->>'quantity')::int > v_ordered then
+      raise exception 'RETURN_QUANTITY_EXCEEDED';
+    end if;
+
+    insert into return_request_items (return_id, order_item_id, quantity)
+    values (v_return_id, (v_item->>'order_item_id')::bigint, (v_item->>'quantity')::int);
+  end loop;
+
+  return v_return_id;
+end;
+$$;
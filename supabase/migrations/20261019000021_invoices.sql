@@ -0,0 +1,59 @@
+-- Invoices: one per order, numbered without gaps per year (INV/2026/000001).
+-- The number is assigned the first time the invoice is requested and never changes.
+
+create table if not exists invoice_counters (
+  year int primary key,
+  last_number int not null default 0
+);
+
+create table if not exists invoices (
+  invoice_id bigserial primary key,
+  order_id bigint not null unique references orders (order_id) on delete restrict,
+  invoice_number text not null unique,
+  issued_at timestamptz not null default now()
+);
+
+-- Get the invoice of an order, issuing it on first use. The order row is
+-- locked, so concurrent requests for the same order get the same number, and
+-- the counter update rolls back together with a failed insert (no gaps).
+create or replace function issue_invoice(p_order_id bigint)
+returns json
+language plpgsql
+as $$
+declare
+  v_status text;
+  v_invoice invoices%rowtype;
+  v_year int := extract(year from now() at time zone 'Asia/Jakarta');
+  v_number int;
+begin
+  select status into v_status from orders where order_id = p_order_id for update;
+  if not found then
+    raise exception 'ORDER_NOT_FOUND';
+  end if;
+
+  select * into v_invoice from invoices where order_id = p_order_id;
+
+  if not found then
+    -- Orders cancelled before an invoice was issued never get one
+    if v_status = 'cancelled' then
+      raise exception 'ORDER_NOT_INVOICEABLE';
+    end if;
+
+    insert into invoice_counters (year, last_number)
+    values (v_year, 1)
+    on conflict (year) do update
+      set last_number = invoice_counters.last_number + 1
+    returning last_number into v_number;
+
+    insert into invoices (order_id, invoice_number)
+    values (p_order_id, format('INV/%s/%s', v_year, lpad(v_number::text, 6, '0')))
+    returning * into v_invoice;
+  end if;
+
+  return json_build_object(
+    'invoice_id', v_invoice.invoice_id,
+    'invoice_number', v_invoice.invoice_number,
+    'issued_at', v_invoice.issued_at
+  );
+end;
+$$;
@@ -0,0 +1,189 @@
+-- Sales analytics for the admin dashboard. Every function takes a half-open
+-- range [p_from, p_to) on orders.created_at. Sales figures count paid orders
+-- only; the status breakdown covers all orders. Periods are bucketed in
+-- Jakarta time.
+
+-- Paid orders created in the range
+create or replace function analytics_paid_orders(p_from timestamptz, p_to timestamptz)
+returns setof orders
+language sql
+stable
+as $$
+  select *
+    from orders
+   where payment_status = 'paid'
+     and created_at >= p_from
+     and created_at < p_to;
+$$;
+
+-- Order count, revenue and average order value, overall and per period
+-- (p_interval: day, week or month)
+create or replace function analytics_revenue(p_from timestamptz, p_to timestamptz, p_interval text default 'day')
+returns json
+language sql
+stable
+as $$
+  with paid as (
+    select * from analytics_paid_orders(p_from, p_to)
+  ),
+  periods as (
+    select
+      date_trunc(p_interval, created_at at time zone 'Asia/Jakarta')::date as period,
+      count(*) as order_count,
+      sum(total_price) as revenue,
+      round(avg(total_price), 2) as average_order_value
+    from paid
+    group by 1
+  )
+  select json_build_object(
+    'summary', (
+      select json_build_object(
+        'order_count', count(*),
+        'revenue', coalesce(sum(total_price), 0),
+        'average_order_value', coalesce(round(avg(total_price), 2), 0),
+        'discount_total', coalesce(sum(discount_amount), 0),
+        'shipping_total', coalesce(sum(shipping_cost), 0),
+        'items_sold', coalesce((
+          select sum(oi.quantity) from order_items oi join paid p on p.order_id = oi.order_id
+        ), 0)
+      )
+      from paid
+    ),
+    'periods', coalesce((
+      select json_agg(row_to_json(periods) order by period) from periods
+    ), '[]'::json)
+  );
+$$;
+
+-- Best-selling products by quantity
+create or replace function analytics_top_products(p_from timestamptz, p_to timestamptz, p_limit int default 10)
+returns json
+language sql
+stable
+as $$
+  select coalesce(json_agg(row_to_json(t) order by t.quantity desc, t.revenue desc), '[]'::json)
+    from (
+      select
+        oi.product_id,
+        pr.name,
+        sum(oi.quantity) as quantity,
+        sum(oi.quantity * oi.price) as revenue,
+        count(distinct oi.order_id) as order_count
+      from order_items oi
+      join analytics_paid_orders(p_from, p_to) o on o.order_id = oi.order_id
+      left join products pr on pr.product_id = oi.product_id
+      group by oi.product_id, pr.name
+      order by quantity desc, revenue desc
+      limit p_limit
+    ) t;
+$$;
+
+-- Best-selling sizes by quantity (items without a size are left out)
+create or replace function analytics_top_sizes(p_from timestamptz, p_to timestamptz, p_limit int default 10)
+returns json
+language sql
+stable
+as $$
+  select coalesce(json_agg(row_to_json(t) order by t.quantity desc, t.revenue desc), '[]'::json)
+    from (
+      select
+        oi.size,
+        sum(oi.quantity) as quantity,
+        sum(oi.quantity * oi.price) as revenue
+      from order_items oi
+      join analytics_paid_orders(p_from, p_to) o on o.order_id = oi.order_id
+      where oi.size is not null
+      group by oi.size
+      order by quantity desc, revenue desc
+      limit p_limit
+    ) t;
+$$;
+
+-- Item revenue (before order discounts and shipping) per product category
+create or replace function analytics_revenue_by_category(p_from timestamptz, p_to timestamptz)
+returns json
+language sql
+stable
+as $$
+  select coalesce(json_agg(row_to_json(t) order by t.revenue desc), '[]'::json)
+    from (
+      select
+        c.category_id,
+        c.name,
+        sum(oi.quantity) as quantity,
+        sum(oi.quantity * oi.price) as revenue
+      from order_items oi
+      join analytics_paid_orders(p_from, p_to) o on o.order_id = oi.order_id
+      join products pr on pr.product_id = oi.product_id
+      left join categories c on c.category_id = pr.category_id
+      group by c.category_id, c.name
+    ) t;
+$$;
+
+-- Number and value of orders per status and per payment status
+create or replace function analytics_status_breakdown(p_from timestamptz, p_to timestamptz)
+returns json
+language sql
+stable
+as $$
+  with ranged as (
+    select status, payment_status, total_price
+      from orders
+     where created_at >= p_from
+       and created_at < p_to
+  )
+  select json_build_object(
+    'status', coalesce((
+      select json_agg(row_to_json(s) order by s.order_count desc)
+        from (
+          select status, count(*) as order_count, sum(total_price) as total_value
+            from ranged
+           group by status
+        ) s
+    ), '[]'::json),
+    'payment_status', coalesce((
+      select json_agg(row_to_json(s) order by s.order_count desc)
+        from (
+          select payment_status, count(*) as order_count, sum(total_price) as total_value
+            from ranged
+           group by payment_status
+        ) s
+    ), '[]'::json)
+  );
+$$;
+
+-- Customers with a paid order in the range: new ones placed their first paid
+-- order in the range, returning ones had a paid order before it
+create or replace function analytics_customers(p_from timestamptz, p_to timestamptz)
+returns json
+language sql
+stable
+as $$
+  with buyers as (
+    select
+      o.user_id,
+      count(*) as order_count,
+      sum(o.total_price) as revenue,
+      exists (
+        select 1
+          from orders earlier
+         where earlier.user_id = o.user_id
+           and earlier.payment_status = 'paid'
+           and earlier.created_at < p_from
+      ) as is_returning
+    from analytics_paid_orders(p_from, p_to) o
+    group by o.user_id
+  )
+  select json_build_object(
+    'total_customers', count(*),
+    'new_customers', count(*) filter (where not is_returning),
+    'returning_customers', count(*) filter (where is_returning),
+    'new_customer_revenue', coalesce(sum(revenue) filter (where not is_returning), 0),
+    'returning_customer_revenue', coalesce(sum(revenue) filter (where is_returning), 0),
+    'repeat_buyers_in_range', count(*) filter (where order_count > 1)
+  )
+  from buyers;
+$$;
+
+create index if not exists orders_created_at_idx on orders (created_at);
+create index if not exists orders_user_paid_idx on orders (user_id, created_at) where payment_status = 'paid';
@@ -0,0 +1,88 @@
+-- Order status history is written by the database, in the same transaction as
+-- the change it records. transition_order passes the acting user and note to
+-- the trigger through transaction-local settings; status changes made any
+-- other way are still recorded, without an actor.
+
+create or replace function record_order_status_history()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_changed_by bigint := nullif(current_setting('app.order_changed_by', true), '')::bigint;
+  v_note text := nullif(current_setting('app.order_note', true), '');
+begin
+  if tg_op = 'UPDATE'
+     and new.status is not distinct from old.status
+     and new.payment_status is not distinct from old.payment_status then
+    return new;
+  end if;
+
+  insert into order_status_history (
+    order_id, previous_status, new_status,
+    previous_payment_status, new_payment_status,
+    changed_by, note
+  )
+  values (
+    new.order_id,
+    case when tg_op = 'UPDATE' then old.status end,
+    new.status,
+    case when tg_op = 'UPDATE' then old.payment_status end,
+    new.payment_status,
+    -- A new order is created by its customer
+    case when tg_op = 'INSERT' then coalesce(v_changed_by, new.user_id) else v_changed_by end,
+    case when tg_op = 'INSERT' then coalesce(v_note, 'Order dibuat') else v_note end
+  );
+
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_record_status_history on orders;
+create trigger orders_record_status_history
+  after insert or update of status, payment_status on orders
+  for each row execute function record_order_status_history();
+
+-- Apply a transition the application has validated. p_changes holds the new
+-- status / payment_status and any other order columns to save with them. The
+-- update only matches while the order is still in the state it was read in,
+-- so it returns no row when another process got there first.
+create or replace function transition_order(
+  p_order_id bigint,
+  p_from_status text,
+  p_from_payment_status text,
+  p_changes jsonb,
+  p_changed_by bigint default null,
+  p_note text default null
+)
+returns setof orders
+language plpgsql
+as $$
+declare
+  v_columns text;
+begin
+  select string_agg(format('%I = r.%I', key, key), ', ')
+    into v_columns
+    from jsonb_object_keys(p_changes) as key;
+
+  if v_columns is null then
+    raise exception 'NO_CHANGES';
+  end if;
+
+  perform set_config('app.order_changed_by', coalesce(p_changed_by::text, ''), true);
+  perform set_config('app.order_note', coalesce(p_note, ''), true);
+
+  return query execute format(
+    'update orders o
+        set %s
+       from jsonb_populate_record(null::orders, $1) r
+      where o.order_id = $2
+        and o.status = $3
+        and o.payment_status = $4
+     returning o.*',
+    v_columns
+  ) using p_changes, p_order_id, p_from_status, p_from_payment_status;
+
+  perform set_config('app.order_changed_by', '', true);
+  perform set_config('app.order_note', '', true);
+end;
+$$;
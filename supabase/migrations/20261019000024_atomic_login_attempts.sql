@@ -0,0 +1,104 @@
+-- Count a login attempt before the password is checked, in one statement per
+-- request, so parallel attempts cannot all slip past the limit. Every attempt
+-- counts as a failure up front; a successful login takes its attempt back.
+-- p_limits maps each key (account:..., ip:...) to its maximum attempts.
+create or replace function begin_login_attempt(
+  p_limits jsonb,
+  p_window_minutes int,
+  p_lockout_minutes int
+)
+returns json
+language plpgsql
+as $$
+declare
+  v_limit record;
+  v_row login_attempts;
+  v_locked_until timestamptz;
+  v_failed_count int := 0;
+  v_locked boolean := false;
+begin
+  insert into login_attempts (attempt_key)
+  select key from jsonb_object_keys(p_limits) as key
+  on conflict (attempt_key) do nothing;
+
+  -- Stable ordering keeps row locks in the same order across transactions
+  perform 1
+     from login_attempts
+    where attempt_key in (select jsonb_object_keys(p_limits))
+    order by attempt_key
+      for update;
+
+  select max(locked_until)
+    into v_locked_until
+    from login_attempts
+   where attempt_key in (select jsonb_object_keys(p_limits))
+     and locked_until > now();
+
+  if v_locked_until is not null then
+    return json_build_object(
+      'allowed', false,
+      'retry_after_seconds', ceil(extract(epoch from v_locked_until - now()))::int
+    );
+  end if;
+
+  for v_limit in
+    select key, value::int as max_attempts
+      from jsonb_each_text(p_limits)
+     order by key
+  loop
+    update login_attempts
+       set failed_count = case
+             when first_failed_at is null
+               or first_failed_at < now() - make_interval(mins => p_window_minutes) then 1
+             else failed_count + 1
+           end,
+           first_failed_at = case
+             when first_failed_at is null
+               or first_failed_at < now() - make_interval(mins => p_window_minutes) then now()
+             else first_failed_at
+           end,
+           last_failed_at = now(),
+           locked_until = null
+     where attempt_key = v_limit.key
+    returning * into v_row;
+
+    -- This is the last attempt allowed; later ones wait until it is resolved
+    if v_row.failed_count >= v_limit.max_attempts then
+      update login_attempts
+         set locked_until = now() + make_interval(mins => p_lockout_minutes)
+       where attempt_key = v_limit.key;
+      v_locked := true;
+    end if;
+
+    v_failed_count := greatest(v_failed_count, v_row.failed_count);
+  end loop;
+
+  return json_build_object(
+    'allowed', true,
+    'failed_count', v_failed_count,
+    'locked', v_locked,
+    'retry_after_seconds', 0
+  );
+end;
+$$;
+
+-- A successful login clears the account's failures and gives the attempt
+-- back to the IP, lifting a lockout that attempt set.
+create or replace function finish_login_success(
+  p_account_key text,
+  p_ip_key text,
+  p_ip_max_attempts int
+)
+returns void
+language sql
+as $$
+  delete from login_attempts where attempt_key = p_account_key;
+
+  update login_attempts
+     set failed_count = greatest(failed_count - 1, 0),
+         locked_until = case when failed_count - 1 < p_ip_max_attempts then null else locked_until end
+   where attempt_key = p_ip_key;
+$$;
+
+-- Failures are now counted by begin_login_attempt
+drop function if exists record_login_failure(text, int, int, int);
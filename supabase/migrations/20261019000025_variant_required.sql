@@ -0,0 +1,59 @@
+-- Products with variants keep their stock on the variants, so an item of such
+-- a product must name its variant. Without this check a line with only a size
+-- (or nothing) would be taken from product_sizes / products.stock instead.
+create or replace function reserve_stock(p_items jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_item record;
+begin
+  -- Stable ordering keeps row locks in the same order across transactions
+  for v_item in
+    select (i->>'product_id')::bigint as product_id,
+           (i->>'variant_id')::bigint as variant_id,
+           nullif(i->>'size', '') as size,
+           (i->>'quantity')::int as quantity
+      from jsonb_array_elements(p_items) as i
+     order by 1, 2, 3
+  loop
+    if v_item.quantity is null or v_item.quantity <= 0 then
+      raise exception 'INVALID_QUANTITY';
+    end if;
+
+    if v_item.variant_id is null
+       and exists (select 1 from product_variants where product_id = v_item.product_id) then
+      raise exception 'VARIANT_REQUIRED'
+        using detail = json_build_object('product_id', v_item.product_id)::text;
+    end if;
+
+    if v_item.variant_id is not null then
+      update product_variants
+         set stock = stock - v_item.quantity
+       where variant_id = v_item.variant_id
+         and product_id = v_item.product_id
+         and stock >= v_item.quantity;
+    elsif v_item.size is not null then
+      update product_sizes
+         set stock = stock - v_item.quantity
+       where product_id = v_item.product_id
+         and size = v_item.size
+         and stock >= v_item.quantity;
+    else
+      update products
+         set stock = stock - v_item.quantity
+       where product_id = v_item.product_id
+         and stock >= v_item.quantity;
+    end if;
+
+    if not found then
+      raise exception 'INSUFFICIENT_STOCK'
+        using detail = json_build_object(
+          'product_id', v_item.product_id,
+          'variant_id', v_item.variant_id,
+          'size', v_item.size
+        )::text;
+    end if;
+  end loop;
+end;
+$$;
@@ -0,0 +1,123 @@
+-- Variants dropped from a product update are archived instead of deleted when
+-- a cart, wishlist or order still points at them, so those lines keep their
+-- variant. Archived variants can't be bought and don't count in the catalog.
+alter table product_variants
+  add column if not exists is_active boolean not null default true,
+  add column if not exists archived_at timestamptz;
+
+-- Remove the variants of a product whose SKU is not in p_skus: archive the
+-- referenced ones, delete the rest
+create or replace function remove_unlisted_variants(p_product_id bigint, p_skus text[])
+returns void
+language plpgsql
+as $$
+begin
+  update product_variants v
+     set is_active = false,
+         archived_at = coalesce(v.archived_at, now())
+   where v.product_id = p_product_id
+     and not (v.sku = any(p_skus))
+     and (
+       exists (select 1 from cart_items c where c.variant_id = v.variant_id)
+       or exists (select 1 from wishlist_items w where w.variant_id = v.variant_id)
+       or exists (select 1 from order_items oi where oi.variant_id = v.variant_id)
+     );
+
+  delete from product_variants v
+   where v.product_id = p_product_id
+     and not (v.sku = any(p_skus))
+     and not exists (select 1 from cart_items c where c.variant_id = v.variant_id)
+     and not exists (select 1 from wishlist_items w where w.variant_id = v.variant_id)
+     and not exists (select 1 from order_items oi where oi.variant_id = v.variant_id);
+end;
+$$;
+
+-- Only active variants can be reserved, and only they make a variant required
+create or replace function reserve_stock(p_items jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_item record;
+begin
+  -- Stable ordering keeps row locks in the same order across transactions
+  for v_item in
+    select (i->>'product_id')::bigint as product_id,
+           (i->>'variant_id')::bigint as variant_id,
+           nullif(i->>'size', '') as size,
+           (i->>'quantity')::int as quantity
+      from jsonb_array_elements(p_items) as i
+     order by 1, 2, 3
+  loop
+    if v_item.quantity is null or v_item.quantity <= 0 then
+      raise exception 'INVALID_QUANTITY';
+    end if;
+
+    if v_item.variant_id is null
+       and exists (
+         select 1 from product_variants
+          where product_id = v_item.product_id
+            and is_active
+       ) then
+      raise exception 'VARIANT_REQUIRED'
+        using detail = json_build_object('product_id', v_item.product_id)::text;
+    end if;
+
+    if v_item.variant_id is not null then
+      update product_variants
+         set stock = stock - v_item.quantity
+       where variant_id = v_item.variant_id
+         and product_id = v_item.product_id
+         and is_active
+         and stock >= v_item.quantity;
+    elsif v_item.size is not null then
+      update product_sizes
+         set stock = stock - v_item.quantity
+       where product_id = v_item.product_id
+         and size = v_item.size
+         and stock >= v_item.quantity;
+    else
+      update products
+         set stock = stock - v_item.quantity
+       where product_id = v_item.product_id
+         and stock >= v_item.quantity;
+    end if;
+
+    if not found then
+      raise exception 'INSUFFICIENT_STOCK'
+        using detail = json_build_object(
+          'product_id', v_item.product_id,
+          'variant_id', v_item.variant_id,
+          'size', v_item.size
+        )::text;
+    end if;
+  end loop;
+end;
+$$;
+
+-- Archived variants no longer add sizes or stock to the catalog
+create or replace view product_catalog as
+select
+  p.*,
+  coalesce(s.available_sizes, '{}') as available_sizes,
+  case when s.size_count > 0 then s.size_stock else p.stock end as available_stock,
+  coalesce(o.sold_count, 0) as sold_count
+from products p
+left join lateral (
+  select
+    count(*) as size_count,
+    coalesce(sum(x.stock), 0) as size_stock,
+    array_agg(distinct x.size) filter (where x.stock > 0 and x.size is not null) as available_sizes
+  from (
+    select ps.size, ps.stock from product_sizes ps where ps.product_id = p.product_id
+    union all
+    select pv.size, pv.stock from product_variants pv where pv.product_id = p.product_id and pv.is_active
+  ) x
+) s on true
+left join lateral (
+  select sum(oi.quantity) as sold_count
+  from order_items oi
+  join orders ord on ord.order_id = oi.order_id
+  where oi.product_id = p.product_id
+    and ord.status <> 'cancelled'
+) o on true;
@@ -0,0 +1,50 @@
+-- Walk the category hierarchy in the database so list and detail requests
+-- only read the rows on the path instead of the whole categories table
+
+-- Breadcrumbs for a set of categories, keyed by category_id:
+-- { "12": [{ category_id, name, slug }, ...root to leaf], ... }
+create or replace function category_breadcrumbs(p_category_ids bigint[])
+returns json
+language sql
+stable
+as $$
+  with recursive path as (
+    select c.category_id as leaf_id, c.category_id, c.parent_id, c.name, c.slug, 0 as depth
+      from categories c
+     where c.category_id = any(p_category_ids)
+    union all
+    select p.leaf_id, c.category_id, c.parent_id, c.name, c.slug, p.depth + 1
+      from path p
+      join categories c on c.category_id = p.parent_id
+     -- Guards against cycles in inconsistent data
+     where p.depth < 100
+  ), crumbs as (
+    select leaf_id,
+           json_agg(
+             json_build_object('category_id', category_id, 'name', name, 'slug', slug)
+             order by depth desc
+           ) as breadcrumbs
+      from path
+     group by leaf_id
+  )
+  select coalesce(json_object_agg(leaf_id, breadcrumbs), '{}'::json)
+    from crumbs;
+$$;
+
+-- IDs of a category and all of its descendants, starting with the category
+create or replace function category_descendant_ids(p_category_id bigint)
+returns json
+language sql
+stable
+as $$
+  with recursive descendants as (
+    select category_id, 0 as depth from categories where category_id = p_category_id
+    union
+    select c.category_id, d.depth + 1
+      from categories c
+      join descendants d on c.parent_id = d.category_id
+     where d.depth < 100
+  )
+  select coalesce(json_agg(category_id order by depth, category_id), '[]'::json)
+    from descendants;
+$$;
@@ -0,0 +1,98 @@
+-- Direct orders (POST /api/orders) in one transaction, like checkout_cart:
+-- reserve stock, create the order and its items and redeem the voucher, so a
+-- failure at any step rolls all of them back.
+create or replace function create_order(
+  p_user_id bigint,
+  p_items jsonb,
+  p_voucher_code text default null,
+  p_address_id bigint default null,
+  p_shipping jsonb default null,
+  p_payment_deadline timestamptz default null
+)
+returns json
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+  v_total numeric;
+  v_found int;
+  v_quote json;
+  v_address jsonb;
+  v_shipping_cost numeric := coalesce((p_shipping->>'cost')::numeric, 0);
+begin
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'ORDER_EMPTY';
+  end if;
+
+  v_address := address_snapshot(p_user_id, p_address_id);
+
+  -- Every item must reference an active product (and active variant, if given)
+  select count(*), coalesce(sum(coalesce(v.price, p.price) * i.quantity), 0)
+    into v_found, v_total
+    from jsonb_to_recordset(p_items) as i (product_id bigint, variant_id bigint, size text, quantity int)
+    join products p on p.product_id = i.product_id and p.is_active
+    left join product_variants v on v.variant_id = i.variant_id
+                                and v.product_id = i.product_id
+                                and v.is_active
+   where i.variant_id is null or v.variant_id is not null;
+
+  if v_found <> jsonb_array_length(p_items) then
+    raise exception 'PRODUCT_NOT_FOUND';
+  end if;
+
+  perform reserve_stock(p_items);
+
+  insert into orders (
+    user_id, subtotal_price, total_price, status, payment_status,
+    shipping_address_id, shipping_address,
+    shipping_courier, shipping_service, shipping_cost, shipping_weight_grams,
+    payment_deadline, created_at
+  )
+  values (
+    p_user_id, v_total, v_total + v_shipping_cost, 'pending', 'unpaid',
+    (v_address->>'address_id')::bigint, v_address,
+    p_shipping->>'courier', p_shipping->>'service', v_shipping_cost,
+    (p_shipping->>'weight_grams')::int,
+    p_payment_deadline, now()
+  )
+  returning order_id into v_order_id;
+
+  insert into order_items (order_id, product_id, variant_id, sku, color, size, quantity, price)
+  select v_order_id, i.product_id, i.variant_id, v.sku, v.color,
+         coalesce(v.size, nullif(i.size, '')), i.quantity, coalesce(v.price, p.price)
+    from jsonb_to_recordset(p_items) as i (product_id bigint, variant_id bigint, size text, quantity int)
+    join products p on p.product_id = i.product_id
+    left join product_variants v on v.variant_id = i.variant_id;
+
+  if p_voucher_code is not null then
+    v_quote := redeem_voucher(
+      p_voucher_code,
+      p_user_id,
+      v_order_id,
+      (select jsonb_agg(jsonb_build_object(
+                'product_id', product_id,
+                'price', price,
+                'quantity', quantity
+              ))
+         from order_items
+        where order_id = v_order_id)
+    );
+  end if;
+
+  return (
+    select json_build_object(
+      'order_id', o.order_id,
+      'subtotal_price', o.subtotal_price,
+      'discount_amount', o.discount_amount,
+      'shipping_courier', o.shipping_courier,
+      'shipping_service', o.shipping_service,
+      'shipping_cost', o.shipping_cost,
+      'total_price', o.total_price,
+      'shipping_address', o.shipping_address,
+      'payment_deadline', o.payment_deadline
+    )
+      from orders o
+     where o.order_id = v_order_id
+  );
+end;
+$$;
@@ -0,0 +1,58 @@
+-- Record the refund of a received return. The order row is locked, so two
+-- concurrent refunds on returns of the same order cannot together exceed
+-- what the customer paid for it.
+create or replace function refund_return_request(
+  p_return_id bigint,
+  p_amount numeric,
+  p_method text,
+  p_reference text default null,
+  p_note text default null
+)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+  v_total numeric;
+  v_refunded numeric;
+begin
+  select order_id into v_order_id
+    from return_requests
+   where return_id = p_return_id;
+  if not found then
+    raise exception 'RETURN_NOT_FOUND';
+  end if;
+
+  select total_price into v_total
+    from orders
+   where order_id = v_order_id
+     for update;
+
+  perform 1 from return_requests where return_id = p_return_id and status = 'received' for update;
+  if not found then
+    raise exception 'RETURN_NOT_RECEIVED';
+  end if;
+
+  select coalesce(sum(refund_amount), 0) into v_refunded
+    from return_requests
+   where order_id = v_order_id
+     and return_id <> p_return_id;
+
+  if p_amount > v_total - v_refunded then
+    raise exception 'REFUND_EXCEEDS_REMAINING'
+      using detail = (v_total - v_refunded)::text;
+  end if;
+
+  update return_requests
+     set status = 'refunded',
+         refund_amount = p_amount,
+         refund_method = p_method,
+         refund_reference = p_reference,
+         refunded_at = now(),
+         admin_note = coalesce(p_note, admin_note),
+         updated_at = now()
+   where return_id = p_return_id;
+
+  return p_return_id;
+end;
+$$;
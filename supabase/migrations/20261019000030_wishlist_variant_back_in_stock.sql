@@ -0,0 +1,61 @@
+-- Back-in-stock flags for wishlisted variants and for products that keep
+-- their stock on the product itself (no sizes, no variants). Only
+-- product_sizes had a trigger, so restocking these never notified anyone.
+
+create or replace function flag_wishlist_variant_back_in_stock()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.stock = 0 and new.stock > 0 then
+    update wishlist_items
+       set back_in_stock_at = now(),
+           notified_at = null
+     where variant_id = new.variant_id;
+  elsif old.stock > 0 and new.stock = 0 then
+    update wishlist_items
+       set back_in_stock_at = null
+     where variant_id = new.variant_id;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists product_variants_back_in_stock on product_variants;
+create trigger product_variants_back_in_stock
+  after update of stock on product_variants
+  for each row execute function flag_wishlist_variant_back_in_stock();
+
+create or replace function flag_wishlist_product_back_in_stock()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- Products with sizes or variants are flagged by the triggers on those tables
+  if exists (select 1 from product_sizes where product_id = new.product_id)
+     or exists (select 1 from product_variants where product_id = new.product_id) then
+    return new;
+  end if;
+
+  if old.stock = 0 and new.stock > 0 then
+    update wishlist_items
+       set back_in_stock_at = now(),
+           notified_at = null
+     where product_id = new.product_id
+       and variant_id is null;
+  elsif old.stock > 0 and new.stock = 0 then
+    update wishlist_items
+       set back_in_stock_at = null
+     where product_id = new.product_id
+       and variant_id is null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists products_back_in_stock on products;
+create trigger products_back_in_stock
+  after update of stock on products
+  for each row execute function flag_wishlist_product_back_in_stock();
@@ -0,0 +1,31 @@
+-- Natural keys for diff-based size/image updates. The old delete-and-reinsert
+-- updates could list a size or image twice, so duplicates are merged first:
+-- the oldest row of each is kept, and a size keeps the highest stock of its
+-- copies.
+update product_sizes s
+   set stock = d.max_stock
+  from (
+    select min(size_id) as size_id, max(stock) as max_stock
+      from product_sizes
+     group by product_id, size
+    having count(*) > 1
+  ) d
+ where s.size_id = d.size_id;
+
+delete from product_sizes s
+ using product_sizes kept
+ where kept.product_id = s.product_id
+   and kept.size = s.size
+   and kept.size_id < s.size_id;
+
+delete from product_images i
+ using product_images kept
+ where kept.product_id = i.product_id
+   and kept.image_url = i.image_url
+   and kept.image_id < i.image_id;
+
+create unique index if not exists product_sizes_product_size_key
+  on product_sizes (product_id, size);
+
+create unique index if not exists product_images_product_url_key
+  on product_images (product_id, image_url);
@@ -0,0 +1,79 @@
+-- Stock and voucher release run inside transition_order, in the same
+-- transaction as the status change. Before, the application released them
+-- after the transition had committed, so a failure in between left a
+-- cancelled order holding its stock and voucher use with nothing to retry it.
+create or replace function transition_order(
+  p_order_id bigint,
+  p_from_status text,
+  p_from_payment_status text,
+  p_changes jsonb,
+  p_changed_by bigint default null,
+  p_note text default null
+)
+returns setof orders
+language plpgsql
+as $$
+declare
+  v_columns text;
+  v_order orders;
+  v_updated int;
+begin
+  select string_agg(format('%I = r.%I', key, key), ', ')
+    into v_columns
+    from jsonb_object_keys(p_changes) as key;
+
+  if v_columns is null then
+    raise exception 'NO_CHANGES';
+  end if;
+
+  perform set_config('app.order_changed_by', coalesce(p_changed_by::text, ''), true);
+  perform set_config('app.order_note', coalesce(p_note, ''), true);
+
+  execute format(
+    'update orders o
+        set %s
+       from jsonb_populate_record(null::orders, $1) r
+      where o.order_id = $2
+        and o.status = $3
+        and o.payment_status = $4
+     returning o.*',
+    v_columns
+  ) into v_order using p_changes, p_order_id, p_from_status, p_from_payment_status;
+
+  get diagnostics v_updated = row_count;
+
+  perform set_config('app.order_changed_by', '', true);
+  perform set_config('app.order_note', '', true);
+
+  if v_updated = 0 then
+    return;
+  end if;
+
+  -- Put reserved stock back when an order is cancelled or refunded. Returned
+  -- goods are restocked (or not) when their return is received instead.
+  if v_order.status is distinct from p_from_status
+     and v_order.status in ('cancelled', 'refunded')
+     and not (
+       v_order.status = 'refunded'
+       and exists (select 1 from return_requests where order_id = p_order_id)
+     ) then
+    perform release_stock(coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'product_id', product_id,
+               'variant_id', variant_id,
+               'size', size,
+               'quantity', quantity
+             ))
+        from order_items
+       where order_id = p_order_id
+    ), '[]'::jsonb));
+  end if;
+
+  -- A cancelled order doesn't use up its voucher
+  if v_order.status is distinct from p_from_status and v_order.status = 'cancelled' then
+    perform release_voucher(p_order_id);
+  end if;
+
+  return next v_order;
+end;
+$$;
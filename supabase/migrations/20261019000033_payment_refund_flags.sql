@@ -0,0 +1,13 @@
+-- Money a gateway took that could not be applied to its order (the order was
+-- cancelled or expired first, or the amount did not match) is flagged for an
+-- admin to refund instead of only being logged.
+alter table payments
+  add column if not exists needs_refund boolean not null default false,
+  add column if not exists refund_reason text,
+  add column if not exists refund_resolved_at timestamptz,
+  add column if not exists refund_resolved_by bigint references users (user_id) on delete set null,
+  add column if not exists refund_note text;
+
+create index if not exists payments_needs_refund_idx
+  on payments (created_at)
+  where needs_refund;
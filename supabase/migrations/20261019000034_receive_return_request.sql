@@ -0,0 +1,46 @@
+-- Receive the goods of an approved return and, when asked, put them back
+-- into stock in one transaction. Before, the return was marked received
+-- first and restocked afterwards, so a failed restock left a received return
+-- with restocked = false that could never be restocked again.
+create or replace function receive_return_request(
+  p_return_id bigint,
+  p_restock boolean default false,
+  p_note text default null
+)
+returns bigint
+language plpgsql
+as $$
+begin
+  perform 1 from return_requests where return_id = p_return_id and status = 'approved' for update;
+  if not found then
+    raise exception 'RETURN_NOT_APPROVED';
+  end if;
+
+  update return_requests
+     set status = 'received',
+         received_at = now(),
+         admin_note = coalesce(p_note, admin_note),
+         updated_at = now()
+   where return_id = p_return_id;
+
+  if p_restock then
+    perform release_stock(coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'product_id', oi.product_id,
+               'variant_id', oi.variant_id,
+               'size', oi.size,
+               'quantity', ri.quantity
+             ))
+        from return_request_items ri
+        join order_items oi on oi.item_id = ri.order_item_id
+       where ri.return_id = p_return_id
+    ), '[]'::jsonb));
+
+    update return_requests
+       set restocked = true
+     where return_id = p_return_id;
+  end if;
+
+  return p_return_id;
+end;
+$$;
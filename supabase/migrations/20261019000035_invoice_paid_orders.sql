@@ -0,0 +1,53 @@
+-- Issue invoice numbers for paid orders only. Before, downloading the invoice
+-- of an unpaid pending order used up a number, and that number stayed with
+-- the order even when it was never paid. Refunded orders were paid once and
+-- keep getting their invoice; invoices issued earlier are still returned.
+create or replace function issue_invoice(p_order_id bigint)
+returns json
+language plpgsql
+as $$
+declare
+  v_status text;
+  v_payment_status text;
+  v_invoice invoices%rowtype;
+  v_year int := extract(year from now() at time zone 'Asia/Jakarta');
+  v_number int;
+begin
+  select status, payment_status into v_status, v_payment_status
+    from orders
+   where order_id = p_order_id
+     for update;
+  if not found then
+    raise exception 'ORDER_NOT_FOUND';
+  end if;
+
+  select * into v_invoice from invoices where order_id = p_order_id;
+
+  if not found then
+    -- Orders cancelled before an invoice was issued never get one
+    if v_status = 'cancelled' then
+      raise exception 'ORDER_NOT_INVOICEABLE';
+    end if;
+
+    if v_payment_status not in ('paid', 'refunded') then
+      raise exception 'ORDER_NOT_PAID';
+    end if;
+
+    insert into invoice_counters (year, last_number)
+    values (v_year, 1)
+    on conflict (year) do update
+      set last_number = invoice_counters.last_number + 1
+    returning last_number into v_number;
+
+    insert into invoices (order_id, invoice_number)
+    values (p_order_id, format('INV/%s/%s', v_year, lpad(v_number::text, 6, '0')))
+    returning * into v_invoice;
+  end if;
+
+  return json_build_object(
+    'invoice_id', v_invoice.invoice_id,
+    'invoice_number', v_invoice.invoice_number,
+    'issued_at', v_invoice.issued_at
+  );
+end;
+$$;
@@ -0,0 +1,67 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('./helpers/supabase');
+const { createTestDatabase, createRpc } = require('./helpers/database');
+const { fetchDescendantIds, withBreadcrumbs } = require('../src/services/categoryService');
+
+describe('category paths', () => {
+  let db;
+  const ids = {};
+
+  /**
+   * Insert a category under a parent
+   * @param {String} slug - Category slug, also used as its name
+   * @param {Number} [parentId] - Parent category ID
+   * @returns {Promise<Number>} Category ID
+   */
+  const addCategory = async (slug, parentId = null) => {
+    const { rows: [category] } = await db.query(
+      `insert into categories (name, slug, parent_id) values ($1, $1, $2) returning category_id`,
+      [slug, parentId]
+    );
+    ids[slug] = Number(category.category_id);
+    return ids[slug];
+  };
+
+  before(async () => {
+    db = await createTestDatabase();
+
+    const pria = await addCategory('pria');
+    const atasan = await addCategory('atasan', pria);
+    await addCategory('kemeja', atasan);
+    await addCategory('kaos', atasan);
+    await addCategory('wanita');
+
+    mock.method(supabase, 'rpc', createRpc(db));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.close();
+  });
+
+  it('attaches the path from the root to each product', async () => {
+    const products = await withBreadcrumbs([
+      { product_id: 1, category_id: ids.kemeja },
+      { product_id: 2, category_id: ids.wanita },
+      { product_id: 3, category_id: ids.kemeja },
+      { product_id: 4, category_id: null }
+    ]);
+
+    assert.deepEqual(products.map(product => product.breadcrumbs.map(crumb => crumb.slug)), [
+      ['pria', 'atasan', 'kemeja'],
+      ['wanita'],
+      ['pria', 'atasan', 'kemeja'],
+      []
+    ]);
+    assert.equal(products[0].breadcrumbs[0].category_id, ids.pria);
+  });
+
+  it('lists a category and all of its descendants', async () => {
+    const { data, error } = await fetchDescendantIds(ids.pria);
+
+    assert.equal(error, null);
+    assert.equal(data[0], ids.pria);
+    assert.deepEqual([...data].sort(), [ids.pria, ids.atasan, ids.kemeja, ids.kaos].sort());
+  });
+});
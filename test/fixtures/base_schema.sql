@@ -0,0 +1,75 @@
+-- Tables that existed before the first migration, as the baseline code uses
+-- them. Loaded before supabase/migrations when tests build a database.
+
+create table users (
+  user_id bigserial primary key,
+  username text not null unique,
+  email text not null unique,
+  password text not null,
+  phone text,
+  address text,
+  role text not null default 'customer',
+  created_at timestamptz not null default now()
+);
+
+create table categories (
+  category_id bigserial primary key,
+  name text not null,
+  description text,
+  created_at timestamptz not null default now()
+);
+
+create table products (
+  product_id bigserial primary key,
+  name text not null,
+  description text,
+  price numeric not null,
+  stock int not null default 0,
+  category_id bigint references categories (category_id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create table product_sizes (
+  size_id bigserial primary key,
+  product_id bigint not null references products (product_id) on delete cascade,
+  size text not null,
+  stock int not null default 0
+);
+
+create table product_images (
+  image_id bigserial primary key,
+  product_id bigint not null references products (product_id) on delete cascade,
+  image_url text not null
+);
+
+create table cart_items (
+  item_id bigserial primary key,
+  user_id bigint not null references users (user_id) on delete cascade,
+  product_id bigint not null references products (product_id) on delete cascade,
+  quantity int not null,
+  size text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create table orders (
+  order_id bigserial primary key,
+  user_id bigint not null references users (user_id),
+  total_price numeric not null,
+  status text not null default 'pending',
+  payment_status text not null default 'unpaid',
+  receipt_number text,
+  payment_proof_url text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create table order_items (
+  item_id bigserial primary key,
+  order_id bigint not null references orders (order_id) on delete cascade,
+  product_id bigint references products (product_id),
+  size text,
+  quantity int not null,
+  price numeric not null
+);
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+/**
+ * @module TestDatabase
+ * @description In-memory Postgres (PGlite) with the baseline tables and every
+ * migration applied, plus stand-ins for supabase.rpc and supabase.from that
+ * run against it.
+ * PGlite runs one statement at a time, the way row locks serialise competing
+ * updates of the same rows on a real server.
+ */
+
+const BASE_SCHEMA = path.join(__dirname, '..', 'fixtures', 'base_schema.sql');
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'supabase', 'migrations');
+
+/**
+ * Create a database with the base schema and all migrations
+ * @param {Object} [options] - Options
+ * @param {Object} [options.beforeMigration] - Callbacks (db) => Promise keyed by
+ * migration file name, run just before that migration, e.g. to seed old data
+ * @returns {Promise<PGlite>} Database
+ */
+const createTestDatabase = async ({ beforeMigration = {} } = {}) => {
+  const db = new PGlite();
+
+  await db.exec(fs.readFileSync(BASE_SCHEMA, 'utf8'));
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort();
+
+  for (const file of migrations) {
+    if (beforeMigration[file]) {
+      await beforeMigration[file](db);
+    }
+
+    await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+  }
+
+  return db;
+};
+
+/**
+ * Call a database function like PostgREST does (named arguments read from a
+ * JSON body) and shape the result like supabase-js
+ * @param {PGlite} db - Database
+ * @param {String} name - Function name
+ * @param {Object} params - Named parameters
+ * @returns {Promise<Object>} { data, error }
+ */
+const callFunction = async (db, name, params) => {
+  try {
+    const { rows: [fn] } = await db.query(
+      `select proretset,
+              prorettype::regtype::text as return_type,
+              (select json_object_agg(arg.name, arg.type)
+                 from unnest(proargnames, proargtypes::oid[]::regtype[]::text[]) as arg (name, type)
+              ) as arg_types
+         from pg_proc
+        where proname = $1
+        limit 1`,
+      [name]
+    );
+    const names = Object.keys(params);
+    const columns = names.map(param => `${param} ${fn.arg_types[param]}`).join(', ');
+    const args = names.map(param => `${param} => r.${param}`).join(', ');
+    const source = names.length > 0 ? `json_to_record($1::json) as r (${columns}) cross join lateral ` : '';
+
+    const { rows } = await db.query(
+      `select ${name}.* from ${source}${name}(${args}) as ${name}`,
+      names.length > 0 ? [JSON.stringify(params)] : []
+    );
+
+    if (fn.proretset) {
+      return { data: rows, error: null };
+    }
+
+    if (fn.return_type === 'void') {
+      return { data: null, error: null };
+    }
+
+    return { data: name in rows[0] ? rows[0][name] : rows[0], error: null };
+  } catch (error) {
+    return {
+      data: null,
+      error: { message: error.message, details: error.detail || null, code: error.code }
+    };
+  }
+};
+
+/**
+ * Build a stand-in for supabase.rpc backed by a test database
+ * @param {PGlite} db - Database
+ * @returns {Function} rpc(name, params) returning a thenable with single() and maybeSingle()
+ */
+const createRpc = (db) => (name, params = {}) => {
+  const result = callFunction(db, name, params);
+
+  /**
+   * Narrow a set-returning result to one row
+   * @param {Boolean} required - Whether a missing row is an error
+   * @returns {Promise<Object>} { data, error }
+   */
+  const one = (required) => result.then(({ data, error }) => {
+    if (error || !Array.isArray(data)) {
+      return { data, error };
+    }
+
+    if (data.length === 0 && required) {
+      return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+    }
+
+    return { data: data[0] || null, error: null };
+  });
+
+  return {
+    then: (resolve, reject) => result.then(resolve, reject),
+    single: () => one(true),
+    maybeSingle: () => one(false)
+  };
+};
+
+/**
+ * Turn a JavaScript value into a query parameter
+ * @param {*} value - Value
+ * @returns {*} Parameter value
+ */
+const toParam = (value) => (value instanceof Date ? value.toISOString() : value);
+
+/**
+ * Parse a PostgREST list such as ("a","b") back into its values
+ * @param {String} list - List built by toInList
+ * @returns {Array} Values
+ */
+const parseInList = (list) => {
+  const values = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|([^,()]+)/g;
+  let match;
+
+  while ((match = pattern.exec(list)) !== null) {
+    values.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim());
+  }
+
+  return values;
+};
+
+/**
+ * Build a stand-in for supabase.from backed by a test database. It covers the
+ * query builder calls the services make on plain columns; embedded relations
+ * and or() filters are not supported.
+ * @param {PGlite} db - Database
+ * @returns {Function} from(table) returning a thenable query builder
+ */
+const createFrom = (db) => (table) => {
+  const state = {
+    action: 'select',
+    columns: '*',
+    returning: null,
+    values: null,
+    options: {},
+    count: false,
+    head: false,
+    filters: [],
+    orders: [],
+    limit: null,
+    offset: null
+  };
+  const params = [];
+  const builder = {};
+
+  /**
+   * Add a query parameter
+   * @param {*} value - Parameter value
+   * @returns {String} Placeholder
+   */
+  const param = (value) => {
+    params.push(toParam(value));
+    return `$${params.length}`;
+  };
+
+  /**
+   * Add a filter on a column
+   * @param {Function} render - (column) => SQL condition
+   * @param {String} column - Column name
+   * @returns {Object} Builder
+   */
+  const filter = (render, column) => {
+    state.filters.push(render(`"${table}"."${column}"`));
+    return builder;
+  };
+
+  const comparisons = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+  for (const [method, operator] of Object.entries(comparisons)) {
+    builder[method] = (column, value) => filter(col => `${col} ${operator} ${param(value)}`, column);
+  }
+
+  builder.is = (column, value) => filter(col => `${col} is ${value === null ? 'null' : String(value)}`, column);
+  builder.in = (column, values) => filter(
+    col => `${col}::text in (select jsonb_array_elements_text(${param(JSON.stringify(values.map(String)))}::jsonb))`,
+    column
+  );
+  builder.not = (column, operator, value) => {
+    if (operator === 'is') {
+      return filter(col => `${col} is not ${value === null ? 'null' : String(value)}`, column);
+    }
+
+    if (operator === 'in') {
+      return filter(
+        col => `${col}::text not in (select jsonb_array_elements_text(${param(JSON.stringify(parseInList(value)))}::jsonb))`,
+        column
+      );
+    }
+
+    return filter(col => `not (${col} ${comparisons[operator]} ${param(value)})`, column);
+  };
+
+  builder.select = (columns = '*', options = {}) => {
+    const list = columns.replace(/\s+/g, ' ').trim();
+
+    if (list.includes('(')) {
+      throw new Error(`Embedded selects are not supported by the test database: ${list}`);
+    }
+
+    if (state.action === 'select') {
+      state.columns = list;
+      state.count = options.count === 'exact';
+      state.head = Boolean(options.head);
+    } else {
+      state.returning = list;
+    }
+
+    return builder;
+  };
+
+  for (const action of ['insert', 'update', 'upsert']) {
+    builder[action] = (values, options = {}) => {
+      state.action = action;
+      state.values = values;
+      state.options = options;
+      return builder;
+    };
+  }
+
+  builder.delete = () => {
+    state.action = 'delete';
+    return builder;
+  };
+
+  builder.order = (column, { ascending = true } = {}) => {
+    state.orders.push(`"${column}" ${ascending ? 'asc' : 'desc'}`);
+    return builder;
+  };
+
+  builder.limit = (count) => {
+    state.limit = count;
+    return builder;
+  };
+
+  builder.range = (from, to) => {
+    state.offset = from;
+    state.limit = to - from + 1;
+    return builder;
+  };
+
+  /**
+   * Render the statement for the builder's state
+   * @returns {String} SQL
+   */
+  const toSql = () => {
+    const where = state.filters.length > 0 ? ` where ${state.filters.join(' and ')}` : '';
+    const returning = state.returning ? ` returning ${state.returning}` : '';
+
+    if (state.action === 'select') {
+      const order = state.orders.length > 0 ? ` order by ${state.orders.join(', ')}` : '';
+      const limit = state.limit !== null ? ` limit ${Number(state.limit)}` : '';
+      const offset = state.offset !== null ? ` offset ${Number(state.offset)}` : '';
+      return `select ${state.columns} from "${table}"${where}${order}${limit}${offset}`;
+    }
+
+    if (state.action === 'delete') {
+      return `delete from "${table}"${where}${returning}`;
+    }
+
+    if (state.action === 'update') {
+      const assignments = Object.keys(state.values).map(column => `"${column}" = r."${column}"`);
+      return `update "${table}" set ${assignments.join(', ')}
+                from jsonb_populate_record(null::"${table}", ${param(JSON.stringify(state.values))}::jsonb) r${where}${returning}`;
+    }
+
+    const rows = Array.isArray(state.values) ? state.values : [state.values];
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))].map(column => `"${column}"`);
+    let conflict = '';
+
+    if (state.action === 'upsert') {
+      const keys = (state.options.onConflict || '').split(',').map(column => `"${column.trim()}"`);
+      const updates = columns.filter(column => !keys.includes(column)).map(column => `${column} = excluded.${column}`);
+      conflict = state.options.ignoreDuplicates || updates.length === 0
+        ? ` on conflict (${keys.join(', ')}) do nothing`
+        : ` on conflict (${keys.join(', ')}) do update set ${updates.join(', ')}`;
+    }
+
+    return `insert into "${table}" (${columns.join(', ')})
+            select ${columns.join(', ')}
+              from jsonb_populate_recordset(null::"${table}", ${param(JSON.stringify(rows))}::jsonb)${conflict}${returning}`;
+  };
+
+  /**
+   * Run the query once it is awaited
+   * @param {String} [mode] - 'single' or 'maybeSingle'
+   * @returns {Promise<Object>} { data, error, count }
+   */
+  const run = async (mode) => {
+    try {
+      const sql = toSql();
+      const { rows } = await db.query(sql, params);
+      let count = null;
+
+      if (state.count) {
+        const { rows: [total] } = await db.query(
+          `select count(*)::int as count from "${table}"${state.filters.length > 0 ? ` where ${state.filters.join(' and ')}` : ''}`,
+          params
+        );
+        count = total.count;
+      }
+
+      const data = state.action === 'select' || state.returning ? rows : null;
+
+      if (!mode) {
+        return { data: state.head ? null : data, error: null, count };
+      }
+
+      if (data.length > 1 || (mode === 'single' && data.length === 0)) {
+        return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+
+      return { data: data[0] || null, error: null };
+    } catch (error) {
+      return {
+        data: null,
+        error: { message: error.message, details: error.detail || null, code: error.code }
+      };
+    }
+  };
+
+  builder.single = () => run('single');
+  builder.maybeSingle = () => run('maybeSingle');
+  builder.then = (resolve, reject) => run().then(resolve, reject);
+
+  return builder;
+};
+
+module.exports = {
+  createTestDatabase,
+  createRpc,
+  createFrom
+};
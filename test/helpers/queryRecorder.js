@@ -0,0 +1,81 @@
+/**
+ * @module QueryRecorder
+ * @description Stand-in for the supabase-js query builder that answers from
+ * a callback and records every round trip, so tests can count the queries a
+ * request makes.
+ */
+
+const BUILDER_METHODS = [
+  'select', 'insert', 'update', 'upsert', 'delete',
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'is', 'in',
+  'contains', 'or', 'not', 'filter', 'match', 'order', 'limit', 'range'
+];
+
+/**
+ * Create a recorder
+ * @param {Function} respond - (query) => rows, where query is { table, calls }
+ * @returns {Object} { from, rpc, queries } where from/rpc replace the client methods
+ */
+const createQueryRecorder = (respond) => {
+  const queries = [];
+
+  /**
+   * Build a chainable query for one table or function
+   * @param {Object} query - { table } or { rpc, params }
+   * @returns {Object} Thenable builder
+   */
+  const createBuilder = (query) => {
+    const builder = {};
+    query.calls = [];
+
+    for (const method of BUILDER_METHODS) {
+      builder[method] = (...args) => {
+        query.calls.push({ method, args });
+        return builder;
+      };
+    }
+
+    /**
+     * Run the query once it is awaited
+     * @param {String} [mode] - 'single' or 'maybeSingle'
+     * @returns {Promise<Object>} { data, error, count }
+     */
+    const run = async (mode) => {
+      queries.push(query);
+      const rows = respond(query);
+
+      if (mode) {
+        return { data: Array.isArray(rows) ? rows[0] || null : rows, error: null };
+      }
+
+      return { data: rows, error: null, count: Array.isArray(rows) ? rows.length : null };
+    };
+
+    builder.single = () => run('single');
+    builder.maybeSingle = () => run('maybeSingle');
+    builder.then = (resolve, reject) => run().then(resolve, reject);
+
+    return builder;
+  };
+
+  return {
+    queries,
+    from: (table) => createBuilder({ table }),
+    rpc: (name, params) => createBuilder({ rpc: name, params })
+  };
+};
+
+/**
+ * Get the row range a query asked for
+ * @param {Object} query - Recorded query
+ * @returns {Number} Number of rows requested by range(), or 1
+ */
+const getRangeSize = (query) => {
+  const range = query.calls.find(call => call.method === 'range');
+  return range ? range.args[1] - range.args[0] + 1 : 1;
+};
+
+module.exports = {
+  createQueryRecorder,
+  getRangeSize
+};
@@ -0,0 +1,8 @@
+/**
+ * The Supabase client used by the app, loadable without a real project.
+ * Tests replace its from() and rpc() methods with stand-ins.
+ */
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+
+module.exports = require('../../src/config/supabase');
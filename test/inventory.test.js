@@ -0,0 +1,215 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('./helpers/supabase');
+const { createTestDatabase, createRpc } = require('./helpers/database');
+const { isInsufficientStockError } = require('../src/services/inventoryService');
+
+describe('inventory under concurrent orders', () => {
+  let db;
+  let rpc;
+
+  /**
+   * Create a customer with a default shipping address
+   * @param {String} name - Username
+   * @returns {Promise<Object>} { userId, addressId }
+   */
+  const createCustomer = async (name) => {
+    const { rows: [user] } = await db.query(
+      `insert into users (username, email, password) values ($1, $2, 'x') returning user_id`,
+      [name, `${name}@example.com`]
+    );
+    const { rows: [address] } = await db.query(
+      `insert into user_addresses (user_id, recipient_name, phone, street_address, province, city, district, postal_code, is_default)
+       values ($1, $2, '08123456789', 'Jl. Merdeka 1', 'DKI Jakarta', 'Jakarta Pusat', 'Gambir', '10110', true)
+       returning address_id`,
+      [user.user_id, name]
+    );
+
+    return { userId: user.user_id, addressId: address.address_id };
+  };
+
+  /**
+   * Create a product with one size
+   * @param {Number} stock - Stock of the size
+   * @returns {Promise<Number>} Product ID
+   */
+  const createProduct = async (stock) => {
+    const { rows: [product] } = await db.query(
+      `insert into products (name, price, stock) values ('Kemeja Linen', 150000, 0) returning product_id`
+    );
+    await db.query(
+      `insert into product_sizes (product_id, size, stock) values ($1, 'M', $2)`,
+      [product.product_id, stock]
+    );
+
+    return product.product_id;
+  };
+
+  /**
+   * Read the stock of a product size
+   * @param {Number} productId - Product ID
+   * @returns {Promise<Number>} Stock
+   */
+  const getSizeStock = async (productId) => {
+    const { rows: [row] } = await db.query(
+      `select stock from product_sizes where product_id = $1 and size = 'M'`,
+      [productId]
+    );
+
+    return row.stock;
+  };
+
+  /**
+   * Place a direct order through create_order
+   * @param {Object} buyer - { userId, addressId }
+   * @param {Array} items - Items with product_id, size and quantity
+   * @returns {Promise<Object>} { data, error }
+   */
+  const placeOrder = (buyer, items) => supabase.rpc('create_order', {
+    p_user_id: buyer.userId,
+    p_items: items.map(item => ({ variant_id: null, ...item })),
+    p_address_id: buyer.addressId,
+    p_shipping: { courier: 'jne', service: 'REG', cost: 10000, weight_grams: 500 }
+  });
+
+  before(async () => {
+    db = await createTestDatabase();
+    rpc = createRpc(db);
+  });
+
+  beforeEach(() => {
+    mock.method(supabase, 'rpc', rpc);
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.close();
+  });
+
+  it('lets exactly one of two checkouts take the last unit', async () => {
+    const productId = await createProduct(1);
+    const buyers = [await createCustomer('budi'), await createCustomer('sari')];
+
+    for (const buyer of buyers) {
+      await db.query(
+        `insert into cart_items (user_id, product_id, size, quantity) values ($1, $2, 'M', 1)`,
+        [buyer.userId, productId]
+      );
+    }
+
+    const results = await Promise.all(buyers.map(buyer => supabase.rpc('checkout_cart', {
+      p_user_id: buyer.userId,
+      p_address_id: buyer.addressId,
+      p_shipping: { courier: 'jne', service: 'REG', cost: 10000, weight_grams: 500 }
+    })));
+
+    const succeeded = results.filter(result => !result.error);
+    const failed = results.filter(result => result.error);
+
+    assert.equal(succeeded.length, 1);
+    assert.equal(failed.length, 1);
+    assert.equal(failed[0].error.message, 'INSUFFICIENT_STOCK');
+    assert.equal(await getSizeStock(productId), 0);
+
+    const { rows: orders } = await db.query(
+      `select o.user_id from orders o join order_items i on i.order_id = o.order_id where i.product_id = $1`,
+      [productId]
+    );
+    assert.equal(orders.length, 1);
+
+    // The losing checkout rolled back completely and kept its cart
+    const loser = buyers[results.indexOf(failed[0])];
+    const { rows: cart } = await db.query(`select 1 from cart_items where user_id = $1`, [loser.userId]);
+    assert.equal(cart.length, 1);
+  });
+
+  it('rolls a direct order back when its voucher ran out in the meantime', async () => {
+    const productId = await createProduct(2);
+    const buyer = await createCustomer('dewi');
+    await db.query(
+      `insert into vouchers (code, discount_type, discount_value, usage_limit, used_count)
+       values ('HEMAT10', 'fixed', 10000, 1, 1)`
+    );
+
+    const { error } = await supabase.rpc('create_order', {
+      p_user_id: buyer.userId,
+      p_items: [{ product_id: productId, variant_id: null, size: 'M', quantity: 1 }],
+      p_voucher_code: 'HEMAT10',
+      p_address_id: buyer.addressId,
+      p_shipping: { courier: 'jne', service: 'REG', cost: 10000, weight_grams: 500 }
+    });
+
+    assert.equal(error.message, 'VOUCHER_USAGE_LIMIT');
+    assert.equal(await getSizeStock(productId), 2);
+
+    const { rows: orders } = await db.query(`select 1 from orders where user_id = $1`, [buyer.userId]);
+    assert.equal(orders.length, 0);
+  });
+
+  it('creates a direct order with its items and reserved stock', async () => {
+    const productId = await createProduct(2);
+    const buyer = await createCustomer('rina');
+
+    const { data: order, error } = await supabase.rpc('create_order', {
+      p_user_id: buyer.userId,
+      p_items: [{ product_id: productId, variant_id: null, size: 'M', quantity: 2 }],
+      p_address_id: buyer.addressId,
+      p_shipping: { courier: 'jne', service: 'REG', cost: 10000, weight_grams: 1000 }
+    });
+
+    assert.equal(error, null);
+    assert.equal(Number(order.subtotal_price), 300000);
+    assert.equal(Number(order.total_price), 310000);
+    assert.equal(await getSizeStock(productId), 0);
+
+    const { rows: items } = await db.query(
+      `select size, quantity, price from order_items where order_id = $1`,
+      [order.order_id]
+    );
+    assert.deepEqual(items.map(item => [item.size, item.quantity, Number(item.price)]), [['M', 2, 150000]]);
+  });
+
+  it('never lets concurrent orders push stock below zero', async () => {
+    const productId = await createProduct(3);
+    const buyer = await createCustomer('tono');
+    const item = { product_id: productId, size: 'M', quantity: 2 };
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(() => placeOrder(buyer, [item])));
+
+    assert.equal(results.filter(result => !result.error).length, 1);
+    assert.ok(results.filter(result => result.error).every(result => isInsufficientStockError(result.error)));
+    assert.equal(await getSizeStock(productId), 1);
+  });
+
+  it('reserves every item of an order or none of them', async () => {
+    const available = await createProduct(5);
+    const soldOut = await createProduct(0);
+    const buyer = await createCustomer('wati');
+
+    const { error } = await placeOrder(buyer, [
+      { product_id: available, size: 'M', quantity: 1 },
+      { product_id: soldOut, size: 'M', quantity: 1 }
+    ]);
+
+    assert.ok(isInsufficientStockError(error));
+    assert.equal(await getSizeStock(available), 5);
+    assert.equal(await getSizeStock(soldOut), 0);
+
+    const { rows: orders } = await db.query(`select 1 from orders where user_id = $1`, [buyer.userId]);
+    assert.equal(orders.length, 0);
+  });
+
+  it('refuses an item without a variant when the product has variants', async () => {
+    const productId = await createProduct(5);
+    const buyer = await createCustomer('joko');
+    await db.query(
+      `insert into product_variants (product_id, sku, color, size, stock) values ($1, $2, 'Hitam', 'M', 5)`,
+      [productId, `KML-${productId}-HTM-M`]
+    );
+
+    const { error } = await placeOrder(buyer, [{ product_id: productId, size: 'M', quantity: 1 }]);
+
+    assert.equal(error.message, 'VARIANT_REQUIRED');
+    assert.equal(await getSizeStock(productId), 5);
+  });
+});
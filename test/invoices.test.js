@@ -0,0 +1,86 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('./helpers/supabase');
+const { createTestDatabase, createRpc } = require('./helpers/database');
+const { issueInvoice } = require('../src/services/invoiceService');
+
+describe('invoice numbers', () => {
+  let db;
+
+  /**
+   * Create an order
+   * @param {String} status - Order status
+   * @param {String} paymentStatus - Payment status
+   * @returns {Promise<Number>} Order ID
+   */
+  const createOrder = async (status, paymentStatus) => {
+    const { rows: [order] } = await db.query(
+      `insert into orders (user_id, total_price, status, payment_status)
+       values (1, 150000, $1, $2) returning order_id`,
+      [status, paymentStatus]
+    );
+
+    return order.order_id;
+  };
+
+  /**
+   * Sequence number of an invoice number (INV/2026/000042 -> 42)
+   * @param {String} invoiceNumber - Invoice number
+   * @returns {Number} Sequence number
+   */
+  const toSequence = (invoiceNumber) => Number(invoiceNumber.split('/').pop());
+
+  before(async () => {
+    db = await createTestDatabase();
+    await db.query(`insert into users (user_id, username, email, password) values (1, 'budi', 'budi@example.com', 'x')`);
+  });
+
+  beforeEach(() => {
+    mock.method(supabase, 'rpc', createRpc(db));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.close();
+  });
+
+  it('gives an order the same number every time', async () => {
+    const orderId = await createOrder('processing', 'paid');
+
+    const first = await issueInvoice(orderId);
+    const again = await Promise.all([issueInvoice(orderId), issueInvoice(orderId)]);
+
+    assert.equal(first.error, null);
+    assert.match(first.data.invoice_number, /^INV\/\d{4}\/\d{6}$/);
+    assert.deepEqual(again.map(result => result.data.invoice_number), [first.data.invoice_number, first.data.invoice_number]);
+
+    const { rows } = await db.query(`select 1 from invoices where order_id = $1`, [orderId]);
+    assert.equal(rows.length, 1);
+  });
+
+  it('numbers concurrently issued invoices without gaps', async () => {
+    const orderIds = [];
+    for (let i = 0; i < 5; i += 1) {
+      orderIds.push(await createOrder('completed', 'paid'));
+    }
+
+    const results = await Promise.all(orderIds.map(orderId => issueInvoice(orderId)));
+
+    assert.ok(results.every(result => !result.error));
+    const sequences = results.map(result => toSequence(result.data.invoice_number)).sort((a, b) => a - b);
+    assert.deepEqual(sequences, sequences.map((_, index) => sequences[0] + index));
+  });
+
+  it('refuses cancelled and unpaid orders without using up a number', async () => {
+    const earlier = await issueInvoice(await createOrder('processing', 'paid'));
+
+    const cancelled = await issueInvoice(await createOrder('cancelled', 'expired'));
+    const unpaid = await issueInvoice(await createOrder('pending', 'unpaid'));
+
+    assert.deepEqual(cancelled.error, { statusCode: 400, message: 'Invoice tidak tersedia untuk order yang dibatalkan' });
+    assert.deepEqual(unpaid.error, { statusCode: 400, message: 'Invoice tersedia setelah order dibayar' });
+
+    const next = await issueInvoice(await createOrder('processing', 'paid'));
+    assert.equal(toSequence(next.data.invoice_number), toSequence(earlier.data.invoice_number) + 1);
+  });
+});
@@ -0,0 +1,253 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('./helpers/supabase');
+const { createQueryRecorder, getRangeSize } = require('./helpers/queryRecorder');
+const { getAllProducts } = require('../src/controllers/productController');
+const { getProductsByCategory } = require('../src/controllers/categoryController');
+const { getAllOrders, getUserOrders } = require('../src/controllers/orderController');
+const { checkoutCart } = require('../src/controllers/cartController');
+const { VARIANT_REQUIRED_MESSAGE } = require('../src/services/productVariantService');
+
+const PAGE_SIZES = [5, 50];
+
+/**
+ * Build n rows with ids starting at 1
+ * @param {Number} n - Row count
+ * @param {Function} build - (id) => row
+ * @returns {Array} Rows
+ */
+const rows = (n, build) => Array.from({ length: n }, (_, index) => build(index + 1));
+
+/**
+ * Product row with its embedded relations, as PRODUCT_LIST_SELECT returns it
+ * @param {Number} id - Product ID
+ * @returns {Object} Product row
+ */
+const productRow = (id) => ({
+  product_id: id,
+  name: `Produk ${id}`,
+  price: 100000,
+  category_id: 1,
+  categories: { name: 'Kemeja', description: null },
+  product_images: rows(3, imageId => ({ image_id: imageId, image_url: `https://cdn.example.com/${id}/${imageId}.jpg`, is_primary: imageId === 1 })),
+  product_sizes: rows(4, sizeId => ({ size_id: sizeId, size: `S${sizeId}`, stock: 5 })),
+  product_variants: []
+});
+
+/**
+ * Order row with its embedded items
+ * @param {Number} id - Order ID
+ * @returns {Object} Order row
+ */
+const orderRow = (id) => ({
+  order_id: id,
+  user_id: 1,
+  status: 'pending',
+  payment_status: 'unpaid',
+  users: { user_id: 1, username: 'budi', email: 'budi@example.com' },
+  order_items: rows(3, itemId => ({ item_id: itemId, product_id: itemId, quantity: 1, price: 100000, products: { name: `Produk ${itemId}` } }))
+});
+
+/**
+ * Answer a recorded query with rows shaped like the real tables
+ * @param {Object} query - Recorded query
+ * @returns {Array|Object} Rows
+ */
+const respond = (query) => {
+  switch (query.table || query.rpc) {
+    case 'product_catalog':
+    case 'products':
+      return rows(getRangeSize(query), productRow);
+    case 'orders':
+      return rows(getRangeSize(query), orderRow);
+    case 'categories':
+      return [{ category_id: 1, parent_id: null, name: 'Kemeja', slug: 'kemeja', description: null }];
+    case 'category_descendant_ids':
+      return [1];
+    case 'category_breadcrumbs':
+      return { 1: [{ category_id: 1, name: 'Kemeja', slug: 'kemeja' }] };
+    default:
+      return [];
+  }
+};
+
+/**
+ * Call a controller with a recording client and count its round trips
+ * @param {Function} handler - Controller
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} { status, body, queryCount }
+ */
+const countQueries = async (handler, req) => {
+  const recorder = createQueryRecorder(respond);
+  mock.method(supabase, 'from', recorder.from);
+  mock.method(supabase, 'rpc', recorder.rpc);
+
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  await handler({ params: {}, query: {}, body: {}, ...req }, res);
+
+  return { status: res.statusCode, body: res.body, queryCount: recorder.queries.length };
+};
+
+describe('list endpoints make a constant number of queries per page', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const endpoints = [
+    {
+      name: 'getAllProducts',
+      handler: getAllProducts,
+      queries: 2,
+      request: limit => ({ query: { page: 1, limit } }),
+      items: body => body.products
+    },
+    {
+      name: 'getProductsByCategory',
+      handler: getProductsByCategory,
+      queries: 4,
+      request: limit => ({ params: { id: '1' }, query: { page: 1, limit, include_descendants: 'true' } }),
+      items: body => body.products
+    },
+    {
+      name: 'getAllOrders',
+      handler: getAllOrders,
+      queries: 1,
+      request: limit => ({ query: { page: 1, limit }, user: { user_id: 2, role: 'admin' } }),
+      items: body => body.orders
+    },
+    {
+      name: 'getUserOrders',
+      handler: getUserOrders,
+      queries: 1,
+      request: limit => ({ query: { page: 1, limit }, user: { user_id: 1, role: 'customer' } }),
+      items: body => body.orders
+    }
+  ];
+
+  for (const endpoint of endpoints) {
+    it(endpoint.name, async () => {
+      for (const limit of PAGE_SIZES) {
+        const result = await countQueries(endpoint.handler, endpoint.request(limit));
+
+        assert.equal(result.status, 200);
+        assert.equal(endpoint.items(result.body).length, limit);
+        assert.equal(result.queryCount, endpoint.queries, `${endpoint.name} with ${limit} rows per page`);
+      }
+    });
+  }
+});
+
+describe('order lists page through query string parameters', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const endpoints = [
+    { name: 'getAllOrders', handler: getAllOrders, user: { user_id: 2, role: 'admin' } },
+    { name: 'getUserOrders', handler: getUserOrders, user: { user_id: 1, role: 'customer' } }
+  ];
+
+  for (const endpoint of endpoints) {
+    it(endpoint.name, async () => {
+      const recorder = createQueryRecorder(respond);
+      mock.method(supabase, 'from', recorder.from);
+
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        }
+      };
+
+      await endpoint.handler({ params: {}, query: { page: '2', limit: '10' }, body: {}, user: endpoint.user }, res);
+
+      assert.equal(res.statusCode, 200);
+      const range = recorder.queries[0].calls.find(call => call.method === 'range');
+      assert.deepEqual(range.args, [10, 19]);
+      assert.deepEqual({ page: res.body.pagination.page, limit: res.body.pagination.limit }, { page: 2, limit: 10 });
+    });
+  }
+});
+
+describe('cart checkout checks stock with a constant number of queries', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Answer the checkout queries for a cart of sized lines, one of each kind:
+   * a variant line, a line missing its variant, a sized line and a plain line
+   * @param {Number} lines - Number of cart lines of each kind
+   * @returns {Function} (query) => rows
+   */
+  const respondCart = (lines) => (query) => {
+    switch (query.table) {
+      case 'cart_items':
+        return rows(lines, id => [
+          { product_id: id, variant_id: 100 + id, quantity: 1, size: null },
+          { product_id: 200 + id, variant_id: null, quantity: 1, size: 'M' },
+          { product_id: 300 + id, variant_id: null, quantity: 3, size: 'L' },
+          { product_id: 400 + id, variant_id: null, quantity: 1, size: null }
+        ]).flat().map(item => ({
+          ...item,
+          products: { product_id: item.product_id, name: `Produk ${item.product_id}`, price: 100000, stock: 5, weight_grams: 200 },
+          product_variants: null
+        }));
+      case 'product_variants':
+        return rows(lines, id => [
+          { variant_id: 100 + id, product_id: id, stock: 0 },
+          { variant_id: 500 + id, product_id: 200 + id, stock: 5 }
+        ]).flat();
+      case 'product_sizes':
+        return rows(lines, id => ({ product_id: 300 + id, size: 'L', stock: 2 }));
+      default:
+        return [];
+    }
+  };
+
+  for (const lines of [1, 10]) {
+    it(`reports the stock issues of ${lines * 4} cart lines`, async () => {
+      const recorder = createQueryRecorder(respondCart(lines));
+      mock.method(supabase, 'from', recorder.from);
+      mock.method(supabase, 'rpc', recorder.rpc);
+
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        }
+      };
+
+      await checkoutCart({ params: {}, query: {}, body: {}, user: { user_id: 1 } }, res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(recorder.queries.length, 3);
+      assert.deepEqual(
+        res.body.stock_issues.map(issue => [issue.product_id, issue.available, issue.message]),
+        rows(lines, id => [
+          [id, 0, undefined],
+          [200 + id, 0, VARIANT_REQUIRED_MESSAGE],
+          [300 + id, 2, undefined]
+        ]).flat()
+      );
+    });
+  }
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('./helpers/supabase');
+const { createTestDatabase, createRpc } = require('./helpers/database');
+const { login: loginConfig } = require('../src/config/securityConfig');
+const { beginLoginAttempt, recordLoginSuccess } = require('../src/services/loginProtectionService');
+
+describe('login attempt limits', () => {
+  let db;
+
+  before(async () => {
+    db = await createTestDatabase();
+  });
+
+  beforeEach(() => {
+    mock.method(supabase, 'rpc', createRpc(db));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.close();
+  });
+
+  it('lets no more than the allowed attempts through in parallel', async () => {
+    const attempts = await Promise.all(
+      Array.from({ length: 12 }, () => beginLoginAttempt('budi@example.com', '10.0.0.1'))
+    );
+
+    assert.equal(attempts.filter(attempt => attempt.allowed).length, loginConfig.maxAttemptsPerAccount);
+    assert.ok(attempts.filter(attempt => !attempt.allowed).every(attempt => attempt.retryAfterSeconds > 0));
+  });
+
+  it('locks the account on its last allowed attempt', async () => {
+    let attempt;
+
+    for (let i = 0; i < loginConfig.maxAttemptsPerAccount; i++) {
+      attempt = await beginLoginAttempt('sari@example.com', '10.0.0.2');
+      assert.equal(attempt.allowed, true);
+    }
+
+    assert.equal(attempt.failedCount, loginConfig.maxAttemptsPerAccount);
+    assert.equal(attempt.locked, true);
+    assert.equal((await beginLoginAttempt('sari@example.com', '10.0.0.3')).allowed, false);
+  });
+
+  it('clears the account and returns the attempt to the IP on success', async () => {
+    await beginLoginAttempt('andi@example.com', '10.0.0.4');
+    await beginLoginAttempt('andi@example.com', '10.0.0.4');
+    await recordLoginSuccess('andi@example.com', '10.0.0.4');
+
+    const { rows } = await db.query(
+      `select attempt_key, failed_count from login_attempts where attempt_key in ($1, $2)`,
+      ['account:andi@example.com', 'ip:10.0.0.4']
+    );
+
+    assert.deepEqual(rows, [{ attempt_key: 'ip:10.0.0.4', failed_count: 1 }]);
+  });
+
+  it('does not lock an IP out through successful logins', async () => {
+    for (let i = 0; i < loginConfig.maxAttemptsPerIp + 5; i++) {
+      const attempt = await beginLoginAttempt(`user${i}@example.com`, '10.0.0.5');
+      assert.equal(attempt.allowed, true, `login ${i + 1}`);
+      await recordLoginSuccess(`user${i}@example.com`, '10.0.0.5');
+    }
+  });
+});
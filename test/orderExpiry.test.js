@@ -0,0 +1,82 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('./helpers/supabase');
+const { createTestDatabase, createRpc, createFrom } = require('./helpers/database');
+const { expireUnpaidOrders } = require('../src/services/orderExpiryService');
+
+describe('expireUnpaidOrders', () => {
+  let db;
+
+  /**
+   * Create a product and an unpaid order for one unit whose deadline has passed
+   * @returns {Promise<Object>} { orderId, productId }
+   */
+  const createOverdueOrder = async () => {
+    const { rows: [product] } = await db.query(
+      `insert into products (name, price, stock) values ('Kaos Polos', 50000, 0) returning product_id`
+    );
+    const { rows: [order] } = await db.query(
+      `insert into orders (user_id, total_price, payment_deadline)
+       values (1, 50000, now() - interval '1 minute') returning order_id`
+    );
+    await db.query(
+      `insert into order_items (order_id, product_id, quantity, price) values ($1, $2, 1, 50000)`,
+      [order.order_id, product.product_id]
+    );
+
+    return { orderId: order.order_id, productId: product.product_id };
+  };
+
+  /**
+   * Read an order's state and its product's stock
+   * @param {Object} ids - { orderId, productId }
+   * @returns {Promise<Array>} [status, payment_status, stock]
+   */
+  const getState = async ({ orderId, productId }) => {
+    const { rows: [row] } = await db.query(
+      `select o.status, o.payment_status, p.stock
+         from orders o, products p
+        where o.order_id = $1 and p.product_id = $2`,
+      [orderId, productId]
+    );
+
+    return [row.status, row.payment_status, row.stock];
+  };
+
+  before(async () => {
+    db = await createTestDatabase();
+    await db.query(`insert into users (user_id, username, email, password) values (1, 'budi', 'budi@example.com', 'x')`);
+  });
+
+  beforeEach(() => {
+    mock.method(supabase, 'from', createFrom(db));
+    mock.method(supabase, 'rpc', createRpc(db));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.close();
+  });
+
+  it('cancels an overdue order and puts its stock back', async () => {
+    const ids = await createOverdueOrder();
+
+    assert.equal(await expireUnpaidOrders(), 1);
+    assert.deepEqual(await getState(ids), ['cancelled', 'expired', 1]);
+  });
+
+  it('leaves the order unpaid when its stock cannot be released, and retries on the next run', async () => {
+    const ids = await createOverdueOrder();
+    await db.query(`alter table products add constraint products_stock_cap check (stock < 1) not valid`);
+
+    try {
+      assert.equal(await expireUnpaidOrders(), 0);
+      assert.deepEqual(await getState(ids), ['pending', 'unpaid', 0]);
+    } finally {
+      await db.query(`alter table products drop constraint products_stock_cap`);
+    }
+
+    assert.equal(await expireUnpaidOrders(), 1);
+    assert.deepEqual(await getState(ids), ['cancelled', 'expired', 1]);
+  });
+});
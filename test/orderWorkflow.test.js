@@ -0,0 +1,221 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('./helpers/supabase');
+const { createTestDatabase, createRpc } = require('./helpers/database');
+const { paymentStatusTransitions } = require('../src/config/orderWorkflowConfig');
+const { transitionOrder, checkTransition } = require('../src/services/orderWorkflow');
+
+const customer = { user_id: 1, role: 'customer' };
+const admin = { user_id: 2, role: 'admin' };
+
+describe('paymentStatusTransitions', () => {
+  const states = Object.keys(paymentStatusTransitions);
+
+  it('only moves to known payment states', () => {
+    for (const targets of Object.values(paymentStatusTransitions)) {
+      for (const to of Object.keys(targets)) {
+        assert.ok(states.includes(to), `unknown payment_status ${to}`);
+      }
+    }
+  });
+
+  it('lets customers submit proof and admins decide on it', () => {
+    assert.ok(paymentStatusTransitions.unpaid.awaiting_verification.includes('customer'));
+    assert.ok(paymentStatusTransitions.awaiting_verification.paid.includes('admin'));
+    assert.ok(paymentStatusTransitions.awaiting_verification.verification_failed.includes('admin'));
+    assert.ok(!paymentStatusTransitions.awaiting_verification.paid.includes('customer'));
+    assert.ok(!paymentStatusTransitions.awaiting_verification.verification_failed.includes('customer'));
+  });
+
+  it('ends in expired and refunded', () => {
+    assert.deepEqual(paymentStatusTransitions.expired, {});
+    assert.deepEqual(paymentStatusTransitions.refunded, {});
+  });
+});
+
+describe('payment verification through transitionOrder', () => {
+  let db;
+
+  /**
+   * Create a pending, unpaid order
+   * @returns {Promise<Object>} Order row
+   */
+  const createOrder = async () => {
+    const { rows: [order] } = await db.query(
+      `insert into orders (user_id, total_price) values ($1, 150000) returning *`,
+      [customer.user_id]
+    );
+
+    return order;
+  };
+
+  /**
+   * Read an order's history, oldest first
+   * @param {Number} orderId - Order ID
+   * @returns {Promise<Array>} History rows
+   */
+  const getHistory = async (orderId) => {
+    const { rows } = await db.query(
+      `select previous_payment_status, new_payment_status, new_status, changed_by, note
+         from order_status_history
+        where order_id = $1
+        order by history_id`,
+      [orderId]
+    );
+
+    return rows;
+  };
+
+  before(async () => {
+    db = await createTestDatabase();
+    await db.query(`
+      insert into users (user_id, username, email, password, role) values
+        (1, 'budi', 'budi@example.com', 'x', 'customer'),
+        (2, 'admin', 'admin@example.com', 'x', 'admin')
+    `);
+  });
+
+  beforeEach(() => {
+    mock.method(supabase, 'rpc', createRpc(db));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.close();
+  });
+
+  it('moves unpaid -> awaiting_verification -> paid and starts processing', async () => {
+    const order = await createOrder();
+
+    const submitted = await transitionOrder(
+      order,
+      { payment_status: 'awaiting_verification' },
+      { actor: customer, note: 'Bukti pembayaran diupload', updates: { payment_proof_url: 'https://cdn.example.com/proof.jpg' } }
+    );
+    assert.equal(submitted.error, null);
+    assert.equal(submitted.order.payment_status, 'awaiting_verification');
+    assert.equal(submitted.order.payment_proof_url, 'https://cdn.example.com/proof.jpg');
+
+    const verified = await transitionOrder(submitted.order, { payment_status: 'paid' }, { actor: admin, note: 'Transfer diterima' });
+    assert.equal(verified.error, null);
+    assert.equal(verified.order.payment_status, 'paid');
+    assert.equal(verified.order.status, 'processing');
+
+    assert.deepEqual(await getHistory(order.order_id), [
+      { previous_payment_status: null, new_payment_status: 'unpaid', new_status: 'pending', changed_by: 1, note: 'Order dibuat' },
+      { previous_payment_status: 'unpaid', new_payment_status: 'awaiting_verification', new_status: 'pending', changed_by: 1, note: 'Bukti pembayaran diupload' },
+      { previous_payment_status: 'awaiting_verification', new_payment_status: 'paid', new_status: 'processing', changed_by: 2, note: 'Transfer diterima' }
+    ]);
+  });
+
+  it('moves awaiting_verification -> verification_failed and lets the customer resubmit', async () => {
+    const order = await createOrder();
+
+    const submitted = await transitionOrder(order, { payment_status: 'awaiting_verification' }, { actor: customer });
+    const rejected = await transitionOrder(submitted.order, { payment_status: 'verification_failed' }, { actor: admin, note: 'Nominal tidak sesuai' });
+    assert.equal(rejected.error, null);
+    assert.equal(rejected.order.payment_status, 'verification_failed');
+    assert.equal(rejected.order.status, 'pending');
+
+    const resubmitted = await transitionOrder(rejected.order, { payment_status: 'awaiting_verification' }, { actor: customer });
+    assert.equal(resubmitted.error, null);
+    assert.equal(resubmitted.order.payment_status, 'awaiting_verification');
+  });
+
+  it('rejects a customer confirming their own payment', async () => {
+    const order = await createOrder();
+    const submitted = await transitionOrder(order, { payment_status: 'awaiting_verification' }, { actor: customer });
+
+    const result = await transitionOrder(submitted.order, { payment_status: 'paid' }, { actor: customer });
+
+    assert.equal(result.order, null);
+    assert.equal(result.error.statusCode, 403);
+    assert.equal((await getHistory(order.order_id)).length, 2);
+  });
+
+  it('rejects moves the state machine does not define', async () => {
+    const order = await createOrder();
+
+    for (const payment_status of ['verification_failed', 'refunded', 'unpaid']) {
+      const result = await transitionOrder(order, { payment_status }, { actor: admin });
+      assert.equal(result.error.statusCode, 400, `unpaid -> ${payment_status}`);
+    }
+
+    const paid = await transitionOrder(order, { payment_status: 'paid' }, { actor: admin });
+    const result = await transitionOrder(paid.order, { payment_status: 'awaiting_verification' }, { actor: customer });
+    assert.equal(result.error.statusCode, 400);
+
+    const { rows: [saved] } = await db.query(`select payment_status from orders where order_id = $1`, [order.order_id]);
+    assert.equal(saved.payment_status, 'paid');
+  });
+
+  it('rejects a transition from a state the order is no longer in', async () => {
+    const order = await createOrder();
+    await transitionOrder(order, { payment_status: 'awaiting_verification' }, { actor: customer });
+
+    // A second request still holding the unpaid order loses the race
+    const result = await transitionOrder(order, { payment_status: 'awaiting_verification' }, { actor: customer });
+
+    assert.equal(result.error.statusCode, 409);
+    assert.equal((await getHistory(order.order_id)).length, 2);
+  });
+
+  it('gives stock and the voucher use back in the same transaction as a cancellation', async () => {
+    const { rows: [product] } = await db.query(
+      `insert into products (name, price, stock) values ('Kaos Polos', 50000, 4) returning product_id`
+    );
+    const { rows: [voucher] } = await db.query(
+      `insert into vouchers (code, discount_type, discount_value, used_count)
+       values ('CANCEL5', 'fixed', 5000, 1) returning voucher_id`
+    );
+    const order = await createOrder();
+    await db.query(
+      `insert into order_items (order_id, product_id, quantity, price) values ($1, $2, 2, 50000)`,
+      [order.order_id, product.product_id]
+    );
+    await db.query(
+      `insert into voucher_redemptions (voucher_id, user_id, order_id, discount_amount) values ($1, 1, $2, 5000)`,
+      [voucher.voucher_id, order.order_id]
+    );
+
+    const result = await transitionOrder(order, { status: 'cancelled' }, { actor: customer });
+    assert.equal(result.error, null);
+
+    const { rows: [stock] } = await db.query(`select stock from products where product_id = $1`, [product.product_id]);
+    const { rows: [used] } = await db.query(`select used_count from vouchers where voucher_id = $1`, [voucher.voucher_id]);
+    assert.equal(stock.stock, 6);
+    assert.equal(used.used_count, 0);
+  });
+
+  it('keeps the order unchanged when releasing its stock fails', async () => {
+    const { rows: [product] } = await db.query(
+      `insert into products (name, price, stock) values ('Kaos Polos', 50000, 4) returning product_id`
+    );
+    const order = await createOrder();
+    await db.query(
+      `insert into order_items (order_id, product_id, quantity, price) values ($1, $2, 1, 50000)`,
+      [order.order_id, product.product_id]
+    );
+    await db.query(`alter table products add constraint products_stock_cap check (stock < 0) not valid`);
+
+    try {
+      const result = await transitionOrder(order, { status: 'cancelled' }, { actor: customer });
+      assert.equal(result.error.statusCode, 500);
+    } finally {
+      await db.query(`alter table products drop constraint products_stock_cap`);
+    }
+
+    const { rows: [saved] } = await db.query(`select status from orders where order_id = $1`, [order.order_id]);
+    assert.equal(saved.status, 'pending');
+  });
+
+  it('does not verify payments of cancelled orders', () => {
+    const { error } = checkTransition(
+      { status: 'cancelled', payment_status: 'awaiting_verification' },
+      { payment_status: 'paid' },
+      admin
+    );
+
+    assert.equal(error.statusCode, 400);
+  });
+});
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { describe, it, before, beforeEach, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('./helpers/supabase');
+const { createQueryRecorder } = require('./helpers/queryRecorder');
+const { createTestDatabase, createRpc, createFrom } = require('./helpers/database');
+const paymentConfig = require('../src/config/paymentConfig');
+const { handleWebhook } = require('../src/services/paymentService');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+/**
+ * Build a mock provider webhook request, signed with the given secret
+ * @param {Object} body - Webhook body
+ * @param {String} [secret] - Signing secret
+ * @returns {Object} { headers, body, rawBody }
+ */
+const signedRequest = (body, secret = WEBHOOK_SECRET) => {
+  const rawBody = JSON.stringify(body);
+  const signature = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+  return { headers: { 'x-mock-signature': signature }, body, rawBody };
+};
+
+describe('mock provider webhooks', () => {
+  let db;
+  let eventCount = 0;
+
+  /**
+   * Create an order with one pending mock payment session
+   * @param {Object} [options] - Options
+   * @param {String} [options.status] - Order status
+   * @param {String} [options.deadline] - SQL expression for the payment deadline
+   * @returns {Promise<Object>} { orderId, reference }
+   */
+  const createPayment = async ({ status = 'pending', deadline = `now() + interval '1 hour'` } = {}) => {
+    const { rows: [order] } = await db.query(
+      `insert into orders (user_id, total_price, status, payment_deadline)
+       values (1, 150000, $1, ${deadline}) returning order_id`,
+      [status]
+    );
+    const reference = `MOCK-${order.order_id}`;
+    await db.query(
+      `insert into payments (order_id, provider, provider_reference, amount, expires_at)
+       values ($1, 'mock', $2, 150000, now() - interval '1 minute')`,
+      [order.order_id, reference]
+    );
+
+    return { orderId: order.order_id, reference };
+  };
+
+  /**
+   * Build a webhook body for a payment
+   * @param {String} reference - Payment reference
+   * @param {String} status - Reported status
+   * @param {Number} [amount] - Reported amount
+   * @returns {Object} Webhook body
+   */
+  const event = (reference, status, amount = 150000) => {
+    eventCount += 1;
+    return { event_id: `evt-${eventCount}`, reference, status, amount };
+  };
+
+  /**
+   * Read the state of an order and its payment
+   * @param {Number} orderId - Order ID
+   * @returns {Promise<Object>} { status, payment_status, payment, needs_refund }
+   */
+  const getState = async (orderId) => {
+    const { rows: [row] } = await db.query(
+      `select o.status, o.payment_status, p.status as payment, p.needs_refund
+         from orders o
+         join payments p on p.order_id = o.order_id
+        where o.order_id = $1`,
+      [orderId]
+    );
+
+    return row;
+  };
+
+  /**
+   * Count the history entries of an order
+   * @param {Number} orderId - Order ID
+   * @returns {Promise<Number>} Number of entries
+   */
+  const countHistory = async (orderId) => {
+    const { rows: [row] } = await db.query(
+      `select count(*)::int as count from order_status_history where order_id = $1`,
+      [orderId]
+    );
+
+    return row.count;
+  };
+
+  before(async () => {
+    db = await createTestDatabase();
+    await db.query(`insert into users (user_id, username, email, password) values (1, 'budi', 'budi@example.com', 'x')`);
+  });
+
+  beforeEach(() => {
+    mock.method(supabase, 'from', createFrom(db));
+    mock.method(supabase, 'rpc', createRpc(db));
+    paymentConfig.mock.enabled = true;
+    paymentConfig.mock.webhookSecret = WEBHOOK_SECRET;
+  });
+
+  afterEach(() => {
+    paymentConfig.mock.enabled = false;
+    paymentConfig.mock.webhookSecret = '';
+    mock.restoreAll();
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('rejects a webhook with a bad signature', async () => {
+    const { orderId, reference } = await createPayment();
+
+    const { error } = await handleWebhook('mock', signedRequest(event(reference, 'paid'), 'wrong-secret'));
+
+    assert.equal(error.statusCode, 401);
+    assert.deepEqual(await getState(orderId), { status: 'pending', payment_status: 'unpaid', payment: 'pending', needs_refund: false });
+
+    const { rows } = await db.query(`select 1 from payment_webhook_events where provider_reference = $1`, [reference]);
+    assert.equal(rows.length, 0);
+  });
+
+  it('moves a paid order into processing through the order workflow', async () => {
+    const { orderId, reference } = await createPayment();
+
+    const { data, error } = await handleWebhook('mock', signedRequest(event(reference, 'paid')));
+
+    assert.equal(error, null);
+    assert.equal(data.result, 'order paid');
+    assert.deepEqual(await getState(orderId), { status: 'processing', payment_status: 'paid', payment: 'paid', needs_refund: false });
+
+    const { rows: [history] } = await db.query(
+      `select new_status, new_payment_status, note
+         from order_status_history
+        where order_id = $1
+        order by history_id desc
+        limit 1`,
+      [orderId]
+    );
+    assert.deepEqual(history, { new_status: 'processing', new_payment_status: 'paid', note: `Pembayaran mock ${reference}: paid` });
+  });
+
+  it('acknowledges a replayed event without applying it again', async () => {
+    const { orderId, reference } = await createPayment();
+    const request = signedRequest(event(reference, 'paid'));
+
+    await handleWebhook('mock', request);
+    const historyCount = await countHistory(orderId);
+
+    const { data, error } = await handleWebhook('mock', request);
+
+    assert.equal(error, null);
+    assert.equal(data.duplicate, true);
+    assert.equal(await countHistory(orderId), historyCount);
+  });
+
+  it('rejects a paid amount that does not match and flags it for a refund', async () => {
+    const { orderId, reference } = await createPayment();
+
+    const { data, error } = await handleWebhook('mock', signedRequest(event(reference, 'paid', 100000)));
+
+    assert.equal(error, null);
+    assert.equal(data.result, 'amount_mismatch');
+    assert.deepEqual(await getState(orderId), { status: 'pending', payment_status: 'unpaid', payment: 'pending', needs_refund: true });
+  });
+
+  it('flags money paid for an order that was already cancelled', async () => {
+    const { orderId, reference } = await createPayment({ status: 'cancelled' });
+
+    const { data, error } = await handleWebhook('mock', signedRequest(event(reference, 'paid')));
+
+    assert.equal(error, null);
+    assert.match(data.result, /^needs_refund/);
+    assert.deepEqual(await getState(orderId), { status: 'cancelled', payment_status: 'unpaid', payment: 'paid', needs_refund: true });
+  });
+
+  it('expires only the session while the order can still be paid', async () => {
+    const { orderId, reference } = await createPayment();
+
+    const { data } = await handleWebhook('mock', signedRequest(event(reference, 'expired')));
+
+    assert.equal(data.result, 'payment expired');
+    assert.deepEqual(await getState(orderId), { status: 'pending', payment_status: 'unpaid', payment: 'expired', needs_refund: false });
+  });
+
+  it('expires the order once its payment deadline has passed', async () => {
+    const { orderId, reference } = await createPayment({ deadline: `now() - interval '1 minute'` });
+
+    const { data } = await handleWebhook('mock', signedRequest(event(reference, 'expired')));
+
+    assert.equal(data.result, 'order expired');
+    assert.deepEqual(await getState(orderId), { status: 'cancelled', payment_status: 'expired', payment: 'expired', needs_refund: false });
+  });
+
+  it('rejects webhooks for the mock provider unless it is enabled', async () => {
+    paymentConfig.mock.enabled = false;
+    const recorder = createQueryRecorder(() => []);
+    mock.method(supabase, 'from', recorder.from);
+    mock.method(supabase, 'rpc', recorder.rpc);
+
+    const { error } = await handleWebhook('mock', signedRequest(event('MOCK-0', 'paid')));
+
+    assert.equal(error.statusCode, 503);
+    assert.deepEqual(recorder.queries, []);
+  });
+});
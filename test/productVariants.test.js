@@ -0,0 +1,175 @@
+const { describe, it, before, beforeEach, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('./helpers/supabase');
+const { createQueryRecorder } = require('./helpers/queryRecorder');
+const { createTestDatabase, createRpc } = require('./helpers/database');
+const { saveProductVariants } = require('../src/services/productVariantService');
+const { saveProductSizes } = require('../src/services/productDetailService');
+
+describe('saveProductVariants', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Save variants with a recording client
+   * @param {Array} variants - Variants from the request body
+   * @returns {Promise<Array>} Row batches passed to upsert
+   */
+  const saveAndGetUpserts = async (variants) => {
+    const recorder = createQueryRecorder(() => []);
+    mock.method(supabase, 'from', recorder.from);
+    mock.method(supabase, 'rpc', recorder.rpc);
+
+    const { error } = await saveProductVariants(7, variants);
+    assert.equal(error, null);
+
+    return recorder.queries
+      .map(query => query.calls.find(call => call.method === 'upsert'))
+      .filter(Boolean)
+      .map(call => call.args[0]);
+  };
+
+  it('leaves stock out of variants that do not set it', async () => {
+    const [batch] = await saveAndGetUpserts([
+      { sku: 'KML-HTM-M', color: 'Hitam', size: 'M' },
+      { sku: 'KML-HTM-L', color: 'Hitam', size: 'L' }
+    ]);
+
+    assert.equal(batch.length, 2);
+    assert.ok(batch.every(row => !('stock' in row)));
+  });
+
+  it('upserts variants with and without stock separately', async () => {
+    const batches = await saveAndGetUpserts([
+      { sku: 'KML-HTM-M', stock: 0 },
+      { sku: 'KML-HTM-L' },
+      { sku: 'KML-PTH-M', stock: 12 }
+    ]);
+
+    assert.deepEqual(batches.map(batch => batch.map(row => [row.sku, row.stock])), [
+      [['KML-HTM-M', 0], ['KML-PTH-M', 12]],
+      [['KML-HTM-L', undefined]]
+    ]);
+  });
+});
+
+describe('saveProductSizes', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps the stock of sizes that do not set it', async () => {
+    const recorder = createQueryRecorder(() => []);
+    mock.method(supabase, 'from', recorder.from);
+
+    const { error } = await saveProductSizes(7, [
+      { size: 'M', stock: 4 },
+      { size: 'L' }
+    ]);
+    assert.equal(error, null);
+
+    const batches = recorder.queries
+      .map(query => query.calls.find(call => call.method === 'upsert'))
+      .filter(Boolean)
+      .map(call => call.args[0]);
+
+    assert.deepEqual(batches, [
+      [{ product_id: 7, size: 'M', stock: 4 }],
+      [{ product_id: 7, size: 'L' }]
+    ]);
+  });
+});
+
+describe('removing variants from a product', () => {
+  let db;
+  let productId;
+
+  /**
+   * Read the variants of the test product
+   * @returns {Promise<Array>} [sku, is_active] pairs ordered by SKU
+   */
+  const getVariants = async () => {
+    const { rows } = await db.query(
+      `select sku, is_active from product_variants where product_id = $1 order by sku`,
+      [productId]
+    );
+
+    return rows.map(row => [row.sku, row.is_active]);
+  };
+
+  before(async () => {
+    db = await createTestDatabase();
+
+    await db.query(`insert into users (user_id, username, email, password) values (1, 'budi', 'budi@example.com', 'x')`);
+    const { rows: [product] } = await db.query(
+      `insert into products (name, price) values ('Kemeja Linen', 150000) returning product_id`
+    );
+    productId = product.product_id;
+
+    await db.query(
+      `insert into product_variants (product_id, sku, size, stock) values
+         ($1, 'KML-M', 'M', 3), ($1, 'KML-L', 'L', 3), ($1, 'KML-XL', 'XL', 3)`,
+      [productId]
+    );
+    await db.query(
+      `insert into cart_items (user_id, product_id, variant_id, size, quantity)
+       select 1, product_id, variant_id, size, 1 from product_variants where sku = 'KML-M'`
+    );
+  });
+
+  beforeEach(() => {
+    mock.method(supabase, 'from', createQueryRecorder(() => []).from);
+    mock.method(supabase, 'rpc', createRpc(db));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.close();
+  });
+
+  it('archives variants in a cart and deletes unused ones', async () => {
+    const { error } = await saveProductVariants(productId, [{ sku: 'KML-L' }]);
+    assert.equal(error, null);
+
+    assert.deepEqual(await getVariants(), [['KML-L', true], ['KML-M', false]]);
+
+    const { rows: cart } = await db.query(`select variant_id from cart_items where user_id = 1`);
+    assert.equal(cart.length, 1);
+  });
+
+  it('does not sell archived variants', async () => {
+    const { rows: [variant] } = await db.query(`select variant_id from product_variants where sku = 'KML-M'`);
+
+    const { error } = await createRpc(db)('reserve_stock', {
+      p_items: [{ product_id: productId, variant_id: variant.variant_id, quantity: 1 }]
+    });
+
+    assert.equal(error.message, 'INSUFFICIENT_STOCK');
+  });
+});
+
+describe('unique size and image migration', () => {
+  it('merges duplicate sizes and images that existed before it', async () => {
+    const db = await createTestDatabase({
+      beforeMigration: {
+        '20261019000031_unique_product_sizes_images.sql': async (database) => {
+          await database.exec(`
+            insert into products (product_id, name, price) values (1, 'Kaos Polos', 50000);
+            insert into product_sizes (product_id, size, stock) values (1, 'M', 2), (1, 'M', 5), (1, 'L', 1);
+            insert into product_images (product_id, image_url) values
+              (1, 'https://cdn.example.com/kaos.jpg'), (1, 'https://cdn.example.com/kaos.jpg');
+          `);
+        }
+      }
+    });
+
+    const { rows: sizes } = await db.query(`select size, stock from product_sizes order by size`);
+    const { rows: images } = await db.query(`select image_url from product_images`);
+
+    assert.deepEqual(sizes, [{ size: 'L', stock: 1 }, { size: 'M', stock: 5 }]);
+    assert.equal(images.length, 1);
+
+    await db.close();
+  });
+});
@@ -0,0 +1,195 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('./helpers/supabase');
+const { createTestDatabase, createRpc } = require('./helpers/database');
+
+describe('return refunds', () => {
+  let db;
+
+  /**
+   * Create a completed order with received returns
+   * @param {Number} totalPrice - Order total
+   * @param {Number} returns - Number of received returns
+   * @returns {Promise<Array>} Return IDs
+   */
+  const createReturns = async (totalPrice, returns) => {
+    const { rows: [order] } = await db.query(
+      `insert into orders (user_id, total_price, status, payment_status)
+       values (1, $1, 'completed', 'paid') returning order_id`,
+      [totalPrice]
+    );
+    const { rows } = await db.query(
+      `insert into return_requests (order_id, user_id, status, reason_code)
+       select $1, 1, 'received', 'defective' from generate_series(1, $2)
+       returning return_id`,
+      [order.order_id, returns]
+    );
+
+    return rows.map(row => row.return_id);
+  };
+
+  /**
+   * Refund a return by bank transfer
+   * @param {Number} returnId - Return ID
+   * @param {Number} amount - Refund amount
+   * @returns {Promise<Object>} { data, error }
+   */
+  const refund = (returnId, amount) => supabase.rpc('refund_return_request', {
+    p_return_id: returnId,
+    p_amount: amount,
+    p_method: 'bank_transfer'
+  });
+
+  before(async () => {
+    db = await createTestDatabase();
+    await db.query(`insert into users (user_id, username, email, password) values (1, 'budi', 'budi@example.com', 'x')`);
+  });
+
+  beforeEach(() => {
+    mock.method(supabase, 'rpc', createRpc(db));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.close();
+  });
+
+  it('never lets concurrent refunds of one order exceed its total', async () => {
+    const returnIds = await createReturns(150000, 2);
+
+    const results = await Promise.all(returnIds.map(returnId => refund(returnId, 100000)));
+
+    assert.equal(results.filter(result => !result.error).length, 1);
+    const [failed] = results.filter(result => result.error);
+    assert.equal(failed.error.message, 'REFUND_EXCEEDS_REMAINING');
+    assert.equal(Number(failed.error.details), 50000);
+
+    const { rows: [refunded] } = await db.query(
+      `select count(*)::int as count, sum(refund_amount) as total
+         from return_requests
+        where return_id = any($1) and status = 'refunded'`,
+      [returnIds]
+    );
+    assert.equal(refunded.count, 1);
+    assert.equal(Number(refunded.total), 100000);
+  });
+
+  it('refunds a return only once', async () => {
+    const [returnId] = await createReturns(150000, 1);
+
+    assert.equal((await refund(returnId, 50000)).error, null);
+    assert.equal((await refund(returnId, 50000)).error.message, 'RETURN_NOT_RECEIVED');
+  });
+});
+
+describe('receiving returns', () => {
+  let db;
+
+  /**
+   * Create a product and an approved return of two of the three units ordered
+   * @returns {Promise<Object>} { returnId, productId }
+   */
+  const createApprovedReturn = async () => {
+    const { rows: [product] } = await db.query(
+      `insert into products (name, price, stock) values ('Kemeja Flanel', 50000, 0) returning product_id`
+    );
+    const { rows: [order] } = await db.query(
+      `insert into orders (user_id, total_price, status, payment_status)
+       values (1, 150000, 'completed', 'paid') returning order_id`
+    );
+    const { rows: [item] } = await db.query(
+      `insert into order_items (order_id, product_id, quantity, price)
+       values ($1, $2, 3, 50000) returning item_id`,
+      [order.order_id, product.product_id]
+    );
+    const { rows: [returnRequest] } = await db.query(
+      `insert into return_requests (order_id, user_id, status, reason_code)
+       values ($1, 1, 'approved', 'defective') returning return_id`,
+      [order.order_id]
+    );
+    await db.query(
+      `insert into return_request_items (return_id, order_item_id, quantity) values ($1, $2, 2)`,
+      [returnRequest.return_id, item.item_id]
+    );
+
+    return { returnId: returnRequest.return_id, productId: product.product_id };
+  };
+
+  /**
+   * Read a return's state and its product's stock
+   * @param {Object} ids - { returnId, productId }
+   * @returns {Promise<Array>} [status, restocked, stock]
+   */
+  const getState = async ({ returnId, productId }) => {
+    const { rows: [row] } = await db.query(
+      `select r.status, r.restocked, p.stock
+         from return_requests r, products p
+        where r.return_id = $1 and p.product_id = $2`,
+      [returnId, productId]
+    );
+
+    return [row.status, row.restocked, row.stock];
+  };
+
+  /**
+   * Receive a return
+   * @param {Number} returnId - Return ID
+   * @param {Boolean} restock - Whether to put the items back into stock
+   * @returns {Promise<Object>} { data, error }
+   */
+  const receive = (returnId, restock) => supabase.rpc('receive_return_request', {
+    p_return_id: returnId,
+    p_restock: restock
+  });
+
+  before(async () => {
+    db = await createTestDatabase();
+    await db.query(`insert into users (user_id, username, email, password) values (1, 'budi', 'budi@example.com', 'x')`);
+  });
+
+  beforeEach(() => {
+    mock.method(supabase, 'rpc', createRpc(db));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.close();
+  });
+
+  it('puts the returned items back into stock', async () => {
+    const ids = await createApprovedReturn();
+
+    assert.equal((await receive(ids.returnId, true)).error, null);
+    assert.deepEqual(await getState(ids), ['received', true, 2]);
+  });
+
+  it('receives a return without restocking it', async () => {
+    const ids = await createApprovedReturn();
+
+    assert.equal((await receive(ids.returnId, false)).error, null);
+    assert.deepEqual(await getState(ids), ['received', false, 0]);
+  });
+
+  it('leaves the return approved when its items cannot be restocked, so it can be retried', async () => {
+    const ids = await createApprovedReturn();
+    await db.query(`alter table products add constraint products_stock_cap check (stock < 1) not valid`);
+
+    try {
+      assert.ok((await receive(ids.returnId, true)).error);
+      assert.deepEqual(await getState(ids), ['approved', false, 0]);
+    } finally {
+      await db.query(`alter table products drop constraint products_stock_cap`);
+    }
+
+    assert.equal((await receive(ids.returnId, true)).error, null);
+    assert.deepEqual(await getState(ids), ['received', true, 2]);
+  });
+
+  it('receives a return only once', async () => {
+    const ids = await createApprovedReturn();
+
+    assert.equal((await receive(ids.returnId, true)).error, null);
+    assert.equal((await receive(ids.returnId, true)).error.message, 'RETURN_NOT_APPROVED');
+    assert.deepEqual(await getState(ids), ['received', true, 2]);
+  });
+});
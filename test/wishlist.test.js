@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+
+describe('wishlist back-in-stock flags', () => {
+  let db;
+
+  /**
+   * Create a product with the given stock
+   * @param {Number} stock - Product stock
+   * @returns {Promise<Number>} Product ID
+   */
+  const createProduct = async (stock) => {
+    const { rows: [product] } = await db.query(
+      `insert into products (name, price, stock) values ('Kemeja Linen', 150000, $1) returning product_id`,
+      [stock]
+    );
+
+    return product.product_id;
+  };
+
+  /**
+   * Wishlist a product (or one of its variants) with notifications on
+   * @param {Number} productId - Product ID
+   * @param {Number} [variantId] - Variant ID
+   * @returns {Promise<Number>} Wishlist item ID
+   */
+  const addToWishlist = async (productId, variantId = null) => {
+    const { rows: [item] } = await db.query(
+      `insert into wishlist_items (user_id, product_id, variant_id, notify_back_in_stock)
+       values (1, $1, $2, true) returning wishlist_item_id`,
+      [productId, variantId]
+    );
+
+    return item.wishlist_item_id;
+  };
+
+  /**
+   * Whether a wishlist item is flagged as back in stock
+   * @param {Number} itemId - Wishlist item ID
+   * @returns {Promise<Boolean>} True when flagged
+   */
+  const isFlagged = async (itemId) => {
+    const { rows: [item] } = await db.query(
+      `select back_in_stock_at from wishlist_items where wishlist_item_id = $1`,
+      [itemId]
+    );
+
+    return item.back_in_stock_at !== null;
+  };
+
+  before(async () => {
+    db = await createTestDatabase();
+    await db.query(`insert into users (user_id, username, email, password) values (1, 'budi', 'budi@example.com', 'x')`);
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('flags a wishlisted variant when it is restocked', async () => {
+    const productId = await createProduct(0);
+    const { rows: [variant] } = await db.query(
+      `insert into product_variants (product_id, sku, color, size, stock)
+       values ($1, 'KML-HTM-M', 'Hitam', 'M', 0) returning variant_id`,
+      [productId]
+    );
+    const itemId = await addToWishlist(productId, variant.variant_id);
+
+    await db.query(`update product_variants set stock = 4 where variant_id = $1`, [variant.variant_id]);
+    assert.equal(await isFlagged(itemId), true);
+
+    await db.query(`update product_variants set stock = 0 where variant_id = $1`, [variant.variant_id]);
+    assert.equal(await isFlagged(itemId), false);
+  });
+
+  it('flags a product without sizes when its own stock is restocked', async () => {
+    const productId = await createProduct(0);
+    const itemId = await addToWishlist(productId);
+
+    await db.query(`update products set stock = 3 where product_id = $1`, [productId]);
+    assert.equal(await isFlagged(itemId), true);
+  });
+
+  it('leaves products with sizes to the size trigger', async () => {
+    const productId = await createProduct(0);
+    await db.query(`insert into product_sizes (product_id, size, stock) values ($1, 'M', 0)`, [productId]);
+    const itemId = await addToWishlist(productId);
+
+    await db.query(`update products set stock = 3 where product_id = $1`, [productId]);
+    assert.equal(await isFlagged(itemId), false);
+  });
+});